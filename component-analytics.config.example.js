@@ -53,6 +53,16 @@ module.exports = {
       //
       // wrapperSources: ["ui-components"],
 
+      // Optional: read prop types and `@defaultValue` defaults from the
+      // library's `.d.ts` files in a local node_modules.  `true` searches
+      // from the project root and every codebase; a path searches from
+      // that directory instead.  A `.json` path (or an object) is a
+      // manifest of the props instead:
+      //   { Button: { mode: ["default", "ghost"], text: {} } }
+      // The `api-surface` step then lists declared props nobody uses.
+      //
+      // declarations: true,
+
       components: [
         // ── Layout ────────────────────────────────────────────────
         "Box",
@@ -118,6 +128,56 @@ module.exports = {
         "ThemeProvider",
         "TooltipDelayGroupProvider",
       ],
+
+      // Optional: components, props and prop values you are migrating
+      // away from.  The `deprecations` step lists every instance with
+      // its file, line and source.  Omit `prop` to deprecate the whole
+      // component, and `value` to deprecate every use of the prop.
+      // Entries with `migrate` are rewritten by `npm run migrate`.
+      //
+      // deprecations: [
+      //   { component: "Inline", replacement: "Flex", message: "Inline is going away.",
+      //     migrate: { component: "Flex" } },
+      //   { component: "Button", prop: "tone", value: "critical", replacement: 'tone="danger"',
+      //     migrate: { value: "danger" } },
+      //   { component: "Text", prop: "accent" },
+      // ],
+
+      // Optional: which components replace which raw HTML tags.  The
+      // `html-replacements` step lists every matching element with a
+      // suggested opening tag.  The first matching entry wins.  When
+      // omitted, Sanity UI libraries use the built-in table for the
+      // components listed above (<button> → Button, <h2> → Heading
+      // as="h2", <div style={{display: "flex"}}> → Flex, …) and other
+      // libraries get none; `false` turns it off.
+      //
+      // htmlReplacements: [
+      //   { tag: "input", attributes: { type: "checkbox" }, component: "Checkbox" },
+      //   { tag: "h2", component: "Heading", props: { as: "h2" } },
+      //   { tag: "div", style: { display: "flex" }, component: "Flex",
+      //     styleProps: { flexDirection: "direction", alignItems: "align" } },
+      //   { tag: "div", component: "Box" },
+      // ],
+
+      // Optional: which inline style properties the components above
+      // also accept as props.  The `style-props` step reports each
+      // `style={{…}}` that could be props instead.  `scale` maps pixel
+      // values to the index of a step in `scales`; `values` lists the
+      // accepted values, or maps CSS values to prop values.  When
+      // omitted, Sanity UI libraries use the built-in table and scales
+      // for the components listed above (padding → padding={n},
+      // flexDirection → direction, …) and other libraries get none;
+      // `false` turns it off.
+      //
+      // scales: { space: [0, 4, 8, 12, 20, 32, 52, 84, 136, 220] },
+      // styleProps: [
+      //   { property: "padding", prop: "padding", scale: "space",
+      //     components: ["Box", "Card"] },
+      //   { property: "flexDirection", prop: "direction",
+      //     values: ["row", "column"], components: ["Flex"] },
+      //   { property: "fontWeight", prop: "weight",
+      //     values: { 400: "regular", 700: "bold" }, components: ["Text"] },
+      // ],
     },
     {
       name: "Sanity Icons",
@@ -376,6 +436,9 @@ module.exports = {
   // Each entry needs:
   //   component  – a tracked component name (from uiLibraries above)
   //   props      – two or more prop names to combine
+  //
+  // Leave the list empty to discover the combinations instead: the prop
+  // pairs each component's instances set together most often.
 
   propCombos: [
     { component: "Text", props: ["weight", "size"] },
@@ -384,4 +447,67 @@ module.exports = {
     { component: "Card", props: ["tone", "padding", "radius"] },
     { component: "Heading", props: ["size", "as"] },
   ],
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PROP SCHEMAS  (optional)
+  // ═══════════════════════════════════════════════════════════════════════════
+  //
+  // Allowed values of component props.  The `invalid-values` step lists
+  // every instance that sets any other literal value.  Libraries with
+  // `declarations` are also checked against their declared union types;
+  // an entry here takes precedence.
+
+  // propSchemas: {
+  //   Button: { tone: ["default", "primary", "critical"] },
+  //   Text: { size: [0, 1, 2, 3, 4] },
+  // },
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // WRAPPER DEPTH  (optional)
+  // ═══════════════════════════════════════════════════════════════════════════
+  //
+  // Instances of internal wrappers (`const PrimaryButton = (p) =>
+  // <Button {...p} />`) count toward the wrapped component's effective
+  // instances in the per-component report.  How many wrappers of
+  // wrappers to follow; 0 turns this off.
+
+  // wrapperDepth: 3,
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // PROP CLUSTERS  (optional)
+  // ═══════════════════════════════════════════════════════════════════════════
+  //
+  // The `prop-clusters` step lists literal prop sets that many instances
+  // of a component repeat (e.g. `<Text size={1} muted weight="semibold">`)
+  // — candidates for a variant or a wrapper component.  A set is listed
+  // once `minInstances` instances use it, and must have `minProps` props.
+
+  // propClusters: { minInstances: 10, minProps: 2 },
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // BUDGETS  (optional)
+  // ═══════════════════════════════════════════════════════════════════════════
+  //
+  // Thresholds enforced by `npm run check`, which reads the reports of the
+  // last `npm run analyze` and exits non-zero when any is exceeded — run
+  // both in CI to block regressions.  Every budget applies to each
+  // codebase separately:
+  //
+  //   minTrackedPercent  – minimum % of JSX instances from uiLibraries
+  //   minLineOwnership   – minimum line ownership % of UI files
+  //   maxHtmlTags        – maximum instances per HTML tag
+  //   maxInlineStyles    – maximum inline `style=` uses per tracked
+  //                        component ("*" = any component not listed)
+  //
+  // `codebases` overrides budgets for one codebase; the tag and component
+  // maps merge key by key.
+
+  // budgets: {
+  //   minTrackedPercent: 60,
+  //   maxHtmlTags: { div: 200, span: 50 },
+  //   maxInlineStyles: { "*": 10, Box: 25 },
+  //   codebases: {
+  //     "my-app": { minTrackedPercent: 40 },
+  //   },
+  // },
 };
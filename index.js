@@ -120,6 +120,7 @@ const sources = {
   categorizeImportSource: _sources.categorizeImportSource,
   extractImports: _sources.extractImports,
   countJSXInstances: _sources.countJSXInstances,
+  resolveJSXElement: _sources.resolveJSXElement,
   buildImportMap: _sources.buildImportMap,
   analyzeContent: _sources.analyzeContent,
   analyzeFile: _sources.analyzeFile,
@@ -195,6 +196,39 @@ const propCombos = {
   UNSET: _propCombos.UNSET,
 };
 
+// ─── Source parsing ───────────────────────────────────────────────────────────
+
+const _parser = require("./scripts/lib/parser");
+
+/**
+ * Shared AST-based extraction engine used by every analyzer.
+ *
+ * - `parseSource(content, filename?)` — imports, exports, JSX elements (with
+ *   attributes and source ranges) and `styled()` calls for one file.
+ * - `clearParseCache()` — drop memoised parse results.
+ */
+const parser = {
+  parseSource: _parser.parseSource,
+  clearParseCache: _parser.clearParseCache,
+};
+
+const _resolver = require("./scripts/lib/resolver");
+
+/**
+ * Follows local re-export barrels (relative paths and tsconfig `paths`
+ * aliases) back to the tracked UI library.
+ *
+ * - `resolveReExport(fromFile, source, name, isTrackedSource)` —
+ *   `{ original, source }` for a re-exported tracked component, or `null`.
+ * - `resolveModule(fromFile, source)` — absolute path of a local module.
+ * - `clearResolverCache()` — drop cached configs, files and resolutions.
+ */
+const resolver = {
+  resolveReExport: _resolver.resolveReExport,
+  resolveModule: _resolver.resolveModule,
+  clearResolverCache: _resolver.clearResolverCache,
+};
+
 // ─── Shared utilities ─────────────────────────────────────────────────────────
 
 const utils = require("./scripts/lib/utils");
@@ -216,6 +250,10 @@ module.exports = {
   customizations,
   propCombos,
 
+  // Source parsing
+  parser,
+  resolver,
+
   // Shared utilities
   utils,
 };
@@ -6,12 +6,38 @@ module.exports = {
     "scripts/lib/context.js",
     "scripts/sources/analyze-ui-component-sources.js",
     "scripts/html-tags/analyze-html-tags.js",
+    "scripts/html-replacements/analyze-html-replacements.js",
     "scripts/customizations/analyze-customizations.js",
+    "scripts/style-props/analyze-style-props.js",
     "scripts/per-component/analyze-per-component.js",
     "scripts/per-component/detect-prop-defaults.js",
     "scripts/lib/constants.js",
     "scripts/lib/utils.js",
     "scripts/lib/files.js",
+    "scripts/lib/parser.js",
+    "scripts/lib/legacy-extraction.js",
+    "scripts/lib/resolver.js",
+    "scripts/lib/pipeline.js",
+    "scripts/lib/cache.js",
+    "scripts/lib/history.js",
+    "scripts/lib/git.js",
+    "scripts/trends/analyze-trends.js",
+    "scripts/backfill/backfill-history.js",
+    "scripts/diff/diff-reports.js",
+    "scripts/changes/analyze-changes.js",
+    "scripts/check/check-budgets.js",
+    "scripts/deprecations/analyze-deprecations.js",
+    "scripts/invalid-values/analyze-invalid-values.js",
+    "scripts/prop-clusters/analyze-prop-clusters.js",
+    "scripts/unused-components/analyze-unused-components.js",
+    "scripts/wrapper-discovery/analyze-wrapper-discovery.js",
+    "scripts/migrate/migrate.js",
+    "scripts/migrate/fix-defaults.js",
+    "scripts/lib/patch.js",
+    "scripts/lib/jsx-style.js",
+    "scripts/lib/declarations.js",
+    "scripts/api-surface/analyze-api-surface.js",
+    "scripts/composition/analyze-composition.js",
     "!scripts/**/__tests__/**",
   ],
   coverageDirectory: "scripts/__tests__/coverage",
@@ -47,6 +73,200 @@ module.exports = {
       statements: 60,
     },
 
+    // ── Shared JSX/TS parser — pure, fully unit-tested ──────────────────
+    "scripts/lib/parser.js": {
+      branches: 80,
+      functions: 90,
+      lines: 90,
+      statements: 90,
+    },
+    "scripts/lib/resolver.js": {
+      branches: 80,
+      functions: 90,
+      lines: 90,
+      statements: 90,
+    },
+    // ── Pre-parser extraction helpers — thin wrappers, tested through
+    //    the analyzers that export them.
+    "scripts/lib/legacy-extraction.js": {
+      branches: 80,
+      functions: 90,
+      lines: 90,
+      statements: 85,
+    },
+
+    // ── Analyzer pipeline — exercised against a temp codebase; the
+    //    default-codebase and unreadable-file branches are not ─────────
+    "scripts/lib/pipeline.js": {
+      branches: 70,
+      functions: 90,
+      lines: 90,
+      statements: 90,
+    },
+
+    // ── Persistent analysis cache — exercised against a temp directory ──
+    "scripts/lib/cache.js": {
+      branches: 80,
+      functions: 90,
+      lines: 90,
+      statements: 90,
+    },
+
+    // ── History snapshots — pure apart from a temp-dir store ────────────
+    "scripts/lib/history.js": {
+      branches: 80,
+      functions: 90,
+      lines: 90,
+      statements: 90,
+    },
+
+    // ── Trends — aggregation + report generation tested; CLI is not ─────
+    "scripts/trends/analyze-trends.js": {
+      branches: 60,
+      functions: 80,
+      lines: 75,
+      statements: 75,
+    },
+
+    // ── Git tree access — exercised against a temp repository; most of
+    //    the fs adapter handed to glob (sync / promise variants) is unused ─
+    "scripts/lib/git.js": {
+      branches: 70,
+      functions: 65,
+      lines: 80,
+      statements: 80,
+    },
+
+    // ── Backfill — sampling + snapshots tested; CLI is not ─────────────
+    "scripts/backfill/backfill-history.js": {
+      branches: 60,
+      functions: 80,
+      lines: 75,
+      statements: 75,
+    },
+
+    // ── Report diff — loading, comparison + output tested; CLI is not ──
+    "scripts/diff/diff-reports.js": {
+      branches: 70,
+      functions: 80,
+      lines: 80,
+      statements: 80,
+    },
+
+    // ── Changed-file analysis — exercised against a temp repository;
+    //    the CLI entry is not ─────────────────────────────────────────────
+    "scripts/changes/analyze-changes.js": {
+      branches: 70,
+      functions: 80,
+      lines: 80,
+      statements: 80,
+    },
+
+    // ── Budget check — evaluation + output tested; the CLI exit is not ─
+    "scripts/check/check-budgets.js": {
+      branches: 70,
+      functions: 80,
+      lines: 80,
+      statements: 80,
+    },
+
+    // ── Deprecations — matching + report generation tested; the report
+    //    writing and CLI are not ─────────────────────────────────────────
+    "scripts/deprecations/analyze-deprecations.js": {
+      branches: 70,
+      functions: 80,
+      lines: 70,
+      statements: 70,
+    },
+
+    // ── Invalid values — schemas, matching + report generation tested;
+    //    the report writing and CLI are not ───────────────────────────
+    "scripts/invalid-values/analyze-invalid-values.js": {
+      branches: 70,
+      functions: 80,
+      lines: 70,
+      statements: 70,
+    },
+
+    // ── Prop clusters — mining + report generation tested; the report
+    //    writing and CLI are not ───────────────────────────────────────
+    "scripts/prop-clusters/analyze-prop-clusters.js": {
+      branches: 70,
+      functions: 80,
+      lines: 70,
+      statements: 70,
+    },
+
+    // ── Unused components — catalogue, usage + report generation tested;
+    //    the report writing and CLI are not ───────────────────────────
+    "scripts/unused-components/analyze-unused-components.js": {
+      branches: 70,
+      functions: 80,
+      lines: 70,
+      statements: 70,
+    },
+
+    // ── Wrapper discovery — detection, resolution + report generation
+    //    tested; the report writing and CLI are not ──────────────────────
+    "scripts/wrapper-discovery/analyze-wrapper-discovery.js": {
+      branches: 70,
+      functions: 80,
+      lines: 70,
+      statements: 70,
+    },
+
+    // ── Migrate — planning tested against sources; writing files and the
+    //    CLI are not ───────────────────────────────────────────────────────
+    "scripts/migrate/migrate.js": {
+      branches: 70,
+      functions: 70,
+      lines: 70,
+      statements: 70,
+    },
+
+    // ── Fix defaults — threshold selection and the CLI's early exits
+    //    tested; the rewrite run itself is covered by migrate ──────────
+    "scripts/migrate/fix-defaults.js": {
+      branches: 70,
+      functions: 60,
+      lines: 75,
+      statements: 75,
+    },
+
+    // ── Source rewriting — edits + diff rendering are pure logic ────────
+    "scripts/lib/patch.js": {
+      branches: 80,
+      functions: 90,
+      lines: 90,
+      statements: 90,
+    },
+
+    // ── Type declarations — read from a fixture package; the rarer
+    //    packaging layouts (typings, require conditions) are untested ──
+    "scripts/lib/declarations.js": {
+      branches: 65,
+      functions: 90,
+      lines: 85,
+      statements: 85,
+    },
+
+    // ── API surface — aggregation + report generation are pure; main
+    //    is tested for its early exits only ───────────────────────────
+    "scripts/api-surface/analyze-api-surface.js": {
+      branches: 65,
+      functions: 85,
+      lines: 80,
+      statements: 80,
+    },
+
+    // ── Composition — aggregation + report generation are pure ───────
+    "scripts/composition/analyze-composition.js": {
+      branches: 70,
+      functions: 85,
+      lines: 80,
+      statements: 80,
+    },
+
     // ── File I/O module — async glob + fs calls are hard to unit test ───
     "scripts/lib/files.js": {
       branches: 30,
@@ -63,6 +283,32 @@ module.exports = {
       statements: 75,
     },
 
+    // ── HTML replacements — matching, suggestions + report generation
+    //    tested; the report writing and CLI are not ────────────────────
+    "scripts/html-replacements/analyze-html-replacements.js": {
+      branches: 70,
+      functions: 80,
+      lines: 70,
+      statements: 70,
+    },
+
+    // ── Inline style translation — pure, fully unit-tested ──────────────
+    "scripts/lib/jsx-style.js": {
+      branches: 80,
+      functions: 90,
+      lines: 90,
+      statements: 90,
+    },
+
+    // ── Style props — aggregation + report generation tested; the
+    //    report writing and CLI are not ──────────────────────────────────
+    "scripts/style-props/analyze-style-props.js": {
+      branches: 70,
+      functions: 80,
+      lines: 70,
+      statements: 70,
+    },
+
     // ── Customizations — extraction + aggregation well-tested ───────────
     "scripts/customizations/analyze-customizations.js": {
       branches: 60,
@@ -0,0 +1,150 @@
+const os = require("os");
+const path = require("path");
+
+const {
+  buildSurface,
+  summarizeLibraries,
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+  main,
+} = require("../api-surface/analyze-api-surface");
+const { manifestDeclarations } = require("../lib/declarations");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Declarations of two libraries, built from manifests. */
+function declare(library, manifest) {
+  return Object.fromEntries(
+    Object.entries(manifestDeclarations(manifest, library)).map(([c, p]) => [
+      c,
+      { library, file: "config", props: p },
+    ]),
+  );
+}
+
+const DECLARATIONS = {
+  ...declare("Acme", {
+    Button: {
+      mode: ["default", "ghost", "bleed"],
+      tone: ["default", "critical"],
+      text: {},
+      icon: {},
+    },
+    Flex: { gap: [0, 1, 2] },
+    Grid: { columns: {} },
+  }),
+  ...declare("Icons", { AddIcon: {} }),
+};
+
+/** Per-component detail JSON of the last run, keyed by component. */
+const REPORTS = {
+  Button: {
+    totalInstances: 7,
+    props: {
+      mode: { values: { '"ghost"': 4 } },
+      tone: { values: { "<variable>": 2 } },
+      text: { values: { '"Save"': 7 } },
+    },
+  },
+  Flex: {
+    totalInstances: 3,
+    props: { gap: { values: { 0: 1, 1: 1, 2: 1 } } },
+  },
+};
+
+const ROWS = buildSurface(DECLARATIONS, (c) => REPORTS[c] || null);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// aggregation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("buildSurface", () => {
+  test("counts declared props and values against usage", () => {
+    const button = ROWS.find((r) => r.component === "Button");
+    expect(button).toEqual({
+      component: "Button",
+      library: "Acme",
+      instances: 7,
+      props: { declared: 4, used: 3 },
+      values: { declared: 5, used: 1 },
+      total: 9,
+      exercised: 4,
+      unusedProps: ["icon"],
+      unusedValues: {
+        mode: ['"default"', '"bleed"'],
+        tone: ['"default"', '"critical"'],
+      },
+    });
+  });
+
+  test("ranks the least exercised components first", () => {
+    expect(ROWS.map((r) => r.component)).toEqual([
+      "Grid",
+      "AddIcon",
+      "Button",
+      "Flex",
+    ]);
+    expect(ROWS[0]).toMatchObject({ instances: 0, unusedProps: ["columns"] });
+  });
+
+  test("totals per library", () => {
+    expect(summarizeLibraries(ROWS)).toEqual({
+      Acme: { components: 3, total: 14, exercised: 8 },
+      Icons: { components: 1, total: 0, exercised: 0 },
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// reports
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("generateMarkdown / generateCSV / generateJSON", () => {
+  test("markdown ranks components and lists what they leave unused", () => {
+    const md = generateMarkdown(ROWS);
+    expect(md).toContain(
+      "- **Acme**: 57.1% of the declared API exercised (8 of 14 props and values, 3 components)",
+    );
+    expect(md).toContain("| Button | Acme | 7 | 3 / 4 | 1 / 5 | 44.4% |");
+    expect(md).toContain("- Unused props: `icon`");
+    expect(md).toContain(
+      '- Unused values: `mode="default"`, `mode="bleed"`, `tone="default"`, `tone="critical"`',
+    );
+    expect(md).not.toContain("## Flex");
+  });
+
+  test("CSV has one row per component", () => {
+    const csv = generateCSV(ROWS).trim().split("\n");
+    expect(csv).toHaveLength(5);
+    expect(csv[0]).toMatch(/^Library,Component,Instances/);
+    expect(csv).toContain('"Acme","Flex",3,1,1,3,3,100.0,"",""');
+    expect(csv).toContain('"Acme","Grid",0,1,0,0,0,0.0,"columns",""');
+  });
+
+  test("JSON has the library totals and every row", () => {
+    const json = JSON.parse(generateJSON(ROWS));
+    expect(json.libraries.Acme.exercised).toBe(8);
+    expect(json.components).toHaveLength(4);
+  });
+});
+
+describe("main", () => {
+  test("skips the report without declarations or per-component reports", () => {
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      main(os.tmpdir(), {});
+      expect(log).toHaveBeenCalledWith("  ⚠ No declared props found");
+
+      const missing = path.join(os.tmpdir(), "component-analytics-none");
+      main(missing, DECLARATIONS);
+      expect(log).toHaveBeenCalledWith(
+        `  ⚠ No per-component reports in ${path.join(missing, "components", "detail")} — run \`npm run analyze:per-component\` first.`,
+      );
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
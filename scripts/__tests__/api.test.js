@@ -250,8 +250,20 @@ describe("createContext", () => {
     expect(minimal.allUILibraries[0].wrapperSources).toEqual([]);
     expect(minimal.propCombos).toEqual([]);
     expect(minimal.otherUIPatterns).toEqual([]);
+    expect(minimal.budgets).toEqual({});
+    expect(minimal.wrapperDepth).toBe(3);
     expect(minimal.filePattern).toBe("**/*.{tsx,jsx}");
   });
+
+  test("validates wrapperDepth", () => {
+    expect(createContext({ wrapperDepth: 0 }).wrapperDepth).toBe(0);
+    expect(() => createContext({ wrapperDepth: -1 })).toThrow(
+      "wrapperDepth must be a non-negative integer.",
+    );
+    expect(() => createContext({ wrapperDepth: "2" })).toThrow(
+      "wrapperDepth must be a non-negative integer.",
+    );
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,185 @@
+const {
+  createCache,
+  moduleClosure,
+  analyzerKeys,
+  hashContent,
+  serialize,
+  deserialize,
+} = require("../lib/cache");
+
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+const CONFIG = { codebases: [{ name: "app", path: "./app" }] };
+
+/** Minimal cacheable analyzer; `module` only feeds the key. */
+function analyzer(name, args) {
+  return {
+    name,
+    worker: { module: __filename, args },
+    analyze: () => null,
+  };
+}
+
+let dir;
+let depFile;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "component-analytics-cache-"));
+  depFile = path.join(dir, "barrel.ts");
+  fs.writeFileSync(depFile, `export * from "@sanity/ui"`);
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+/** Store one run's results and write them back. */
+function seed(analyzers, entries, config = CONFIG) {
+  const cache = createCache({ analyzers, config, dir });
+  cache.beginCodebase("app");
+  for (const [relPath, content, results, deps = []] of entries) {
+    cache.lookup(relPath, hashContent(content));
+    cache.store(relPath, hashContent(content), deps, results);
+  }
+  cache.endCodebase();
+  return cache;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// serialize / deserialize
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("serialize / deserialize", () => {
+  test("round-trips Sets and Maps", () => {
+    const value = {
+      libs: new Set(["@sanity/ui"]),
+      counts: new Map([["Button", 2]]),
+      nested: [{ n: 1, s: "x" }],
+    };
+    expect(deserialize(serialize(value))).toEqual(value);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// analyzerKeys
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("analyzerKeys", () => {
+  test("keys only analyzers with a worker spec", () => {
+    const keys = analyzerKeys(
+      [analyzer("a"), { name: "local", analyze: () => null }],
+      CONFIG,
+    );
+    expect(Object.keys(keys)).toEqual(["a"]);
+  });
+
+  test("changes with the config and the analyzer arguments", () => {
+    const base = analyzerKeys([analyzer("a")], CONFIG).a;
+    expect(analyzerKeys([analyzer("a")], CONFIG).a).toBe(base);
+    expect(analyzerKeys([analyzer("a")], { ...CONFIG, x: 1 }).a).not.toBe(base);
+    expect(analyzerKeys([analyzer("a", [1])], CONFIG).a).not.toBe(base);
+  });
+
+  test("hashes functions in the config by source", () => {
+    const one = analyzerKeys([analyzer("a")], { filter: (s) => s === "a" });
+    const two = analyzerKeys([analyzer("a")], { filter: (s) => s === "b" });
+    expect(one.a).not.toBe(two.a);
+  });
+
+  test("changes with every project module the analyzer requires", () => {
+    const write = (name, source) =>
+      fs.writeFileSync(path.join(dir, name), source);
+    write("analyzer.js", `const a = require("./a");\nrequire("fs");`);
+    write("a.js", `function later() {\n  return require("./b.js");\n}`);
+    write("b.js", `module.exports = require("./a");`);
+
+    const module = path.join(dir, "analyzer.js");
+    expect([...moduleClosure(module)]).toEqual([
+      module,
+      path.join(dir, "a.js"),
+      path.join(dir, "b.js"),
+    ]);
+
+    const spec = { name: "a", worker: { module }, analyze: () => null };
+    const before = analyzerKeys([spec], CONFIG).a;
+    write("b.js", `module.exports = 2;`);
+    expect(analyzerKeys([spec], CONFIG).a).not.toBe(before);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// createCache
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("createCache", () => {
+  const analyzers = [analyzer("a"), analyzer("b")];
+
+  test("serves stored results for unchanged content", () => {
+    seed(analyzers, [["A.tsx", "one", { a: { n: 1 }, b: new Set([2]) }]]);
+
+    const cache = createCache({ analyzers, config: CONFIG, dir });
+    cache.beginCodebase("app");
+    expect(cache.lookup("A.tsx", hashContent("one"))).toEqual({
+      a: { n: 1 },
+      b: new Set([2]),
+    });
+    expect(cache.stats).toEqual({ hits: 1, misses: 0 });
+  });
+
+  test("misses when the content changes", () => {
+    seed(analyzers, [["A.tsx", "one", { a: 1, b: 2 }]]);
+
+    const cache = createCache({ analyzers, config: CONFIG, dir });
+    cache.beginCodebase("app");
+    expect(cache.lookup("A.tsx", hashContent("two"))).toEqual({});
+    expect(cache.stats).toEqual({ hits: 0, misses: 1 });
+  });
+
+  test("misses when a dependency changes", () => {
+    seed(analyzers, [["A.tsx", "one", { a: 1, b: 2 }, [depFile]]]);
+    fs.writeFileSync(depFile, `export { Button } from "@sanity/ui"`);
+
+    const cache = createCache({ analyzers, config: CONFIG, dir });
+    cache.beginCodebase("app");
+    expect(cache.lookup("A.tsx", hashContent("one"))).toEqual({});
+  });
+
+  test("misses when the config changes", () => {
+    seed(analyzers, [["A.tsx", "one", { a: 1, b: 2 }]]);
+
+    const cache = createCache({ analyzers, config: { other: true }, dir });
+    cache.beginCodebase("app");
+    expect(cache.lookup("A.tsx", hashContent("one"))).toEqual({});
+  });
+
+  test("keeps results of analyzers that were not run", () => {
+    seed(analyzers, [["A.tsx", "one", { a: 1, b: 2 }]]);
+    // A run with only `a`, re-analyzing the file.
+    seed([analyzer("a")], [["A.tsx", "one", { a: 10 }]]);
+
+    const cache = createCache({ analyzers, config: CONFIG, dir });
+    cache.beginCodebase("app");
+    expect(cache.lookup("A.tsx", hashContent("one"))).toEqual({ a: 10, b: 2 });
+  });
+
+  test("drops files that were not seen in the last run", () => {
+    seed(analyzers, [
+      ["A.tsx", "one", { a: 1, b: 2 }],
+      ["B.tsx", "two", { a: 3, b: 4 }],
+    ]);
+    seed(analyzers, [["A.tsx", "one", { a: 1, b: 2 }]]);
+
+    const cache = createCache({ analyzers, config: CONFIG, dir });
+    cache.beginCodebase("app");
+    expect(cache.lookup("B.tsx", hashContent("two"))).toEqual({});
+  });
+
+  test("ignores unreadable or outdated cache files", () => {
+    fs.writeFileSync(path.join(dir, "app.cache"), "not json\nxx");
+    const cache = createCache({ analyzers, config: CONFIG, dir });
+    cache.beginCodebase("app");
+    expect(cache.lookup("A.tsx", hashContent("one"))).toEqual({});
+  });
+});
@@ -0,0 +1,251 @@
+const {
+  countFile,
+  diffCounts,
+  analyzeChanges,
+  summarizeTotals,
+  generateMarkdown,
+  generateCSV,
+} = require("../changes/analyze-changes");
+const { resolveRef, mergeBase, changedFiles } = require("../lib/git");
+const { parseSource } = require("../lib/parser");
+
+const { execFileSync } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+
+// Codebases not listed in the config resolve to `codebases/<name>` under
+// the project root (git-ignored), so the fixture repository lives there.
+const CODEBASES_DIR = path.resolve(__dirname, "../../codebases");
+let codebase;
+let root;
+
+/** Run git in the fixture repository with a fixed identity. */
+function git(...args) {
+  return execFileSync(
+    "git",
+    ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+    { cwd: root },
+  )
+    .toString()
+    .trim();
+}
+
+/** Write files (or delete them, for `null`) and commit. */
+function commit(files, message) {
+  for (const [rel, content] of Object.entries(files)) {
+    const file = path.join(root, rel);
+    if (content === null) {
+      fs.rmSync(file);
+      continue;
+    }
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+  }
+  git("add", "-A");
+  git("commit", "-q", "-m", message);
+}
+
+beforeAll(() => {
+  fs.mkdirSync(CODEBASES_DIR, { recursive: true });
+  root = fs.mkdtempSync(path.join(CODEBASES_DIR, "changes-test-"));
+  codebase = path.basename(root);
+  git("init", "-q");
+  git("checkout", "-q", "-b", "main");
+
+  commit(
+    {
+      "src/A.tsx": `import {Button} from "@sanity/ui"\nexport const A = () => <div><Button /></div>`,
+      "src/Gone.tsx": `import {Card} from "@sanity/ui"\nexport const G = () => <Card><span /></Card>`,
+      "src/Untouched.tsx": `export const U = () => <div><div /></div>`,
+    },
+    "base",
+  );
+
+  git("checkout", "-q", "-b", "feature");
+  commit(
+    {
+      "src/A.tsx": [
+        `import {Button, Card} from "@sanity/ui"`,
+        `import styled from "styled-components"`,
+        "const Fancy = styled(Card)`padding: 1px;`",
+        `export const A = () => <div><div><Button style={{margin: 1}} /><Button /><Card /></div></div>`,
+      ].join("\n"),
+      "src/Gone.tsx": null,
+      "README.md": "not a component file",
+    },
+    "feature",
+  );
+
+  // main moves on; its own changes are not part of the feature branch.
+  git("checkout", "-q", "main");
+  commit({ "src/Main.tsx": `export const M = () => <p />` }, "main");
+  git("checkout", "-q", "feature");
+});
+
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+  if (fs.readdirSync(CODEBASES_DIR).length === 0) fs.rmdirSync(CODEBASES_DIR);
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// git
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("resolveRef / mergeBase / changedFiles", () => {
+  test("compares a branch against its merge base", () => {
+    const main = resolveRef(root, "main");
+    const head = resolveRef(root, "HEAD");
+    expect(resolveRef(root, "no-such-branch")).toBeNull();
+
+    const base = mergeBase(root, main, head);
+    expect(base).toBe(resolveRef(root, "feature~1"));
+    expect(
+      changedFiles(root, base, head)
+        .map((f) => path.relative(root, f))
+        .sort(),
+    ).toEqual([
+      "README.md",
+      path.join("src", "A.tsx"),
+      path.join("src", "Gone.tsx"),
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// analysis
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("analyzeChanges", () => {
+  test("reports what the branch adds and removes in changed files", async () => {
+    const report = await analyzeChanges({
+      base: "main",
+      codebases: [codebase],
+    });
+
+    const changes = report.codebases[codebase];
+    expect(changes.files).toEqual([
+      path.join("src", "A.tsx"),
+      path.join("src", "Gone.tsx"),
+    ]);
+    expect(changes.deltas.components).toEqual([
+      { name: "Button", base: 1, head: 2, delta: 1 },
+    ]);
+    expect(changes.deltas.htmlTags).toEqual([
+      { name: "div", base: 1, head: 2, delta: 1 },
+      { name: "span", base: 1, head: 0, delta: -1 },
+    ]);
+    expect(changes.deltas.inline).toEqual([
+      { name: "Button", base: 0, head: 1, delta: 1 },
+    ]);
+    expect(changes.deltas.styled).toEqual([
+      { name: "Card", base: 0, head: 1, delta: 1 },
+    ]);
+    expect(report.totals.htmlTags).toEqual(changes.deltas.htmlTags);
+
+    const md = generateMarkdown(report);
+    expect(md).toContain("2 changed component files");
+    expect(md).toContain(
+      "- **Adds** +1 `<Button>`, +1 `<div>`, +1 `<Button style>`, +1 `styled(Card)`",
+    );
+    expect(md).toContain("- **Removes** -1 `<span>`");
+    expect(md).toContain(`| ${codebase} | \`<div>\` | 1 | 2 | +1 |`);
+    expect(generateCSV(report)).toContain(`"${codebase}",styled,"Card",0,1,1`);
+  });
+
+  test("finds nothing when head is the base", async () => {
+    const report = await analyzeChanges({
+      base: "main",
+      head: "main",
+      codebases: [codebase],
+    });
+    expect(report.codebases[codebase].files).toEqual([]);
+    expect(generateMarkdown(report)).toContain(
+      "No changes in component usage.",
+    );
+  });
+
+  test("fails when no codebase can compare the refs", async () => {
+    const log = jest.fn();
+    await expect(
+      analyzeChanges(
+        { base: "no-such-branch", codebases: [codebase, "missing-xyz-99"] },
+        log,
+      ),
+    ).rejects.toThrow("No codebase can compare no-such-branch and HEAD");
+    expect(log).toHaveBeenCalledWith(
+      "⚠️  Skipping missing-xyz-99: path not found",
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// counting and comparison
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("countFile / diffCounts / summarizeTotals", () => {
+  test("counts components, tags and customizations in one file", () => {
+    const parsed = parseSource(
+      `import {Card, Text} from "@sanity/ui"\nconst S = styled(Text)\`\`\nexport const X = () => <Card style={{a: 1}}><svg /><Text /></Card>`,
+      "X.tsx",
+    );
+    expect(countFile(parsed)).toEqual({
+      components: { Card: 1, Text: 1 },
+      htmlTags: { svg: 1 },
+      inline: { Card: 1 },
+      styled: { Text: 1 },
+      deprecated: {},
+    });
+  });
+
+  test("keeps non-zero deltas, largest first", () => {
+    expect(diffCounts({ a: 1, b: 5, c: 2 }, { a: 4, b: 5, d: 3 })).toEqual([
+      { name: "a", base: 1, head: 4, delta: 3 },
+      { name: "d", base: 0, head: 3, delta: 3 },
+      { name: "c", base: 2, head: 0, delta: -2 },
+    ]);
+  });
+
+  test("orders the summary by size across kinds", () => {
+    const { added, removed } = summarizeTotals({
+      components: [{ name: "Card", base: 0, head: 1, delta: 1 }],
+      htmlTags: [
+        { name: "div", base: 0, head: 14, delta: 14 },
+        { name: "p", base: 2, head: 0, delta: -2 },
+      ],
+      inline: [],
+      styled: [{ name: "Card", base: 0, head: 3, delta: 3 }],
+      deprecated: [{ name: "<Inline>", base: 0, head: 5, delta: 5 }],
+    });
+    expect(added).toEqual(["+14 `<div>`", "+3 `styled(Card)`", "+1 `<Card>`"]);
+    expect(removed).toEqual(["-2 `<p>`"]);
+  });
+
+  test("calls out deprecated usage the change introduces or removes", () => {
+    const deprecated = [
+      { name: '<Button tone="critical">', base: 0, head: 2, delta: 2 },
+      { name: "<Inline>", base: 1, head: 0, delta: -1 },
+    ];
+    const deltas = {
+      components: [],
+      htmlTags: [],
+      inline: [],
+      styled: [],
+      deprecated,
+    };
+    const md = generateMarkdown({
+      base: "main",
+      head: "HEAD",
+      codebases: { app: { files: ["A.tsx"], deltas } },
+      totals: deltas,
+    });
+    expect(md).toContain(
+      '- ⚠️ **Introduces deprecated usage** +2 `<Button tone="critical">`',
+    );
+    expect(md).toContain("- **Removes deprecated usage** -1 `<Inline>`");
+    expect(md).not.toContain("- **Adds**");
+    expect(md).toContain("<summary>Deprecated usage (2)</summary>");
+    expect(generateCSV({ codebases: { app: { deltas } } })).toContain(
+      '"app",deprecated,"<Button tone=""critical"">",0,2,2',
+    );
+  });
+});
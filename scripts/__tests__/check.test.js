@@ -0,0 +1,224 @@
+const {
+  validateBudgets,
+  limitsFor,
+  loadReports,
+  trackedPercent,
+  checkBudgets,
+  formatViolations,
+  parseArgs,
+} = require("../check/check-budgets");
+
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+/** Write a JSON file, creating parent directories. */
+function writeJSON(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+}
+
+/** An offending instance at `line` of `file`. */
+function ref(file, line) {
+  return { file, line, codebase: "app", sourceCode: `<x line=${line}>` };
+}
+
+let tmp;
+
+beforeEach(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "component-analytics-check-"));
+
+  writeJSON(path.join(tmp, "sources/report.json"), {
+    codebases: {
+      app: {
+        total: { instances: 200 },
+        libraries: {
+          "Sanity UI": { instances: 100 },
+          Icons: { instances: 20 },
+        },
+      },
+      lib: {
+        total: { instances: 10 },
+        libraries: { "Sanity UI": { instances: 9 } },
+      },
+      missing: null,
+    },
+  });
+  writeJSON(path.join(tmp, "line-ownership/report.json"), {
+    codebases: {
+      app: { lineOwnershipPercent: 42.5 },
+      lib: { lineOwnershipPercent: 80 },
+    },
+  });
+  writeJSON(path.join(tmp, "html-tags/report.json"), {
+    codebases: {
+      app: {
+        tags: {
+          div: {
+            count: 12,
+            references: Array.from({ length: 12 }, (_, i) => ref("A.tsx", i)),
+          },
+          span: { count: 3, references: [] },
+        },
+      },
+      lib: { tags: { div: { count: 1, references: [ref("L.tsx", 1)] } } },
+    },
+  });
+  writeJSON(path.join(tmp, "customizations/report.json"), {
+    codebases: {
+      app: {
+        inlineStylesByComponent: { Box: 4, Card: 1 },
+        inlineStyleReferences: {
+          Box: [ref("B.tsx", 1), ref("B.tsx", 2)],
+          Card: [ref("C.tsx", 9)],
+        },
+      },
+      lib: { inlineStylesByComponent: {}, inlineStyleReferences: {} },
+    },
+  });
+});
+
+afterEach(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// budgets
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("validateBudgets / limitsFor", () => {
+  test("rejects unknown budgets and non-numeric limits", () => {
+    expect(() => validateBudgets({ maxDivs: 3 })).toThrow(
+      'Unknown budget "budgets.maxDivs"',
+    );
+    expect(() =>
+      validateBudgets({ codebases: { app: { maxHtmlTags: { div: "1" } } } }),
+    ).toThrow('"budgets.codebases.app.maxHtmlTags.div" must be');
+    expect(() => validateBudgets({ minTrackedPercent: -1 })).toThrow(
+      '"budgets.minTrackedPercent" must be',
+    );
+  });
+
+  test("overrides shared budgets per codebase, merging the maps", () => {
+    const budgets = {
+      minTrackedPercent: 50,
+      maxHtmlTags: { div: 10, span: 5 },
+      codebases: { app: { minTrackedPercent: 20, maxHtmlTags: { div: 30 } } },
+    };
+    expect(limitsFor(budgets, "app")).toEqual({
+      minTrackedPercent: 20,
+      maxHtmlTags: { div: 30, span: 5 },
+      maxInlineStyles: {},
+    });
+    expect(limitsFor(budgets, "lib").minTrackedPercent).toBe(50);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// evaluation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("checkBudgets", () => {
+  test("passes when every budget holds", () => {
+    const reports = loadReports(tmp);
+    expect(trackedPercent(reports.sources.codebases.app)).toBe(60);
+
+    const result = checkBudgets(
+      { minTrackedPercent: 50, minLineOwnership: 40, maxHtmlTags: { div: 12 } },
+      reports,
+    );
+    expect(result).toEqual({ checked: 6, violations: [] });
+  });
+
+  test("reports minimums per codebase with overrides", () => {
+    const { violations } = checkBudgets(
+      {
+        minTrackedPercent: 70,
+        minLineOwnership: 50,
+        codebases: { lib: { minLineOwnership: 90 } },
+      },
+      loadReports(tmp),
+    );
+    expect(violations).toEqual([
+      {
+        budget: "minTrackedPercent",
+        codebase: "app",
+        subject: null,
+        actual: 60,
+        limit: 70,
+        references: [],
+      },
+      expect.objectContaining({
+        budget: "minLineOwnership",
+        codebase: "app",
+        actual: 42.5,
+      }),
+      expect.objectContaining({
+        budget: "minLineOwnership",
+        codebase: "lib",
+        actual: 80,
+        limit: 90,
+      }),
+    ]);
+  });
+
+  test("reports maximums with the offending instances", () => {
+    const { checked, violations } = checkBudgets(
+      { maxHtmlTags: { div: 5 }, maxInlineStyles: { "*": 1, Box: 3 } },
+      loadReports(tmp),
+    );
+    expect(checked).toBe(5);
+    expect(
+      violations.map((v) => [v.codebase, v.subject, v.actual, v.limit]),
+    ).toEqual([
+      ["app", "div", 12, 5],
+      ["app", "Box", 4, 3],
+    ]);
+    expect(violations[1].references).toEqual([
+      { file: "B.tsx", line: 1, sourceCode: "<x line=1>" },
+      { file: "B.tsx", line: 2, sourceCode: "<x line=2>" },
+    ]);
+  });
+
+  test("fails when a budget's report is missing", () => {
+    fs.rmSync(path.join(tmp, "html-tags"), { recursive: true });
+    const reports = loadReports(tmp);
+    expect(reports.htmlTags).toBeNull();
+    expect(() => checkBudgets({ maxHtmlTags: { div: 1 } }, reports)).toThrow(
+      "Missing reports for html-tags",
+    );
+    expect(checkBudgets({ minTrackedPercent: 1 }, reports).violations).toEqual(
+      [],
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// output
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("formatViolations / parseArgs", () => {
+  test("lists the first offending instances with file and line", () => {
+    const { violations } = checkBudgets(
+      { maxHtmlTags: { div: 5 }, minTrackedPercent: 70 },
+      loadReports(tmp),
+    );
+    const lines = formatViolations(violations);
+    expect(lines[0]).toBe(
+      "  ✗ app: tracked library share 60% is below 70%  (minTrackedPercent)",
+    );
+    expect(lines[1]).toBe(
+      "  ✗ app: 12 <div> tags exceed the budget of 5  (maxHtmlTags)",
+    );
+    expect(lines[2]).toBe("      A.tsx:0  <x line=0>");
+    expect(lines).toHaveLength(13);
+    expect(lines[12]).toBe("      … and 2 more");
+  });
+
+  test("takes an optional reports directory", () => {
+    expect(parseArgs([]).reports).toMatch(/reports$/);
+    expect(parseArgs(["--reports", "out"]).reports).toBe(path.resolve("out"));
+    expect(() => parseArgs(["--reports"])).toThrow("--reports requires");
+    expect(() => parseArgs(["--nope"])).toThrow('Unknown argument "--nope"');
+  });
+});
@@ -0,0 +1,189 @@
+const os = require("os");
+const path = require("path");
+
+const {
+  buildComposition,
+  nestingPairs,
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+  main,
+} = require("../composition/analyze-composition");
+const {
+  analyzeFileContent,
+  mergeFileResult,
+  buildComponentJson,
+} = require("../per-component/analyze-per-component");
+const { createContext } = require("../lib/context");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ctx = createContext({
+  uiLibraries: [{ name: "Sanity UI", importSources: ["@sanity/ui"] }],
+});
+
+const SOURCE = [
+  `import {Box, Card, Stack, Text} from "@sanity/ui"`,
+  `export const A = () => (`,
+  `  <Card>`,
+  `    <Stack>`,
+  `      <Box><Text>One</Text></Box>`,
+  `      <Box><Text>Two</Text></Box>`,
+  `      <>`,
+  `        <Text>Three</Text>`,
+  `      </>`,
+  `    </Stack>`,
+  `    <Header />`,
+  `    <div><Text /></div>`,
+  `  </Card>`,
+  `)`,
+].join("\n");
+
+/** Detail JSON of every component in the fixture. */
+function detailReports() {
+  const reports = {};
+  mergeFileResult(reports, analyzeFileContent(SOURCE, ctx), "app", "A.tsx");
+  return Object.fromEntries(
+    Object.entries(reports).map(([name, r]) => [name, buildComponentJson(r)]),
+  );
+}
+
+const ROWS = buildComposition(detailReports());
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// aggregation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("buildComposition", () => {
+  test("one row per component, most instances first", () => {
+    expect(ROWS.map((r) => [r.component, r.instances])).toEqual([
+      ["Text", 4],
+      ["Box", 2],
+      ["Card", 1],
+      ["Stack", 1],
+    ]);
+  });
+
+  test("splits parents and children by kind", () => {
+    const card = ROWS.find((r) => r.component === "Card");
+    expect(card.children).toEqual({
+      tracked: { Stack: 1 },
+      internal: { Header: 1 },
+      html: { div: 1 },
+    });
+    expect(card.childTotals).toEqual({ tracked: 1, internal: 1, html: 1 });
+
+    const text = ROWS.find((r) => r.component === "Text");
+    expect(text.parents).toEqual({
+      tracked: { Box: 2, Stack: 1 },
+      internal: {},
+      html: { div: 1 },
+    });
+    expect(text.parentTotals).toEqual({ tracked: 3, internal: 0, html: 1 });
+  });
+
+  test("skips unused components and reports without a composition section", () => {
+    expect(buildComposition({ Old: { totalInstances: 3 } })).toEqual([]);
+    expect(
+      buildComposition({
+        Unused: { ...detailReports().Card, totalInstances: 0 },
+      }),
+    ).toEqual([]);
+  });
+});
+
+describe("nestingPairs", () => {
+  test("counts tracked-in-tracked pairs once", () => {
+    const pairs = nestingPairs(ROWS);
+    const label = (p) =>
+      `${p.parent.name}(${p.parent.kind}) > ${p.child.name}(${p.child.kind})`;
+    expect(pairs.map((p) => [label(p), p.count])).toEqual([
+      ["Box(tracked) > Text(tracked)", 2],
+      ["Stack(tracked) > Box(tracked)", 2],
+      ["Card(tracked) > div(html)", 1],
+      ["Card(tracked) > Header(internal)", 1],
+      ["Card(tracked) > Stack(tracked)", 1],
+      ["div(html) > Text(tracked)", 1],
+      ["Stack(tracked) > Text(tracked)", 1],
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// reports
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("generateMarkdown / generateCSV / generateJSON", () => {
+  test("markdown has the split, common nestings and sections", () => {
+    const md = generateMarkdown(ROWS);
+    expect(md).toContain("- **7** distinct parent/child pairs");
+    expect(md).toContain("| Text | Sanity UI | 4 | 3 / 0 / 1 | 0 / 0 / 0 |");
+    expect(md).toContain("| Box | Text | 2 |");
+    expect(md).toContain(
+      "- Children — tracked: `Stack` (1); internal: `Header` (1); HTML: `div` (1)",
+    );
+    expect(md).toContain(
+      "- Parents — tracked: `Box` (2), `Stack` (1); HTML: `div` (1)",
+    );
+    expect(generateMarkdown([])).not.toContain("| Component |");
+  });
+
+  test("markdown lists at most five elements per kind", () => {
+    const md = generateMarkdown(
+      buildComposition({
+        Box: {
+          totalInstances: 6,
+          composition: {
+            parents: { tracked: {}, internal: {}, html: {} },
+            children: {
+              tracked: {},
+              internal: {},
+              html: { a: 6, b: 5, c: 4, d: 3, e: 2, f: 1 },
+            },
+          },
+        },
+      }),
+    );
+    expect(md).toContain("`e` (2), +1 more");
+  });
+
+  test("CSV has one row per pair", () => {
+    const rows = generateCSV(ROWS).trim().split("\n");
+    expect(rows).toHaveLength(8);
+    expect(rows[0]).toBe("Parent,Parent Kind,Child,Child Kind,Count");
+    expect(rows[3]).toBe('"Card",tracked,"div",html,1');
+  });
+
+  test("JSON keys components by name", () => {
+    const json = JSON.parse(generateJSON(ROWS));
+    expect(json.totalComponents).toBe(4);
+    expect(json.totalPairs).toBe(7);
+    expect(json.components.Card.children.internal).toEqual({ Header: 1 });
+    expect(json.pairs[0]).toEqual({
+      parent: { name: "Box", kind: "tracked" },
+      child: { name: "Text", kind: "tracked" },
+      count: 2,
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// main
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("main", () => {
+  test("skips the report without per-component reports", () => {
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      const missing = path.join(os.tmpdir(), "component-analytics-none");
+      main(missing);
+      expect(log).toHaveBeenCalledWith(
+        `  ⚠ No per-component reports in ${path.join(missing, "components", "detail")} — run \`npm run analyze:per-component\` first.`,
+      );
+    } finally {
+      log.mockRestore();
+    }
+  });
+});
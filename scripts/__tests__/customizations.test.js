@@ -2,6 +2,7 @@ const {
   extractInlineStyles,
   extractStyleFromProps,
   extractMultiLineInlineStyles,
+  findTagEnd,
   extractStyledUsages,
   parseStyleProperties,
   parseStyledProperties,
@@ -277,6 +278,20 @@ describe("extractMultiLineInlineStyles", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// findTagEnd
+// ---------------------------------------------------------------------------
+describe("findTagEnd", () => {
+  test("skips > inside expressions", () => {
+    const content = `<Card onClick={() => a > b} padding={4}>x</Card>`;
+    expect(findTagEnd(content, 5)).toBe(content.indexOf(">x"));
+  });
+
+  test("returns -1 outside a tag", () => {
+    expect(findTagEnd("const a = 1", 3)).toBe(-1);
+  });
+});
+
 // ---------------------------------------------------------------------------
 // extractStyledUsages
 // ---------------------------------------------------------------------------
@@ -940,6 +955,44 @@ describe("aggregateResults", () => {
     expect(result.inlineStyleProperties.padding).toBe(2);
     expect(result.inlineStyleProperties.minHeight).toBe(1);
   });
+
+  test("collects file and line references when file paths are given", () => {
+    const content = [
+      `import {Box, Card} from "@sanity/ui"`,
+      "const Wrapper = styled(Card)`padding: 4px;`",
+      "export const X = () => (",
+      "  <Box",
+      "    style={{ margin: 0 }}",
+      "  />",
+      ")",
+    ].join("\n");
+
+    const result = aggregateResults([analyzeContent(content)], {
+      filePaths: ["src/X.tsx"],
+      codebase: "app",
+    });
+    expect(result.inlineStyleReferences).toEqual({
+      Box: [
+        {
+          file: "src/X.tsx",
+          line: 4,
+          codebase: "app",
+          sourceCode: "<Box style={{ margin: 0 }}>",
+        },
+      ],
+    });
+    expect(result.styledReferences.Card).toEqual([
+      {
+        file: "src/X.tsx",
+        line: 2,
+        codebase: "app",
+        sourceCode: "styled(Card)",
+      },
+    ]);
+    expect(
+      aggregateResults([analyzeContent(content)]).inlineStyleReferences,
+    ).toEqual({});
+  });
 });
 
 // ---------------------------------------------------------------------------
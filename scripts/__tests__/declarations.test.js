@@ -0,0 +1,439 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  findPackageTypes,
+  normalizeDeclaredValue,
+  readDeclarations,
+  manifestDeclarations,
+  loadDeclarations,
+  apiSurface,
+} = require("../lib/declarations");
+const { createContext } = require("../lib/context");
+const {
+  detectPropDefault,
+  buildJsonOutput,
+} = require("../per-component/detect-prop-defaults");
+const {
+  applyAutoDetectedDefaults,
+  buildComponentJson,
+} = require("../per-component/analyze-per-component");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const FILES = {
+  "package.json": JSON.stringify({
+    name: "@acme/ui",
+    exports: { ".": { types: "./dist/index.d.ts" } },
+  }),
+  "dist/index.d.ts": [
+    `export { Button } from "./button";`,
+    `export { Flex } from "./flex";`,
+    `export declare function Text(props: TextProps): any;`,
+    `export interface TextProps {`,
+    `  muted?: boolean;`,
+    `  /** @defaultValue 2 */`,
+    `  size?: number;`,
+    `}`,
+  ].join("\n"),
+  "dist/button.d.ts": [
+    `import { HTMLProps, ForwardRefExoticComponent } from "react";`,
+    `export type ButtonTone = "default" | "primary" | "critical";`,
+    `interface ButtonOwnProps {`,
+    `  /** @default 'default' */`,
+    `  mode?: "default" | "ghost";`,
+    `  /** @defaultValue "default" */`,
+    `  tone?: ButtonTone;`,
+    `  text: string;`,
+    `  internal?: boolean;`,
+    `}`,
+    `export type ButtonProps = Omit<ButtonOwnProps, "internal">;`,
+    `export declare const Button: ForwardRefExoticComponent<`,
+    `  ButtonProps & Omit<HTMLProps<HTMLButtonElement>, "as">`,
+    `>;`,
+  ].join("\n"),
+  "dist/flex.d.ts": [
+    `export declare const Flex: (props: {`,
+    `  direction?: "row" | "column";`,
+    `  /** @defaultValue \`1\` */`,
+    `  gap?: 0 | 1 | 2;`,
+    `}) => any;`,
+  ].join("\n"),
+};
+
+let root;
+let packageDir;
+
+beforeAll(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "component-analytics-decl-"));
+  packageDir = path.join(root, "node_modules", "@acme", "ui");
+  for (const [file, content] of Object.entries(FILES)) {
+    const target = path.join(packageDir, file);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+  }
+  fs.mkdirSync(path.join(root, "app", "src"), { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// config
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("declarations config", () => {
+  const config = (declarations) => ({
+    codebases: [{ name: "app", path: "./app/src" }],
+    uiLibraries: [{ name: "Acme", importSources: ["@acme/ui"], declarations }],
+  });
+
+  test("is off unless set", () => {
+    const ctx = createContext(config(undefined), { projectRoot: root });
+    expect(ctx.allUILibraries[0].declarationPaths).toEqual([]);
+  });
+
+  test("true searches the project root and every codebase", () => {
+    const ctx = createContext(config(true), { projectRoot: root });
+    expect(ctx.allUILibraries[0].declarationPaths).toEqual([
+      root,
+      path.join(root, "app", "src"),
+    ]);
+  });
+
+  test("a directory resolves against the project root", () => {
+    const ctx = createContext(config("./packages/web"), { projectRoot: root });
+    expect(ctx.allUILibraries[0].declarationPaths).toEqual([
+      path.join(root, "packages", "web"),
+    ]);
+  });
+
+  test("a .json path or an object is a manifest", () => {
+    const file = createContext(config("./ui.json"), { projectRoot: root });
+    expect(file.allUILibraries[0]).toMatchObject({
+      declarationPaths: [],
+      declarationManifest: path.join(root, "ui.json"),
+    });
+    const inline = createContext(config({ Button: {} }), { projectRoot: root });
+    expect(inline.allUILibraries[0].declarationManifest).toEqual({
+      Button: {},
+    });
+  });
+
+  test("rejects anything else", () => {
+    expect(() => createContext(config(1), { projectRoot: root })).toThrow(
+      '"declarations" of "Acme" must be true, a directory or a manifest.',
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// reading
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("normalizeDeclaredValue", () => {
+  test("quotes strings and leaves other literals bare", () => {
+    expect(normalizeDeclaredValue(" 'row' ")).toBe('"row"');
+    expect(normalizeDeclaredValue('"row"')).toBe('"row"');
+    expect(normalizeDeclaredValue("`row`")).toBe("row");
+    expect(normalizeDeclaredValue("`'row'`")).toBe('"row"');
+    expect(normalizeDeclaredValue("```ts\n0\n```")).toBe("0");
+    expect(normalizeDeclaredValue("false")).toBe("false");
+    expect(normalizeDeclaredValue("  ")).toBeNull();
+  });
+});
+
+describe("findPackageTypes", () => {
+  test("walks up to the nearest node_modules", () => {
+    expect(
+      findPackageTypes("@acme/ui", [path.join(root, "app", "src")]),
+    ).toEqual({
+      packageDir,
+      entry: path.join(packageDir, "dist", "index.d.ts"),
+    });
+  });
+
+  test("returns null for a missing package", () => {
+    expect(findPackageTypes("@acme/missing", [root])).toBeNull();
+  });
+});
+
+describe("readDeclarations", () => {
+  let declared;
+
+  beforeAll(() => {
+    declared = readDeclarations(
+      path.join(packageDir, "dist", "index.d.ts"),
+      packageDir,
+      ["Button", "Flex", "Text", "Card"],
+    );
+  });
+
+  test("reads exported components only", () => {
+    expect(Object.keys(declared).sort()).toEqual(["Button", "Flex", "Text"]);
+  });
+
+  test("reads every exported component when none are listed", () => {
+    const all = readDeclarations(
+      path.join(packageDir, "dist", "index.d.ts"),
+      packageDir,
+      null,
+    );
+    expect(Object.keys(all).sort()).toEqual(["Button", "Flex", "Text"]);
+  });
+
+  test("follows Omit and aliases, and drops props from other packages", () => {
+    expect(Object.keys(declared.Button)).toEqual(["mode", "text", "tone"]);
+    expect(declared.Button.tone).toEqual({
+      type: "ButtonTone",
+      values: ['"default"', '"primary"', '"critical"'],
+      defaultValue: '"default"',
+      optional: true,
+    });
+    expect(declared.Button.mode.defaultValue).toBe('"default"');
+    expect(declared.Button.text).toMatchObject({
+      values: null,
+      defaultValue: null,
+      optional: false,
+    });
+  });
+
+  test("reads inline props and function components", () => {
+    expect(declared.Flex.gap).toMatchObject({
+      values: ["0", "1", "2"],
+      defaultValue: "1",
+    });
+    expect(declared.Flex.direction.defaultValue).toBeNull();
+    expect(declared.Text.size).toEqual({
+      type: "number",
+      values: null,
+      defaultValue: "2",
+      optional: true,
+    });
+  });
+
+  test("loadDeclarations reads the libraries that set declarations", () => {
+    const ctx = createContext(
+      {
+        codebases: [{ name: "app", path: "./app/src" }],
+        uiLibraries: [
+          {
+            name: "Acme",
+            importSources: ["@acme/missing", "@acme/ui"],
+            components: ["Button", "Text"],
+            declarations: true,
+          },
+          { name: "Other", importSources: ["@acme/ui"], components: ["Flex"] },
+        ],
+      },
+      { projectRoot: root },
+    );
+    const result = loadDeclarations(ctx.allUILibraries);
+    expect(Object.keys(result).sort()).toEqual(["Button", "Text"]);
+    expect(result.Text).toMatchObject({
+      library: "Acme",
+      file: path.join(packageDir, "dist", "index.d.ts"),
+    });
+    expect(result.Text.props.size.defaultValue).toBe("2");
+  });
+});
+
+describe("manifestDeclarations", () => {
+  test("normalizes value lists and prop entries", () => {
+    expect(
+      manifestDeclarations(
+        {
+          Button: {
+            mode: ["default", "ghost"],
+            tone: { values: ["default"], defaultValue: "default" },
+            text: { type: "string", optional: false },
+            disabled: true,
+          },
+          Flex: { gap: { values: [0, 1], defaultValue: 0 } },
+        },
+        "Acme",
+      ),
+    ).toEqual({
+      Button: {
+        disabled: {
+          type: "unknown",
+          values: null,
+          defaultValue: null,
+          optional: true,
+        },
+        mode: {
+          type: '"default" | "ghost"',
+          values: ['"default"', '"ghost"'],
+          defaultValue: null,
+          optional: true,
+        },
+        text: {
+          type: "string",
+          values: null,
+          defaultValue: null,
+          optional: false,
+        },
+        tone: {
+          type: '"default"',
+          values: ['"default"'],
+          defaultValue: '"default"',
+          optional: true,
+        },
+      },
+      Flex: {
+        gap: {
+          type: "0 | 1",
+          values: ["0", "1"],
+          defaultValue: "0",
+          optional: true,
+        },
+      },
+    });
+  });
+
+  test("rejects a manifest that does not map components to props", () => {
+    expect(() =>
+      manifestDeclarations({ Button: ["mode"] }, "Acme"),
+    ).not.toThrow();
+    expect(() => manifestDeclarations({ Button: "mode" }, "Acme")).toThrow(
+      'Declarations manifest of "Acme" must map components to props.',
+    );
+  });
+
+  test("loadDeclarations reads manifest files and inline manifests", () => {
+    const file = path.join(root, "icons.json");
+    fs.writeFileSync(file, JSON.stringify({ AddIcon: { size: [1, 2] } }));
+    const ctx = createContext(
+      {
+        uiLibraries: [
+          { name: "Icons", declarations: "./icons.json" },
+          { name: "Acme", declarations: { Button: { mode: ["ghost"] } } },
+        ],
+      },
+      { projectRoot: root },
+    );
+    const result = loadDeclarations(ctx.allUILibraries);
+    expect(result.AddIcon).toEqual({
+      library: "Icons",
+      file,
+      props: {
+        size: {
+          type: "1 | 2",
+          values: ["1", "2"],
+          defaultValue: null,
+          optional: true,
+        },
+      },
+    });
+    expect(result.Button).toMatchObject({ library: "Acme", file: "config" });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// API surface
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("apiSurface", () => {
+  const declared = manifestDeclarations(
+    { Button: { mode: ["default", "ghost"], text: {}, icon: {} } },
+    "Acme",
+  ).Button;
+
+  test("lists props never set and values never set literally", () => {
+    expect(
+      apiSurface(declared, {
+        mode: { values: { '"ghost"': 2, "<variable>": 1 } },
+        text: { values: { '"Save"': 3 } },
+        onClick: { values: { "<function>": 1 } },
+      }),
+    ).toEqual({
+      total: 5,
+      exercised: 3,
+      unusedProps: ["icon"],
+      unusedValues: { mode: ['"default"'] },
+    });
+  });
+
+  test("an unused component exercises nothing", () => {
+    expect(apiSurface(declared, {})).toMatchObject({
+      total: 5,
+      exercised: 0,
+      unusedProps: ["icon", "mode", "text"],
+      unusedValues: {},
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// defaults
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("declared defaults", () => {
+  const usage = { totalUsages: 5, values: { '"row"': 2, '"column"': 3 } };
+
+  test("a declared default wins and is marked declared", () => {
+    const detected = detectPropDefault("Flex", "direction", usage, 10, {
+      type: '"row" | "column"',
+      values: ['"row"', '"column"'],
+      defaultValue: '"column"',
+      optional: true,
+    });
+    expect(detected).toMatchObject({
+      value: '"column"',
+      source: "declared",
+      confidence: "high",
+      count: 3,
+    });
+    expect(buildJsonOutput([detected]).bySource).toEqual({
+      declared: 1,
+      inferred: 0,
+    });
+  });
+
+  test("inferred defaults are marked inferred", () => {
+    expect(detectPropDefault("Flex", "direction", usage, 10)).toMatchObject({
+      value: '"row"',
+      source: "inferred",
+    });
+  });
+
+  test("the component report carries the source and declared props", () => {
+    const declaredProps = {
+      gap: { type: "number", values: null, defaultValue: "1", optional: true },
+    };
+    const reports = {
+      Flex: {
+        component: "Flex",
+        totalInstances: 4,
+        totalDefaultUsages: 0,
+        codebaseInstances: {},
+        references: [],
+        props: {
+          gap: {
+            values: { 1: 3, 2: 1 },
+            totalUsages: 4,
+            defaultUsages: 0,
+            defaultValue: null,
+            defaultSource: null,
+          },
+        },
+      },
+    };
+    applyAutoDetectedDefaults(reports, {
+      Flex: { library: "Acme", file: "index.d.ts", props: declaredProps },
+    });
+    const json = buildComponentJson(reports.Flex);
+    expect(json.props.gap).toMatchObject({
+      defaultValue: "1",
+      defaultSource: "declared",
+      defaultUsages: 3,
+    });
+    expect(json.declaredProps).toEqual(declaredProps);
+    expect(json.unusedProps).toEqual([]);
+    expect(json.unusedValues).toEqual({});
+  });
+});
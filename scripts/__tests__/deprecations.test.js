@@ -0,0 +1,215 @@
+const {
+  deprecationLabel,
+  findDeprecations,
+  createAnalyzer,
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+} = require("../deprecations/analyze-deprecations");
+const {
+  analyzeFileContent,
+} = require("../per-component/analyze-per-component");
+const { countFile } = require("../changes/analyze-changes");
+const { createContext } = require("../lib/context");
+const { parseSource } = require("../lib/parser");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ctx = createContext({
+  uiLibraries: [
+    {
+      name: "Sanity UI",
+      importSources: ["@sanity/ui"],
+      deprecations: [
+        { component: "Inline", replacement: "Flex", message: "Going away." },
+        {
+          component: "Button",
+          prop: "tone",
+          value: "critical",
+          replacement: 'tone="danger"',
+        },
+        { component: "Text", prop: "accent" },
+        { component: "Text", prop: "size", value: 0 },
+      ],
+    },
+    {
+      name: "Other",
+      importSources: ["@other/ui"],
+      deprecations: [{ component: "Button" }],
+    },
+  ],
+});
+const RULES = ctx.deprecations;
+
+const SOURCE = [
+  `import {Button, Inline, Text} from "@sanity/ui"`,
+  `export const A = () => (`,
+  `  <Inline space={2}>`,
+  `    <Button tone="critical" text="Delete" />`,
+  `    <Button tone={'critical'} />`,
+  `    <Button tone="primary" />`,
+  `    <Text accent size={0}>Hi</Text>`,
+  `    <Text size={1} />`,
+  `  </Inline>`,
+  `)`,
+].join("\n");
+
+/** Run the analyzer over one file of codebase `app`. */
+function analyze(content, relPath = "src/A.tsx") {
+  const analyzer = createAnalyzer(RULES);
+  analyzer.file(
+    { codebase: "app", relPath, content },
+    analyzer.analyze({ parsed: parseSource(content, relPath) }),
+  );
+  return analyzer.results;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// config
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("deprecations config", () => {
+  test("normalizes entries and values per library", () => {
+    expect(RULES).toHaveLength(5);
+    expect(RULES[1]).toEqual({
+      library: "Sanity UI",
+      component: "Button",
+      prop: "tone",
+      value: '"critical"',
+      replacement: 'tone="danger"',
+      message: null,
+      migrate: null,
+    });
+    expect(RULES[3].value).toBe("0");
+    expect(RULES[4]).toMatchObject({ library: "Other", prop: null });
+  });
+
+  test("rejects a value without a prop", () => {
+    expect(() =>
+      createContext({
+        uiLibraries: [
+          { name: "UI", deprecations: [{ component: "Text", value: 1 }] },
+        ],
+      }),
+    ).toThrow('Deprecation for Text in "UI" sets a value without a prop.');
+  });
+
+  test("labels entries the way JSX writes them", () => {
+    expect(RULES.map(deprecationLabel)).toEqual([
+      "<Inline>",
+      '<Button tone="critical">',
+      "<Text accent>",
+      "<Text size={0}>",
+      "<Button>",
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// matching
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("findDeprecations", () => {
+  test("matches components, props and normalized values", () => {
+    const { matches } = findDeprecations(analyzeFileContent(SOURCE), RULES);
+    expect(matches.map((m) => [m.instance.line, m.rules])).toEqual([
+      [3, [0]],
+      [4, [1]],
+      [5, [1]],
+      [7, [2, 3]],
+    ]);
+  });
+
+  test("only matches entries of the library a component is imported from", () => {
+    const { matches } = findDeprecations(
+      analyzeFileContent(
+        `import {Button} from "@other/ui"\nimport {Button as SanityButton} from "@sanity/ui"\nexport const B = () => <><Button tone="critical" /><SanityButton /></>`,
+        ctx,
+      ),
+      RULES,
+      ctx.identifyLibrary,
+    );
+    expect(matches.map((m) => [m.instance.component, m.rules])).toEqual([
+      ["Button", [4]],
+    ]);
+  });
+});
+
+describe("createAnalyzer", () => {
+  test("collects a reference for every deprecated instance", () => {
+    const results = analyze(SOURCE);
+    expect(results.map((r) => r.count)).toEqual([1, 2, 1, 1, 0]);
+    expect(results[1].byCodebase).toEqual({ app: 2 });
+    expect(results[1].references[0]).toEqual({
+      file: "src/A.tsx",
+      line: 4,
+      codebase: "app",
+      packageVersion: null,
+      sourceCode: '<Button tone="critical" text="Delete" />',
+    });
+    expect(results[2].references[0]).toBe(results[3].references[0]);
+  });
+
+  test("does nothing without rules", () => {
+    const analyzer = createAnalyzer([]);
+    expect(analyzer.analyze({ parsed: parseSource(SOURCE, "A.tsx") })).toBe(
+      null,
+    );
+    analyzer.file({ codebase: "app" }, null);
+    expect(analyzer.results).toEqual([]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// report generation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("generateMarkdown / generateCSV / generateJSON", () => {
+  test("lists every deprecation and the locations of those in use", () => {
+    const md = generateMarkdown(analyze(SOURCE));
+    expect(md).toContain(
+      "- **5** deprecated instances across **4** of 5 deprecations",
+    );
+    expect(md).toContain(
+      '| `<Button tone="critical">` | Sanity UI | `tone="danger"` |',
+    );
+    expect(md).toContain("| `<Button>` | Other | — |");
+    expect(md).toContain("## `<Inline>`\n\nGoing away.\n\nUse `Flex` instead.");
+    expect(md).toContain("| app | src/A.tsx:3 | `<Inline space={2}>` |");
+    expect(md).not.toContain("## `<Button>`");
+  });
+
+  test("writes one CSV row per instance and the full JSON", () => {
+    const results = analyze(SOURCE);
+    const csv = generateCSV(results).trim().split("\n");
+    expect(csv).toHaveLength(6);
+    expect(csv[2]).toBe(
+      '"Sanity UI","Button","tone","""critical""","tone=""danger""","app","src/A.tsx",4,"<Button tone=""critical"" text=""Delete"" />"',
+    );
+
+    const json = JSON.parse(generateJSON(results));
+    expect(json.totalInstances).toBe(5);
+    expect(json.deprecations[3]).toMatchObject({
+      label: "<Text size={0}>",
+      count: 1,
+      references: [expect.objectContaining({ line: 7 })],
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// changed-file counts
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("countFile", () => {
+  test("counts deprecated usage by label", () => {
+    expect(countFile(parseSource(SOURCE, "A.tsx"), RULES).deprecated).toEqual({
+      "<Inline>": 1,
+      '<Button tone="critical">': 2,
+      "<Text accent>": 1,
+      "<Text size={0}>": 1,
+    });
+  });
+});
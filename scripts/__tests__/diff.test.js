@@ -0,0 +1,280 @@
+const {
+  loadUsage,
+  diffUsage,
+  hasChanges,
+  generateMarkdown,
+  generateJSON,
+  parseArgs,
+} = require("../diff/diff-reports");
+const {
+  buildSnapshot,
+  readReportSet,
+  saveSnapshot,
+} = require("../lib/history");
+
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+/** Write a JSON file, creating parent directories. */
+function writeJSON(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+}
+
+/**
+ * Write a minimal reports directory.
+ *
+ * @param {string} dir
+ * @param {object} usage
+ * @param {Object<string, { instances: number, props: Object<string, Object<string, number>> }>} usage.components
+ *   Component → instances and prop → value → count.
+ * @param {Object<string, number>} usage.tags           - HTML tag → count.
+ * @param {Object<string, number>} usage.inline         - Component → inline-styled instances.
+ */
+function writeReportDir(dir, { components, tags, inline }) {
+  const summary = [];
+  for (const [name, { instances, props }] of Object.entries(components)) {
+    const detailProps = {};
+    for (const [prop, values] of Object.entries(props)) {
+      detailProps[prop] = {
+        totalUsages: Object.values(values).reduce((a, b) => a + b, 0),
+        values,
+      };
+    }
+    const entry = {
+      component: name,
+      library: "Sanity UI",
+      totalImports: 1,
+      totalInstances: instances,
+      codebaseInstances: { app: instances },
+      uniqueProps: Object.keys(props).length,
+      avgPropsPerInstance: 1,
+    };
+    summary.push(entry);
+    writeJSON(path.join(dir, "components/detail", `${name}.json`), {
+      ...entry,
+      props: detailProps,
+    });
+  }
+  writeJSON(path.join(dir, "components/summary.json"), {
+    components: summary,
+  });
+
+  const library = Object.values(components).reduce(
+    (sum, c) => sum + c.instances,
+    0,
+  );
+  const html = Object.values(tags).reduce((a, b) => a + b, 0);
+  writeJSON(path.join(dir, "sources/report.json"), {
+    codebases: {
+      app: {
+        fileCount: 3,
+        total: { instances: library + html },
+        libraries: { "Sanity UI": { instances: library } },
+        otherUI: { instances: 0 },
+        internal: { instances: 0 },
+        nativeHTML: { instances: html },
+      },
+    },
+  });
+
+  writeJSON(path.join(dir, "html-tags/report.json"), {
+    codebases: {
+      app: {
+        tags: Object.fromEntries(
+          Object.entries(tags).map(([tag, count]) => [tag, { count }]),
+        ),
+      },
+      missing: null,
+    },
+  });
+  writeJSON(path.join(dir, "customizations/report.json"), {
+    codebases: {
+      app: { inlineStylesByComponent: inline, styledByComponent: {} },
+      missing: null,
+    },
+  });
+}
+
+let tmp;
+let baseDir;
+let headDir;
+
+beforeEach(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "component-analytics-diff-"));
+  baseDir = path.join(tmp, "base");
+  headDir = path.join(tmp, "head");
+
+  writeReportDir(baseDir, {
+    components: {
+      Button: { instances: 3, props: { mode: { '"ghost"': 3 } } },
+      Card: { instances: 2, props: {} },
+      Dialog: { instances: 1, props: {} },
+    },
+    tags: { div: 5 },
+    inline: { Card: 1 },
+  });
+  writeReportDir(headDir, {
+    components: {
+      Button: {
+        instances: 5,
+        props: {
+          mode: { '"ghost"': 3, '"bleed"': 1 },
+          tone: { '"primary"': 2 },
+        },
+      },
+      Card: { instances: 2, props: {} },
+      Text: { instances: 4, props: {} },
+    },
+    tags: { div: 5, section: 2 },
+    inline: { Card: 1, Text: 2 },
+  });
+});
+
+afterEach(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// diffUsage
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("diffUsage", () => {
+  test("finds gained, lost and changed components with prop deltas", () => {
+    const diff = diffUsage(loadUsage(baseDir), loadUsage(headDir));
+
+    expect(diff.components.gained).toEqual([
+      { component: "Text", library: "Sanity UI", instances: 4 },
+    ]);
+    expect(diff.components.lost).toEqual([
+      { component: "Dialog", library: "Sanity UI", instances: 1 },
+    ]);
+    expect(diff.components.changed.map((c) => c.component)).toEqual([
+      "Text",
+      "Button",
+      "Dialog",
+    ]);
+
+    const button = diff.components.changed.find(
+      (c) => c.component === "Button",
+    );
+    expect(button.instances).toEqual({ base: 3, head: 5, delta: 2 });
+    expect(button.props).toEqual([
+      { prop: "mode", base: 3, head: 4, delta: 1 },
+      { prop: "tone", base: 0, head: 2, delta: 2 },
+    ]);
+    expect(button.newValues).toEqual({
+      mode: ['"bleed"'],
+      tone: ['"primary"'],
+    });
+  });
+
+  test("reports source shifts, new HTML tags and new customizations", () => {
+    const diff = diffUsage(loadUsage(baseDir), loadUsage(headDir));
+
+    const html = diff.sources.app.find((s) => s.category === "Native HTML");
+    expect(html.instances).toEqual({ base: 5, head: 7, delta: 2 });
+    expect(html.percent.delta).toBeLessThan(0);
+
+    expect(diff.htmlTags).toEqual({ app: [{ tag: "section", count: 2 }] });
+    expect(diff.customizations).toEqual({
+      app: [{ component: "Text", kind: "inline", base: 0, head: 2, delta: 2 }],
+    });
+  });
+
+  test("finds nothing between identical report sets", () => {
+    const diff = diffUsage(loadUsage(headDir), loadUsage(headDir));
+    expect(hasChanges(diff)).toBe(false);
+    expect(generateMarkdown(diff)).toContain("No changes in component usage.");
+  });
+
+  test("compares a snapshot with a reports directory on totals only", () => {
+    const file = saveSnapshot(
+      buildSnapshot(readReportSet(baseDir), { label: "v1" }),
+      tmp,
+    );
+    const base = loadUsage(file);
+    expect(base.label).toBe("v1");
+
+    const diff = diffUsage(base, loadUsage(headDir));
+    expect(diff.components.gained.map((c) => c.component)).toEqual(["Text"]);
+    const button = diff.components.changed.find(
+      (c) => c.component === "Button",
+    );
+    expect(button.props).toEqual([]);
+    expect(diff.htmlTags).toBeNull();
+    expect(diff.customizations).toBeNull();
+    expect(generateMarkdown(diff)).toContain(
+      "need full report directories on both sides",
+    );
+  });
+
+  test("rejects inputs that are neither", () => {
+    const file = path.join(tmp, "notes.json");
+    fs.writeFileSync(file, "{}");
+    expect(() => loadUsage(file)).toThrow("not a reports directory");
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// report generation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("generateMarkdown / generateJSON", () => {
+  test("summarises the diff for a PR comment", () => {
+    const md = generateMarkdown(
+      diffUsage(loadUsage(baseDir), loadUsage(headDir)),
+    );
+    expect(md).toContain("## Component usage diff");
+    expect(md).toContain("- **3** components changed (+5 instances)");
+    expect(md).toContain("- 🆕 Now used: `Text`");
+    expect(md).toContain("- 🗑️ No longer used: `Dialog`");
+    expect(md).toContain(
+      "| Button | Sanity UI | 3 → 5 | +2 | `mode` +1, `tone` +2 |",
+    );
+    expect(md).toContain('| Button | `mode` | `"bleed"` |');
+    expect(md).toContain("| app | `<section>` ×2 |");
+    expect(md).toContain("| app | Text | inline style | 0 → 2 |");
+  });
+
+  test("truncates long lists of new values", () => {
+    const values = Object.fromEntries(
+      ["a", "b", "c", "d", "e", "f", "g"].map((v) => [`"${v}"`, 1]),
+    );
+    writeReportDir(headDir, {
+      components: { Button: { instances: 3, props: { mode: values } } },
+      tags: {},
+      inline: {},
+    });
+    const md = generateMarkdown(
+      diffUsage(loadUsage(baseDir), loadUsage(headDir)),
+    );
+    expect(md).toContain("… 2 more");
+  });
+
+  test("includes everything in the JSON report", () => {
+    const json = JSON.parse(
+      generateJSON(diffUsage(loadUsage(baseDir), loadUsage(headDir))),
+    );
+    expect(json.generatedAt).toBeDefined();
+    expect(json.components.gained).toHaveLength(1);
+    expect(json.htmlTags.app[0].tag).toBe("section");
+  });
+});
+
+describe("parseArgs", () => {
+  test("takes base, head and an optional output directory", () => {
+    expect(parseArgs(["a", "b", "--out", "out"])).toEqual({
+      base: path.resolve("a"),
+      head: path.resolve("b"),
+      out: path.resolve("out"),
+    });
+    expect(parseArgs(["a", "b"]).out).toMatch(/reports[\\/]diff$/);
+  });
+
+  test("rejects a wrong number of inputs", () => {
+    expect(() => parseArgs(["a"])).toThrow("usage:");
+    expect(() => parseArgs(["a", "b", "--out"])).toThrow("--out requires");
+  });
+});
@@ -0,0 +1,282 @@
+const {
+  repoRoot,
+  commitAt,
+  readBlobs,
+  openTree,
+  createGitSource,
+  createResolverFileSystem,
+} = require("../lib/git");
+const {
+  sampleDates,
+  commitLabel,
+  backfill,
+  parseArgs,
+} = require("../backfill/backfill-history");
+const { resolveReExport, setResolverFileSystem } = require("../lib/resolver");
+const { loadSnapshots } = require("../lib/history");
+
+const { execFileSync } = require("child_process");
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Codebases not listed in the config resolve to `codebases/<name>` under
+// the project root (git-ignored), so the fixture repository lives there.
+const CODEBASES_DIR = path.resolve(__dirname, "../../codebases");
+let codebase;
+let root;
+/** Commit SHAs, oldest first. */
+const shas = [];
+
+/** Run git in the fixture repository with a fixed identity and date. */
+function git(args, date) {
+  return execFileSync(
+    "git",
+    ["-c", "user.name=Test", "-c", "user.email=test@example.com", ...args],
+    {
+      cwd: root,
+      env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+    },
+  )
+    .toString()
+    .trim();
+}
+
+/** Write files and commit them at `date`. */
+function commit(files, date) {
+  for (const [rel, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+    fs.writeFileSync(path.join(root, rel), content);
+  }
+  git(["add", "-A"], date);
+  git(["commit", "-q", "-m", date], date);
+  shas.push(git(["rev-parse", "HEAD"], date));
+}
+
+beforeAll(() => {
+  fs.mkdirSync(CODEBASES_DIR, { recursive: true });
+  root = fs.mkdtempSync(path.join(CODEBASES_DIR, "git-test-"));
+  codebase = path.basename(root);
+  git(["init", "-q"]);
+
+  commit(
+    {
+      "src/ui/index.ts": `export { Button } from "@sanity/ui"`,
+      "src/A.tsx": `import {Button} from "./ui"\nexport const A = () => <Button />`,
+      "src/A.test.tsx": `export const T = () => <div />`,
+    },
+    "2024-01-10T12:00:00Z",
+  );
+  commit(
+    {
+      "src/A.tsx": `import {Button} from "./ui"\nexport const A = () => <><Button /><Button /></>`,
+      "src/B.jsx": `import {Card} from "@sanity/ui"\nexport const B = () => <Card />`,
+    },
+    "2024-02-10T12:00:00Z",
+  );
+
+  // The working tree no longer matches either commit.
+  fs.rmSync(path.join(root, "src"), { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+  if (fs.readdirSync(CODEBASES_DIR).length === 0) fs.rmdirSync(CODEBASES_DIR);
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// git commands
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("repoRoot / commitAt", () => {
+  test("finds the repository of a directory", () => {
+    expect(repoRoot(root)).toBe(root);
+    expect(repoRoot(os.tmpdir())).toBeNull();
+  });
+
+  test("picks the last commit at or before a date", () => {
+    expect(commitAt(root, new Date("2024-01-01"))).toBeNull();
+    expect(commitAt(root, new Date("2024-01-31"))).toEqual({
+      sha: shas[0],
+      date: "2024-01-10T12:00:00.000Z",
+    });
+    expect(commitAt(root, new Date("2025-01-01")).sha).toBe(shas[1]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// trees
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("openTree", () => {
+  test("reads files as they were at the commit", () => {
+    const tree = openTree(root, shas[0]);
+    const file = path.join(root, "src/A.tsx");
+
+    expect(tree.isFile(file)).toBe(true);
+    expect(tree.isDirectory(path.join(root, "src/ui"))).toBe(true);
+    expect(tree.isFile(path.join(root, "src/B.jsx"))).toBe(false);
+    expect(tree.read(file)).toContain("<Button />");
+    expect(tree.read(path.join(root, "src/B.jsx"))).toBeNull();
+    expect(tree.contains(file)).toBe(true);
+    expect(tree.contains(path.dirname(root))).toBe(false);
+  });
+
+  test("skips object ids git does not know", () => {
+    expect(readBlobs(root, ["0".repeat(40)]).size).toBe(0);
+  });
+
+  test("lists component files through glob with the usual ignores", async () => {
+    const source = createGitSource({ [codebase]: openTree(root, shas[1]) });
+    expect(source.exists(codebase)).toBe(true);
+    expect(source.exists("not-a-codebase")).toBe(false);
+
+    const files = await source.find(codebase);
+    expect(files.map((f) => path.relative(root, f)).sort()).toEqual([
+      path.join("src", "A.tsx"),
+      path.join("src", "B.jsx"),
+    ]);
+    expect(source.read(files[0])).not.toBeNull();
+    expect(source.read(path.join(os.tmpdir(), "x.tsx"))).toBeNull();
+  });
+
+  test("lets the resolver follow barrels at the commit", () => {
+    const fromFile = path.join(root, "src/A.tsx");
+    const tracked = (s) => s === "@sanity/ui";
+    setResolverFileSystem(createResolverFileSystem([openTree(root, shas[0])]));
+    try {
+      expect(resolveReExport(fromFile, "./ui", "Button", tracked)).toEqual({
+        original: "Button",
+        source: "@sanity/ui",
+      });
+    } finally {
+      setResolverFileSystem(null);
+    }
+    // The barrel is gone from the working tree.
+    expect(resolveReExport(fromFile, "./ui", "Button", tracked)).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// backfill
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("backfill", () => {
+  let historyDir;
+  let logSpy;
+
+  beforeEach(() => {
+    historyDir = fs.mkdtempSync(path.join(os.tmpdir(), "backfill-test-"));
+    // Analyzers print per-codebase summaries.
+    logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    fs.rmSync(historyDir, { recursive: true, force: true });
+  });
+
+  test("writes one snapshot per distinct sampled commit", async () => {
+    const log = jest.fn();
+    const written = await backfill(
+      {
+        since: new Date("2024-01-01T00:00:00Z"),
+        until: new Date("2024-02-26T00:00:00Z"),
+        every: 7,
+        codebases: [codebase],
+        historyDir,
+      },
+      log,
+    );
+
+    expect(written).toHaveLength(2);
+    const lines = log.mock.calls.map((c) => c[0]);
+    expect(lines.some((l) => l.includes("no commits yet"))).toBe(true);
+    expect(lines.some((l) => l.includes("unchanged"))).toBe(true);
+
+    const [first, second] = loadSnapshots(historyDir);
+    expect(first.timestamp).toBe("2024-01-10T12:00:00.000Z");
+    expect(first.label).toBe(shas[0].slice(0, 7));
+    expect(first.components.Button.totalInstances).toBe(1);
+    expect(first.components.Card).toBeUndefined();
+    expect(first.components.Button.codebaseInstances).toEqual({
+      [codebase]: 1,
+    });
+
+    expect(second.label).toBe(shas[1].slice(0, 7));
+    expect(second.components.Button.totalInstances).toBe(2);
+    expect(second.components.Card.totalInstances).toBe(1);
+  });
+
+  test("skips codebases that are missing or not in a repository", async () => {
+    const log = jest.fn();
+    const written = await backfill(
+      {
+        since: new Date("2024-01-01"),
+        until: new Date("2024-01-02"),
+        codebases: ["does-not-exist-xyz-99"],
+        historyDir,
+      },
+      log,
+    );
+    expect(written).toEqual([]);
+    expect(log).toHaveBeenCalledWith(
+      "⚠️  Skipping does-not-exist-xyz-99: path not found",
+    );
+  });
+});
+
+describe("sampleDates / commitLabel", () => {
+  test("steps back from `until` to `since`, oldest first", () => {
+    const dates = sampleDates(
+      new Date("2024-01-01"),
+      new Date("2024-01-20"),
+      7,
+    ).map((d) => d.toISOString().slice(0, 10));
+    expect(dates).toEqual(["2024-01-06", "2024-01-13", "2024-01-20"]);
+  });
+
+  test("names each repository when codebases span several", () => {
+    const sha = "a".repeat(40);
+    expect(commitLabel({ x: { root: "/r/one", sha } })).toBe("aaaaaaa");
+    expect(
+      commitLabel({
+        x: { root: "/r/one", sha },
+        y: { root: "/r/two", sha: "b".repeat(40) },
+      }),
+    ).toBe("one@aaaaaaa, two@bbbbbbb");
+  });
+});
+
+describe("parseArgs", () => {
+  test("reads dates, interval and ref", () => {
+    expect(
+      parseArgs([
+        "--since",
+        "2024-01-01",
+        "--until",
+        "2024-06-01",
+        "--every",
+        "14",
+        "--ref",
+        "main",
+      ]),
+    ).toEqual({
+      since: new Date("2024-01-01"),
+      until: new Date("2024-06-01"),
+      every: 14,
+      ref: "main",
+    });
+  });
+
+  test("rejects missing or invalid values", () => {
+    expect(() => parseArgs([])).toThrow("--since <date> is required");
+    expect(() => parseArgs(["--since", "soon"])).toThrow("requires a date");
+    expect(() => parseArgs(["--since", "2024-01-01", "--every", "0"])).toThrow(
+      "positive number of days",
+    );
+    expect(() => parseArgs(["--since", "2024-01-01", "--ref"])).toThrow(
+      "requires a revision",
+    );
+  });
+});
@@ -0,0 +1,261 @@
+const {
+  readReportSet,
+  buildSnapshot,
+  saveSnapshot,
+  loadSnapshots,
+  snapshotFileName,
+  SNAPSHOT_VERSION,
+} = require("../lib/history");
+const {
+  buildTrends,
+  sparkline,
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+} = require("../trends/analyze-trends");
+
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+/** Report set shaped like the JSON the analyzers write. */
+function reports({ button = 10, card = 0 } = {}) {
+  return {
+    components: {
+      components: [
+        {
+          component: "Button",
+          library: "Sanity UI",
+          totalImports: 4,
+          totalInstances: button,
+          codebaseInstances: { app: button },
+          uniqueProps: 3,
+          avgPropsPerInstance: 1.5,
+        },
+        {
+          component: "Card",
+          library: "Sanity UI",
+          totalImports: card ? 1 : 0,
+          totalInstances: card,
+          codebaseInstances: { app: card },
+          uniqueProps: 0,
+          avgPropsPerInstance: 0,
+        },
+      ],
+    },
+    sources: {
+      codebases: {
+        app: {
+          fileCount: 5,
+          total: { instances: 40 },
+          libraries: { "Sanity UI": { instances: button + card } },
+          otherUI: { instances: 0 },
+          internal: { instances: 10 },
+          nativeHTML: { instances: 30 - button - card },
+        },
+        missing: null,
+      },
+    },
+    lineOwnership: {
+      codebases: {
+        app: { uiFileLines: 100, trackedUILines: 25, lineOwnershipPercent: 25 },
+      },
+    },
+    propSurface: {
+      codebases: {
+        app: {
+          uiFileCharacters: 1000,
+          trackedUIPropCharacters: 50,
+          propSurfacePercent: 5,
+        },
+        missing: null,
+      },
+    },
+  };
+}
+
+let dir;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "component-analytics-history-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// buildSnapshot
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("buildSnapshot", () => {
+  test("distils source shares, line ownership and component counts", () => {
+    const snapshot = buildSnapshot(reports(), {
+      timestamp: "2025-01-31T14:05:00Z",
+      label: "abc123",
+    });
+
+    expect(snapshot.version).toBe(SNAPSHOT_VERSION);
+    expect(snapshot.timestamp).toBe("2025-01-31T14:05:00.000Z");
+    expect(snapshot.label).toBe("abc123");
+    expect(Object.keys(snapshot.codebases)).toEqual(["app"]);
+
+    const app = snapshot.codebases.app;
+    expect(app.sources.files).toBe(5);
+    expect(app.sources.categories["Sanity UI"]).toEqual({
+      instances: 10,
+      percent: 25,
+    });
+    expect(app.sources.categories["Native HTML"].percent).toBe(50);
+    expect(app.lineOwnership).toEqual({
+      uiFileLines: 100,
+      trackedUILines: 25,
+      percent: 25,
+    });
+    expect(app.propSurface.percent).toBe(5);
+
+    expect(snapshot.components.Button).toEqual(
+      expect.objectContaining({ totalInstances: 10, totalImports: 4 }),
+    );
+  });
+
+  test("leaves out components that are neither imported nor rendered", () => {
+    const snapshot = buildSnapshot(reports());
+    expect(snapshot.components.Card).toBeUndefined();
+  });
+
+  test("tolerates a report set with nothing in it", () => {
+    const snapshot = buildSnapshot({
+      components: null,
+      sources: null,
+      lineOwnership: null,
+      propSurface: null,
+    });
+    expect(snapshot.codebases).toEqual({});
+    expect(snapshot.components).toEqual({});
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// store
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("saveSnapshot / loadSnapshots", () => {
+  test("round-trips snapshots, oldest first", () => {
+    const later = buildSnapshot(reports(), { timestamp: "2025-02-01" });
+    const earlier = buildSnapshot(reports(), { timestamp: "2025-01-01" });
+    const file = saveSnapshot(later, dir);
+    saveSnapshot(earlier, dir);
+
+    expect(path.basename(file)).toBe(snapshotFileName(later));
+    expect(path.basename(file)).toBe("2025-02-01T00-00-00-000Z.json");
+    expect(loadSnapshots(dir)).toEqual([earlier, later]);
+  });
+
+  test("skips files that are not snapshots or use a newer version", () => {
+    saveSnapshot(buildSnapshot(reports(), { timestamp: "2025-01-01" }), dir);
+    fs.writeFileSync(path.join(dir, "broken.json"), "{");
+    fs.writeFileSync(path.join(dir, "notes.txt"), "hello");
+    fs.writeFileSync(
+      path.join(dir, "future.json"),
+      JSON.stringify({ version: SNAPSHOT_VERSION + 1, timestamp: "2026" }),
+    );
+    expect(loadSnapshots(dir)).toHaveLength(1);
+  });
+
+  test("returns an empty list when the store does not exist", () => {
+    expect(loadSnapshots(path.join(dir, "nope"))).toEqual([]);
+  });
+});
+
+describe("readReportSet", () => {
+  test("reads the JSON reports and maps missing ones to null", () => {
+    fs.mkdirSync(path.join(dir, "sources"));
+    fs.writeFileSync(
+      path.join(dir, "sources/report.json"),
+      JSON.stringify({ codebases: {} }),
+    );
+    expect(readReportSet(dir)).toEqual({
+      components: null,
+      sources: { codebases: {} },
+      lineOwnership: null,
+      propSurface: null,
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// trends
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("buildTrends", () => {
+  const snapshots = [
+    buildSnapshot(reports({ button: 10 }), { timestamp: "2025-01-01" }),
+    buildSnapshot(reports({ button: 12, card: 3 }), {
+      timestamp: "2025-02-01",
+      label: "v2",
+    }),
+  ];
+
+  test("aligns component series with the snapshots, filling gaps with 0", () => {
+    const trends = buildTrends(snapshots);
+    expect(trends.snapshots).toEqual([
+      { timestamp: "2025-01-01T00:00:00.000Z", label: null },
+      { timestamp: "2025-02-01T00:00:00.000Z", label: "v2" },
+    ]);
+    expect(trends.components.Button.instances).toEqual([10, 12]);
+    expect(trends.components.Card.instances).toEqual([0, 3]);
+    expect(trends.components.Card.codebaseInstances.app).toEqual([0, 3]);
+  });
+
+  test("collects per-codebase category shares and ratios", () => {
+    const trends = buildTrends(snapshots);
+    expect(trends.categories).toEqual([
+      "Sanity UI",
+      "Other UI",
+      "Internal",
+      "Native HTML",
+    ]);
+    expect(trends.codebases.app.map((p) => p.categories["Sanity UI"])).toEqual([
+      25, 37.5,
+    ]);
+    expect(trends.codebases.app[0].lineOwnership).toBe(25);
+    expect(trends.codebases.app[0].propSurface).toBe(5);
+  });
+
+  test("renders Markdown, CSV and JSON reports", () => {
+    const trends = buildTrends(snapshots);
+
+    const md = generateMarkdown(trends);
+    expect(md).toContain(
+      "2 snapshots from 2025-01-01 00:00 to 2025-02-01 00:00",
+    );
+    expect(md).toContain("| 2025-02-01 00:00 | v2 | 40 | 37.5% |");
+    expect(md).toContain("| Button | Sanity UI | 10 | 12 | +2 | ▁█ |");
+    expect(md).toContain("| Card | Sanity UI | 0 | 3 | +3 | ▁█ |");
+
+    const csv = generateCSV(trends);
+    expect(csv).toContain(
+      '2025-02-01T00:00:00.000Z,"v2","Button","Sanity UI",ALL,12',
+    );
+    expect(csv).toContain(
+      '2025-01-01T00:00:00.000Z,"","Card","Sanity UI","app",0',
+    );
+
+    expect(
+      JSON.parse(generateJSON(trends)).components.Button.instances,
+    ).toEqual([10, 12]);
+  });
+
+  test("explains an empty history", () => {
+    expect(generateMarkdown(buildTrends([]))).toContain("No snapshots found");
+  });
+});
+
+describe("sparkline", () => {
+  test("scales values between the lowest and highest bar", () => {
+    expect(sparkline([0, 7, 14])).toBe("▁▅█");
+    expect(sparkline([3, 3])).toBe("▁▁");
+    expect(sparkline([])).toBe("");
+  });
+});
@@ -0,0 +1,267 @@
+const {
+  attributeValue,
+  matchElement,
+  findCandidates,
+  htmlLabel,
+  componentLabel,
+  createAnalyzer,
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+} = require("../html-replacements/analyze-html-replacements");
+const { createContext, DEFAULT_HTML_REPLACEMENTS } = require("../lib/context");
+const { parseSource } = require("../lib/parser");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const CTX = createContext({
+  uiLibraries: [{ name: "Sanity UI", importSources: ["@sanity/ui"] }],
+});
+const RULES = CTX.htmlReplacements;
+const STYLE_RULES = CTX.styleProps;
+
+const SOURCE = [
+  `export const A = () => (`,
+  `  <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }} onClick={open}>`,
+  `    <h2 className="title">Title</h2>`,
+  `    <input type="checkbox" checked={on} />`,
+  `    <input value={text} />`,
+  `    <div style={styles.row}>`,
+  `      <span>Hi</span>`,
+  `    </div>`,
+  `  </div>`,
+  `)`,
+].join("\n");
+
+/** Run the analyzer over the fixture in codebase `app`. */
+function analyze(rules = RULES) {
+  const analyzer = createAnalyzer(rules, STYLE_RULES);
+  const file = {
+    codebase: "app",
+    relPath: "src/A.tsx",
+    content: SOURCE,
+    parsed: parseSource(SOURCE, "A.tsx"),
+  };
+  analyzer.file(file, analyzer.analyze(file));
+  return analyzer;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// config
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("htmlReplacements config", () => {
+  test("uses every default when the library tracks every import", () => {
+    expect(RULES).toHaveLength(DEFAULT_HTML_REPLACEMENTS.length);
+    expect(RULES[0]).toEqual({
+      library: "Sanity UI",
+      tag: "button",
+      attributes: {},
+      style: {},
+      component: "Button",
+      props: {},
+      styleProps: {},
+    });
+  });
+
+  test("keeps the defaults whose component the library lists", () => {
+    const rules = createContext({
+      uiLibraries: [
+        {
+          name: "UI",
+          importSources: ["@sanity/ui"],
+          components: ["Box", "Heading"],
+        },
+      ],
+    }).htmlReplacements;
+    expect([...new Set(rules.map((r) => r.component))]).toEqual([
+      "Heading",
+      "Box",
+    ]);
+  });
+
+  test("takes the library's own entries, or none with false", () => {
+    const ctx = createContext({
+      uiLibraries: [
+        {
+          name: "A",
+          htmlReplacements: [{ tag: "a", component: "Link" }],
+        },
+        { name: "B", htmlReplacements: false },
+      ],
+    });
+    expect(ctx.htmlReplacements).toHaveLength(1);
+    expect(ctx.htmlReplacements[0]).toMatchObject({
+      library: "A",
+      tag: "a",
+      component: "Link",
+    });
+  });
+
+  test("has no defaults for libraries other than Sanity UI", () => {
+    const ctx = createContext({
+      uiLibraries: [{ name: "MUI", importSources: ["@mui/material"] }],
+    });
+    expect(ctx.htmlReplacements).toEqual([]);
+  });
+
+  test("rejects entries without a tag or component", () => {
+    expect(() =>
+      createContext({
+        uiLibraries: [{ name: "UI", htmlReplacements: [{ tag: "a" }] }],
+      }),
+    ).toThrow('htmlReplacements entries of "UI" need a tag and a component.');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// matching
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("attributeValue", () => {
+  test("reads string, boolean and literal expression values", () => {
+    const attrs = parseSource(
+      `<input type="text" disabled size={3} name={'a'} checked={false} value={v} />`,
+    ).elements[0].attributes;
+    expect(attrs.map(attributeValue)).toEqual([
+      "text",
+      true,
+      3,
+      "a",
+      false,
+      undefined,
+    ]);
+  });
+});
+
+describe("matchElement", () => {
+  test("picks the first entry whose attributes and style match", () => {
+    const { elements } = parseSource(SOURCE, "A.tsx");
+    const matched = elements.map((el) => {
+      const i = matchElement(el, RULES);
+      return i === -1 ? null : RULES[i].component;
+    });
+    expect(matched).toEqual([
+      "Flex",
+      "Heading",
+      "Checkbox",
+      "TextInput",
+      "Box",
+      null,
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// suggestions
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("findCandidates", () => {
+  const candidates = findCandidates(
+    parseSource(SOURCE, "A.tsx"),
+    RULES,
+    STYLE_RULES,
+  );
+
+  test("translates style props and keeps the other attributes", () => {
+    expect(candidates[0]).toMatchObject({
+      tag: "div",
+      line: 2,
+      suggestion: `<Flex direction="column" gap={2} onClick={open}>`,
+    });
+  });
+
+  test("leaves style the component has no prop for", () => {
+    const parsed = parseSource(
+      `<div style={{ display: 'flex', gap: 10, color: 'red' }} />`,
+    );
+    expect(findCandidates(parsed, RULES, STYLE_RULES)[0].suggestion).toBe(
+      `<Flex style={{ gap: 10, color: 'red' }} />`,
+    );
+  });
+
+  test("adds the entry's props and drops matched attributes", () => {
+    expect(candidates.slice(1).map((c) => c.suggestion)).toEqual([
+      `<Heading as="h2" className="title">`,
+      `<Checkbox checked={on} />`,
+      `<TextInput value={text} />`,
+      `<Box style={styles.row}>`,
+    ]);
+  });
+
+  test("labels entries the way JSX writes them", () => {
+    const flex = RULES.find((r) => r.component === "Flex");
+    expect(htmlLabel(flex)).toBe(`<div style={{ display: "flex" }}>`);
+    expect(htmlLabel(RULES[1])).toBe(`<input type="checkbox">`);
+    expect(componentLabel(RULES.find((r) => r.tag === "h2"))).toBe(
+      `<Heading as="h2">`,
+    );
+  });
+});
+
+describe("createAnalyzer", () => {
+  test("counts entries and groups candidates by file", () => {
+    const { results, files } = analyze();
+    expect(results.find((r) => r.rule.component === "Flex")).toMatchObject({
+      count: 1,
+      byCodebase: { app: 1 },
+    });
+    expect(files).toHaveLength(1);
+    expect(files[0].candidates).toHaveLength(5);
+    expect(files[0].candidates[1]).toEqual({
+      tag: "h2",
+      line: 3,
+      sourceCode: `<h2 className="title">`,
+      suggestion: `<Heading as="h2" className="title">`,
+      component: "Heading",
+      library: "Sanity UI",
+    });
+  });
+
+  test("skips files without candidates", () => {
+    expect(analyze([]).files).toEqual([]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// reports
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("generateMarkdown / generateCSV / generateJSON", () => {
+  const { results, files } = analyze();
+
+  test("markdown summarizes entries and lists each file", () => {
+    const md = generateMarkdown(results, files);
+    expect(md).toContain("- **5** replacement candidates in **1** files");
+    expect(md).toContain(
+      '| `<div style={{ display: "flex" }}>` | `<Flex>` | Sanity UI |',
+    );
+    expect(md).toContain("### app: src/A.tsx (5)");
+    expect(md).toContain(
+      '| 3 | `<h2 className="title">` | `<Heading as="h2" className="title">` |',
+    );
+    expect(generateMarkdown([], [])).not.toContain("## Files");
+  });
+
+  test("CSV has one row per candidate", () => {
+    const rows = generateCSV(files).trim().split("\n");
+    expect(rows).toHaveLength(6);
+    expect(rows[4]).toBe(
+      '"app","src/A.tsx",5,"input","TextInput","Sanity UI","<input value={text} />","<TextInput value={text} />"',
+    );
+  });
+
+  test("JSON labels entries and keeps every file", () => {
+    const json = JSON.parse(generateJSON(results, files));
+    expect(json.totalCandidates).toBe(5);
+    expect(json.totalFiles).toBe(1);
+    expect(json.replacements[0]).toMatchObject({
+      html: "<button>",
+      replacement: "<Button>",
+      count: 0,
+    });
+    expect(json.files[0].candidates).toHaveLength(5);
+  });
+});
@@ -1,6 +1,9 @@
 const {
   extractHTMLTags,
   extractHTMLTagInstances,
+  stripStringLiterals,
+  matchFullTags,
+  matchSimpleTags,
   lineNumberAt,
   analyzeContent,
   aggregateResults,
@@ -11,7 +14,9 @@ const {
   generateCSV,
   generateJSON,
   HTML_TAG_CATEGORIES,
+  createAnalyzer,
 } = require("../html-tags/analyze-html-tags");
+const { parseSource } = require("../lib/parser");
 
 // ---------------------------------------------------------------------------
 // extractHTMLTags
@@ -275,6 +280,32 @@ describe("extractHTMLTagInstances", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// stripStringLiterals / matchFullTags / matchSimpleTags
+// ---------------------------------------------------------------------------
+describe("stripStringLiterals", () => {
+  test("empties string and template literals", () => {
+    const content = `const a = "<div>"; const b = '<span>'; const c = \`<p>\``;
+    expect(stripStringLiterals(content)).toBe(
+      "const a = \"\"; const b = ''; const c = ``",
+    );
+  });
+});
+
+describe("matchFullTags", () => {
+  test("counts lowercase tags, known or not", () => {
+    const content = `<div><motion /><div /><Card /></div>`;
+    expect(matchFullTags(content)).toEqual({ div: 2, motion: 1 });
+  });
+});
+
+describe("matchSimpleTags", () => {
+  test("counts tags split across lines", () => {
+    const content = `<div\n  className="x"\n>\n  <span />\n</div>`;
+    expect(matchSimpleTags(content)).toEqual({ div: 1, span: 1 });
+  });
+});
+
 // ---------------------------------------------------------------------------
 // lineNumberAt
 // ---------------------------------------------------------------------------
@@ -1121,6 +1152,45 @@ describe("generateJSON", () => {
   });
 });
 
+// ---------------------------------------------------------------------------
+// createAnalyzer
+// ---------------------------------------------------------------------------
+describe("createAnalyzer", () => {
+  test("aggregates the files of each codebase separately", () => {
+    const analyzer = createAnalyzer();
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    const feed = (codebase, relPath, content) => {
+      const file = {
+        codebase,
+        path: "/abs/" + relPath,
+        relPath,
+        content,
+        parsed: parseSource(content),
+      };
+      analyzer.file(file, analyzer.analyze(file));
+    };
+
+    try {
+      analyzer.beginCodebase("a", 2);
+      feed("a", "One.tsx", "const x = <div><span /></div>");
+      feed("a", "Two.tsx", "const y = <div />");
+      analyzer.endCodebase("a");
+      analyzer.beginCodebase("b", 1);
+      feed("b", "Three.tsx", "const z = <p />");
+      analyzer.endCodebase("b");
+
+      expect(logSpy).toHaveBeenCalledWith(
+        "   HTML tags: 2 unique tags, 3 total instances",
+      );
+      expect(logSpy).toHaveBeenCalledWith(
+        "   HTML tags: 1 unique tags, 1 total instances",
+      );
+    } finally {
+      logSpy.mockRestore();
+    }
+  });
+});
+
 // ---------------------------------------------------------------------------
 // Integration tests
 // ---------------------------------------------------------------------------
@@ -0,0 +1,195 @@
+const {
+  buildSchemas,
+  invalidProps,
+  createAnalyzer,
+  sortResults,
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+} = require("../invalid-values/analyze-invalid-values");
+const {
+  analyzeFileContent,
+} = require("../per-component/analyze-per-component");
+const { createContext } = require("../lib/context");
+const { manifestDeclarations } = require("../lib/declarations");
+const { parseSource } = require("../lib/parser");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ctx = createContext({
+  uiLibraries: [{ name: "Sanity UI", importSources: ["@sanity/ui"] }],
+  propSchemas: {
+    Button: { tone: ["default", "primary", "critical"] },
+    Text: { size: [0, 1, 2] },
+  },
+});
+
+const DECLARATIONS = {
+  Button: {
+    library: "Sanity UI",
+    file: "config",
+    props: manifestDeclarations(
+      {
+        Button: {
+          tone: ["default", "primary"],
+          mode: ["default", "ghost"],
+          text: {},
+        },
+      },
+      "Sanity UI",
+    ).Button,
+  },
+};
+
+const SCHEMAS = buildSchemas(ctx.propSchemas, DECLARATIONS);
+
+const SOURCE = [
+  `import {Button, Text} from "@sanity/ui"`,
+  `export const A = () => (`,
+  `  <>`,
+  `    <Button tone="danger" mode="ghost" text="Delete" />`,
+  `    <Button tone={'danger'} mode="outline" />`,
+  `    <Button tone={tone} mode="default" />`,
+  `    <Text size={5}>Hi</Text>`,
+  `    <Text size={1} muted />`,
+  `  </>`,
+  `)`,
+].join("\n");
+
+/** Run the analyzer over one file of codebase `app`. */
+function analyze(content, relPath = "src/A.tsx") {
+  const analyzer = createAnalyzer(SCHEMAS);
+  analyzer.file(
+    { codebase: "app", relPath, content },
+    analyzer.analyze({ parsed: parseSource(content, relPath) }),
+  );
+  return sortResults(analyzer.results);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// schemas
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("propSchemas config", () => {
+  test("normalizes the allowed values", () => {
+    expect(ctx.propSchemas).toEqual({
+      Button: { tone: ['"default"', '"primary"', '"critical"'] },
+      Text: { size: ["0", "1", "2"] },
+    });
+  });
+
+  test("rejects a prop without a list of values", () => {
+    expect(() =>
+      createContext({ propSchemas: { Button: { tone: "default" } } }),
+    ).toThrow("propSchemas for Button.tone must list the allowed values.");
+  });
+});
+
+describe("buildSchemas", () => {
+  test("merges declared union types with propSchemas, config first", () => {
+    expect(SCHEMAS).toEqual({
+      Button: {
+        tone: {
+          values: ['"default"', '"primary"', '"critical"'],
+          source: "config",
+        },
+        mode: { values: ['"default"', '"ghost"'], source: "declared" },
+      },
+      Text: { size: { values: ["0", "1", "2"], source: "config" } },
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// matching
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("invalidProps", () => {
+  const instances = analyzeFileContent(
+    parseSource(SOURCE, "A.tsx"),
+    ctx,
+  ).instances;
+
+  test("flags literal values outside the schema", () => {
+    expect(instances.map((i) => invalidProps(i, SCHEMAS))).toEqual([
+      [{ prop: "tone", value: '"danger"' }],
+      [
+        { prop: "tone", value: '"danger"' },
+        { prop: "mode", value: '"outline"' },
+      ],
+      [],
+      [{ prop: "size", value: "5" }],
+      [],
+    ]);
+  });
+
+  test("ignores components without a schema", () => {
+    expect(invalidProps({ component: "Card", props: [] }, SCHEMAS)).toEqual([]);
+  });
+});
+
+describe("createAnalyzer", () => {
+  test("groups instances by component, prop and value with references", () => {
+    const results = analyze(SOURCE);
+    expect(
+      results.map((r) => [r.component, r.prop, r.value, r.count, r.source]),
+    ).toEqual([
+      ["Button", "tone", '"danger"', 2, "config"],
+      ["Button", "mode", '"outline"', 1, "declared"],
+      ["Text", "size", "5", 1, "config"],
+    ]);
+    expect(results[0].byCodebase).toEqual({ app: 2 });
+    expect(results[0].references.map((r) => r.line)).toEqual([4, 5]);
+    expect(results[2].references[0]).toMatchObject({
+      file: "src/A.tsx",
+      codebase: "app",
+      sourceCode: "<Text size={5}>",
+    });
+  });
+
+  test("does nothing without schemas", () => {
+    const analyzer = createAnalyzer({});
+    expect(
+      analyzer.analyze({ parsed: parseSource(SOURCE, "A.tsx") }),
+    ).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// reports
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("generateMarkdown / generateCSV / generateJSON", () => {
+  const results = analyze(SOURCE);
+
+  test("markdown summarizes and lists locations", () => {
+    const md = generateMarkdown(results);
+    expect(md).toContain(
+      "- **4** uses of **3** values outside the allowed set",
+    );
+    expect(md).toContain('## `<Button tone="danger">`');
+    expect(md).toContain("## `<Text size={5}>`");
+    expect(md).toContain("| app | src/A.tsx:7 | `<Text size={5}>` |");
+    expect(generateMarkdown([])).not.toContain("| Value |");
+  });
+
+  test("CSV has one row per instance", () => {
+    const rows = generateCSV(results).trim().split("\n");
+    expect(rows).toHaveLength(5);
+    expect(rows[3]).toBe(
+      '"Button","mode","""outline""","""default"" | ""ghost""","declared","app","src/A.tsx",5,"<Button tone={\'danger\'} mode=""outline"" />"',
+    );
+  });
+
+  test("JSON labels every value", () => {
+    const json = JSON.parse(generateJSON(results));
+    expect(json.totalInstances).toBe(4);
+    expect(json.invalidValues.map((v) => v.label)).toEqual([
+      '<Button tone="danger">',
+      '<Button mode="outline">',
+      "<Text size={5}>",
+    ]);
+  });
+});
@@ -15,6 +15,8 @@ const {
   compact,
   topN,
   padNum,
+  cell,
+  csvField,
 } = require("../lib/utils");
 
 const {
@@ -575,6 +577,30 @@ describe("lib/utils", () => {
       expect(typeof padNum(99, 10)).toBe("string");
     });
   });
+
+  // ── cell / csvField ───────────────────────────────────────────────────────
+
+  describe("cell", () => {
+    test("escapes pipes and collapses newlines", () => {
+      expect(cell("a | b\nc")).toBe("a \\| b c");
+    });
+
+    test("shows null as an em dash and stringifies numbers", () => {
+      expect(cell(null)).toBe("—");
+      expect(cell(3)).toBe("3");
+    });
+  });
+
+  describe("csvField", () => {
+    test("quotes the value and doubles embedded quotes", () => {
+      expect(csvField('say "hi", then go')).toBe('"say ""hi"", then go"');
+    });
+
+    test("writes null as an empty field", () => {
+      expect(csvField(null)).toBe('""');
+      expect(csvField(0)).toBe('"0"');
+    });
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -0,0 +1,569 @@
+const {
+  formatValue,
+  planEdits,
+  loadDefaults,
+  createAnalyzer,
+  formatSummary,
+  parseArgs,
+} = require("../migrate/migrate");
+const { resolveOverlaps, applyEdits, unifiedDiff } = require("../lib/patch");
+const {
+  selectDefaults,
+  describeDefaults,
+  parseArgs: parseFixDefaultsArgs,
+  main: fixDefaults,
+} = require("../migrate/fix-defaults");
+const { detectAllDefaults } = require("../per-component/detect-prop-defaults");
+const { createContext } = require("../lib/context");
+const { parseSource } = require("../lib/parser");
+
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ctx = createContext({
+  uiLibraries: [
+    {
+      name: "Sanity UI",
+      importSources: ["@sanity/ui"],
+      deprecations: [
+        { component: "Inline", migrate: { component: "Flex" } },
+        {
+          component: "Button",
+          prop: "tone",
+          value: "critical",
+          migrate: { value: "danger" },
+        },
+        { component: "Text", prop: "muted", migrate: { prop: "dimmed" } },
+        { component: "Text", prop: "size", value: 0, migrate: { value: 1 } },
+        { component: "Grid", replacement: "Flex" },
+      ],
+    },
+    { name: "Other", importSources: ["@other/ui"] },
+  ],
+});
+const RULES = ctx.deprecations;
+
+/** Source after applying the planned edits. */
+function migrate(content, defaults = {}) {
+  const plan = planEdits(parseSource(content, "A.tsx"), RULES, defaults, ctx);
+  return { after: applyEdits(content, plan.edits), ...plan };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// patch
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("resolveOverlaps / applyEdits", () => {
+  test("keeps the first edit for a range and applies the rest", () => {
+    const edits = resolveOverlaps([
+      { start: 4, end: 7, text: "X" },
+      { start: 0, end: 1, text: "" },
+      { start: 5, end: 9, text: "lost" },
+      { start: 9, end: 9, text: "!" },
+      { start: 9, end: 9, text: "?" },
+    ]);
+    expect(edits.map((e) => e.text)).toEqual(["", "X", "!"]);
+    expect(applyEdits("abcdefghij", edits)).toBe("bcdXhi!j");
+  });
+});
+
+describe("unifiedDiff", () => {
+  test("renders hunks with context and line ranges", () => {
+    const before = "a\nb\nc\nd\ne\nf\ng\nh\ni\nj\nk\nl\n";
+    const after = before.replace("b\n", "B\n").replace("k\n", "");
+    expect(unifiedDiff(before, after, "src/x.js")).toBe(
+      [
+        "--- a/src/x.js",
+        "+++ b/src/x.js",
+        "@@ -1,5 +1,5 @@",
+        " a",
+        "-b",
+        "+B",
+        " c",
+        " d",
+        " e",
+        "@@ -8,5 +8,4 @@",
+        " h",
+        " i",
+        " j",
+        "-k",
+        " l",
+        "",
+      ].join("\n"),
+    );
+  });
+
+  test("merges nearby changes and marks a missing final newline", () => {
+    expect(unifiedDiff("a\nb\nc\nd", "A\nb\nc\nD", "x")).toBe(
+      [
+        "--- a/x",
+        "+++ b/x",
+        "@@ -1,4 +1,4 @@",
+        "-a",
+        "+A",
+        " b",
+        " c",
+        "-d",
+        "\\ No newline at end of file",
+        "+D",
+        "\\ No newline at end of file",
+        "",
+      ].join("\n"),
+    );
+    expect(unifiedDiff("same\n", "same\n", "x")).toBe("");
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// config
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("migrate config", () => {
+  test("normalizes migrations and rejects ones that do not fit", () => {
+    expect(RULES[0].migrate).toEqual({
+      component: "Flex",
+      prop: null,
+      value: null,
+    });
+    expect(RULES[3].migrate.value).toBe(1);
+    expect(RULES[4].migrate).toBeNull();
+
+    const build = (entry) =>
+      createContext({ uiLibraries: [{ name: "UI", deprecations: [entry] }] });
+    expect(() =>
+      build({ component: "Text", prop: "size", migrate: { component: "T" } }),
+    ).toThrow(
+      'Migration for Text in "UI" renames the component of a prop deprecation.',
+    );
+    expect(() => build({ component: "Text", migrate: { value: "x" } })).toThrow(
+      'Migration for Text in "UI" rewrites a prop',
+    );
+  });
+
+  test("formats values the way JSX writes them", () => {
+    expect(formatValue("danger")).toBe('"danger"');
+    expect(formatValue('say "hi"')).toBe('{"say \\"hi\\""}');
+    expect(formatValue(2)).toBe("{2}");
+    expect(formatValue(false)).toBe("{false}");
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// planning
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("planEdits", () => {
+  test("swaps components, renames props and remaps values", () => {
+    const { after, skipped } = migrate(
+      [
+        `import {Button, Inline, Text} from "@sanity/ui"`,
+        `import * as UI from "@sanity/ui"`,
+        `export const A = () => (`,
+        `  <Inline space={2}>`,
+        `    <Inline><Button tone="critical" text="Delete" /></Inline>`,
+        `    <Button tone={'critical'} mode="ghost" />`,
+        `    <UI.Inline>x</UI.Inline>`,
+        `    <Text muted size={0}>Hi</Text>`,
+        `  </Inline>`,
+        `)`,
+      ].join("\n"),
+    );
+    expect(after).toBe(
+      [
+        `import {Button, Flex, Text} from "@sanity/ui"`,
+        `import * as UI from "@sanity/ui"`,
+        `export const A = () => (`,
+        `  <Flex space={2}>`,
+        `    <Flex><Button tone="danger" text="Delete" /></Flex>`,
+        `    <Button tone="danger" mode="ghost" />`,
+        `    <UI.Flex>x</UI.Flex>`,
+        `    <Text dimmed size={1}>Hi</Text>`,
+        `  </Flex>`,
+        `)`,
+      ].join("\n"),
+    );
+    expect(skipped).toEqual([]);
+  });
+
+  test("updates import specifiers to fit the rest of the file", () => {
+    // Aliased: only the import changes.
+    expect(
+      migrate(`import {Inline as Row} from "@sanity/ui"\n<Row />`).after,
+    ).toBe(`import {Flex as Row} from "@sanity/ui"\n<Row />`);
+
+    // Still used as a value: keep the old specifier next to the new one.
+    expect(
+      migrate(
+        `import {Inline, Card} from "@sanity/ui"\nconst S = styled(Inline)\`\`\nconst A = <Inline />`,
+      ).after,
+    ).toBe(
+      `import {Inline, Flex, Card} from "@sanity/ui"\nconst S = styled(Inline)\`\`\nconst A = <Flex />`,
+    );
+
+    // Used as a plain identifier, a type or a member tag: keep it too.
+    expect(
+      migrate(
+        [
+          `import {Inline} from "@sanity/ui"`,
+          `const Row = flag ? Inline : "div"`,
+          `type P = ComponentProps<typeof Inline>`,
+          `const A = <Inline><Inline.Item /></Inline>`,
+        ].join("\n"),
+      ).after,
+    ).toBe(
+      [
+        `import {Inline, Flex} from "@sanity/ui"`,
+        `const Row = flag ? Inline : "div"`,
+        `type P = ComponentProps<typeof Inline>`,
+        `const A = <Flex><Inline.Item /></Flex>`,
+      ].join("\n"),
+    );
+
+    // Already imported: drop the old specifier.
+    expect(
+      migrate(
+        `import {Inline,\n  Flex} from "@sanity/ui"\n<Inline><Flex /></Inline>`,
+      ).after,
+    ).toBe(`import {Flex} from "@sanity/ui"\n<Flex><Flex /></Flex>`);
+  });
+
+  test("renames the closing tag the parser pairs with the opening one", () => {
+    expect(
+      migrate(
+        [
+          `import {Inline} from "@sanity/ui"`,
+          `<Inline title="</Inline>">`,
+          `  {/* </Inline> */}`,
+          `  {"</Inline>"}<Inline>x</Inline>`,
+          `</Inline >`,
+        ].join("\n"),
+      ).after,
+    ).toBe(
+      [
+        `import {Flex} from "@sanity/ui"`,
+        `<Flex title="</Inline>">`,
+        `  {/* </Inline> */}`,
+        `  {"</Inline>"}<Flex>x</Flex>`,
+        `</Flex >`,
+      ].join("\n"),
+    );
+  });
+
+  test("skips what cannot be rewritten mechanically", () => {
+    const bound = `import {Flex} from "@other/ui"\nimport {Inline} from "@sanity/ui"\n<Inline />`;
+    expect(migrate(bound)).toMatchObject({
+      after: bound,
+      skipped: [{ line: 3, reason: '"Flex" is already bound in this file' }],
+    });
+
+    const aliased = `import {Inline as Row} from "@sanity/ui"\nconst R = typeof Row\nconst A = <Row />`;
+    expect(migrate(aliased)).toMatchObject({
+      after: aliased,
+      skipped: [
+        { line: 3, reason: '"Row" is also used outside the migrated tags' },
+      ],
+    });
+
+    const taken = `import {Text} from "@sanity/ui"\n<Text muted dimmed />`;
+    expect(migrate(taken).skipped).toEqual([
+      { line: 2, reason: "<Text> already sets dimmed" },
+    ]);
+
+    const other = `import {Button} from "@other/ui"\n<Button tone="critical" />`;
+    expect(migrate(other)).toEqual({ after: other, edits: [], skipped: [] });
+  });
+
+  test("drops props set to their detected default", () => {
+    const defaults = {
+      Button: { mode: '"default"', tone: '"danger"' },
+      Text: { size: "1" },
+    };
+    const { after, edits } = migrate(
+      [
+        `import {Button, Text} from "@sanity/ui"`,
+        `<Button mode="default" tone="critical" />`,
+        `<Button`,
+        `  text="Go"`,
+        `  mode={"default"}`,
+        `/>`,
+        `<Button {...rest} mode="default" />`,
+        `<Text size={0} />`,
+      ].join("\n"),
+      defaults,
+    );
+    expect(after).toBe(
+      [
+        `import {Button, Text} from "@sanity/ui"`,
+        `<Button tone="danger" />`,
+        `<Button`,
+        `  text="Go"`,
+        `/>`,
+        `<Button {...rest} mode="default" />`,
+        `<Text size={1} />`,
+      ].join("\n"),
+    );
+    expect(edits.map((e) => e.kind)).toEqual([
+      "default",
+      "value",
+      "default",
+      "value",
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// defaults + pipeline
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("loadDefaults", () => {
+  let tmp;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(
+      path.join(os.tmpdir(), "component-analytics-migrate-"),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test("keeps high-confidence defaults unless asked for more", () => {
+    const dir = path.join(tmp, "components", "detail");
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, "Flex.json"),
+      JSON.stringify({
+        component: "Flex",
+        totalInstances: 20,
+        props: {
+          direction: {
+            totalUsages: 12,
+            values: { '"row"': 2, '"column"': 10 },
+          },
+          wrap: { totalUsages: 7, values: { '"nowrap"': 3, '"wrap"': 4 } },
+        },
+      }),
+    );
+    expect(loadDefaults(tmp)).toEqual({ Flex: { direction: '"row"' } });
+    expect(loadDefaults(tmp, "medium")).toEqual({
+      Flex: { direction: '"row"', wrap: '"nowrap"' },
+    });
+  });
+
+  test("asks for the per-component step when its reports are missing", () => {
+    expect(() => loadDefaults(tmp)).toThrow(
+      "run `npm run analyze:per-component` first",
+    );
+  });
+});
+
+describe("fix-defaults", () => {
+  let tmp;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(
+      path.join(os.tmpdir(), "component-analytics-fix-defaults-"),
+    );
+    const dir = path.join(tmp, "components", "detail");
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(
+      path.join(dir, "Flex.json"),
+      JSON.stringify({
+        component: "Flex",
+        totalInstances: 20,
+        props: {
+          direction: {
+            totalUsages: 12,
+            values: { '"row"': 2, '"column"': 10 },
+          },
+          wrap: { totalUsages: 7, values: { '"nowrap"': 3, '"wrap"': 4 } },
+          hidden: { totalUsages: 21, values: { true: 20, false: 1 } },
+        },
+      }),
+    );
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test("keeps the detected defaults at or above the threshold", () => {
+    const detected = detectAllDefaults(tmp);
+    expect(detected.map((d) => [d.prop, d.confidence])).toEqual([
+      ["direction", "high"],
+      ["wrap", "medium"],
+      ["hidden", "low"],
+    ]);
+
+    expect(selectDefaults(detected)).toEqual({
+      Flex: { direction: '"row"' },
+    });
+    expect(describeDefaults(selectDefaults(detected, "low"))).toEqual([
+      'Flex direction="row"',
+      'Flex wrap="nowrap"',
+      "Flex hidden={false}",
+    ]);
+  });
+
+  test("reads every component report, tracked by name or not", () => {
+    fs.writeFileSync(
+      path.join(tmp, "components", "detail", "UntrackedWidget.json"),
+      JSON.stringify({
+        component: "UntrackedWidget",
+        totalInstances: 10,
+        props: { size: { totalUsages: 2, values: { 2: 1, 3: 1 } } },
+      }),
+    );
+    expect(
+      [...new Set(detectAllDefaults(tmp, {}).map((d) => d.component))].sort(),
+    ).toEqual(["Flex", "UntrackedWidget"]);
+  });
+
+  test("describes defaults sorted by component", () => {
+    expect(
+      describeDefaults({
+        Text: { size: "1" },
+        Button: { mode: '"default"', disabled: "false" },
+      }),
+    ).toEqual([
+      'Button mode="default"',
+      "Button disabled={false}",
+      "Text size={1}",
+    ]);
+    expect(describeDefaults({})).toEqual([]);
+  });
+
+  test("lists the defaults it drops on a dry run", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+    const write = jest
+      .spyOn(process.stdout, "write")
+      .mockImplementation(() => true);
+    try {
+      expect(await fixDefaults(["--reports", tmp, "--dry-run"])).toBe(0);
+      const lines = error.mock.calls.map((call) => call[0]);
+      expect(lines.slice(0, 2)).toEqual([
+        "Dropping 1 default(s) (high confidence and up):",
+        '  Flex direction="row"',
+      ]);
+      expect(lines).toContain("\n(dry run — no files were written)");
+      expect(log).not.toHaveBeenCalled();
+    } finally {
+      error.mockRestore();
+      log.mockRestore();
+      write.mockRestore();
+    }
+  });
+
+  test("parses the confidence threshold", () => {
+    expect(parseFixDefaultsArgs([])).toMatchObject({
+      dryRun: false,
+      confidence: "high",
+    });
+    expect(
+      parseFixDefaultsArgs(["--confidence", "medium", "--dry-run"]),
+    ).toMatchObject({ dryRun: true, confidence: "medium" });
+    expect(() => parseFixDefaultsArgs(["--confidence", "some"])).toThrow(
+      "--confidence requires one of high, medium, low.",
+    );
+  });
+
+  test("stops before rewriting when there is nothing to drop", async () => {
+    const error = jest.spyOn(console, "error").mockImplementation(() => {});
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      expect(await fixDefaults(["--reports", path.join(tmp, "none")])).toBe(1);
+      expect(error).toHaveBeenCalledWith(
+        expect.stringContaining("run `npm run analyze:per-component` first"),
+      );
+
+      fs.rmSync(path.join(tmp, "components", "detail", "Flex.json"));
+      expect(await fixDefaults(["--reports", tmp])).toBe(0);
+      expect(log).toHaveBeenCalledWith(
+        "No defaults detected at high confidence.",
+      );
+      expect(await fixDefaults(["--bogus"])).toBe(1);
+    } finally {
+      error.mockRestore();
+      log.mockRestore();
+    }
+  });
+});
+
+describe("createAnalyzer / formatSummary / parseArgs", () => {
+  test("collects the rewritten content and summarizes it", () => {
+    const analyzer = createAnalyzer(RULES);
+    const feed = (relPath, content) => {
+      const file = {
+        codebase: "app",
+        relPath,
+        path: `/app/${relPath}`,
+        content,
+      };
+      // Planning without a context uses the test config's libraries.
+      file.parsed = parseSource(content, relPath);
+      analyzer.file(file, analyzer.analyze(file));
+    };
+    feed(
+      "A.tsx",
+      `import {Button} from "@sanity/ui"\n<Button tone="critical" />`,
+    );
+    feed("B.tsx", `export const B = 1`);
+
+    expect(analyzer.changes).toHaveLength(1);
+    expect(analyzer.changes[0].after).toBe(
+      `import {Button} from "@sanity/ui"\n<Button tone="danger" />`,
+    );
+    expect(
+      formatSummary([
+        ...analyzer.changes,
+        {
+          codebase: "app",
+          relPath: "C.tsx",
+          edits: [],
+          skipped: [{ line: 4, reason: "<Inline> is imported through ./ui" }],
+        },
+      ]),
+    ).toEqual([
+      "1 file(s) migrated",
+      "       1  prop values remapped",
+      "",
+      "1 instance(s) need a manual migration:",
+      "  app/C.tsx:4  <Inline> is imported through ./ui",
+    ]);
+  });
+
+  test("parses flags", () => {
+    expect(parseArgs([])).toMatchObject({
+      dryRun: false,
+      dropDefaults: false,
+      confidence: "high",
+    });
+    expect(
+      parseArgs([
+        "--dry-run",
+        "--drop-defaults",
+        "--confidence",
+        "medium",
+        "--reports",
+        "out",
+      ]),
+    ).toEqual({
+      dryRun: true,
+      dropDefaults: true,
+      confidence: "medium",
+      reports: path.resolve("out"),
+    });
+    expect(() => parseArgs(["--confidence", "all"])).toThrow(
+      "--confidence requires one of high, medium, low.",
+    );
+    expect(() => parseArgs(["--reports"])).toThrow("--reports requires");
+    expect(() => parseArgs(["--all"])).toThrow('Unknown argument "--all"');
+  });
+});
@@ -0,0 +1,468 @@
+const {
+  parseSource,
+  toParsed,
+  openingTagSource,
+  parseStyleObject,
+  findIdentifierUses,
+  scriptKindFor,
+  clearParseCache,
+} = require("../lib/parser");
+
+const ts = require("typescript");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// scriptKindFor
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("scriptKindFor", () => {
+  test("maps extensions to dialects", () => {
+    expect(scriptKindFor("a.tsx")).toBe(ts.ScriptKind.TSX);
+    expect(scriptKindFor("a.ts")).toBe(ts.ScriptKind.TS);
+    expect(scriptKindFor("a.jsx")).toBe(ts.ScriptKind.JSX);
+    expect(scriptKindFor("a.js")).toBe(ts.ScriptKind.JSX);
+  });
+
+  test("defaults to TSX when the name is missing or unknown", () => {
+    expect(scriptKindFor()).toBe(ts.ScriptKind.TSX);
+    expect(scriptKindFor("README")).toBe(ts.ScriptKind.TSX);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// imports
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("parseSource — imports", () => {
+  test("normalises default, named, aliased and namespace specifiers", () => {
+    const { imports } = parseSource(
+      [
+        `import React, {useState} from "react"`,
+        `import {Button, Card as UICard} from "@sanity/ui"`,
+        `import * as Icons from "@sanity/icons"`,
+      ].join("\n"),
+    );
+
+    expect(imports.map((i) => i.source)).toEqual([
+      "react",
+      "@sanity/ui",
+      "@sanity/icons",
+    ]);
+    expect(imports[0].specifiers).toEqual([
+      { kind: "default", imported: "default", local: "React", typeOnly: false },
+      {
+        kind: "named",
+        imported: "useState",
+        local: "useState",
+        typeOnly: false,
+      },
+    ]);
+    expect(imports[1].specifiers[1]).toEqual({
+      kind: "named",
+      imported: "Card",
+      local: "UICard",
+      typeOnly: false,
+    });
+    expect(imports[2].specifiers).toEqual([
+      { kind: "namespace", imported: "*", local: "Icons", typeOnly: false },
+    ]);
+  });
+
+  test("marks type-only imports", () => {
+    const { imports } = parseSource(
+      `import type {ButtonProps} from "@sanity/ui"\nimport {type CardProps, Card} from "@sanity/ui"`,
+    );
+    expect(imports[0].typeOnly).toBe(true);
+    expect(imports[0].specifiers[0].typeOnly).toBe(true);
+    expect(imports[1].specifiers.map((s) => s.typeOnly)).toEqual([true, false]);
+  });
+
+  test("records side-effect imports with no specifiers", () => {
+    const { imports } = parseSource(`import "./styles.css"`);
+    expect(imports).toHaveLength(1);
+    expect(imports[0].specifiers).toEqual([]);
+  });
+
+  test("records the statement range and line for multi-line imports", () => {
+    const content = `// header\nimport {\n  Button,\n  Card,\n} from "@sanity/ui";\n`;
+    const [imp] = parseSource(content).imports;
+    expect(imp.line).toBe(2);
+    expect(content.slice(imp.start, imp.end)).toBe(
+      `import {\n  Button,\n  Card,\n} from "@sanity/ui";`,
+    );
+  });
+
+  test("ignores import-like text inside strings and comments", () => {
+    const { imports } = parseSource(
+      `const s = "import {Button} from '@sanity/ui'"\n// import {Card} from "@sanity/ui"`,
+    );
+    expect(imports).toEqual([]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// elements
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("parseSource — elements", () => {
+  test("returns elements in source order with names and lines", () => {
+    const { elements } = parseSource(
+      `<Card>\n  <Flex>\n    <div />\n  </Flex>\n</Card>`,
+    );
+    expect(elements.map((e) => [e.name, e.line, e.intrinsic])).toEqual([
+      ["Card", 1, false],
+      ["Flex", 2, false],
+      ["div", 3, true],
+    ]);
+  });
+
+  test("records the nearest enclosing element as parent", () => {
+    const { elements } = parseSource(
+      `<Card><Flex><Text /></Flex><Box /></Card>`,
+    );
+    expect(elements.map((e) => e.parent)).toEqual([null, 0, 1, 0]);
+  });
+
+  test("elements passed as props are not children of the receiving element", () => {
+    const { elements } = parseSource(`<Card><Button icon={<Icon />} /></Card>`);
+    const icon = elements.find((e) => e.name === "Icon");
+    expect(icon.parent).toBe(0);
+  });
+
+  test("splits member tags into root and member", () => {
+    const [el] = parseSource(`<Menu.Item text="x" />`).elements;
+    expect(el.name).toBe("Menu.Item");
+    expect(el.root).toBe("Menu");
+    expect(el.member).toBe("Item");
+    expect(el.intrinsic).toBe(false);
+  });
+
+  test("distinguishes self-closing from tags with children", () => {
+    const { elements } = parseSource(`<Box><Text /></Box>`);
+    expect(elements[0].selfClosing).toBe(false);
+    expect(elements[0].hasChildren).toBe(true);
+    expect(elements[1].selfClosing).toBe(true);
+    expect(elements[1].hasChildren).toBe(false);
+  });
+
+  test("records where the closing tag name starts", () => {
+    const content = `<Box>{"</Box>"}<Box /></Box>`;
+    const { elements } = parseSource(content);
+    expect(content.slice(elements[0].closingName)).toBe("Box>");
+    expect(elements[1].closingName).toBeNull();
+  });
+
+  test("opening-tag range ends after the `>` even when strings contain `>`", () => {
+    const content = `<Button text="a > b" onClick={() => a > b}>go</Button>`;
+    const parsed = parseSource(content);
+    const [el] = parsed.elements;
+    expect(content.slice(el.start, el.end)).toBe(
+      `<Button text="a > b" onClick={() => a > b}>`,
+    );
+    expect(content.slice(el.start, el.nameEnd)).toBe("<Button");
+    expect(openingTagSource(parsed, el)).toBe(
+      `<Button text="a > b" onClick={() => a > b}>`,
+    );
+  });
+
+  test("does not treat TypeScript generics as tags", () => {
+    const { elements, hasJSX } = parseSource(
+      `const items: Array<string> = useState<Item[]>([])`,
+    );
+    expect(elements).toEqual([]);
+    expect(hasJSX).toBe(false);
+  });
+
+  test("ignores tags inside strings, templates and comments", () => {
+    const { elements } = parseSource(
+      "const a = '<div>'\nconst b = `<span>`\n// <Button />\n/* <Card> */",
+    );
+    expect(elements).toEqual([]);
+  });
+
+  test("tolerates fragments and unclosed tags", () => {
+    const { elements } = parseSource(`<Card style={{minHeight: "100%"}}>`);
+    expect(elements).toHaveLength(1);
+    expect(elements[0].attributes[0].value).toBe(`{minHeight: "100%"}`);
+  });
+
+  test("reads a tag on the line after an unterminated expression", () => {
+    const content = [
+      "const Root = styled(Card)`",
+      "  background: red;",
+      "`",
+      '  <Text style={{color: "blue"}}>text</Text>',
+    ].join("\n");
+    const parsed = parseSource(content);
+    expect(parsed.elements.map((e) => [e.name, e.line])).toEqual([["Text", 4]]);
+    expect(parsed.styledCalls).toHaveLength(1);
+    expect(parsed.content).toBe(content);
+  });
+
+  test("leaves multi-line comparisons in valid files alone", () => {
+    const { elements } = parseSource(`const less = a\n  <b`);
+    expect(elements).toEqual([]);
+  });
+
+  test("reports fragments through hasJSX", () => {
+    expect(parseSource(`const a = <>text</>`).hasJSX).toBe(true);
+  });
+
+  test("parses .ts files without JSX", () => {
+    const { elements, imports } = parseSource(
+      `import {x} from "y"\nconst v = <T>value`,
+      "file.ts",
+    );
+    expect(imports).toHaveLength(1);
+    expect(elements).toEqual([]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// attributes
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("parseSource — attributes", () => {
+  const content = `<Button mode="ghost" tone='primary' padding={[2, 3]} disabled {...rest} data-testid="btn" />`;
+  const [el] = parseSource(content).elements;
+
+  test("uses the legacy value format for each kind", () => {
+    expect(
+      el.attributes.map((a) => ({
+        name: a.name,
+        kind: a.kind,
+        value: a.value,
+      })),
+    ).toEqual([
+      { name: "mode", kind: "string", value: "'ghost'" },
+      { name: "tone", kind: "string", value: "'primary'" },
+      { name: "padding", kind: "expression", value: "[2, 3]" },
+      { name: "disabled", kind: "boolean", value: "true" },
+      { name: "", kind: "spread", value: "rest" },
+      { name: "data-testid", kind: "string", value: "'btn'" },
+    ]);
+  });
+
+  test("records source ranges for each attribute", () => {
+    const padding = el.attributes.find((a) => a.name === "padding");
+    expect(content.slice(padding.start, padding.end)).toBe("padding={[2, 3]}");
+  });
+
+  test("trims multi-line expression values", () => {
+    const [multi] = parseSource(
+      `<Card\n  style={{\n    color: "red",\n  }}\n/>`,
+    ).elements;
+    expect(multi.attributes[0].value).toBe(`{\n    color: "red",\n  }`);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// styled()
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("parseSource — styled calls", () => {
+  test("captures template, attrs, generic and call forms", () => {
+    const { styledCalls } = parseSource(
+      [
+        "export const Root = styled(Card)`\n  color: red;\n`",
+        "const Wrapper = styled(Box).attrs({padding: 2})`margin: 0;`",
+        "const Typed = styled(Flex)<{gap: number}>`gap: 1px;`",
+        "const Fn = styled(Stack)(rootStyle)",
+      ].join("\n"),
+    );
+
+    expect(
+      styledCalls.map((c) => [c.component, c.kind, c.variableName, c.content]),
+    ).toEqual([
+      ["Card", "template", "Root", "color: red;"],
+      ["Box", "template", "Wrapper", "margin: 0;"],
+      ["Flex", "template", "Typed", "gap: 1px;"],
+      ["Stack", "call", "Fn", "rootStyle"],
+    ]);
+    expect(styledCalls[3].line).toBe(6);
+  });
+
+  test("keeps member-expression targets and anonymous calls", () => {
+    const [call] = parseSource(
+      "export default styled(UI.Card)`color: red;`",
+    ).styledCalls;
+    expect(call.component).toBe("UI.Card");
+    expect(call.variableName).toBeNull();
+  });
+
+  test("records the name top-level styled components are exported as", () => {
+    const { styledCalls } = parseSource(
+      [
+        "export const Root = styled(Card)`color: red;`",
+        "const Inner = styled(Box)`margin: 0;`",
+        "const Local = styled(Flex)`gap: 1px;`",
+        "function f() { const Root = styled(Stack)`` }",
+        "export { Inner as Panel }",
+      ].join("\n"),
+    );
+    expect(styledCalls.map((c) => [c.variableName, c.exported])).toEqual([
+      ["Root", "Root"],
+      ["Inner", "Panel"],
+      ["Local", null],
+      ["Root", null],
+    ]);
+  });
+
+  test("ignores bare styled(X) without a template or call", () => {
+    expect(parseSource("const f = styled(Card)").styledCalls).toEqual([]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// value references
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("parseSource — value references", () => {
+  test("collects PascalCase identifiers in value positions", () => {
+    const { valueReferences } = parseSource(
+      [
+        `import {CloseIcon, EditIcon, AddIcon} from "@sanity/icons"`,
+        `const items = [{icon: EditIcon}, {AddIcon}]`,
+        `const list = [CloseIcon]`,
+        `<Button icon={CloseIcon} />`,
+      ].join("\n"),
+    );
+    expect(valueReferences.map((r) => r.name)).toEqual([
+      "EditIcon",
+      "AddIcon",
+      "CloseIcon",
+      "CloseIcon",
+    ]);
+  });
+
+  test("ignores lowercase identifiers and JSX tag names", () => {
+    const { valueReferences } = parseSource(`<Button icon={icon} />`);
+    expect(valueReferences).toEqual([]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// component definitions
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("parseSource — component definitions", () => {
+  const parsed = parseSource(
+    [
+      `export const Primary = (p) => <Button tone="primary" {...p} />`,
+      `const Field = React.forwardRef(function Field(props, ref) {`,
+      `  if (!props.label) return null`,
+      `  const format = () => { return "x" }`,
+      `  return (<TextInput ref={ref} {...props} />)`,
+      `})`,
+      `export default Field`,
+      `function List(p) { return p.open ? <><Item /></> : null }`,
+      `export { List as Items }`,
+      `const Memo = memo(forwardRef((p, r) => <Card {...p} />))`,
+      `const helper = () => <div />`,
+      `const Value = 1`,
+    ].join("\n"),
+  );
+
+  test("records functions, forwardRef and memo wrappers with their exports", () => {
+    expect(
+      parsed.definitions.map((d) => [d.name, d.kind, d.exported, d.line]),
+    ).toEqual([
+      ["Primary", "function", "Primary", 1],
+      ["Field", "forwardRef", "default", 2],
+      ["List", "function", "Items", 8],
+      ["Memo", "memo", null, 10],
+    ]);
+  });
+
+  test("points every rendered value at its JSX element", () => {
+    const rendered = (name) =>
+      parsed.definitions
+        .find((d) => d.name === name)
+        .returns.map((i) => (i === null ? null : parsed.elements[i].name));
+    expect(rendered("Primary")).toEqual(["Button"]);
+    expect(rendered("Field")).toEqual(["TextInput"]);
+    expect(rendered("List")).toEqual([null]);
+    expect(rendered("Memo")).toEqual(["Card"]);
+  });
+
+  test("notes whether the function takes props", () => {
+    const { definitions } = parseSource(`function Page() { return <Stack /> }`);
+    expect(definitions[0].hasProps).toBe(false);
+    expect(parsed.definitions[0].hasProps).toBe(true);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// parseStyleObject
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("parseStyleObject", () => {
+  test("reads names, literal values and sources", () => {
+    expect(
+      parseStyleObject(
+        `{ display: 'flex', "--gap": \`4px\`, margin: -2, color, ...rest, width: w + 1 }`,
+      ),
+    ).toEqual([
+      { name: "display", value: "flex", source: "'flex'" },
+      { name: "--gap", value: "4px", source: "`4px`" },
+      { name: "margin", value: -2, source: "-2" },
+      { name: "color", value: null, source: "color" },
+      { name: "", value: null, source: "...rest" },
+      { name: "width", value: null, source: "w + 1" },
+    ]);
+  });
+
+  test("is null for anything but an object literal", () => {
+    expect(parseStyleObject("styles.row")).toBeNull();
+    expect(parseStyleObject("")).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// findIdentifierUses
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("findIdentifierUses", () => {
+  test("finds values, types, tags and local exports but not names", () => {
+    const content = [
+      `import {Card} from "@sanity/ui"`,
+      `export {Card as Panel} from "./panel"`,
+      `const S = flag ? Card : "div"`,
+      `type P = ComponentProps<typeof Card>`,
+      `const A = <Card.Header Card={ui.Card}>{{ Card: 1 }.Card}</Card.Header>`,
+      `export {Card}`,
+    ].join("\n");
+    const uses = findIdentifierUses(parseSource(content, "A.tsx"), "Card");
+    const lineOf = (offset) => content.slice(0, offset).split("\n").length;
+    expect(uses.map(lineOf)).toEqual([3, 4, 5, 5, 6]);
+    expect(uses.map((offset) => content[offset - 1])).toEqual([
+      " ",
+      " ",
+      "<",
+      "/",
+      "{",
+    ]);
+  });
+
+  test("is empty when the name does not appear", () => {
+    expect(findIdentifierUses(parseSource("<Box />"), "Card")).toEqual([]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// memoisation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("memoisation", () => {
+  test("returns the same object for the same content and dialect", () => {
+    clearParseCache();
+    const a = parseSource("<Card />");
+    expect(parseSource("<Card />")).toBe(a);
+    expect(parseSource("<Card />", "x.ts")).not.toBe(a);
+  });
+
+  test("toParsed passes parsed files through unchanged", () => {
+    const parsed = parseSource("<Box />");
+    expect(toParsed(parsed)).toBe(parsed);
+    expect(toParsed("<Box />")).toBe(parsed);
+  });
+});
@@ -13,12 +13,18 @@ const {
   createEmptyReport,
   recordProp,
   mergeFileResult,
+  applyWrapperInstances,
   applyAutoDetectedDefaults,
   buildComponentJson,
   generateSummaryCSV,
   generateSummaryJSON,
   generateSummaryMarkdown,
 } = require("../per-component/analyze-per-component");
+const { parseSource } = require("../lib/parser");
+
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // lineNumberAt
@@ -323,6 +329,110 @@ describe("buildTrackedUIImportMap", () => {
     const { components: map } = buildTrackedUIImportMap(content);
     expect(map).toEqual({ Button: "Button" });
   });
+
+  test("resolves namespace imports through member-expression tags", () => {
+    const content = `
+      import * as UI from '@sanity/ui'
+      const a = <UI.Card padding={2}><UI.Button /></UI.Card>
+      const b = <UI.SomethingRandom />
+    `;
+    const { components, sources } = buildTrackedUIImportMap(content);
+    expect(components).toEqual({ "UI.Card": "Card", "UI.Button": "Button" });
+    expect(sources["UI.Card"]).toBe("@sanity/ui");
+  });
+
+  test("resolves compound components on a tracked root", () => {
+    const content = `
+      import { Menu as M } from '@sanity/ui'
+      const a = <M><M.Item text="x" /></M>
+    `;
+    const { components } = buildTrackedUIImportMap(content);
+    expect(components).toEqual({ M: "Menu", "M.Item": "Menu.Item" });
+  });
+
+  test("resolves default + named import combinations", () => {
+    const content = `
+      import Card, { Button } from '@sanity/ui'
+      import Flex from '@sanity/ui/Flex'
+    `;
+    const { components } = buildTrackedUIImportMap(content);
+    expect(components).toEqual({ Card: "Card", Button: "Button", Flex: "Flex" });
+  });
+
+  test("ignores type-only imports", () => {
+    const content = `import type { Button } from '@sanity/ui'`;
+    expect(buildTrackedUIImportMap(content).components).toEqual({});
+  });
+});
+
+describe("buildTrackedUIImportMap — re-export barrels", () => {
+  let root;
+  const file = () => path.join(root, "src/pages/Home.tsx");
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "component-analytics-"));
+    fs.mkdirSync(path.join(root, "src/ui"), { recursive: true });
+    fs.mkdirSync(path.join(root, "src/pages"), { recursive: true });
+    fs.writeFileSync(
+      path.join(root, "src/ui/index.ts"),
+      `export { Button, Menu } from "@sanity/ui";\nexport * from "./Local";`,
+    );
+    fs.writeFileSync(
+      path.join(root, "src/ui/Local.tsx"),
+      `export function Local() { return null }`,
+    );
+  });
+
+  afterAll(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test("credits components re-exported from a tracked library", () => {
+    const content = `
+      import { Button as Btn, Local } from '../ui'
+      const a = <><Btn /><Local /></>
+    `;
+    const { components, sources, reExports } = buildTrackedUIImportMap(
+      parseSource(content, file()),
+    );
+    expect(components).toEqual({ Btn: "Button" });
+    expect(sources.Btn).toBe("@sanity/ui");
+    expect(reExports).toEqual({ Btn: "../ui" });
+  });
+
+  test("resolves namespace and compound members through the barrel", () => {
+    const content = `
+      import * as UI from '../ui'
+      import { Menu } from '../ui'
+      const a = <UI.Button><Menu.Item /></UI.Button>
+    `;
+    const { components, reExports } = buildTrackedUIImportMap(
+      parseSource(content, file()),
+    );
+    expect(components).toEqual({
+      Menu: "Menu",
+      "UI.Button": "Button",
+      "Menu.Item": "Menu.Item",
+    });
+    expect(reExports["UI.Button"]).toBe("../ui");
+    expect(reExports["Menu.Item"]).toBe("../ui");
+  });
+
+  test("ignores barrels when the file name is unknown", () => {
+    const content = `import { Button } from '../ui'`;
+    expect(buildTrackedUIImportMap(content).components).toEqual({});
+  });
+
+  test("flags references to re-exported instances", () => {
+    const content = `import { Button } from '../ui'\nconst a = <Button mode="ghost" />`;
+    const result = analyzeFileContent(parseSource(content, file()));
+    expect(result.instances[0].viaReExport).toBe("../ui");
+
+    const reports = {};
+    mergeFileResult(reports, result, "Studio", "src/pages/Home.tsx", content);
+    expect(reports.Button.totalInstances).toBe(1);
+    expect(reports.Button.references[0].viaReExport).toBe("../ui");
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1030,6 +1140,53 @@ describe("analyzeFileContent", () => {
     expect(result.instances.length).toBe(1);
     expect(result.instances[0].hasChildren).toBe(false);
   });
+
+  test("records namespace and compound instances under the original export", () => {
+    const content = `
+      import * as UI from '@sanity/ui'
+      import { Menu } from '@sanity/ui'
+      const a = (
+        <UI.Card tone="primary">
+          <Menu><Menu.Item text="Open" /></Menu>
+        </UI.Card>
+      )
+    `;
+    const result = analyzeFileContent(content);
+
+    expect(result.instances.map((i) => i.component)).toEqual([
+      "Card",
+      "Menu",
+      "Menu.Item",
+    ]);
+    expect(result.instances[0].props).toEqual([
+      { name: "tone", value: "'primary'" },
+    ]);
+    expect(result.sourceMap["UI.Card"]).toBe("@sanity/ui");
+  });
+
+  test("records the direct parent and children of each instance", () => {
+    const content = `
+      import { Box as B, Text } from '@sanity/ui'
+      const a = (
+        <B>
+          <Row><Text>Hi</Text></Row>
+          <Text />
+          <span />
+        </B>
+      )
+    `;
+    const [box, text, inner] = analyzeFileContent(content).instances;
+
+    expect(box.parent).toBeNull();
+    expect(box.children).toEqual([
+      { name: "Row", kind: "internal" },
+      { name: "Text", kind: "tracked" },
+      { name: "span", kind: "html" },
+    ]);
+    expect(text.parent).toEqual({ name: "Row", kind: "internal" });
+    expect(inner.parent).toEqual({ name: "Box", kind: "tracked" });
+    expect(inner.children).toEqual([]);
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1049,6 +1206,11 @@ describe("createEmptyReport", () => {
       codebaseImports: {},
       codebaseInstances: {},
       references: [],
+      wrappedInstances: 0,
+      codebaseWrappedInstances: {},
+      wrapperReferences: [],
+      parents: { tracked: {}, internal: {}, html: {} },
+      children: { tracked: {}, internal: {}, html: {} },
       totalDefaultUsages: 0,
     });
   });
@@ -1724,6 +1886,133 @@ describe("mergeFileResult", () => {
     expect(reports.Button.totalInstances).toBe(3);
     expect(reports.Button.instancesWithChildren).toBe(2);
   });
+
+  test("counts direct parents and children by kind", () => {
+    const reports = {};
+    mergeFileResult(
+      reports,
+      analyzeFileContent(`
+        import { Card, Text } from '@sanity/ui'
+        const a = (
+          <div>
+            <Card><Text /><Text /><p /></Card>
+            <Card><Header /></Card>
+          </div>
+        )
+      `),
+      "Studio",
+      "src/A.tsx",
+    );
+
+    expect(reports.Card.parents).toEqual({
+      tracked: {},
+      internal: {},
+      html: { div: 2 },
+    });
+    expect(reports.Card.children).toEqual({
+      tracked: { Text: 2 },
+      internal: { Header: 1 },
+      html: { p: 1 },
+    });
+    expect(reports.Text.parents.tracked).toEqual({ Card: 2 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// applyWrapperInstances
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("applyWrapperInstances", () => {
+  const primary = {
+    name: "PrimaryButton",
+    exported: "PrimaryButton",
+    component: "Button",
+    library: "Sanity UI",
+    line: 3,
+  };
+  const files = new Map([
+    [
+      "/app/src/Buttons.tsx",
+      { relPath: "src/Buttons.tsx", wrappers: [primary], forwards: [] },
+    ],
+    [
+      "/app/src/Big.tsx",
+      {
+        relPath: "src/Big.tsx",
+        wrappers: [],
+        forwards: [
+          {
+            name: "Big",
+            exported: "default",
+            renders: { file: "/app/src/Buttons.tsx", name: "PrimaryButton" },
+            line: 2,
+          },
+        ],
+      },
+    ],
+  ]);
+  const use = (file, name, line) => ({
+    file,
+    name,
+    line,
+    sourceCode: `<X line={${line}} />`,
+    codebase: "Studio",
+    relPath: "src/App.tsx",
+  });
+  const uses = [
+    use("/app/src/Buttons.tsx", "PrimaryButton", 4),
+    use("/app/src/Big.tsx", "default", 5),
+    use("/app/src/Other.tsx", "Other", 6),
+  ];
+
+  test("counts wrapper instances toward the wrapped component", () => {
+    const reports = { Button: createEmptyReport("Button") };
+    reports.Button.totalInstances = 1;
+    applyWrapperInstances(reports, files, uses, 3);
+
+    expect(reports.Button.wrappedInstances).toBe(2);
+    expect(reports.Button.codebaseWrappedInstances).toEqual({ Studio: 2 });
+    expect(reports.Button.wrapperReferences[1]).toEqual({
+      file: "src/App.tsx",
+      packageVersion: null,
+      line: 5,
+      codebase: "Studio",
+      sourceCode: "<X line={5} />",
+      via: [
+        { name: "Big", file: "src/Big.tsx", line: 2 },
+        { name: "PrimaryButton", file: "src/Buttons.tsx", line: 3 },
+      ],
+    });
+
+    const json = buildComponentJson(reports.Button);
+    expect(json.effectiveInstances).toBe(3);
+    expect(json.wrapperReferences).toHaveLength(2);
+  });
+
+  test("respects the depth limit", () => {
+    const reports = {};
+    applyWrapperInstances(reports, files, uses, 1);
+    expect(reports.Button.wrappedInstances).toBe(1);
+    expect(reports.Button.library).toBe("Sanity UI");
+  });
+
+  test("shows effective instances in the summaries", () => {
+    const reports = { Button: createEmptyReport("Button") };
+    reports.Button.totalInstances = 1;
+    applyWrapperInstances(reports, files, uses, 3);
+
+    expect(JSON.parse(generateSummaryJSON(reports))).toMatchObject({
+      totalInstances: 1,
+      totalEffectiveInstances: 3,
+      components: [{ component: "Button", effectiveInstances: 3 }],
+    });
+    expect(generateSummaryCSV(reports).split("\n")[1]).toMatch(
+      /^"Button",0,1,3,/,
+    );
+    expect(generateSummaryMarkdown(reports)).toContain(
+      "- **Effective instances:** 3 (2 through internal wrappers)",
+    );
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1779,6 +2068,20 @@ describe("buildComponentJson", () => {
     );
   });
 
+  test("includes parent and child counts sorted by count", () => {
+    const report = createEmptyReport("Card");
+    report.parents.html = { div: 1, section: 3 };
+    report.children.tracked = { Text: 2, Stack: 5 };
+
+    expect(buildComponentJson(report).composition).toEqual({
+      parents: { tracked: {}, internal: {}, html: { section: 3, div: 1 } },
+      children: { tracked: { Stack: 5, Text: 2 }, internal: {}, html: {} },
+    });
+    expect(
+      Object.keys(buildComponentJson(report).composition.children.tracked),
+    ).toEqual(["Stack", "Text"]);
+  });
+
   test("sorts props by usage count descending", () => {
     const report = createEmptyReport("Button");
     report.totalInstances = 10;
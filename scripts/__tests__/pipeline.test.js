@@ -0,0 +1,353 @@
+const {
+  collect,
+  runPipeline,
+  timed,
+  formatDuration,
+} = require("../lib/pipeline");
+const { parseSource } = require("../lib/parser");
+const { createCache } = require("../lib/cache");
+const {
+  createAnalyzer: createComboAnalyzer,
+} = require("../prop-combos/analyze-prop-combos");
+
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+// Codebases not listed in the config resolve to `codebases/<name>` under
+// the project root (git-ignored), so the fixture lives there.
+const CODEBASES_DIR = path.resolve(__dirname, "../../codebases");
+let codebase;
+
+beforeAll(() => {
+  fs.mkdirSync(CODEBASES_DIR, { recursive: true });
+  const root = fs.mkdtempSync(path.join(CODEBASES_DIR, "pipeline-test-"));
+  codebase = path.basename(root);
+  fs.mkdirSync(path.join(root, "src"));
+  fs.writeFileSync(
+    path.join(root, "src/A.tsx"),
+    `import {Button} from "@sanity/ui"\nexport const A = () => <Button mode="ghost" />`,
+  );
+  fs.writeFileSync(
+    path.join(root, "src/B.jsx"),
+    `export const B = () => <div />`,
+  );
+  fs.writeFileSync(path.join(root, "src/ignored.ts"), `export const c = 1`);
+});
+
+afterAll(() => {
+  fs.rmSync(path.join(CODEBASES_DIR, codebase), {
+    recursive: true,
+    force: true,
+  });
+  if (fs.readdirSync(CODEBASES_DIR).length === 0) fs.rmdirSync(CODEBASES_DIR);
+});
+
+/** Analyzer that records every hook call. */
+function recorder(name) {
+  const calls = [];
+  return {
+    name,
+    calls,
+    beginCodebase: (cb, count) => calls.push(["begin", cb, count]),
+    file: (file) => calls.push(["file", file]),
+    endCodebase: (cb) => calls.push(["end", cb]),
+    finish: () => calls.push(["finish"]),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// collect
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("collect", () => {
+  test("reads and parses each file once and hands it to every analyzer", async () => {
+    const a = recorder("a");
+    const b = recorder("b");
+    const stats = await collect([a, b], { codebases: [codebase], quiet: true });
+
+    expect(stats.fileCount).toBe(2);
+    expect(Object.keys(stats.stepMs)).toEqual(["a", "b"]);
+
+    const filesA = a.calls.filter((c) => c[0] === "file").map((c) => c[1]);
+    const filesB = b.calls.filter((c) => c[0] === "file").map((c) => c[1]);
+    expect(filesA.map((f) => f.relPath).sort()).toEqual([
+      path.join("src", "A.tsx"),
+      path.join("src", "B.jsx"),
+    ]);
+    // Both analyzers receive the very same parsed file objects.
+    expect(filesB).toEqual(filesA);
+    expect(filesB[0].parsed).toBe(filesA[0].parsed);
+
+    const fileA = filesA.find((f) => f.relPath.endsWith("A.tsx"));
+    expect(fileA.codebase).toBe(codebase);
+    expect(path.isAbsolute(fileA.path)).toBe(true);
+    expect(fileA.parsed.filename).toBe(fileA.path);
+    expect(fileA.parsed.elements[0].name).toBe("Button");
+  });
+
+  test("brackets each codebase with begin/end and does not finish", async () => {
+    const a = recorder("a");
+    await collect([a], { codebases: [codebase], quiet: true });
+
+    expect(a.calls[0]).toEqual(["begin", codebase, 2]);
+    expect(a.calls[a.calls.length - 1]).toEqual(["end", codebase]);
+    expect(a.calls.some((c) => c[0] === "finish")).toBe(false);
+  });
+
+  test("skips codebases that do not exist", async () => {
+    const a = recorder("a");
+    const stats = await collect([a], {
+      codebases: ["does-not-exist-xyz-99"],
+      quiet: true,
+    });
+    expect(stats.fileCount).toBe(0);
+    expect(a.calls).toEqual([]);
+  });
+
+  test("logs progress unless quiet", async () => {
+    const logSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    try {
+      await collect([], { codebases: [codebase, "does-not-exist-xyz-99"] });
+      const lines = logSpy.mock.calls.map((c) => c[0]);
+      expect(lines).toContain(`\n📊 Analyzing ${codebase}...`);
+      expect(lines).toContain("   Found 2 component files");
+      expect(lines).toContain(
+        "⚠️  Skipping does-not-exist-xyz-99: path not found",
+      );
+    } finally {
+      logSpy.mockRestore();
+    }
+  });
+
+  test("tolerates analyzers without optional hooks", async () => {
+    await expect(
+      collect([{ name: "bare" }], { codebases: [codebase], quiet: true }),
+    ).resolves.toEqual(expect.objectContaining({ fileCount: 2 }));
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// collect — worker threads
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("collect with concurrency", () => {
+  const combos = [
+    { component: "Button", props: ["mode"] },
+    { component: "Card", props: ["tone"] },
+  ];
+
+  test("produces the same results as a serial run", async () => {
+    const serial = createComboAnalyzer(combos);
+    const parallel = createComboAnalyzer(combos);
+    await collect([serial], { codebases: [codebase], quiet: true });
+    const stats = await collect([parallel], {
+      codebases: [codebase],
+      quiet: true,
+      concurrency: 2,
+    });
+
+    expect(stats.fileCount).toBe(2);
+    expect(JSON.stringify(parallel.results)).toBe(
+      JSON.stringify(serial.results),
+    );
+    expect(parallel.results[0].comboCounts).toEqual({ '"ghost"': 1 });
+  });
+
+  test("delivers files in order and keeps main-thread analyzers working", async () => {
+    const offloaded = {
+      name: "offloaded",
+      worker: { module: require.resolve("../html-tags/analyze-html-tags") },
+      analyze: () => {
+        throw new Error("should run in a worker");
+      },
+      seen: [],
+      file(file, result) {
+        this.seen.push([file.relPath, result.totalTags]);
+      },
+    };
+    const local = recorder("local");
+    await collect([offloaded, local], {
+      codebases: [codebase],
+      quiet: true,
+      concurrency: 2,
+    });
+
+    const localFiles = local.calls.filter((c) => c[0] === "file");
+    expect(offloaded.seen.map((s) => s[0])).toEqual(
+      localFiles.map((c) => c[1].relPath),
+    );
+    expect(Object.fromEntries(offloaded.seen)).toEqual({
+      [path.join("src", "A.tsx")]: 0,
+      [path.join("src", "B.jsx")]: 1,
+    });
+    // The AST is parsed lazily on the main thread for local analyzers.
+    const fileB = localFiles.find((c) => c[1].relPath.endsWith("B.jsx"))[1];
+    expect(fileB.parsed.elements[0].name).toBe("div");
+  });
+
+  test("rejects when a worker cannot load its analyzer", async () => {
+    const broken = {
+      name: "broken",
+      worker: { module: path.join(__dirname, "does-not-exist.js") },
+      analyze: () => null,
+    };
+    await expect(
+      collect([broken], { codebases: [codebase], quiet: true, concurrency: 2 }),
+    ).rejects.toThrow(/does-not-exist/);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// collect — persistent cache
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("collect with a cache", () => {
+  const combos = [{ component: "Button", props: ["mode"] }];
+  let cacheDir;
+
+  beforeEach(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "pipeline-cache-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  /** Run the prop-combos analyzer once, counting `analyze` calls. */
+  async function run(options = {}) {
+    const analyzer = createComboAnalyzer(combos);
+    const analyze = jest.spyOn(analyzer, "analyze");
+    const cache = createCache({
+      analyzers: [analyzer],
+      config: { combos },
+      dir: cacheDir,
+    });
+    await collect([analyzer], {
+      codebases: [codebase],
+      quiet: true,
+      cache,
+      ...options,
+    });
+    return { analyzer, analyze, cache };
+  }
+
+  test("skips analysis of unchanged files and rebuilds the same results", async () => {
+    const first = await run();
+    expect(first.analyze).toHaveBeenCalledTimes(2);
+    expect(first.cache.stats).toEqual({ hits: 0, misses: 2 });
+
+    const second = await run();
+    expect(second.analyze).not.toHaveBeenCalled();
+    expect(second.cache.stats).toEqual({ hits: 2, misses: 0 });
+    expect(JSON.stringify(second.analyzer.results)).toBe(
+      JSON.stringify(first.analyzer.results),
+    );
+  });
+
+  test("does not dispatch cached files to workers", async () => {
+    const first = await run();
+    const second = await run({ concurrency: 2 });
+    expect(second.cache.stats.hits).toBe(2);
+    expect(JSON.stringify(second.analyzer.results)).toBe(
+      JSON.stringify(first.analyzer.results),
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// runPipeline
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("runPipeline", () => {
+  test("calls finish once per analyzer after every file", async () => {
+    const a = recorder("a");
+    const stats = await runPipeline([a], {
+      codebases: [codebase],
+      quiet: true,
+    });
+
+    expect(a.calls[a.calls.length - 1]).toEqual(["finish"]);
+    expect(a.calls.filter((c) => c[0] === "finish")).toHaveLength(1);
+    expect(stats.stepMs.a).toBeGreaterThanOrEqual(0);
+  });
+
+  test("skips analyzers without a finish hook", async () => {
+    const stats = await runPipeline([{ name: "bare" }], {
+      codebases: [codebase],
+      quiet: true,
+    });
+    expect(stats.stepMs.bare).toBeGreaterThanOrEqual(0);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// timing helpers
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("timed / formatDuration", () => {
+  test("accumulates time per key and returns the result", () => {
+    const counters = {};
+    expect(timed(counters, "x", () => 42)).toBe(42);
+    timed(counters, "x", () => null);
+    expect(counters.x).toBeGreaterThanOrEqual(0);
+  });
+
+  test("records time even when the function throws", () => {
+    const counters = {};
+    expect(() =>
+      timed(counters, "x", () => {
+        throw new Error("boom");
+      }),
+    ).toThrow("boom");
+    expect(counters.x).toBeGreaterThanOrEqual(0);
+  });
+
+  test("formats milliseconds and seconds", () => {
+    expect(formatDuration(12.4)).toBe("12ms");
+    expect(formatDuration(1234)).toBe("1.2s");
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// prop-combos analyzer
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("prop-combos createAnalyzer", () => {
+  test("tallies every configured combo from one pass over the files", () => {
+    const analyzer = createComboAnalyzer([
+      { component: "Button", props: ["mode", "tone"] },
+      { component: "Button", props: ["padding"] },
+      { component: "Card", props: ["tone"] },
+    ]);
+    const content = [
+      `import {Button, Card} from "@sanity/ui"`,
+      `const a = <Button mode="ghost" />`,
+      `const b = <Button mode="ghost" tone="primary" />`,
+      `const c = <Card tone="transparent" />`,
+    ].join("\n");
+
+    const file = {
+      codebase: "Studio",
+      path: "/abs/File.tsx",
+      relPath: "File.tsx",
+      content,
+      parsed: parseSource(content),
+    };
+    analyzer.beginCodebase("Studio");
+    analyzer.file(file, analyzer.analyze(file));
+
+    const [modeTone, padding, card] = analyzer.results;
+    expect(modeTone.totalInstances).toBe(2);
+    expect(modeTone.comboCounts).toEqual({
+      '"ghost" × (unset)': 1,
+      '"ghost" × "primary"': 1,
+    });
+    expect(modeTone.comboCountsByCodebase.Studio).toEqual(modeTone.comboCounts);
+    expect(modeTone.instances[1]).toEqual(
+      expect.objectContaining({ file: "File.tsx", line: 3 }),
+    );
+    expect(padding.matchedInstances).toBe(0);
+    expect(card.comboCounts).toEqual({ '"transparent"': 1 });
+  });
+});
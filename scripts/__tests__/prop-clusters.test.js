@@ -0,0 +1,190 @@
+const {
+  literalInstances,
+  subsets,
+  clusterLabel,
+  createAnalyzer,
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+} = require("../prop-clusters/analyze-prop-clusters");
+const { createContext } = require("../lib/context");
+const { parseSource } = require("../lib/parser");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const OPTIONS = { minInstances: 3, minProps: 2 };
+
+const APP = [
+  `import {Text, Button} from "@sanity/ui"`,
+  `export const A = () => (`,
+  `  <>`,
+  `    <Text size={1} muted weight="semibold">A</Text>`,
+  `    <Text size={1} muted weight="semibold">B</Text>`,
+  `    <Text size={1} muted weight="semibold" align={align}>C</Text>`,
+  `    <Text size={1} muted>D</Text>`,
+  `    <Text size={2} muted>E</Text>`,
+  `    <Button tone="primary" mode={mode} />`,
+  `  </>`,
+  `)`,
+].join("\n");
+
+const ADMIN = [
+  `import {Text} from "@sanity/ui"`,
+  `export const B = () => <Text size={1} muted weight="semibold" />`,
+].join("\n");
+
+/** Run the analyzer over the app and admin files. */
+function analyze(options = OPTIONS) {
+  const analyzer = createAnalyzer(options);
+  for (const [codebase, content] of [
+    ["app", APP],
+    ["admin", ADMIN],
+  ]) {
+    const file = {
+      codebase,
+      relPath: `src/${codebase}.tsx`,
+      content,
+      parsed: parseSource(content, `${codebase}.tsx`),
+    };
+    analyzer.file(file, analyzer.analyze(file));
+  }
+  return analyzer.clusters();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// configuration
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("propClusters config", () => {
+  test("defaults and validates the thresholds", () => {
+    expect(createContext({}).propClusters).toEqual({
+      minInstances: 10,
+      minProps: 2,
+    });
+    expect(
+      createContext({ propClusters: { minInstances: 4 } }).propClusters,
+    ).toEqual({ minInstances: 4, minProps: 2 });
+    expect(() => createContext({ propClusters: { minInstances: 0 } })).toThrow(
+      "propClusters.minInstances must be a positive integer.",
+    );
+    expect(() => createContext({ propClusters: { minProps: 1 } })).toThrow(
+      "propClusters.minProps must be an integer of at least 2.",
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// per-file analysis
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("literalInstances", () => {
+  test("keeps literal props of instances with enough of them", () => {
+    const { totals, instances } = literalInstances(parseSource(APP, "A.tsx"));
+    expect(totals).toEqual({ Text: 5, Button: 1 });
+    expect(instances).toHaveLength(5);
+    expect(instances[2].props).toEqual([
+      ["muted", "true"],
+      ["size", "1"],
+      ["weight", '"semibold"'],
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// aggregation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("subsets", () => {
+  test("lists subsets within the size bounds", () => {
+    expect(subsets(["a", "b", "c"], 2, 3)).toEqual([
+      ["a", "b"],
+      ["a", "b", "c"],
+      ["a", "c"],
+      ["b", "c"],
+    ]);
+    expect(subsets(["a", "b", "c"], 2, 2)).toHaveLength(3);
+  });
+});
+
+describe("clusterLabel", () => {
+  test("renders the set as JSX", () => {
+    expect(
+      clusterLabel("Text", { muted: "true", size: "1", weight: '"bold"' }),
+    ).toBe('<Text muted size={1} weight="bold">');
+  });
+});
+
+describe("createAnalyzer", () => {
+  test("ranks repeated prop sets by the attributes they replace", () => {
+    expect(analyze().map((c) => [c.label, c.instances, c.savings])).toEqual([
+      ['<Text muted size={1} weight="semibold">', 4, 12],
+      ["<Text muted size={1}>", 5, 10],
+    ]);
+  });
+
+  test("drops sets a larger set occurs with exactly as often", () => {
+    const labels = analyze().map((c) => c.label);
+    expect(labels).not.toContain('<Text muted weight="semibold">');
+    expect(labels).not.toContain('<Text size={1} weight="semibold">');
+  });
+
+  test("counts per codebase and keeps example references", () => {
+    const [top] = analyze();
+    expect(top.componentInstances).toBe(6);
+    expect(top.byCodebase).toEqual({ app: 3, admin: 1 });
+    expect(top.examples).toHaveLength(3);
+    expect(top.examples[0]).toEqual({
+      codebase: "app",
+      file: "src/app.tsx",
+      line: 4,
+      sourceCode: '<Text size={1} muted weight="semibold">',
+    });
+  });
+
+  test("respects the thresholds", () => {
+    expect(analyze({ minInstances: 5, minProps: 2 })).toHaveLength(1);
+    expect(analyze({ minInstances: 3, minProps: 3 })).toHaveLength(1);
+    expect(analyze({ minInstances: 6, minProps: 2 })).toEqual([]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// reports
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("generateMarkdown / generateCSV / generateJSON", () => {
+  const clusters = analyze();
+
+  test("markdown ranks clusters and lists examples", () => {
+    const md = generateMarkdown(clusters, OPTIONS);
+    expect(md).toContain("- **2** clusters across **1** components");
+    expect(md).toContain(
+      '| 1 | `<Text muted size={1} weight="semibold">` | 3 | 4 | 66.7% | 12 |',
+    );
+    expect(md).toContain(
+      '- app: src/app.tsx:6 — `<Text size={1} muted weight="semibold" align={align}>`',
+    );
+    expect(generateMarkdown([], OPTIONS)).not.toContain("| Rank |");
+  });
+
+  test("CSV has one row per cluster", () => {
+    const rows = generateCSV(clusters).trim().split("\n");
+    expect(rows).toHaveLength(3);
+    expect(rows[2]).toBe(
+      '"Text","<Text muted size={1}>",2,5,6,10,"app: src/app.tsx:4"',
+    );
+  });
+
+  test("JSON has the thresholds and clusters", () => {
+    const json = JSON.parse(generateJSON(clusters, OPTIONS));
+    expect(json.minInstances).toBe(3);
+    expect(json.totalClusters).toBe(2);
+    expect(json.clusters[0].props).toEqual({
+      muted: "true",
+      size: "1",
+      weight: '"semibold"',
+    });
+  });
+});
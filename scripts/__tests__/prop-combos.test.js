@@ -0,0 +1,199 @@
+const {
+  createAnalyzer,
+  comboCorrelation,
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+  UNSET,
+} = require("../prop-combos/analyze-prop-combos");
+const { parseSource } = require("../lib/parser");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const DISCOVERY = { pairsPerComponent: 1, minCoUsage: 3, minValues: 2 };
+
+const APP = [
+  `import {Button, Text} from "@sanity/ui"`,
+  `export const A = () => (`,
+  `  <>`,
+  `    <Button tone="primary" mode="default" text="Save" />`,
+  `    <Button tone="primary" mode="default" text="Publish" />`,
+  `    <Button tone="critical" mode="ghost" text="Delete" />`,
+  `    <Button tone="critical" mode="ghost" />`,
+  `    <Button tone={tone} />`,
+  `    <Text size={1} muted />`,
+  `    <Text size={2} muted />`,
+  `    <Text size={1} muted />`,
+  `  </>`,
+  `)`,
+].join("\n");
+
+/** Run the discovery analyzer over the app file. */
+function discover(options = DISCOVERY) {
+  const analyzer = createAnalyzer([], options);
+  const file = {
+    codebase: "app",
+    relPath: "src/A.tsx",
+    content: APP,
+    parsed: parseSource(APP, "A.tsx"),
+  };
+  analyzer.beginCodebase("app");
+  analyzer.file(file, analyzer.analyze(file));
+  return analyzer.discover();
+}
+
+/** A combo result with the given counts. */
+function result(props, comboCounts) {
+  return {
+    component: "Button",
+    props,
+    totalInstances: 10,
+    matchedInstances: 10,
+    comboCounts,
+    comboCountsByCodebase: {},
+    instances: [],
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// correlation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("comboCorrelation", () => {
+  test("is one when one value determines the other", () => {
+    const correlation = comboCorrelation(
+      result(["tone", "mode"], {
+        '"primary" × "default"': 5,
+        '"critical" × "ghost"': 5,
+        [`"primary" × ${UNSET}`]: 3,
+      }),
+    );
+    expect(correlation).toEqual({
+      instances: 10,
+      mutualInformation: 1,
+      normalized: 1,
+      lift: { '"primary" × "default"': 2, '"critical" × "ghost"': 2 },
+    });
+  });
+
+  test("is zero for independent values", () => {
+    const correlation = comboCorrelation(
+      result(["tone", "mode"], {
+        "a × x": 1,
+        "a × y": 1,
+        "b × x": 1,
+        "b × y": 1,
+      }),
+    );
+    expect(correlation.mutualInformation).toBe(0);
+    expect(correlation.normalized).toBe(0);
+    expect(correlation.lift["a × x"]).toBe(1);
+  });
+
+  test("leaves dynamic values out of the scores", () => {
+    const correlation = comboCorrelation(
+      result(["tone", "icon"], {
+        '"primary" × <variable>': 40,
+        '"critical" × <variable>': 40,
+        '<expression> × "add"': 20,
+        '"primary" × "add"': 5,
+        '"critical" × "trash"': 5,
+      }),
+    );
+    expect(correlation).toEqual({
+      instances: 10,
+      mutualInformation: 1,
+      normalized: 1,
+      lift: { '"primary" × "add"': 2, '"critical" × "trash"': 2 },
+    });
+    expect(
+      comboCorrelation(result(["tone", "icon"], { '"a" × <variable>': 3 })),
+    ).toBeNull();
+  });
+
+  test("is null for single props and without fully set instances", () => {
+    expect(comboCorrelation(result(["tone"], { a: 3 }))).toBeNull();
+    expect(
+      comboCorrelation(result(["tone", "mode"], { [`a × ${UNSET}`]: 3 })),
+    ).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// discovery
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("discovery", () => {
+  test("picks the most co-used pair with enough values per component", () => {
+    const results = discover({ ...DISCOVERY, pairsPerComponent: 2 });
+    expect(results.map((r) => [r.component, r.props])).toEqual([
+      ["Button", ["mode", "tone"]],
+      ["Button", ["mode", "text"]],
+    ]);
+    expect(results.map((r) => r.discovered.coUsage)).toEqual([4, 3]);
+  });
+
+  test("tallies the pair like a configured combo", () => {
+    const [button] = discover();
+    expect(button.props).toEqual(["mode", "tone"]);
+    expect(button.totalInstances).toBe(5);
+    expect(button.matchedInstances).toBe(5);
+    expect(button.comboCounts).toEqual({
+      '"default" × "primary"': 2,
+      '"ghost" × "critical"': 2,
+      [`${UNSET} × <variable>`]: 1,
+    });
+    expect(button.comboCountsByCodebase.app).toEqual(button.comboCounts);
+    expect(button.instances[4]).toEqual({
+      codebase: "app",
+      file: "src/A.tsx",
+      line: 8,
+      values: [UNSET, "<variable>"],
+      sourceCode: "<Button tone={tone} />",
+    });
+  });
+
+  test("skips props with too few literal values", () => {
+    const results = discover({ ...DISCOVERY, pairsPerComponent: 5 });
+    expect(results.some((r) => r.component === "Text")).toBe(false);
+    expect(discover({ ...DISCOVERY, minValues: 3 })).toEqual([]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// reports
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("generateMarkdown / generateCSV / generateJSON", () => {
+  const [button] = discover();
+
+  test("markdown notes the discovery and scores the combinations", () => {
+    const md = generateMarkdown(button);
+    expect(md).toContain(
+      "Discovered automatically: `mode × tone` are set together on 4 instances.",
+    );
+    expect(md).toContain(
+      "- **Mutual information:** 1 bits (normalized 1) across the 4 instances that set every prop to a literal value",
+    );
+    expect(md).toContain('| 1 | `"default"` | `"primary"` | 2 | 40.0% | 2 |');
+    expect(md).toContain("| 3 | `(unset)` | `<variable>` | 1 | 20.0% | — |");
+  });
+
+  test("CSV and JSON carry the lift", () => {
+    const csv = generateCSV(button).trim().split("\n");
+    expect(csv[0].endsWith(",Total,Lift")).toBe(true);
+    expect(csv[csv.length - 1].endsWith(",1,")).toBe(true);
+
+    const json = JSON.parse(generateJSON(button));
+    expect(json.discovered).toEqual({ coUsage: 4 });
+    expect(json.correlation).toEqual({
+      instances: 4,
+      mutualInformation: 1,
+      normalized: 1,
+    });
+    expect(json.combinations[0]).toMatchObject({ count: 2, lift: 2 });
+    expect(json.combinations[2].lift).toBeUndefined();
+  });
+});
@@ -0,0 +1,236 @@
+const {
+  resolveModule,
+  resolveReExport,
+  findPathConfig,
+  expandAlias,
+  clearResolverCache,
+  trackDependencies,
+} = require("../lib/resolver");
+
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+
+const isTracked = (source) => source === "@sanity/ui";
+
+/**
+ * Write a small project into a fresh temp directory.
+ *
+ * @param {Object<string, string>} files - Relative path → content.
+ * @returns {string} Absolute project root.
+ */
+function makeProject(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "component-analytics-"));
+  for (const [rel, content] of Object.entries(files)) {
+    const abs = path.join(root, rel);
+    fs.mkdirSync(path.dirname(abs), { recursive: true });
+    fs.writeFileSync(abs, content);
+  }
+  return root;
+}
+
+let root;
+
+beforeAll(() => {
+  root = makeProject({
+    "tsconfig.json": `{
+      // comments are allowed
+      "compilerOptions": {
+        "baseUrl": ".",
+        "paths": { "@app/*": ["src/*"] },
+      },
+    }`,
+    "src/ui/index.ts": [
+      `export { Button, Card as UICard } from "@sanity/ui";`,
+      `export * from "./layout";`,
+      `export { Local } from "./Local";`,
+      `import { Text } from "@sanity/ui";`,
+      `export { Text };`,
+    ].join("\n"),
+    "src/types.ts": `export type { ButtonProps } from "@sanity/ui";`,
+    "src/ui/layout.ts": `export * from "@sanity/ui";`,
+    "src/ui/Local.tsx": `export function Local() { return null }`,
+    "src/cycle/a.ts": `export * from "./b";`,
+    "src/cycle/b.ts": `export * from "./a";`,
+    "src/pages/Home.tsx": `import { Button } from "../ui";`,
+  });
+});
+
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  clearResolverCache();
+});
+
+const home = () => path.join(root, "src/pages/Home.tsx");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// resolveModule
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("resolveModule", () => {
+  test("resolves relative directories to their index file", () => {
+    expect(resolveModule(home(), "../ui")).toBe(
+      path.join(root, "src/ui/index.ts"),
+    );
+  });
+
+  test("resolves relative files by trying extensions", () => {
+    expect(resolveModule(home(), "../ui/Local")).toBe(
+      path.join(root, "src/ui/Local.tsx"),
+    );
+  });
+
+  test("resolves tsconfig `paths` aliases", () => {
+    expect(resolveModule(home(), "@app/ui")).toBe(
+      path.join(root, "src/ui/index.ts"),
+    );
+  });
+
+  test("resolves through `baseUrl`", () => {
+    expect(resolveModule(home(), "src/ui/layout")).toBe(
+      path.join(root, "src/ui/layout.ts"),
+    );
+  });
+
+  test("returns null for packages and missing files", () => {
+    expect(resolveModule(home(), "@sanity/ui")).toBeNull();
+    expect(resolveModule(home(), "./missing")).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// tsconfig paths
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("findPathConfig / expandAlias", () => {
+  test("finds the nearest config walking upward", () => {
+    const config = findPathConfig(path.join(root, "src/pages"));
+    expect(config.baseUrl).toBe(root);
+    expect(config.paths).toEqual({ "@app/*": ["src/*"] });
+  });
+
+  test("follows relative `extends`", () => {
+    const project = makeProject({
+      "base.json": `{"compilerOptions": {"baseUrl": "lib", "paths": {"~/*": ["*"]}}}`,
+      "app/tsconfig.json": `{"extends": "../base"}`,
+    });
+    try {
+      const config = findPathConfig(path.join(project, "app"));
+      expect(config.baseUrl).toBe(path.join(project, "lib"));
+      expect(expandAlias("~/Button", config)[0]).toBe(
+        path.join(project, "lib/Button"),
+      );
+    } finally {
+      fs.rmSync(project, { recursive: true, force: true });
+    }
+  });
+
+  test("expands exact and wildcard patterns", () => {
+    const config = {
+      baseUrl: null,
+      paths: { "@ui": ["src/ui/index.ts"], "@app/*": ["src/*", "lib/*"] },
+      pathsBase: "/p",
+    };
+    expect(expandAlias("@ui", config)).toEqual([
+      path.resolve("/p/src/ui/index.ts"),
+    ]);
+    expect(expandAlias("@app/ui", config)).toEqual([
+      path.resolve("/p/src/ui"),
+      path.resolve("/p/lib/ui"),
+    ]);
+    expect(expandAlias("lodash", config)).toEqual([]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// resolveReExport
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("resolveReExport", () => {
+  test("follows `export { X } from` to the tracked library", () => {
+    expect(resolveReExport(home(), "../ui", "Button", isTracked)).toEqual({
+      original: "Button",
+      source: "@sanity/ui",
+    });
+  });
+
+  test("maps aliased re-exports back to the original name", () => {
+    expect(resolveReExport(home(), "../ui", "UICard", isTracked)).toEqual({
+      original: "Card",
+      source: "@sanity/ui",
+    });
+  });
+
+  test("follows `export *` chains", () => {
+    expect(resolveReExport(home(), "@app/ui", "Flex", isTracked)).toEqual({
+      original: "Flex",
+      source: "@sanity/ui",
+    });
+  });
+
+  test("follows `import … ; export { X }`", () => {
+    expect(resolveReExport(home(), "../ui", "Text", isTracked)).toEqual({
+      original: "Text",
+      source: "@sanity/ui",
+    });
+  });
+
+  test("returns null for local components and type-only re-exports", () => {
+    expect(
+      resolveReExport(home(), "../types", "ButtonProps", isTracked),
+    ).toBeNull();
+    expect(
+      resolveReExport(home(), "../ui/Local", "Local", isTracked),
+    ).toBeNull();
+  });
+
+  test("returns null for tracked sources, missing files and no filename", () => {
+    expect(resolveReExport(home(), "@sanity/ui", "Button", isTracked)).toBe(
+      null,
+    );
+    expect(resolveReExport(home(), "./nope", "Button", isTracked)).toBeNull();
+    expect(resolveReExport(null, "../ui", "Button", isTracked)).toBeNull();
+  });
+
+  test("terminates on circular `export *`", () => {
+    expect(
+      resolveReExport(home(), "../cycle/a", "Button", isTracked),
+    ).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// trackDependencies
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("trackDependencies", () => {
+  const resolveFlex = () =>
+    resolveReExport(home(), "@app/ui", "Flex", isTracked);
+
+  test("reports barrels and tsconfig files consulted", () => {
+    const { result, dependencies } = trackDependencies(resolveFlex);
+    expect(result).toEqual({ original: "Flex", source: "@sanity/ui" });
+    expect(dependencies).toEqual(
+      [
+        path.join(root, "src/ui/index.ts"),
+        path.join(root, "src/ui/layout.ts"),
+        path.join(root, "tsconfig.json"),
+      ].sort(),
+    );
+  });
+
+  test("reports the same files when answered from cache", () => {
+    const first = trackDependencies(resolveFlex).dependencies;
+    expect(trackDependencies(resolveFlex).dependencies).toEqual(first);
+  });
+
+  test("propagates nested dependencies to the enclosing call", () => {
+    const { dependencies } = trackDependencies(() => {
+      trackDependencies(resolveFlex);
+    });
+    expect(dependencies).toContain(path.join(root, "src/ui/layout.ts"));
+  });
+});
@@ -3,10 +3,16 @@ const {
   categorizeImportSource,
   extractImports,
   countJSXInstances,
+  resolveJSXElement,
   buildImportMap,
   analyzeContent,
   aggregateResults,
 } = require("../sources/analyze-ui-component-sources");
+const { parseSource } = require("../lib/parser");
+
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
 
 describe("parseNamedImports", () => {
   test("parses single component import", () => {
@@ -421,6 +427,80 @@ describe("buildImportMap", () => {
     expect(Object.keys(componentToCategory)).toHaveLength(0);
     expect(categoriesPresent.size).toBe(0);
   });
+
+  test("records namespace imports separately from component names", () => {
+    const { componentToCategory, namespaceToCategory, categoriesPresent } =
+      buildImportMap(`import * as UI from '@sanity/ui'`);
+
+    expect(componentToCategory).toEqual({});
+    expect(namespaceToCategory).toEqual({ UI: "Sanity UI" });
+    expect(categoriesPresent.has("Sanity UI")).toBe(true);
+  });
+
+  test("credits components re-exported by a local barrel to their library", () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "component-analytics-"));
+    try {
+      fs.mkdirSync(path.join(root, "ui"));
+      fs.writeFileSync(
+        path.join(root, "ui/index.ts"),
+        `export { Button } from "@sanity/ui";\nexport { Widget } from "./Widget";`,
+      );
+      fs.writeFileSync(
+        path.join(root, "ui/Widget.tsx"),
+        `export const Widget = 1`,
+      );
+
+      const content = `import { Button, Widget } from './ui'`;
+      const { componentToCategory, categoriesPresent } = buildImportMap(
+        parseSource(content, path.join(root, "Page.tsx")),
+      );
+
+      expect(componentToCategory.Button).toBe("Sanity UI");
+      expect(componentToCategory.Widget).toBe("internal");
+      expect(categoriesPresent.has("Sanity UI")).toBe(true);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
+
+describe("resolveJSXElement", () => {
+  const el = (name) => {
+    const dot = name.indexOf(".");
+    return {
+      name,
+      root: dot === -1 ? name : name.slice(0, dot),
+      member: dot === -1 ? null : name.slice(dot + 1),
+    };
+  };
+  const components = { Menu: "Sanity UI", Widget: "internal" };
+  const namespaces = { UI: "Sanity UI" };
+
+  test("resolves imported names directly", () => {
+    expect(resolveJSXElement(el("Widget"), components, namespaces)).toEqual({
+      name: "Widget",
+      category: "internal",
+    });
+  });
+
+  test("credits namespace members to the member name", () => {
+    expect(resolveJSXElement(el("UI.Card"), components, namespaces)).toEqual({
+      name: "Card",
+      category: "Sanity UI",
+    });
+  });
+
+  test("credits compound components to the full tag name", () => {
+    expect(resolveJSXElement(el("Menu.Item"), components, namespaces)).toEqual({
+      name: "Menu.Item",
+      category: "Sanity UI",
+    });
+  });
+
+  test("returns null for unknown names", () => {
+    expect(resolveJSXElement(el("Local"), components, namespaces)).toBeNull();
+    expect(resolveJSXElement(el("x.Card"), components, namespaces)).toBeNull();
+  });
 });
 
 describe("analyzeContent", () => {
@@ -717,6 +797,24 @@ describe("analyzeContent", () => {
       "Button",
     ]);
   });
+
+  test("credits namespace and compound member tags to the tracked library", () => {
+    const content = `
+      import * as UI from '@sanity/ui'
+      import { Menu } from '@sanity/ui'
+      const a = (
+        <UI.Card>
+          <Menu><Menu.Item /></Menu>
+        </UI.Card>
+      )
+    `;
+    const result = analyzeContent(content);
+    const lib = result.imports.libraries["Sanity UI"];
+
+    expect(lib.count).toBe(3);
+    expect(lib.components.sort()).toEqual(["Card", "Menu", "Menu.Item"]);
+    expect(result.hasAnyLibrary).toBe(true);
+  });
 });
 
 describe("aggregateResults", () => {
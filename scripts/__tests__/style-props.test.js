@@ -0,0 +1,308 @@
+const {
+  pixels,
+  translateProperty,
+  translateStyle,
+  findStyleProps,
+  createAnalyzer,
+  propertySummary,
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+} = require("../style-props/analyze-style-props");
+const {
+  analyzeFileContent,
+} = require("../per-component/analyze-per-component");
+const { createContext, DEFAULT_STYLE_PROPS } = require("../lib/context");
+const { parseSource, parseStyleObject } = require("../lib/parser");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const RULES = createContext({
+  uiLibraries: [
+    {
+      name: "Sanity UI",
+      importSources: ["@sanity/ui"],
+      components: ["Box", "Flex", "Text"],
+    },
+  ],
+}).styleProps;
+
+const identify = (source) => (source === "@sanity/ui" ? "Sanity UI" : null);
+
+const SOURCE = [
+  `import {Box, Flex, Text} from "@sanity/ui"`,
+  `import {Card} from "@other/ui"`,
+  `export const A = () => (`,
+  `  <Flex style={{ flexDirection: 'column', gap: 8 }}>`,
+  `    <Box style={{ padding: 12, color: 'red' }} />`,
+  `    <Box style={{ padding: 10 }} />`,
+  `    <Box style={styles.box} />`,
+  `    <Text style={{ fontWeight: 600 }}>Hi</Text>`,
+  `    <Card style={{ padding: 12 }} />`,
+  `  </Flex>`,
+  `)`,
+].join("\n");
+
+/** Translate one property of `component`. */
+function translate(style, component = "Box") {
+  return translateProperty(parseStyleObject(style)[0], component, RULES);
+}
+
+/** Run the analyzer over the fixture in codebase `app`. */
+function analyze() {
+  const analyzer = createAnalyzer(RULES);
+  const found = findStyleProps(
+    analyzeFileContent(parseSource(SOURCE, "A.tsx")),
+    RULES,
+    identify,
+  );
+  analyzer.file(
+    { codebase: "app", relPath: "src/A.tsx", content: SOURCE },
+    found,
+  );
+  return analyzer.instances;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// config
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("styleProps config", () => {
+  test("narrows the defaults to the library's components", () => {
+    expect(RULES.find((r) => r.property === "padding")).toEqual({
+      library: "Sanity UI",
+      property: "padding",
+      prop: "padding",
+      scale: "space",
+      steps: [0, 4, 8, 12, 20, 32, 52, 84, 136, 220],
+      values: null,
+      components: ["Box", "Flex"],
+    });
+    expect(RULES.some((r) => r.property === "borderRadius")).toBe(false);
+    expect(
+      createContext({
+        uiLibraries: [{ name: "UI", importSources: ["@sanity/ui"] }],
+      }).styleProps,
+    ).toHaveLength(DEFAULT_STYLE_PROPS.length);
+  });
+
+  test("has no defaults for libraries other than Sanity UI", () => {
+    const ctx = createContext({
+      uiLibraries: [{ name: "MUI", importSources: ["@mui/material"] }],
+    });
+    expect(ctx.styleProps).toEqual([]);
+    expect(ctx.allUILibraries[0].scales).toEqual({});
+  });
+
+  test("takes the library's scales and entries, or none with false", () => {
+    const ctx = createContext({
+      uiLibraries: [
+        {
+          name: "A",
+          scales: { space: [0, 8, 16] },
+          styleProps: [
+            { property: "padding", prop: "p", scale: "space" },
+            { property: "flexWrap", prop: "wrap", values: ["wrap"] },
+          ],
+        },
+        { name: "B", styleProps: false },
+      ],
+    });
+    expect(ctx.styleProps).toHaveLength(2);
+    expect(ctx.styleProps[0]).toMatchObject({
+      steps: [0, 8, 16],
+      components: null,
+    });
+    expect(ctx.styleProps[1].values).toEqual({ wrap: "wrap" });
+    expect(ctx.allUILibraries[0].scales).toEqual({ space: [0, 8, 16] });
+  });
+
+  test("rejects incomplete entries, unknown scales and bad scales", () => {
+    const library = (fields) => ({
+      uiLibraries: [{ name: "UI", importSources: ["@sanity/ui"], ...fields }],
+    });
+    expect(() =>
+      createContext(library({ styleProps: [{ property: "padding" }] })),
+    ).toThrow('styleProps entries of "UI" need a property and a prop.');
+    expect(() =>
+      createContext(
+        library({
+          styleProps: [{ property: "padding", prop: "p", scale: "size" }],
+        }),
+      ),
+    ).toThrow(
+      'styleProps entry for padding in "UI" uses unknown scale "size".',
+    );
+    expect(() => createContext(library({ scales: { space: "4px" } }))).toThrow(
+      'scales.space of "UI" must list numbers.',
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// translation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("pixels", () => {
+  test("reads numbers, px values and zero", () => {
+    expect([12, "12px", " 0 ", "1.5rem", "12"].map(pixels)).toEqual([
+      12,
+      12,
+      0,
+      null,
+      null,
+    ]);
+  });
+});
+
+describe("translateProperty", () => {
+  test("maps scale values to their step", () => {
+    expect(translate("{ padding: '12px' }")).toMatchObject({
+      status: "prop",
+      prop: "padding",
+      jsx: "padding={3}",
+    });
+  });
+
+  test("points off-scale values at the nearest step", () => {
+    expect(translate("{ padding: 10 }")).toMatchObject({
+      status: "off-scale",
+      jsx: null,
+      nearest: "padding={2}",
+    });
+  });
+
+  test("maps and checks listed values", () => {
+    expect(translate("{ fontWeight: 600 }", "Text").jsx).toBe(
+      'weight="semibold"',
+    );
+    expect(translate("{ flexDirection: 'column' }", "Flex").jsx).toBe(
+      'direction="column"',
+    );
+    expect(translate("{ flexDirection: 'sideways' }", "Flex").status).toBe(
+      "value",
+    );
+  });
+
+  test("flags computed values and properties without a prop", () => {
+    expect(translate("{ padding: p }").status).toBe("dynamic");
+    expect(translate("{ ...rest }").status).toBe("dynamic");
+    expect(translate("{ color: 'red' }")).toMatchObject({
+      status: "none",
+      prop: null,
+    });
+    expect(translate("{ flexDirection: 'column' }", "Box").status).toBe("none");
+  });
+});
+
+describe("translateStyle", () => {
+  test("is full when every property translates", () => {
+    expect(
+      translateStyle(
+        parseStyleObject("{ flexDirection: 'column', gap: 8 }"),
+        "Flex",
+        RULES,
+      ),
+    ).toMatchObject({
+      status: "full",
+      replacement: 'direction="column" gap={2}',
+    });
+  });
+
+  test("keeps the rest in style when some do", () => {
+    expect(
+      translateStyle(
+        parseStyleObject("{ padding: 12, color: 'red' }"),
+        "Box",
+        RULES,
+      ),
+    ).toMatchObject({
+      status: "partial",
+      replacement: "padding={3} style={{ color: 'red' }}",
+    });
+  });
+});
+
+describe("createAnalyzer", () => {
+  test("keeps object-literal styles of the library's instances", () => {
+    const instances = analyze();
+    expect(instances.map((i) => [i.component, i.translation.status])).toEqual([
+      ["Flex", "full"],
+      ["Box", "partial"],
+      ["Box", "none"],
+      ["Text", "full"],
+    ]);
+    expect(instances[0].reference).toMatchObject({
+      codebase: "app",
+      file: "src/A.tsx",
+      line: 4,
+    });
+  });
+
+  test("summarizes each property", () => {
+    expect(propertySummary(analyze())[0]).toEqual({
+      property: "padding",
+      props: ["padding"],
+      count: 2,
+      statuses: { prop: 1, "off-scale": 1 },
+    });
+  });
+
+  test("skips files when no style props apply", () => {
+    expect(
+      createAnalyzer([]).analyze({ parsed: parseSource(SOURCE, "A.tsx") }),
+    ).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// reports
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("generateMarkdown / generateCSV / generateJSON", () => {
+  const instances = analyze();
+
+  test("markdown has the totals, properties and instance lists", () => {
+    const md = generateMarkdown(instances);
+    expect(md).toContain("- **4** instances with an inline style object");
+    expect(md).toContain("- **2** fully expressible with props");
+    expect(md).toContain("| `padding` | `padding` | 2 | 1 | 1 | 0 | 0 | 0 |");
+    expect(md).toContain("## Fully expressible (2)");
+    expect(md).toContain(
+      "| app | src/A.tsx:5 | `<Box style={{ padding: 12, color: 'red' }} />` | `padding={3} style={{ color: 'red' }}` |  |",
+    );
+    expect(generateMarkdown([])).not.toContain("## Properties");
+  });
+
+  test("markdown explains what stays in style", () => {
+    const offScale = {
+      ...instances[2],
+      translation: translateStyle(
+        parseStyleObject("{ padding: 10, flex: 1 }"),
+        "Box",
+        RULES,
+      ),
+    };
+    expect(generateMarkdown([offScale])).toContain(
+      "`padding: 10` is off the scale (nearest `padding={2}`)",
+    );
+  });
+
+  test("CSV has one row per styled instance", () => {
+    const rows = generateCSV(analyze()).trim().split("\n");
+    expect(rows).toHaveLength(5);
+    expect(rows[4]).toBe(
+      '"app","src/A.tsx",8,"Text","Sanity UI",full,"<Text style={{ fontWeight: 600 }}>","weight=""semibold"""',
+    );
+  });
+
+  test("JSON has the totals per codebase", () => {
+    const json = JSON.parse(generateJSON(analyze()));
+    expect(json.totalInstances).toBe(4);
+    expect(json.full).toBe(2);
+    expect(json.byCodebase.app).toEqual({ full: 2, partial: 1, none: 1 });
+    expect(json.instances[0].translation.properties).toHaveLength(2);
+  });
+});
@@ -0,0 +1,210 @@
+const {
+  buildCatalogue,
+  fileUsage,
+  classifyUsage,
+  createAnalyzer,
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+} = require("../unused-components/analyze-unused-components");
+const {
+  analyzeFileContent,
+} = require("../per-component/analyze-per-component");
+const { createContext } = require("../lib/context");
+const { parseSource } = require("../lib/parser");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ctx = createContext({
+  uiLibraries: [
+    { name: "Sanity UI", importSources: ["@sanity/ui"] },
+    { name: "Icons", importSources: ["@sanity/icons"] },
+  ],
+});
+
+const LIBRARIES = [
+  {
+    name: "Sanity UI",
+    components: ["Button", "Card", "Flex", "Text", "Tooltip"],
+  },
+  { name: "Icons", components: [] },
+];
+
+const CATALOGUE = buildCatalogue(LIBRARIES, {
+  AddIcon: { library: "Icons", file: "config", props: {} },
+  CloseIcon: { library: "Icons", file: "config", props: {} },
+});
+
+const APP = [
+  `import {Button, Card, Flex} from "@sanity/ui"`,
+  `import styled from "styled-components"`,
+  `const Root = styled(Card)\`padding: 0;\``,
+  `export const A = () => (`,
+  `  <Flex><Button text="Go" /><Button /><Root /></Flex>`,
+  `)`,
+].join("\n");
+
+const ADMIN = [
+  `import {Flex, Text} from "@sanity/ui"`,
+  `import {AddIcon} from "@sanity/icons"`,
+  `export const B = () => <Flex><Text>Hi</Text></Flex>`,
+].join("\n");
+
+const identify = (source) =>
+  source === "@sanity/ui"
+    ? "Sanity UI"
+    : source === "@sanity/icons"
+      ? "Icons"
+      : null;
+
+/** Usage of one file, as the worker computes it. */
+function usageOf(content) {
+  const parsed = parseSource(content, "A.tsx");
+  return fileUsage(analyzeFileContent(parsed, ctx), parsed, identify);
+}
+
+/** Run the analyzer over the app and admin files. */
+function analyze() {
+  const analyzer = createAnalyzer(CATALOGUE);
+  analyzer.file({ codebase: "app" }, usageOf(APP));
+  analyzer.file({ codebase: "admin" }, usageOf(ADMIN));
+  return classifyUsage(analyzer.components, ["app", "admin"]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// catalogue
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("buildCatalogue", () => {
+  test("uses listed components, else the declared ones", () => {
+    expect(CATALOGUE).toEqual({
+      Button: "Sanity UI",
+      Card: "Sanity UI",
+      Flex: "Sanity UI",
+      Text: "Sanity UI",
+      Tooltip: "Sanity UI",
+      AddIcon: "Icons",
+      CloseIcon: "Icons",
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// per-file analysis
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("fileUsage", () => {
+  test("counts imports, instances and styled() wrappers", () => {
+    expect(usageOf(APP)).toEqual({
+      imports: ["Button", "Card", "Flex"],
+      instances: { Flex: 1, Button: 2 },
+      styled: { Card: 1 },
+      libraries: { Button: "Sanity UI", Card: "Sanity UI", Flex: "Sanity UI" },
+    });
+  });
+
+  test("skips compound members", () => {
+    const usage = usageOf(
+      `import {Menu} from "@sanity/ui"\nconst A = () => <Menu><Menu.Item /></Menu>`,
+    );
+    expect(usage.imports).toEqual(["Menu"]);
+    expect(usage.instances).toEqual({ Menu: 1 });
+  });
+
+  test("is what the analyzer computes for each file", () => {
+    const parsed = parseSource(`const a = <div />`, "A.tsx");
+    expect(createAnalyzer(CATALOGUE).analyze({ parsed })).toEqual({
+      imports: [],
+      instances: {},
+      styled: {},
+      libraries: {},
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// aggregation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("classifyUsage", () => {
+  const report = analyze();
+
+  test("lists unused, single-codebase and styled-only components", () => {
+    expect(report.unused).toEqual(["CloseIcon", "Tooltip"]);
+    expect(report.singleCodebase).toEqual([
+      "AddIcon",
+      "Button",
+      "Card",
+      "Text",
+    ]);
+  });
+
+  test("keeps used components missing from the catalogue", () => {
+    const analyzer = createAnalyzer({ Button: "Sanity UI" });
+    analyzer.file({ codebase: "app" }, usageOf(APP));
+    expect(analyzer.components.Card).toMatchObject({
+      library: "Sanity UI",
+      catalogued: false,
+      styled: 1,
+    });
+    expect(report.styledOnly).toEqual(["Card"]);
+  });
+
+  test("counts usage per codebase", () => {
+    expect(report.components.Flex).toEqual({
+      library: "Sanity UI",
+      catalogued: true,
+      imports: 2,
+      instances: 2,
+      styled: 0,
+      codebases: {
+        app: { imports: 1, instances: 1, styled: 0 },
+        admin: { imports: 1, instances: 1, styled: 0 },
+      },
+    });
+  });
+
+  test("has no single-codebase list with one codebase", () => {
+    expect(classifyUsage(report.components, ["app"]).singleCodebase).toEqual(
+      [],
+    );
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// reports
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("generateMarkdown / generateCSV / generateJSON", () => {
+  const report = analyze();
+
+  test("markdown has a section per list", () => {
+    const md = generateMarkdown(report);
+    expect(md).toContain("- **2** of 7 catalogued components are never used");
+    expect(md).toContain("| Tooltip | Sanity UI |");
+    expect(md).toContain("| Button | Sanity UI | app | 1 | 2 |");
+    expect(md).toContain("| Card | Sanity UI | 1 | app |");
+    expect(generateMarkdown(classifyUsage({}, ["app"]))).not.toContain(
+      "| Component |",
+    );
+  });
+
+  test("CSV has one row per listed component", () => {
+    const rows = generateCSV(report).trim().split("\n");
+    expect(rows).toHaveLength(7);
+    expect(rows).toContain(
+      '"Sanity UI","Card","single-codebase styled-only","app",1,0,1',
+    );
+    expect(rows).toContain('"Icons","CloseIcon","unused","",0,0,0');
+  });
+
+  test("JSON has the lists and per-codebase counts", () => {
+    const json = JSON.parse(generateJSON(report));
+    expect(json.unused).toEqual(["CloseIcon", "Tooltip"]);
+    expect(json.components.Text.codebases).toEqual({
+      admin: { imports: 1, instances: 1, styled: 0 },
+    });
+  });
+});
@@ -0,0 +1,286 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  findWrappers,
+  createWrapperResolver,
+  createAnalyzer,
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+} = require("../wrapper-discovery/analyze-wrapper-discovery");
+const { parseSource } = require("../lib/parser");
+const { clearResolverCache } = require("../lib/resolver");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const BUTTONS = [
+  `import {Button, Card, TextInput} from "@sanity/ui"`,
+  `import {forwardRef} from "react"`,
+  `import styled from "styled-components"`,
+  `export const PrimaryButton = (props) => <Button tone="primary" mode="ghost" {...props} />`,
+  `export const Field = forwardRef(function Field(props, ref) {`,
+  `  if (props.hidden) return null`,
+  `  return <TextInput ref={ref} fontSize={2} {...props} />`,
+  `})`,
+  `export function Toggle({ on, ...rest }) {`,
+  `  return on ? <Button tone="positive" {...rest} /> : <Button {...rest} />`,
+  `}`,
+  `export function Pick({ on }) {`,
+  `  if (on) return <Button tone="positive" text="On" />`,
+  `  return <Button tone="default" text="On" />`,
+  `}`,
+  `export const Panel = styled(Card)\`padding: 4px;\``,
+  `function Page() { return <Card /> }`,
+  `const Mixed = (p) => (p.a ? <Button /> : <Card />)`,
+  `export default function Save(props) { return <Button text="Save" {...props} /> }`,
+  `const Local = () => <PrimaryButton />`,
+].join("\n");
+
+const APP = [
+  `import Save, {PrimaryButton, Panel as Box} from "./Buttons"`,
+  `import {Field} from "./Buttons"`,
+  `import {Card} from "@sanity/ui"`,
+  `import Other from "some-package"`,
+  `export const App = () => (`,
+  `  <Card><PrimaryButton /><PrimaryButton /><Box /><Save /><Field /><Other /><div /></Card>`,
+  `)`,
+].join("\n");
+
+const CHAIN = [
+  `import {PrimaryButton} from "./Buttons"`,
+  `import styled from "styled-components"`,
+  `export const BigPrimary = (p) => <PrimaryButton size={2} {...p} />`,
+  `export const Huge = styled(BigPrimary)\`font-size: 2em;\``,
+  `export function Loop(p) { return <Loop {...p} /> }`,
+].join("\n");
+
+let root;
+let buttonsPath;
+let appPath;
+let chainPath;
+
+beforeAll(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), "component-analytics-wrap-"));
+  buttonsPath = path.join(root, "Buttons.tsx");
+  appPath = path.join(root, "App.tsx");
+  chainPath = path.join(root, "Chain.tsx");
+  fs.writeFileSync(buttonsPath, BUTTONS);
+  fs.writeFileSync(appPath, APP);
+  fs.writeFileSync(chainPath, CHAIN);
+  clearResolverCache();
+});
+
+afterAll(() => {
+  fs.rmSync(root, { recursive: true, force: true });
+  clearResolverCache();
+});
+
+const identify = (source) => (source === "@sanity/ui" ? "Sanity UI" : null);
+
+/** Wrappers and uses of one fixture file. */
+function find(content, filePath) {
+  return findWrappers(parseSource(content, filePath), filePath, identify);
+}
+
+/** Run the analyzer over both fixture files. */
+function analyze() {
+  const analyzer = createAnalyzer();
+  for (const [content, filePath] of [
+    [BUTTONS, buttonsPath],
+    [APP, appPath],
+  ]) {
+    analyzer.file(
+      { codebase: "app", path: filePath, relPath: path.basename(filePath) },
+      find(content, filePath),
+    );
+  }
+  return analyzer.rows();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// per-file analysis
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("findWrappers", () => {
+  test("finds components that render a single tracked component", () => {
+    const { wrappers } = find(BUTTONS, buttonsPath);
+    expect(wrappers.map((w) => [w.name, w.kind, w.component])).toEqual([
+      ["PrimaryButton", "function", "Button"],
+      ["Field", "forwardRef", "TextInput"],
+      ["Toggle", "function", "Button"],
+      ["Pick", "function", "Button"],
+      ["Save", "function", "Button"],
+      ["Panel", "styled", "Card"],
+    ]);
+  });
+
+  test("records hardcoded props and presets", () => {
+    const byName = Object.fromEntries(
+      find(BUTTONS, buttonsPath).wrappers.map((w) => [w.name, w]),
+    );
+    expect(byName.PrimaryButton).toMatchObject({
+      exported: "PrimaryButton",
+      library: "Sanity UI",
+      hardcoded: { tone: '"primary"', mode: '"ghost"' },
+      spreadsProps: true,
+      preset: true,
+      line: 4,
+    });
+    expect(byName.Field).toMatchObject({
+      hardcoded: { fontSize: "2" },
+      preset: false,
+    });
+    expect(byName.Toggle).toMatchObject({ hardcoded: {}, preset: false });
+    expect(byName.Pick).toMatchObject({
+      hardcoded: { text: '"On"' },
+      spreadsProps: false,
+    });
+    expect(byName.Save.exported).toBe("default");
+    expect(byName.Panel.exported).toBe("Panel");
+  });
+
+  test("resolves rendered components to their defining file", () => {
+    const target = (u) => [path.basename(u.file), u.name];
+    expect(find(APP, appPath).uses.map(target)).toEqual([
+      ["Buttons.tsx", "PrimaryButton"],
+      ["Buttons.tsx", "PrimaryButton"],
+      ["Buttons.tsx", "Panel"],
+      ["Buttons.tsx", "default"],
+      ["Buttons.tsx", "Field"],
+    ]);
+    expect(find(APP, appPath).uses[2]).toMatchObject({
+      line: 6,
+      sourceCode: "<Box />",
+    });
+    expect(find(BUTTONS, buttonsPath).uses.map(target)).toEqual([
+      ["Buttons.tsx", "PrimaryButton"],
+    ]);
+  });
+
+  test("records components that render another internal component", () => {
+    const { wrappers, forwards } = find(CHAIN, chainPath);
+    expect(wrappers).toEqual([]);
+    expect(forwards).toEqual([
+      {
+        name: "BigPrimary",
+        exported: "BigPrimary",
+        renders: { file: buttonsPath, name: "PrimaryButton" },
+        line: 3,
+      },
+      {
+        name: "Loop",
+        exported: "Loop",
+        renders: { file: chainPath, name: "Loop" },
+        line: 5,
+      },
+      {
+        name: "Huge",
+        exported: "Huge",
+        renders: { file: chainPath, name: "BigPrimary" },
+        line: 4,
+      },
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// aggregation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("createWrapperResolver", () => {
+  /** Resolver over the Buttons and Chain fixtures. */
+  function resolver(depth) {
+    const files = new Map();
+    for (const [content, filePath] of [
+      [BUTTONS, buttonsPath],
+      [CHAIN, chainPath],
+    ]) {
+      files.set(filePath, {
+        relPath: path.basename(filePath),
+        ...find(content, filePath),
+      });
+    }
+    return createWrapperResolver(files, depth);
+  }
+
+  test("follows wrapper chains to the tracked component", () => {
+    expect(resolver(3)(chainPath, "Huge")).toEqual({
+      component: "Button",
+      library: "Sanity UI",
+      chain: [
+        { name: "Huge", file: "Chain.tsx", line: 4 },
+        { name: "BigPrimary", file: "Chain.tsx", line: 3 },
+        { name: "PrimaryButton", file: "Buttons.tsx", line: 4 },
+      ],
+    });
+    expect(resolver(3)(buttonsPath, "default").chain).toEqual([
+      { name: "Save", file: "Buttons.tsx", line: 19 },
+    ]);
+  });
+
+  test("stops at the depth limit, cycles and unknown components", () => {
+    expect(resolver(2)(chainPath, "Huge")).toBeNull();
+    expect(resolver(2)(chainPath, "BigPrimary").component).toBe("Button");
+    expect(resolver(3)(chainPath, "Loop")).toBeNull();
+    expect(resolver(3)(buttonsPath, "Page")).toBeNull();
+    expect(resolver(3)(appPath, "App")).toBeNull();
+  });
+});
+
+describe("createAnalyzer", () => {
+  test("counts instances and using files per wrapper", () => {
+    expect(
+      analyze().map((r) => [r.name, r.instances, r.files, r.file]),
+    ).toEqual([
+      ["PrimaryButton", 3, 2, "Buttons.tsx"],
+      ["Save", 1, 1, "Buttons.tsx"],
+      ["Panel", 1, 1, "Buttons.tsx"],
+      ["Field", 1, 1, "Buttons.tsx"],
+      ["Pick", 0, 0, "Buttons.tsx"],
+      ["Toggle", 0, 0, "Buttons.tsx"],
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// reports
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe("generateMarkdown / generateCSV / generateJSON", () => {
+  test("markdown lists wrappers and presets", () => {
+    const md = generateMarkdown(analyze());
+    expect(md).toContain(
+      "- **6** internal components render a single tracked component",
+    );
+    expect(md).toContain("- **6** instances render a tracked component");
+    expect(md).toContain(
+      '| PrimaryButton | Button | function | `tone="primary" mode="ghost"` | 3 | 2 | app: Buttons.tsx:4 |',
+    );
+    expect(md).toContain(
+      '- `<PrimaryButton>` → `<Button tone="primary" mode="ghost">` (3 instances)',
+    );
+    expect(generateMarkdown([])).not.toContain("| Wrapper |");
+  });
+
+  test("CSV has one row per wrapper", () => {
+    const rows = generateCSV(analyze()).trim().split("\n");
+    expect(rows).toHaveLength(7);
+    expect(rows[4]).toBe(
+      '"app","Buttons.tsx",5,"Field","forwardRef","Sanity UI","TextInput","fontSize={2}",true,false,1,1',
+    );
+  });
+
+  test("JSON totals the wrappers and instances", () => {
+    const json = JSON.parse(generateJSON(analyze()));
+    expect(json.totalWrappers).toBe(6);
+    expect(json.totalInstances).toBe(6);
+    expect(json.wrappers[0].hardcoded).toEqual({
+      tone: '"primary"',
+      mode: '"ghost"',
+    });
+  });
+});
@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+
+/**
+ * @module api-surface/analyze-api-surface
+ *
+ * API Surface
+ *
+ * Compares every component's declared props (read from the library's
+ * type declarations or a manifest — see `lib/declarations.js`) with the
+ * props and values its instances set, across every codebase and
+ * library.  Each declared prop counts once toward a component's API,
+ * plus once per declared literal value; components are ranked by the
+ * fraction of that API in use, least exercised first, so unused props
+ * and values stand out as candidates for removal.
+ *
+ * Usage comes from the per-component reports of the last run, so run
+ * the `per-component` step first.  Declared components without a report
+ * were never used.
+ *
+ * Output:
+ *   - `reports/api-surface/report.md`
+ *   - `reports/api-surface/report.csv`
+ *   - `reports/api-surface/report.json`
+ *
+ * Run directly:
+ *   node scripts/api-surface/analyze-api-surface.js
+ *
+ * Or via npm:
+ *   npm run analyze:api-surface
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { UI_LIBRARY_NAMES } = require("../lib/constants");
+const { apiSurface, loadDeclarations } = require("../lib/declarations");
+const { writeReports, REPORTS_ROOT } = require("../lib/files");
+const { pct, cell, csvField } = require("../lib/utils");
+const {
+  loadComponentReport,
+} = require("../per-component/detect-prop-defaults");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {object} SurfaceRow
+ * @property {string}   component
+ * @property {string}   library
+ * @property {number}   instances
+ * @property {{ declared: number, used: number }} props
+ * @property {{ declared: number, used: number }} values
+ * @property {number}   total        - Declared props plus declared values.
+ * @property {number}   exercised    - Of those, how many are used.
+ * @property {string[]} unusedProps
+ * @property {Object<string, string[]>} unusedValues
+ */
+
+/**
+ * @typedef {object} LibrarySurface
+ * @property {number} components
+ * @property {number} total
+ * @property {number} exercised
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AGGREGATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * One row per declared component, least exercised first.
+ *
+ * @param {Object<string, import("../lib/declarations").ComponentDeclaration>} declarations
+ * @param {(component: string) => object|null} loadReport
+ *   The component's per-component detail JSON, or null when it has none.
+ * @returns {SurfaceRow[]}
+ */
+function buildSurface(declarations, loadReport) {
+  const rows = [];
+  for (const [component, declared] of Object.entries(declarations)) {
+    const report = loadReport(component);
+    const surface = apiSurface(declared.props, report ? report.props : {});
+    const declaredProps = Object.keys(declared.props).length;
+    const usedProps = declaredProps - surface.unusedProps.length;
+    rows.push({
+      component,
+      library: declared.library,
+      instances: report ? report.totalInstances : 0,
+      props: { declared: declaredProps, used: usedProps },
+      values: {
+        declared: surface.total - declaredProps,
+        used: surface.exercised - usedProps,
+      },
+      total: surface.total,
+      exercised: surface.exercised,
+      unusedProps: surface.unusedProps,
+      unusedValues: surface.unusedValues,
+    });
+  }
+
+  // A component without declared props is exercised once it is used.
+  const ratio = (r) =>
+    r.total > 0 ? r.exercised / r.total : r.instances > 0 ? 1 : 0;
+  return rows.sort(
+    (a, b) =>
+      ratio(a) - ratio(b) ||
+      b.total - a.total ||
+      a.component.localeCompare(b.component),
+  );
+}
+
+/**
+ * Totals per library.
+ *
+ * @param {SurfaceRow[]} rows
+ * @returns {Object<string, LibrarySurface>}
+ */
+function summarizeLibraries(rows) {
+  /** @type {Object<string, LibrarySurface>} */
+  const libraries = {};
+  for (const row of rows) {
+    const lib = (libraries[row.library] = libraries[row.library] || {
+      components: 0,
+      total: 0,
+      exercised: 0,
+    });
+    lib.components++;
+    lib.total += row.total;
+    lib.exercised += row.exercised;
+  }
+  return libraries;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Unused values as JSX attributes, e.g. `tone="critical" tone="caution"`.
+ *
+ * @param {Object<string, string[]>} unusedValues
+ * @returns {string[]}
+ */
+function valueLabels(unusedValues) {
+  return Object.entries(unusedValues).flatMap(([prop, values]) =>
+    values.map((v) => (v.startsWith('"') ? `${prop}=${v}` : `${prop}={${v}}`)),
+  );
+}
+
+/**
+ * Generate the Markdown report: totals per library, the ranking, then
+ * what each component leaves unused.
+ *
+ * @param {SurfaceRow[]} rows
+ * @returns {string}
+ */
+function generateMarkdown(rows) {
+  const lines = [];
+  lines.push("# API Surface");
+  lines.push("");
+  lines.push(
+    "Declared props and literal values of each component, and how many of them are used in any codebase. Least exercised first.",
+  );
+  lines.push("");
+
+  for (const [name, lib] of Object.entries(summarizeLibraries(rows))) {
+    lines.push(
+      `- **${name}**: ${pct(lib.exercised, lib.total)}% of the declared API exercised (${lib.exercised} of ${lib.total} props and values, ${lib.components} components)`,
+    );
+  }
+  lines.push("");
+
+  lines.push(
+    "| Component | Library | Instances | Props Used | Values Used | Exercised |",
+  );
+  lines.push(
+    "|-----------|---------|----------:|-----------:|------------:|----------:|",
+  );
+  for (const r of rows) {
+    lines.push(
+      `| ${cell(r.component)} | ${cell(r.library)} | ${r.instances} | ${r.props.used} / ${r.props.declared} | ${r.values.used} / ${r.values.declared} | ${pct(r.exercised, r.total)}% |`,
+    );
+  }
+  lines.push("");
+
+  for (const r of rows) {
+    const values = valueLabels(r.unusedValues);
+    if (r.unusedProps.length === 0 && values.length === 0) continue;
+    lines.push(`## ${r.component}`);
+    lines.push("");
+    if (r.unusedProps.length > 0) {
+      lines.push(
+        `- Unused props: ${r.unusedProps.map((p) => `\`${cell(p)}\``).join(", ")}`,
+      );
+    }
+    if (values.length > 0) {
+      lines.push(
+        `- Unused values: ${values.map((v) => `\`${cell(v)}\``).join(", ")}`,
+      );
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate the CSV report: one row per component.
+ *
+ * @param {SurfaceRow[]} rows
+ * @returns {string}
+ */
+function generateCSV(rows) {
+  const out = [
+    "Library,Component,Instances,Declared Props,Used Props,Declared Values,Used Values,Exercised %,Unused Props,Unused Values",
+  ];
+  for (const r of rows) {
+    out.push(
+      [
+        csvField(r.library),
+        csvField(r.component),
+        r.instances,
+        r.props.declared,
+        r.props.used,
+        r.values.declared,
+        r.values.used,
+        pct(r.exercised, r.total),
+        csvField(r.unusedProps.join(" ")),
+        csvField(valueLabels(r.unusedValues).join(" ")),
+      ].join(","),
+    );
+  }
+  return out.join("\n") + "\n";
+}
+
+/**
+ * Generate the JSON report.
+ *
+ * @param {SurfaceRow[]} rows
+ * @returns {string}
+ */
+function generateJSON(rows) {
+  return JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      libraryNames: UI_LIBRARY_NAMES,
+      libraries: summarizeLibraries(rows),
+      components: rows,
+    },
+    null,
+    2,
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build and write the API surface reports from the per-component
+ * reports of the last run.
+ *
+ * @param {string} [reportsDir=REPORTS_ROOT]
+ * @param {Object<string, import("../lib/declarations").ComponentDeclaration>} [declarations]
+ *   Declared props by component (default: read per the config).
+ */
+function main(reportsDir = REPORTS_ROOT, declarations = loadDeclarations()) {
+  if (Object.keys(declarations).length === 0) {
+    console.log("  ⚠ No declared props found");
+    console.log(
+      "  Set `declarations` on a `uiLibraries` entry to enable this report.",
+    );
+    console.log("");
+    return;
+  }
+
+  const detailDir = path.join(reportsDir, "components", "detail");
+  if (!fs.existsSync(detailDir)) {
+    console.log(
+      `  ⚠ No per-component reports in ${detailDir} — run \`npm run analyze:per-component\` first.`,
+    );
+    console.log("");
+    return;
+  }
+
+  const rows = buildSurface(declarations, (component) =>
+    loadComponentReport(component, reportsDir),
+  );
+  writeReports("api-surface", "report", {
+    markdown: generateMarkdown(rows),
+    csv: generateCSV(rows),
+    json: generateJSON(rows),
+  });
+
+  console.log(`✅ API surface written for ${rows.length} component(s)`);
+  for (const [name, lib] of Object.entries(summarizeLibraries(rows))) {
+    console.log(
+      `    ${name.padEnd(24)} ${pct(lib.exercised, lib.total).padStart(5)}% exercised`,
+    );
+  }
+  const least = rows.filter((r) => r.exercised < r.total).slice(0, 5);
+  if (least.length > 0) {
+    console.log("\n  Least exercised:");
+    for (const r of least) {
+      console.log(
+        `    ${r.component.padEnd(24)} ${pct(r.exercised, r.total).padStart(5)}%  ${r.unusedProps.length} unused prop(s)`,
+      );
+    }
+  }
+  console.log("");
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  // Aggregation
+  buildSurface,
+  summarizeLibraries,
+
+  // Report generation
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+
+  // CLI entry point (used in-process by run.js)
+  main,
+};
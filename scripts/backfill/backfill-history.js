@@ -0,0 +1,381 @@
+#!/usr/bin/env node
+
+/**
+ * @module backfill/backfill-history
+ *
+ * History Backfill
+ *
+ * Fills `history/` (see `lib/history.js`) with snapshots of past
+ * commits, so adoption trends reach back before the tool was first run.
+ *
+ * Samples dates at a fixed interval between `--since` and `--until`,
+ * resolves each codebase's repository to the last commit at or before
+ * every date, and analyzes that commit's files straight from git
+ * (`ls-tree` + `cat-file`, see `lib/git.js`) — nothing is checked out
+ * and the working tree is left untouched.  Samples that resolve to the
+ * same commits as the previous one are skipped.
+ *
+ * Each snapshot is timestamped with its commit date and labelled with
+ * the short commit SHA.  Package versions (version tracking in the
+ * per-component reports) are still read from the working tree; they
+ * are not part of snapshots.
+ *
+ * Run directly:
+ *   node scripts/backfill/backfill-history.js --since 2024-01-01
+ *   node scripts/backfill/backfill-history.js --since 2024-01-01 --until 2024-12-31 --every 14 --ref main
+ *
+ * Or via npm:
+ *   npm run backfill -- --since 2024-01-01
+ */
+
+const path = require("path");
+
+const { CODEBASES } = require("../lib/constants");
+const { codebaseExists, codebasePath } = require("../lib/files");
+const {
+  repoRoot,
+  commitAt,
+  openTree,
+  createGitSource,
+  createResolverFileSystem,
+} = require("../lib/git");
+const { buildSnapshot, saveSnapshot, HISTORY_ROOT } = require("../lib/history");
+const { collect } = require("../lib/pipeline");
+const { setResolverFileSystem } = require("../lib/resolver");
+
+const sources = require("../sources/analyze-ui-component-sources");
+const perComponent = require("../per-component/analyze-per-component");
+const lineOwnership = require("../line-ownership/analyze-line-ownership");
+const propSurface = require("../prop-surface/analyze-prop-surface");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Default sampling interval, in days. */
+const DEFAULT_EVERY_DAYS = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The commit a codebase is analyzed at.
+ *
+ * @typedef {object} CodebaseCommit
+ * @property {string} root - Repository root.
+ * @property {string} sha
+ * @property {string} date - Committer date, ISO 8601.
+ */
+
+/**
+ * @typedef {object} BackfillOptions
+ * @property {Date}     since
+ * @property {Date}     [until=new Date()]
+ * @property {number}   [every=DEFAULT_EVERY_DAYS] - Days between samples.
+ * @property {string}   [ref="HEAD"]               - Branch or revision to walk.
+ * @property {string[]} [codebases=CODEBASES]
+ * @property {string}   [historyDir=HISTORY_ROOT]
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SAMPLING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Dates to sample, oldest first: `until`, then every `every` days back
+ * to `since`.
+ *
+ * @param {Date}   since
+ * @param {Date}   until
+ * @param {number} every - Days between samples.
+ * @returns {Date[]}
+ */
+function sampleDates(since, until, every) {
+  const dates = [];
+  for (let t = until.getTime(); t >= since.getTime(); t -= every * DAY_MS) {
+    dates.unshift(new Date(t));
+  }
+  return dates;
+}
+
+/**
+ * The repository root of each codebase that exists on disk and lives
+ * in a git repository.
+ *
+ * @param {string[]} codebases
+ * @param {(message: string) => void} log
+ * @returns {Object<string, string>} Codebase → repository root.
+ */
+function findRepositories(codebases, log) {
+  /** @type {Object<string, string>} */
+  const roots = {};
+  for (const codebase of codebases) {
+    if (!codebaseExists(codebase)) {
+      log(`⚠️  Skipping ${codebase}: path not found`);
+      continue;
+    }
+    const root = repoRoot(codebasePath(codebase));
+    if (!root) {
+      log(`⚠️  Skipping ${codebase}: not inside a git repository`);
+      continue;
+    }
+    roots[codebase] = root;
+  }
+  return roots;
+}
+
+/**
+ * Resolve every codebase to its repository's commit at `date`.
+ * Codebases whose history starts later are left out.
+ *
+ * @param {Object<string, string>} roots - Codebase → repository root.
+ * @param {Date}   date
+ * @param {string} ref
+ * @returns {Object<string, CodebaseCommit>}
+ */
+function resolveCommits(roots, date, ref) {
+  /** @type {Map<string, import("../lib/git").CommitRef | null>} */
+  const byRoot = new Map();
+  /** @type {Object<string, CodebaseCommit>} */
+  const commits = {};
+  for (const [codebase, root] of Object.entries(roots)) {
+    if (!byRoot.has(root)) byRoot.set(root, commitAt(root, date, ref));
+    const commit = byRoot.get(root);
+    if (commit) commits[codebase] = { root, ...commit };
+  }
+  return commits;
+}
+
+/**
+ * Snapshot label: the short SHA, or `<repo>@<sha>` per repository
+ * when codebases live in several.
+ *
+ * @param {Object<string, CodebaseCommit>} commits
+ * @returns {string}
+ */
+function commitLabel(commits) {
+  /** @type {Map<string, string>} */
+  const shas = new Map();
+  for (const { root, sha } of Object.values(commits)) {
+    shas.set(root, sha.slice(0, 7));
+  }
+  if (shas.size === 1) return [...shas.values()][0];
+  return [...shas]
+    .map(([root, sha]) => `${path.basename(root)}@${sha}`)
+    .join(", ");
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ANALYSIS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Analyze each codebase at its commit, in memory, and distil the
+ * results into a snapshot.
+ *
+ * @param {Object<string, CodebaseCommit>} commits
+ * @returns {Promise<import("../lib/history").Snapshot>}
+ */
+async function snapshotAt(commits) {
+  /** @type {Map<string, import("../lib/git").GitTree>} */
+  const trees = new Map();
+  /** @type {Object<string, import("../lib/git").GitTree>} */
+  const codebaseTrees = {};
+  for (const [codebase, { root, sha }] of Object.entries(commits)) {
+    const key = `${root}\0${sha}`;
+    if (!trees.has(key)) trees.set(key, openTree(root, sha));
+    codebaseTrees[codebase] = trees.get(key);
+  }
+
+  const analyzers = {
+    components: perComponent.createAnalyzer(),
+    sources: sources.createAnalyzer(),
+    lineOwnership: lineOwnership.createAnalyzer(),
+    propSurface: propSurface.createAnalyzer(),
+  };
+
+  setResolverFileSystem(createResolverFileSystem([...trees.values()]));
+  try {
+    await collect(Object.values(analyzers), {
+      codebases: Object.keys(commits),
+      quiet: true,
+      source: createGitSource(codebaseTrees),
+    });
+  } finally {
+    setResolverFileSystem(null);
+  }
+
+  // Round-trip through the report generators so the snapshot is built
+  // from exactly what a normal run writes to reports/.
+  const reports = {
+    components: JSON.parse(
+      perComponent.generateSummaryJSON(analyzers.components.summarize()),
+    ),
+    sources: JSON.parse(sources.generateJSON(analyzers.sources.summarize())),
+    lineOwnership: JSON.parse(
+      lineOwnership.generateJSON(analyzers.lineOwnership.summarize()),
+    ),
+    propSurface: JSON.parse(
+      propSurface.generateJSON(analyzers.propSurface.summarize()),
+    ),
+  };
+
+  const timestamp = Object.values(commits)
+    .map((c) => c.date)
+    .sort()
+    .pop();
+  return buildSnapshot(reports, { timestamp, label: commitLabel(commits) });
+}
+
+/**
+ * Write one snapshot per distinct sampled commit.
+ *
+ * @param {BackfillOptions} options
+ * @param {(message: string) => void} [log=console.log]
+ * @returns {Promise<string[]>} Paths of the written snapshots.
+ */
+async function backfill(options, log = console.log) {
+  const {
+    since,
+    until = new Date(),
+    every = DEFAULT_EVERY_DAYS,
+    ref = "HEAD",
+    codebases = CODEBASES,
+    historyDir = HISTORY_ROOT,
+  } = options;
+
+  const roots = findRepositories(codebases, log);
+  const written = [];
+  let previous = null;
+
+  for (const date of sampleDates(since, until, every)) {
+    const day = date.toISOString().slice(0, 10);
+    const commits = resolveCommits(roots, date, ref);
+    if (Object.keys(commits).length === 0) {
+      log(`   ${day}  no commits yet`);
+      continue;
+    }
+
+    const key = JSON.stringify(commits);
+    if (key === previous) {
+      log(`   ${day}  unchanged`);
+      continue;
+    }
+    previous = key;
+
+    const snapshot = await snapshotAt(commits);
+    written.push(saveSnapshot(snapshot, historyDir));
+    log(`   ${day}  ${snapshot.label}  (${snapshot.timestamp})`);
+  }
+
+  return written;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse a `--flag <date>` value.
+ *
+ * @param {string} flag
+ * @param {string | undefined} value
+ * @returns {Date}
+ * @throws {Error} When the value is not a date.
+ */
+function parseDate(flag, value) {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) {
+    throw new Error(`${flag} requires a date (got "${value || ""}").`);
+  }
+  return date;
+}
+
+/**
+ * Parse backfill command-line arguments.
+ *
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {BackfillOptions}
+ * @throws {Error} On missing or invalid values.
+ */
+function parseArgs(argv) {
+  const value = (flag) => {
+    const idx = argv.indexOf(flag);
+    return idx === -1 ? undefined : argv[idx + 1] || "";
+  };
+
+  if (value("--since") === undefined) {
+    throw new Error("--since <date> is required.");
+  }
+  const options = { since: parseDate("--since", value("--since")) };
+
+  if (value("--until") !== undefined) {
+    options.until = parseDate("--until", value("--until"));
+  }
+  if (value("--every") !== undefined) {
+    const every = Number(value("--every"));
+    if (!Number.isInteger(every) || every < 1) {
+      throw new Error(
+        `--every requires a positive number of days (got "${value("--every")}").`,
+      );
+    }
+    options.every = every;
+  }
+  if (value("--ref") !== undefined) {
+    if (!value("--ref")) throw new Error("--ref requires a revision.");
+    options.ref = value("--ref");
+  }
+  return options;
+}
+
+/**
+ * Main entry point.
+ *
+ * @param {string[]} [argv=process.argv.slice(2)]
+ * @returns {Promise<void>}
+ */
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseArgs(argv);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  const until = options.until || new Date();
+  const every = options.every || DEFAULT_EVERY_DAYS;
+  console.log(
+    `\n📜 Backfilling history from ${options.since.toISOString().slice(0, 10)} to ${until.toISOString().slice(0, 10)}, every ${every} day(s)\n`,
+  );
+
+  const written = await backfill({ ...options, until, every });
+  console.log(`\n✅ ${written.length} snapshot(s) written to history/\n`);
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`\n❌ Backfill failed: ${err.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  // Sampling
+  sampleDates,
+  resolveCommits,
+  commitLabel,
+
+  // Analysis
+  snapshotAt,
+  backfill,
+
+  // CLI
+  parseArgs,
+  main,
+};
@@ -0,0 +1,627 @@
+/**
+ * @module changes/analyze-changes
+ *
+ * Pull Request Analysis
+ *
+ * Analyzes only the files a branch changes and reports what the change
+ * adds or removes — "this PR adds 14 `<div>`s and 3 `styled(Card)`" —
+ * without running the full analysis.
+ *
+ * For every codebase's repository, `--head` is compared against its
+ * merge base with `--base` (what a pull request shows).  The component
+ * files changed between the two are analyzed straight from git at both
+ * commits (see `lib/git.js`), and the counts are subtracted:
+ *
+ *   1. Tracked component instances.
+ *   2. Native HTML/SVG tags.
+ *   3. Inline `style=` on tracked components.
+ *   4. `styled()` wrappers of tracked components.
+ *   5. Deprecated components, props and values (`uiLibraries[].deprecations`).
+ *
+ * Output:
+ *   - `reports/changes/report.md`   (sized for a PR comment)
+ *   - `reports/changes/report.csv`
+ *   - `reports/changes/report.json`
+ *
+ * Run via the runner:
+ *   node scripts/run.js --base origin/main --head HEAD
+ */
+
+const path = require("path");
+
+const { CODEBASES, DEPRECATIONS } = require("../lib/constants");
+const { codebaseExists, codebasePath, writeReports } = require("../lib/files");
+const {
+  repoRoot,
+  resolveRef,
+  mergeBase,
+  changedFiles,
+  openTree,
+  createGitSource,
+  createResolverFileSystem,
+} = require("../lib/git");
+const { collect } = require("../lib/pipeline");
+const { setResolverFileSystem } = require("../lib/resolver");
+const { incr, cell } = require("../lib/utils");
+
+const {
+  analyzeFileContent,
+} = require("../per-component/analyze-per-component");
+const htmlTags = require("../html-tags/analyze-html-tags");
+const customizations = require("../customizations/analyze-customizations");
+const deprecations = require("../deprecations/analyze-deprecations");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Counted kinds, in report order, with how an item of each kind is
+ * written in the summary.
+ *
+ * @type {Array<{ key: keyof ChangeCounts, title: string, format: (name: string) => string }>}
+ */
+const KINDS = [
+  { key: "components", title: "Components", format: (n) => `<${n}>` },
+  { key: "htmlTags", title: "HTML tags", format: (n) => `<${n}>` },
+  { key: "inline", title: "Inline styles", format: (n) => `<${n} style>` },
+  { key: "styled", title: "styled()", format: (n) => `styled(${n})` },
+  { key: "deprecated", title: "Deprecated usage", format: (n) => n },
+];
+
+/** Kinds summarized as plain usage; deprecated usage gets its own lines. */
+const USAGE_KINDS = KINDS.filter(({ key }) => key !== "deprecated");
+
+/** Items listed per direction in the summary line. */
+const MAX_SUMMARY_ITEMS = 8;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Counts over a set of files.
+ *
+ * @typedef {object} ChangeCounts
+ * @property {Object<string, number>} components - Tracked component → instances.
+ * @property {Object<string, number>} htmlTags   - Tag → instances.
+ * @property {Object<string, number>} inline     - Tracked component → instances with `style=`.
+ * @property {Object<string, number>} styled     - Tracked component → `styled()` wrappers.
+ * @property {Object<string, number>} deprecated - Deprecation label (e.g.
+ *   `<Button tone="critical">`) → matching instances.
+ */
+
+/**
+ * @typedef {object} CountDelta
+ * @property {string} name
+ * @property {number} base
+ * @property {number} head
+ * @property {number} delta
+ */
+
+/**
+ * The commits one repository is compared at.
+ *
+ * @typedef {object} RepositoryRange
+ * @property {string}   root
+ * @property {string}   base  - Merge base of `--base` and `--head`.
+ * @property {string}   head
+ * @property {string[]} files - Changed files (absolute paths).
+ */
+
+/**
+ * @typedef {object} CodebaseChanges
+ * @property {string[]} files - Changed component files, relative to the codebase.
+ * @property {Object<string, CountDelta[]>} deltas - Kind → non-zero deltas.
+ */
+
+/**
+ * @typedef {object} ChangeReport
+ * @property {string} base - `--base` as given.
+ * @property {string} head - `--head` as given.
+ * @property {Object<string, CodebaseChanges>} codebases
+ * @property {Object<string, CountDelta[]>}    totals - Kind → deltas across codebases.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COUNTING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** @returns {ChangeCounts} */
+function emptyCounts() {
+  return {
+    components: {},
+    htmlTags: {},
+    inline: {},
+    styled: {},
+    deprecated: {},
+  };
+}
+
+/**
+ * Add `counts` into `into`.
+ *
+ * @param {ChangeCounts} into
+ * @param {ChangeCounts} counts
+ */
+function addCounts(into, counts) {
+  for (const { key } of KINDS) {
+    for (const [name, n] of Object.entries(counts[key])) {
+      into[key][name] = (into[key][name] || 0) + n;
+    }
+  }
+}
+
+/**
+ * Count everything the report tracks in one file.
+ *
+ * @param {import("../lib/parser").ParsedFile} parsed
+ * @param {import("../lib/context").NormalizedDeprecation[]} [rules=DEPRECATIONS]
+ * @returns {ChangeCounts}
+ */
+function countFile(parsed, rules = DEPRECATIONS) {
+  const counts = emptyCounts();
+
+  const fileResult = analyzeFileContent(parsed);
+  for (const instance of fileResult.instances) {
+    incr(counts.components, instance.component);
+  }
+  const { matches } = deprecations.findDeprecations(fileResult, rules);
+  for (const match of matches) {
+    for (const i of match.rules) {
+      incr(counts.deprecated, deprecations.deprecationLabel(rules[i]));
+    }
+  }
+  counts.htmlTags = { ...htmlTags.analyzeContent(parsed).tags };
+  const custom = customizations.analyzeContent(parsed);
+  for (const s of custom.inlineStyles) incr(counts.inline, s.component);
+  for (const s of custom.styledUsages) incr(counts.styled, s.component);
+  return counts;
+}
+
+/**
+ * Pipeline analyzer that sums {@link countFile} per codebase.
+ *
+ * @returns {import("../lib/pipeline").Analyzer & { counts: Object<string, ChangeCounts>, files: Object<string, string[]> }}
+ */
+function createAnalyzer() {
+  /** @type {Object<string, ChangeCounts>} */
+  const counts = {};
+  /** @type {Object<string, string[]>} */
+  const files = {};
+
+  return {
+    name: "changes",
+    counts,
+    files,
+
+    beginCodebase(codebase) {
+      counts[codebase] = emptyCounts();
+      files[codebase] = [];
+    },
+
+    analyze(file) {
+      return countFile(file.parsed);
+    },
+
+    file(file, result) {
+      addCounts(counts[file.codebase], result);
+      files[file.codebase].push(file.relPath);
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPARISON
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Non-zero differences between two count maps, largest first.
+ *
+ * @param {Object<string, number>} base
+ * @param {Object<string, number>} head
+ * @returns {CountDelta[]}
+ */
+function diffCounts(base, head) {
+  const names = new Set([...Object.keys(base), ...Object.keys(head)]);
+  return [...names]
+    .map((name) => ({
+      name,
+      base: base[name] || 0,
+      head: head[name] || 0,
+      delta: (head[name] || 0) - (base[name] || 0),
+    }))
+    .filter((d) => d.delta !== 0)
+    .sort(
+      (a, b) =>
+        Math.abs(b.delta) - Math.abs(a.delta) || a.name.localeCompare(b.name),
+    );
+}
+
+/**
+ * Deltas for every kind.
+ *
+ * @param {ChangeCounts} base
+ * @param {ChangeCounts} head
+ * @returns {Object<string, CountDelta[]>}
+ */
+function diffAll(base, head) {
+  const deltas = {};
+  for (const { key } of KINDS) deltas[key] = diffCounts(base[key], head[key]);
+  return deltas;
+}
+
+/**
+ * Build the report from per-codebase counts at both commits.
+ *
+ * @param {object} options
+ * @param {string} options.base
+ * @param {string} options.head
+ * @param {Object<string, ChangeCounts>} options.baseCounts
+ * @param {Object<string, ChangeCounts>} options.headCounts
+ * @param {Object<string, string[]>}     options.files - Codebase → changed component files.
+ * @returns {ChangeReport}
+ */
+function compareCounts({ base, head, baseCounts, headCounts, files }) {
+  const codebases = {};
+  const totalBase = emptyCounts();
+  const totalHead = emptyCounts();
+  for (const [codebase, changed] of Object.entries(files)) {
+    const b = baseCounts[codebase] || emptyCounts();
+    const h = headCounts[codebase] || emptyCounts();
+    addCounts(totalBase, b);
+    addCounts(totalHead, h);
+    codebases[codebase] = { files: changed, deltas: diffAll(b, h) };
+  }
+  return { base, head, codebases, totals: diffAll(totalBase, totalHead) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GIT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The commits to compare in one repository: `head` and its merge base
+ * with `base`, plus the files changed between them.
+ *
+ * @param {string} root
+ * @param {string} base
+ * @param {string} head
+ * @returns {RepositoryRange | null} `null` when a ref is unknown or the
+ *   histories are unrelated.
+ */
+function resolveRange(root, base, head) {
+  const baseSha = resolveRef(root, base);
+  const headSha = resolveRef(root, head);
+  const from = baseSha && headSha ? mergeBase(root, baseSha, headSha) : null;
+  if (!from) return null;
+  return {
+    root,
+    base: from,
+    head: headSha,
+    files: changedFiles(root, from, headSha),
+  };
+}
+
+/**
+ * Resolve the comparison in the repository of every codebase.
+ * Codebases that are missing, outside a repository, or whose
+ * repository cannot compare the refs are skipped with a warning.
+ *
+ * @param {string[]} codebases
+ * @param {string}   base
+ * @param {string}   head
+ * @param {(message: string) => void} log
+ * @returns {{ ranges: Map<string, RepositoryRange>, roots: Object<string, string> }}
+ *   Repository root → range, and codebase → repository root.
+ */
+function resolveRanges(codebases, base, head, log) {
+  /** @type {Map<string, RepositoryRange | null>} */
+  const ranges = new Map();
+  /** @type {Object<string, string>} */
+  const roots = {};
+
+  for (const codebase of codebases) {
+    if (!codebaseExists(codebase)) {
+      log(`⚠️  Skipping ${codebase}: path not found`);
+      continue;
+    }
+    const root = repoRoot(codebasePath(codebase));
+    if (!root) {
+      log(`⚠️  Skipping ${codebase}: not inside a git repository`);
+      continue;
+    }
+    if (!ranges.has(root)) ranges.set(root, resolveRange(root, base, head));
+    if (!ranges.get(root)) {
+      log(`⚠️  Skipping ${codebase}: cannot compare ${base} and ${head}`);
+      continue;
+    }
+    roots[codebase] = root;
+  }
+
+  for (const [root, range] of ranges) if (!range) ranges.delete(root);
+  return { ranges, roots };
+}
+
+/**
+ * Count the changed files of every codebase as they are at one side
+ * of the comparison.
+ *
+ * @param {Object<string, string>}        roots  - Codebase → repository root.
+ * @param {Map<string, RepositoryRange>}  ranges
+ * @param {"base" | "head"}               side
+ * @returns {Promise<{ counts: Object<string, ChangeCounts>, files: Object<string, string[]> }>}
+ */
+async function countSide(roots, ranges, side) {
+  /** @type {Map<string, import("../lib/git").GitTree>} */
+  const trees = new Map();
+  for (const [root, range] of ranges) {
+    trees.set(root, openTree(root, range[side]));
+  }
+  const codebaseTrees = {};
+  for (const [codebase, root] of Object.entries(roots)) {
+    codebaseTrees[codebase] = trees.get(root);
+  }
+  const changed = new Set([...ranges.values()].flatMap((r) => r.files));
+
+  const analyzer = createAnalyzer();
+  setResolverFileSystem(createResolverFileSystem([...trees.values()]));
+  try {
+    await collect([analyzer], {
+      codebases: Object.keys(roots),
+      quiet: true,
+      source: createGitSource(codebaseTrees, (file) => changed.has(file)),
+    });
+  } finally {
+    setResolverFileSystem(null);
+  }
+  return { counts: analyzer.counts, files: analyzer.files };
+}
+
+/**
+ * Analyze the files changed between `base` and `head`.
+ *
+ * @param {object}   options
+ * @param {string}   options.base - Branch or revision the change targets.
+ * @param {string}   [options.head="HEAD"]
+ * @param {string[]} [options.codebases=CODEBASES]
+ * @param {(message: string) => void} [log=console.log]
+ * @returns {Promise<ChangeReport>}
+ * @throws {Error} When no codebase can be compared.
+ */
+async function analyzeChanges(options, log = console.log) {
+  const { base, head = "HEAD", codebases = CODEBASES } = options;
+  const { ranges, roots } = resolveRanges(codebases, base, head, log);
+  if (Object.keys(roots).length === 0) {
+    throw new Error(`No codebase can compare ${base} and ${head}`);
+  }
+
+  const before = await countSide(roots, ranges, "base");
+  const after = await countSide(roots, ranges, "head");
+
+  // A file counts as changed if it is a component file on either side
+  // (added, deleted or modified).
+  const files = {};
+  for (const codebase of Object.keys(roots)) {
+    files[codebase] = [
+      ...new Set([
+        ...(before.files[codebase] || []),
+        ...(after.files[codebase] || []),
+      ]),
+    ].sort();
+  }
+
+  return compareCounts({
+    base,
+    head,
+    baseCounts: before.counts,
+    headCounts: after.counts,
+    files,
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Format a signed change (`+12`, `-3`).
+ *
+ * @param {number} n
+ * @returns {string}
+ */
+function signed(n) {
+  return n > 0 ? `+${n}` : String(n);
+}
+
+/**
+ * One-line summaries of what the change adds and removes, e.g.
+ * `` +14 `<div>`, +3 `styled(Card)` ``.
+ *
+ * @param {Object<string, CountDelta[]>} totals
+ * @param {typeof KINDS} [kinds=USAGE_KINDS] - Kinds to include.
+ * @returns {{ added: string[], removed: string[] }}
+ */
+function summarizeTotals(totals, kinds = USAGE_KINDS) {
+  const added = [];
+  const removed = [];
+  for (const { key, format } of kinds) {
+    for (const d of totals[key]) {
+      const item = `${signed(d.delta)} \`${format(d.name)}\``;
+      (d.delta > 0 ? added : removed).push({ item, size: Math.abs(d.delta) });
+    }
+  }
+  const top = (items) =>
+    items
+      .sort((a, b) => b.size - a.size)
+      .map((i) => i.item)
+      .slice(0, MAX_SUMMARY_ITEMS);
+  return { added: top(added), removed: top(removed) };
+}
+
+/**
+ * Whether the change affects any count.
+ *
+ * @param {ChangeReport} report
+ * @returns {boolean}
+ */
+function hasChanges(report) {
+  return KINDS.some(({ key }) => report.totals[key].length > 0);
+}
+
+/**
+ * Generate the Markdown report, sized for a pull-request comment: a
+ * summary up front, per-codebase tables folded into `<details>`.
+ *
+ * @param {ChangeReport} report
+ * @returns {string}
+ */
+function generateMarkdown(report) {
+  const lines = [];
+  const fileCount = Object.values(report.codebases).reduce(
+    (sum, c) => sum + c.files.length,
+    0,
+  );
+
+  lines.push("## Component usage in this change");
+  lines.push("");
+  lines.push(
+    `Comparing \`${report.head}\` with its merge base with \`${report.base}\` — ${fileCount} changed component file${fileCount === 1 ? "" : "s"}.`,
+  );
+  lines.push("");
+
+  if (!hasChanges(report)) {
+    lines.push("No changes in component usage.");
+    lines.push("");
+    return lines.join("\n");
+  }
+
+  const { added, removed } = summarizeTotals(report.totals);
+  if (added.length > 0) lines.push(`- **Adds** ${added.join(", ")}`);
+  if (removed.length > 0) lines.push(`- **Removes** ${removed.join(", ")}`);
+  const deprecated = summarizeTotals(
+    report.totals,
+    KINDS.filter(({ key }) => key === "deprecated"),
+  );
+  if (deprecated.added.length > 0) {
+    lines.push(
+      `- ⚠️ **Introduces deprecated usage** ${deprecated.added.join(", ")}`,
+    );
+  }
+  if (deprecated.removed.length > 0) {
+    lines.push(
+      `- **Removes deprecated usage** ${deprecated.removed.join(", ")}`,
+    );
+  }
+  lines.push("");
+
+  lines.push("_Before and after counts cover the changed files only._");
+  lines.push("");
+
+  for (const { key, title, format } of KINDS) {
+    const rows = Object.entries(report.codebases).flatMap(
+      ([codebase, changes]) => changes.deltas[key].map((d) => [codebase, d]),
+    );
+    if (rows.length === 0) continue;
+
+    lines.push("<details>");
+    lines.push(`<summary>${title} (${rows.length})</summary>`);
+    lines.push("");
+    lines.push("| Codebase | Item | Before | After | Change |");
+    lines.push("|----------|------|-------:|------:|-------:|");
+    for (const [codebase, d] of rows) {
+      lines.push(
+        `| ${cell(codebase)} | \`${cell(format(d.name))}\` | ${d.base} | ${d.head} | ${signed(d.delta)} |`,
+      );
+    }
+    lines.push("");
+    lines.push("</details>");
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate the CSV report: one row per codebase and changed item.
+ *
+ * @param {ChangeReport} report
+ * @returns {string}
+ */
+function generateCSV(report) {
+  const rows = ["Codebase,Kind,Item,Before,After,Change"];
+  for (const [codebase, changes] of Object.entries(report.codebases)) {
+    for (const { key } of KINDS) {
+      for (const d of changes.deltas[key]) {
+        rows.push(
+          `"${codebase}",${key},"${d.name.replace(/"/g, '""')}",${d.base},${d.head},${d.delta}`,
+        );
+      }
+    }
+  }
+  return rows.join("\n") + "\n";
+}
+
+/**
+ * Generate the JSON report.
+ *
+ * @param {ChangeReport} report
+ * @returns {string}
+ */
+function generateJSON(report) {
+  return JSON.stringify(
+    { generatedAt: new Date().toISOString(), ...report },
+    null,
+    2,
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Analyze the change and write `reports/changes/`.
+ *
+ * @param {object} options
+ * @param {string} options.base
+ * @param {string} [options.head="HEAD"]
+ * @returns {Promise<ChangeReport>}
+ */
+async function main(options) {
+  const report = await analyzeChanges(options);
+
+  const { mdPath } = writeReports("changes", "report", {
+    markdown: generateMarkdown(report),
+    csv: generateCSV(report),
+    json: generateJSON(report),
+  });
+
+  console.log("");
+  const { added, removed } = summarizeTotals(report.totals);
+  if (added.length > 0) console.log(`  Adds:    ${added.join(", ")}`);
+  if (removed.length > 0) console.log(`  Removes: ${removed.join(", ")}`);
+  if (!hasChanges(report)) console.log("  No changes in component usage.");
+  console.log(`\n✅ Report saved: ${path.relative(process.cwd(), mdPath)}`);
+  return report;
+}
+
+module.exports = {
+  // Counting
+  countFile,
+  createAnalyzer,
+
+  // Comparison
+  diffCounts,
+  compareCounts,
+  analyzeChanges,
+
+  // Report generation
+  summarizeTotals,
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+
+  // CLI
+  main,
+};
@@ -0,0 +1,491 @@
+#!/usr/bin/env node
+
+/**
+ * @module check/check-budgets
+ *
+ * Budget Check
+ *
+ * Evaluates the `budgets` section of `component-analytics.config.js`
+ * against the JSON reports of the last run and exits non-zero when any
+ * budget is exceeded, so CI can block regressions:
+ *
+ *   - `minTrackedPercent`  share of JSX instances from the tracked
+ *                          libraries (`sources/report.json`)
+ *   - `minLineOwnership`   line ownership of UI files
+ *                          (`line-ownership/report.json`)
+ *   - `maxHtmlTags`        raw instances per HTML tag
+ *                          (`html-tags/report.json`)
+ *   - `maxInlineStyles`    inline `style=` customizations per tracked
+ *                          component (`customizations/report.json`)
+ *
+ * Every budget applies to each codebase separately; `budgets.codebases`
+ * overrides them per codebase.  Violations of the `max*` budgets list
+ * the file and line of every offending instance.
+ *
+ * Exit codes: 0 when every budget holds, 1 on violations or when the
+ * budgets or reports cannot be read.
+ *
+ * Run directly:
+ *   node scripts/check/check-budgets.js [--reports <dir>]
+ *
+ * Or via npm:
+ *   npm run check
+ */
+
+const path = require("path");
+
+const { BUDGETS } = require("../lib/constants");
+const { REPORTS_ROOT, readSafe } = require("../lib/files");
+const { pct } = require("../lib/utils");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Every budget: the report it is checked against and the step that
+ * writes that report.
+ *
+ * @type {Object<string, { report: keyof BudgetReports, step: string }>}
+ */
+const BUDGET_SOURCES = {
+  minTrackedPercent: { report: "sources", step: "sources" },
+  minLineOwnership: { report: "lineOwnership", step: "line-ownership" },
+  maxHtmlTags: { report: "htmlTags", step: "html-tags" },
+  maxInlineStyles: { report: "customizations", step: "customizations" },
+};
+
+/** JSON report of each kind, relative to the reports directory. */
+const REPORT_FILES = {
+  sources: "sources/report.json",
+  lineOwnership: "line-ownership/report.json",
+  htmlTags: "html-tags/report.json",
+  customizations: "customizations/report.json",
+};
+
+/** Offending instances printed per violation. */
+const MAX_REFERENCES_SHOWN = 10;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parsed reports, `null` when the file is missing.
+ *
+ * @typedef {object} BudgetReports
+ * @property {object | null} sources
+ * @property {object | null} lineOwnership
+ * @property {object | null} htmlTags
+ * @property {object | null} customizations
+ */
+
+/**
+ * @typedef {object} Reference
+ * @property {string} file
+ * @property {number} line
+ * @property {string} [sourceCode]
+ */
+
+/**
+ * @typedef {object} Violation
+ * @property {string}      budget     - Budget key, e.g. `"maxHtmlTags"`.
+ * @property {string}      codebase
+ * @property {string|null} subject    - Tag or component the limit is for.
+ * @property {number}      actual
+ * @property {number}      limit
+ * @property {Reference[]} references - Offending instances (`max*` budgets).
+ */
+
+/**
+ * @typedef {object} CheckResult
+ * @property {number}      checked    - Limits evaluated.
+ * @property {Violation[]} violations
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BUDGETS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate one set of limits.
+ *
+ * @param {object} limits
+ * @param {string} where - Config path for error messages.
+ * @throws {Error} On unknown keys or non-numeric limits.
+ */
+function validateLimits(limits, where) {
+  for (const [key, value] of Object.entries(limits)) {
+    if (!(key in BUDGET_SOURCES)) {
+      throw new Error(
+        `Unknown budget "${where}.${key}".  Valid budgets: ${Object.keys(BUDGET_SOURCES).join(", ")}`,
+      );
+    }
+    const numbers = key.startsWith("max") ? Object.entries(value || {}) : [];
+    if (!key.startsWith("max")) numbers.push([null, value]);
+    for (const [name, n] of numbers) {
+      if (typeof n !== "number" || Number.isNaN(n) || n < 0) {
+        const at =
+          name === null ? `${where}.${key}` : `${where}.${key}.${name}`;
+        throw new Error(`Budget "${at}" must be a non-negative number.`);
+      }
+    }
+  }
+}
+
+/**
+ * Validate the `budgets` config.
+ *
+ * @param {import("../lib/config-schema").BudgetConfig} budgets
+ * @throws {Error} When a budget is unknown or not a number.
+ */
+function validateBudgets(budgets) {
+  const { codebases = {}, ...limits } = budgets;
+  validateLimits(limits, "budgets");
+  for (const [codebase, overrides] of Object.entries(codebases)) {
+    validateLimits(overrides, `budgets.codebases.${codebase}`);
+  }
+}
+
+/**
+ * The limits that apply to one codebase: the shared budgets with the
+ * codebase's overrides on top.
+ *
+ * @param {import("../lib/config-schema").BudgetConfig} budgets
+ * @param {string} codebase
+ * @returns {import("../lib/config-schema").BudgetLimits}
+ */
+function limitsFor(budgets, codebase) {
+  const { codebases = {}, ...shared } = budgets;
+  const overrides = codebases[codebase] || {};
+  return {
+    ...shared,
+    ...overrides,
+    maxHtmlTags: { ...shared.maxHtmlTags, ...overrides.maxHtmlTags },
+    maxInlineStyles: {
+      ...shared.maxInlineStyles,
+      ...overrides.maxInlineStyles,
+    },
+  };
+}
+
+/**
+ * Budget keys used anywhere in `budgets`.
+ *
+ * @param {import("../lib/config-schema").BudgetConfig} budgets
+ * @returns {string[]}
+ */
+function usedBudgets(budgets) {
+  const { codebases = {}, ...shared } = budgets;
+  const keys = new Set(Object.keys(shared));
+  for (const overrides of Object.values(codebases)) {
+    for (const key of Object.keys(overrides)) keys.add(key);
+  }
+  return [...keys];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EVALUATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read the JSON reports budgets are checked against.
+ *
+ * @param {string} [dir=REPORTS_ROOT]
+ * @returns {BudgetReports}
+ */
+function loadReports(dir = REPORTS_ROOT) {
+  const reports = {};
+  for (const [key, file] of Object.entries(REPORT_FILES)) {
+    const content = readSafe(path.join(dir, file));
+    reports[key] = content === null ? null : JSON.parse(content);
+  }
+  return /** @type {BudgetReports} */ (reports);
+}
+
+/**
+ * Share (%) of a codebase's JSX instances that come from the tracked
+ * libraries.
+ *
+ * @param {object} data - One codebase of `sources/report.json`.
+ * @returns {number}
+ */
+function trackedPercent(data) {
+  const tracked = Object.values(data.libraries).reduce(
+    (sum, lib) => sum + lib.instances,
+    0,
+  );
+  return Number(pct(tracked, data.total.instances));
+}
+
+/**
+ * Check every budget against the reports.
+ *
+ * @param {import("../lib/config-schema").BudgetConfig} budgets
+ * @param {BudgetReports} reports
+ * @returns {CheckResult}
+ * @throws {Error} When a budget's report is missing.
+ */
+function checkBudgets(budgets, reports) {
+  validateBudgets(budgets);
+
+  const missing = usedBudgets(budgets)
+    .map((key) => BUDGET_SOURCES[key])
+    .filter((source) => !reports[source.report]);
+  if (missing.length > 0) {
+    const steps = [...new Set(missing.map((s) => s.step))];
+    throw new Error(
+      `Missing reports for ${steps.join(", ")} — run \`npm run analyze\` first.`,
+    );
+  }
+
+  /** @type {Violation[]} */
+  const violations = [];
+  let checked = 0;
+
+  /**
+   * Record one minimum budget.
+   *
+   * @param {string} budget
+   * @param {string} codebase
+   * @param {number} actual
+   * @param {number} limit
+   */
+  const atLeast = (budget, codebase, actual, limit) => {
+    checked++;
+    if (actual < limit) {
+      violations.push({
+        budget,
+        codebase,
+        subject: null,
+        actual,
+        limit,
+        references: [],
+      });
+    }
+  };
+
+  /**
+   * Record one maximum budget per subject.
+   *
+   * @param {string} budget
+   * @param {string} codebase
+   * @param {Object<string, number>} limits - Subject → limit (`"*"` = any other).
+   * @param {Object<string, number>} counts - Subject → actual count.
+   * @param {Object<string, Reference[]>} references
+   */
+  const atMost = (budget, codebase, limits, counts, references) => {
+    const subjects = new Set(
+      "*" in limits ? Object.keys(counts) : Object.keys(limits),
+    );
+    for (const subject of Object.keys(limits)) {
+      if (subject !== "*") subjects.add(subject);
+    }
+    for (const subject of [...subjects].sort()) {
+      const limit = subject in limits ? limits[subject] : limits["*"];
+      const actual = counts[subject] || 0;
+      checked++;
+      if (actual > limit) {
+        violations.push({
+          budget,
+          codebase,
+          subject,
+          actual,
+          limit,
+          references: (references[subject] || []).map(
+            ({ file, line, sourceCode }) => ({ file, line, sourceCode }),
+          ),
+        });
+      }
+    }
+  };
+
+  /** Codebases present in any loaded report. */
+  const codebases = new Set();
+  for (const report of Object.values(reports)) {
+    if (!report) continue;
+    for (const [codebase, data] of Object.entries(report.codebases)) {
+      if (data) codebases.add(codebase);
+    }
+  }
+
+  for (const codebase of codebases) {
+    const limits = limitsFor(budgets, codebase);
+    const of = (key) => {
+      const report = reports[BUDGET_SOURCES[key].report];
+      return report ? report.codebases[codebase] || null : null;
+    };
+
+    if (limits.minTrackedPercent !== undefined && of("minTrackedPercent")) {
+      atLeast(
+        "minTrackedPercent",
+        codebase,
+        trackedPercent(of("minTrackedPercent")),
+        limits.minTrackedPercent,
+      );
+    }
+
+    if (limits.minLineOwnership !== undefined && of("minLineOwnership")) {
+      atLeast(
+        "minLineOwnership",
+        codebase,
+        of("minLineOwnership").lineOwnershipPercent,
+        limits.minLineOwnership,
+      );
+    }
+
+    const tags = of("maxHtmlTags");
+    if (Object.keys(limits.maxHtmlTags).length > 0 && tags) {
+      const counts = {};
+      const references = {};
+      for (const [tag, data] of Object.entries(tags.tags)) {
+        counts[tag] = data.count;
+        references[tag] = data.references || [];
+      }
+      atMost("maxHtmlTags", codebase, limits.maxHtmlTags, counts, references);
+    }
+
+    const custom = of("maxInlineStyles");
+    if (Object.keys(limits.maxInlineStyles).length > 0 && custom) {
+      atMost(
+        "maxInlineStyles",
+        codebase,
+        limits.maxInlineStyles,
+        custom.inlineStylesByComponent,
+        custom.inlineStyleReferences || {},
+      );
+    }
+  }
+
+  return { checked, violations };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// OUTPUT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Describe a violation in one line.
+ *
+ * @param {Violation} v
+ * @returns {string}
+ */
+function describeViolation(v) {
+  switch (v.budget) {
+    case "minTrackedPercent":
+      return `${v.codebase}: tracked library share ${v.actual}% is below ${v.limit}%`;
+    case "minLineOwnership":
+      return `${v.codebase}: line ownership ${v.actual}% is below ${v.limit}%`;
+    case "maxHtmlTags":
+      return `${v.codebase}: ${v.actual} <${v.subject}> tags exceed the budget of ${v.limit}`;
+    default:
+      return `${v.codebase}: ${v.actual} inline styles on <${v.subject}> exceed the budget of ${v.limit}`;
+  }
+}
+
+/**
+ * Format violations for the console, with up to
+ * {@link MAX_REFERENCES_SHOWN} offending instances each.
+ *
+ * @param {Violation[]} violations
+ * @returns {string[]} Lines.
+ */
+function formatViolations(violations) {
+  const lines = [];
+  for (const v of violations) {
+    lines.push(`  ✗ ${describeViolation(v)}  (${v.budget})`);
+    for (const ref of v.references.slice(0, MAX_REFERENCES_SHOWN)) {
+      const code = ref.sourceCode ? `  ${ref.sourceCode}` : "";
+      lines.push(`      ${ref.file}:${ref.line}${code}`);
+    }
+    if (v.references.length > MAX_REFERENCES_SHOWN) {
+      lines.push(
+        `      … and ${v.references.length - MAX_REFERENCES_SHOWN} more`,
+      );
+    }
+  }
+  return lines;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse check command-line arguments.
+ *
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{ reports: string }}
+ * @throws {Error} On unknown arguments.
+ */
+function parseArgs(argv) {
+  const options = { reports: REPORTS_ROOT };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--reports") {
+      if (!argv[i + 1]) throw new Error("--reports requires a directory.");
+      options.reports = path.resolve(argv[++i]);
+    } else {
+      throw new Error(`Unknown argument "${argv[i]}".`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Main entry point.  Returns the exit code.
+ *
+ * @param {string[]} [argv=process.argv.slice(2)]
+ * @returns {number}
+ */
+function main(argv = process.argv.slice(2)) {
+  let result;
+  try {
+    const options = parseArgs(argv);
+    if (usedBudgets(BUDGETS).length === 0) {
+      console.log(
+        "No budgets configured — add a `budgets` section to component-analytics.config.js.",
+      );
+      return 0;
+    }
+    result = checkBudgets(BUDGETS, loadReports(options.reports));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return 1;
+  }
+
+  if (result.violations.length === 0) {
+    console.log(`✅ All ${result.checked} budget(s) hold.`);
+    return 0;
+  }
+  console.log(
+    `❌ ${result.violations.length} of ${result.checked} budget(s) exceeded:\n`,
+  );
+  for (const line of formatViolations(result.violations)) console.log(line);
+  console.log("");
+  return 1;
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  process.exit(main());
+}
+
+module.exports = {
+  // Budgets
+  validateBudgets,
+  limitsFor,
+
+  // Evaluation
+  loadReports,
+  trackedPercent,
+  checkBudgets,
+
+  // Output
+  describeViolation,
+  formatViolations,
+
+  // CLI
+  parseArgs,
+  main,
+};
@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+
+/**
+ * @module composition/analyze-composition
+ *
+ * Composition
+ *
+ * Which components are nested inside which.  For every tracked
+ * component, counts the elements its instances sit directly inside
+ * (parents) and the elements rendered directly inside them (children),
+ * split into tracked components, internal components and raw HTML tags.
+ * Fragments are transparent: `<Card><><Text /></></Card>` nests `Text`
+ * in `Card`.
+ *
+ * Nesting comes from the `composition` section of the per-component
+ * reports of the last run, so run the `per-component` step first.
+ *
+ * Output:
+ *   - `reports/composition/report.md`
+ *   - `reports/composition/report.csv`  — one row per parent/child pair
+ *   - `reports/composition/report.json`
+ *
+ * Run directly:
+ *   node scripts/composition/analyze-composition.js
+ *
+ * Or via npm:
+ *   npm run analyze:composition
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { UI_LIBRARY_NAMES } = require("../lib/constants");
+const { writeReports, REPORTS_ROOT } = require("../lib/files");
+const { cell, csvField } = require("../lib/utils");
+
+/** Element kinds, in report order. */
+const KINDS = ["tracked", "internal", "html"];
+
+/** Labels of the element kinds in the Markdown report. */
+const KIND_LABELS = { tracked: "tracked", internal: "internal", html: "HTML" };
+
+/** Elements listed per kind in the Markdown component sections. */
+const TOP_ELEMENTS = 5;
+
+/** Pairs listed in the Markdown "Most common nestings" table. */
+const TOP_PAIRS = 25;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {import("../per-component/analyze-per-component").NestingCounts} NestingCounts
+ */
+
+/**
+ * @typedef {object} CompositionRow
+ * @property {string}        component
+ * @property {string|null}   library
+ * @property {number}        instances
+ * @property {NestingCounts} parents
+ * @property {NestingCounts} children
+ * @property {{ tracked: number, internal: number, html: number }} parentTotals
+ * @property {{ tracked: number, internal: number, html: number }} childTotals
+ */
+
+/**
+ * @typedef {object} NestingPair
+ * @property {{ name: string, kind: string }} parent
+ * @property {{ name: string, kind: string }} child
+ * @property {number} count
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AGGREGATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Total count of each kind.
+ *
+ * @param {NestingCounts} counts
+ * @returns {{ tracked: number, internal: number, html: number }}
+ */
+function kindTotals(counts) {
+  const totals = {};
+  for (const kind of KINDS) {
+    totals[kind] = Object.values(counts[kind] || {}).reduce((a, b) => a + b, 0);
+  }
+  return totals;
+}
+
+/**
+ * One row per used component with a `composition` section, most
+ * instances first.
+ *
+ * @param {Object<string, object>} reports - Per-component detail JSON by component.
+ * @returns {CompositionRow[]}
+ */
+function buildComposition(reports) {
+  const rows = [];
+  for (const [component, report] of Object.entries(reports)) {
+    if (!report.composition || !report.totalInstances) continue;
+    const { parents, children } = report.composition;
+    rows.push({
+      component,
+      library: report.library || null,
+      instances: report.totalInstances,
+      parents,
+      children,
+      parentTotals: kindTotals(parents),
+      childTotals: kindTotals(children),
+    });
+  }
+  return rows.sort(
+    (a, b) =>
+      b.instances - a.instances || a.component.localeCompare(b.component),
+  );
+}
+
+/**
+ * Every parent/child pair with at least one tracked side, most frequent
+ * first.  Tracked-in-tracked pairs appear in both components' reports
+ * and are counted once, from the parent's children.
+ *
+ * @param {CompositionRow[]} rows
+ * @returns {NestingPair[]}
+ */
+function nestingPairs(rows) {
+  const pairs = [];
+  for (const row of rows) {
+    const self = { name: row.component, kind: "tracked" };
+    for (const kind of KINDS) {
+      for (const [name, count] of Object.entries(row.children[kind] || {})) {
+        pairs.push({ parent: self, child: { name, kind }, count });
+      }
+      if (kind === "tracked") continue;
+      for (const [name, count] of Object.entries(row.parents[kind] || {})) {
+        pairs.push({ parent: { name, kind }, child: self, count });
+      }
+    }
+  }
+  return pairs.sort(
+    (a, b) =>
+      b.count - a.count ||
+      a.parent.name.localeCompare(b.parent.name) ||
+      a.child.name.localeCompare(b.child.name),
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Counts per kind as `tracked / internal / HTML`.
+ *
+ * @param {{ tracked: number, internal: number, html: number }} totals
+ * @returns {string}
+ */
+function splitLabel(totals) {
+  return KINDS.map((kind) => totals[kind]).join(" / ");
+}
+
+/**
+ * The most frequent elements of each kind, e.g.
+ * `tracked: \`Stack\` (4), \`Box\` (2); HTML: \`div\` (1)`.
+ *
+ * @param {NestingCounts} counts
+ * @returns {string}
+ */
+function topElements(counts) {
+  const parts = [];
+  for (const kind of KINDS) {
+    const entries = Object.entries(counts[kind] || {}).sort(
+      (a, b) => b[1] - a[1],
+    );
+    if (entries.length === 0) continue;
+    const shown = entries
+      .slice(0, TOP_ELEMENTS)
+      .map(([name, count]) => `\`${cell(name)}\` (${count})`);
+    if (entries.length > TOP_ELEMENTS) {
+      shown.push(`+${entries.length - TOP_ELEMENTS} more`);
+    }
+    parts.push(`${KIND_LABELS[kind]}: ${shown.join(", ")}`);
+  }
+  return parts.join("; ");
+}
+
+/**
+ * Generate the Markdown report: the per-component split, the most
+ * common tracked-in-tracked nestings, then each component's top parents
+ * and children.
+ *
+ * @param {CompositionRow[]} rows
+ * @returns {string}
+ */
+function generateMarkdown(rows) {
+  const pairs = nestingPairs(rows);
+  const lines = [];
+  lines.push("# Composition");
+  lines.push("");
+  lines.push(
+    "Direct parents and children of each tracked component's instances, split into tracked components, internal components and HTML tags.",
+  );
+  lines.push("");
+  lines.push(`- **${rows.length}** tracked components`);
+  lines.push(`- **${pairs.length}** distinct parent/child pairs`);
+  lines.push("");
+
+  if (rows.length === 0) return lines.join("\n");
+
+  lines.push(
+    "| Component | Library | Instances | Parents (tracked / internal / HTML) | Children (tracked / internal / HTML) |",
+  );
+  lines.push(
+    "|-----------|---------|----------:|------------------------------------:|-------------------------------------:|",
+  );
+  for (const r of rows) {
+    lines.push(
+      `| ${cell(r.component)} | ${cell(r.library || "")} | ${r.instances} | ${splitLabel(r.parentTotals)} | ${splitLabel(r.childTotals)} |`,
+    );
+  }
+  lines.push("");
+
+  const tracked = pairs
+    .filter((p) => p.parent.kind === "tracked" && p.child.kind === "tracked")
+    .slice(0, TOP_PAIRS);
+  if (tracked.length > 0) {
+    lines.push("## Most common nestings");
+    lines.push("");
+    lines.push("| Parent | Child | Count |");
+    lines.push("|--------|-------|------:|");
+    for (const p of tracked) {
+      lines.push(
+        `| ${cell(p.parent.name)} | ${cell(p.child.name)} | ${p.count} |`,
+      );
+    }
+    lines.push("");
+  }
+
+  for (const r of rows) {
+    const parents = topElements(r.parents);
+    const children = topElements(r.children);
+    if (!parents && !children) continue;
+    lines.push(`## ${r.component}`);
+    lines.push("");
+    if (parents) lines.push(`- Parents — ${parents}`);
+    if (children) lines.push(`- Children — ${children}`);
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate the CSV report: one row per parent/child pair.
+ *
+ * @param {CompositionRow[]} rows
+ * @returns {string}
+ */
+function generateCSV(rows) {
+  const out = ["Parent,Parent Kind,Child,Child Kind,Count"];
+  for (const p of nestingPairs(rows)) {
+    out.push(
+      [
+        csvField(p.parent.name),
+        p.parent.kind,
+        csvField(p.child.name),
+        p.child.kind,
+        p.count,
+      ].join(","),
+    );
+  }
+  return out.join("\n") + "\n";
+}
+
+/**
+ * Generate the JSON report.
+ *
+ * @param {CompositionRow[]} rows
+ * @returns {string}
+ */
+function generateJSON(rows) {
+  const pairs = nestingPairs(rows);
+  return JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      libraryNames: UI_LIBRARY_NAMES,
+      totalComponents: rows.length,
+      totalPairs: pairs.length,
+      components: Object.fromEntries(
+        rows.map(({ component, ...row }) => [component, row]),
+      ),
+      pairs,
+    },
+    null,
+    2,
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build and write the composition reports from the per-component
+ * reports of the last run.
+ *
+ * @param {string} [reportsDir=REPORTS_ROOT]
+ */
+function main(reportsDir = REPORTS_ROOT) {
+  const detailDir = path.join(reportsDir, "components", "detail");
+  if (!fs.existsSync(detailDir)) {
+    console.log(
+      `  ⚠ No per-component reports in ${detailDir} — run \`npm run analyze:per-component\` first.`,
+    );
+    console.log("");
+    return;
+  }
+
+  const reports = {};
+  for (const file of fs.readdirSync(detailDir).sort()) {
+    if (!file.endsWith(".json")) continue;
+    reports[path.basename(file, ".json")] = JSON.parse(
+      fs.readFileSync(path.join(detailDir, file), "utf8"),
+    );
+  }
+
+  const rows = buildComposition(reports);
+  writeReports("composition", "report", {
+    markdown: generateMarkdown(rows),
+    csv: generateCSV(rows),
+    json: generateJSON(rows),
+  });
+
+  console.log(`✅ Composition written for ${rows.length} component(s)`);
+  const top = nestingPairs(rows)
+    .filter((p) => p.parent.kind === "tracked" && p.child.kind === "tracked")
+    .slice(0, 5);
+  if (top.length > 0) {
+    console.log("\n  Most common nestings:");
+    for (const p of top) {
+      console.log(
+        `    <${p.parent.name}> › <${p.child.name}>`.padEnd(40) +
+          String(p.count).padStart(6),
+      );
+    }
+  }
+  console.log("");
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  // Aggregation
+  buildComposition,
+  nestingPairs,
+
+  // Report generation
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+
+  // CLI entry point (used in-process by run.js)
+  main,
+};
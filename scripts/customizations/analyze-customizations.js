@@ -23,12 +23,10 @@ const {
   UI_LIBRARY_NAMES,
 } = require("../lib/constants");
 const { sortByCount, incr, compact } = require("../lib/utils");
-const {
-  codebaseExists,
-  findFiles,
-  readSafe,
-  writeReports,
-} = require("../lib/files");
+const { writeReports } = require("../lib/files");
+const { toParsed } = require("../lib/parser");
+const { findTagEnd } = require("../lib/legacy-extraction");
+const { runPipeline } = require("../lib/pipeline");
 
 // ─── Shared regex fragment ────────────────────────────────────────────────────
 
@@ -54,6 +52,21 @@ function componentPattern() {
   return _cachedPattern;
 }
 
+/**
+ * `true` when a JSX tag name or `styled()` argument is a tracked
+ * component (or any PascalCase name in track-all mode).
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+let _cachedMatcher = null;
+function isTrackedName(name) {
+  if (!_cachedMatcher) {
+    _cachedMatcher = new RegExp(`^(?:${componentPattern()})$`);
+  }
+  return _cachedMatcher.test(name);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // EXTRACTION — inline style={}
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -95,32 +108,6 @@ function extractStyleFromProps(propsStr) {
   return results;
 }
 
-/**
- * Find the end position of a JSX opening tag, accounting for
- * embedded `{…}` expressions that may contain `>` characters.
- *
- * Scans forward from `startIdx` tracking brace depth; returns the
- * index of the first `>` encountered at depth 0, or `-1` if no
- * closing bracket is found before EOF.
- *
- * @param {string} content  - Full file content.
- * @param {number} startIdx - Position immediately after the tag name.
- * @returns {number} Index of the closing `>`, or `-1`.
- */
-function findTagEnd(content, startIdx) {
-  let depth = 0;
-  for (let i = startIdx; i < content.length; i++) {
-    if (content[i] === "{") {
-      depth++;
-    } else if (content[i] === "}") {
-      depth--;
-    } else if (depth === 0 && content[i] === ">") {
-      return i;
-    }
-  }
-  return -1;
-}
-
 /**
  * Extract inline styles from multi-line JSX tags.
  *
@@ -137,33 +124,26 @@ function findTagEnd(content, startIdx) {
  * >
  * ```
  *
- * This is the **primary** extractor — it handles both single-line
- * and multi-line tags because it scans for the full tag boundary
- * using brace-depth tracking.
+ * Reads the `style` attribute of every tracked element from the parsed
+ * syntax tree, so single-line and multi-line tags are handled alike.
  *
- * @param {string} content - Full file content.
- * @returns {Array<{ component: string, styleContent: string, raw: string }>}
+ * @param {string|import("../lib/parser").ParsedFile} content - Full file
+ *   content, or an already parsed file.
+ * @returns {Array<{ component: string, styleContent: string, raw: string, line: number }>}
  */
 function extractMultiLineInlineStyles(content) {
   const results = [];
-  const openTagRegex = new RegExp(`<(${componentPattern()})\\b`, "g");
-  let openMatch;
 
-  while ((openMatch = openTagRegex.exec(content)) !== null) {
-    const component = openMatch[1];
-    const startIdx = openMatch.index + openMatch[0].length;
-    const tagEnd = findTagEnd(content, startIdx);
+  for (const el of toParsed(content).elements) {
+    if (el.intrinsic || !isTrackedName(el.name)) continue;
 
-    if (tagEnd === -1) continue;
-
-    const tagContent = content.slice(startIdx, tagEnd);
-    const styleResults = extractStyleFromProps(tagContent);
-
-    for (const styleContent of styleResults) {
+    for (const attr of el.attributes) {
+      if (attr.name !== "style" || attr.kind !== "expression") continue;
       results.push({
-        component,
-        styleContent: styleContent.trim(),
-        raw: `<${component} style={${styleContent.trim()}}>`,
+        component: el.name,
+        styleContent: attr.value,
+        raw: `<${el.name} style={${attr.value}}>`,
+        line: el.line,
       });
     }
   }
@@ -174,52 +154,15 @@ function extractMultiLineInlineStyles(content) {
 /**
  * Extract inline `style` props from tracked UI library components in JSX.
  *
- * Runs a fast single-line regex pass first, then a slower but more
- * robust multi-line pass.  Results are deduplicated by component +
- * style content so no occurrence is counted twice.
+ * Every `style={…}` attribute on a tracked element is one occurrence;
+ * two identical styles on two elements count twice.
  *
- * @param {string} content - File content.
- * @returns {Array<{ component: string, styleContent: string, raw: string }>}
+ * @param {string|import("../lib/parser").ParsedFile} content - File
+ *   content, or an already parsed file.
+ * @returns {Array<{ component: string, styleContent: string, raw: string, line: number }>}
  */
 function extractInlineStyles(content) {
-  const results = [];
-
-  // ── Fast single-line pass ────────────────────────────────────────────
-  const tagRegex = new RegExp(
-    `<(${componentPattern()})\\b([^>]*(?:\\{[^}]*\\}[^>]*)*)>|` +
-      `<(${componentPattern()})\\b([^>]*(?:\\{[^}]*\\}[^>]*)*)\\/>`,
-    "g",
-  );
-
-  let tagMatch;
-  while ((tagMatch = tagRegex.exec(content)) !== null) {
-    const component = tagMatch[1] || tagMatch[3];
-    const propsStr = tagMatch[2] || tagMatch[4] || "";
-    const styleMatches = extractStyleFromProps(propsStr);
-
-    for (const styleContent of styleMatches) {
-      results.push({
-        component,
-        styleContent: styleContent.trim(),
-        raw: `<${component} style={${styleContent}}>`,
-      });
-    }
-  }
-
-  // ── Multi-line pass (deduplicates against the fast pass) ─────────────
-  const multiLineResults = extractMultiLineInlineStyles(content);
-  for (const result of multiLineResults) {
-    const isDuplicate = results.some(
-      (r) =>
-        r.component === result.component &&
-        r.styleContent === result.styleContent,
-    );
-    if (!isDuplicate) {
-      results.push(result);
-    }
-  }
-
-  return results;
+  return extractMultiLineInlineStyles(content);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -227,25 +170,23 @@ function extractInlineStyles(content) {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Extract the body of a parenthesised expression by counting depth.
- *
- * Starts scanning at `startIdx` (which should be the character
- * immediately after the opening `(`).  Returns the content between
- * the parens, exclusive.
+ * Convert the parser's `styled()` records of one kind into the
+ * `{ component, styledContent, variableName, line }` shape used by
+ * this analyzer, keeping only tracked components.
  *
- * @param {string} content  - Full file content.
- * @param {number} startIdx - Position right after the opening `(`.
- * @returns {string} Content between the parens.
+ * @param {string|import("../lib/parser").ParsedFile} content
+ * @param {"template"|"call"} kind
+ * @returns {Array<{ component: string, styledContent: string, variableName: string | null, line: number }>}
  */
-function extractParenBody(content, startIdx) {
-  let depth = 1;
-  let i = startIdx;
-  while (i < content.length && depth > 0) {
-    if (content[i] === "(") depth++;
-    else if (content[i] === ")") depth--;
-    i++;
-  }
-  return content.slice(startIdx, i - 1).trim();
+function styledCallsOfKind(content, kind) {
+  return toParsed(content)
+    .styledCalls.filter((c) => c.kind === kind && isTrackedName(c.component))
+    .map((c) => ({
+      component: c.component,
+      styledContent: c.content,
+      variableName: c.variableName,
+      line: c.line,
+    }));
 }
 
 /**
@@ -257,28 +198,11 @@ function extractParenBody(content, startIdx) {
  * - `styled(Card)<Props>\`…\``
  * - `export const Foo = styled(Card)\`…\``
  *
- * @param {string} content - File content.
+ * @param {string|import("../lib/parser").ParsedFile} content - File content.
  * @returns {Array<{ component: string, styledContent: string, variableName: string | null }>}
  */
 function matchStyledTemplateLiterals(content) {
-  const results = [];
-  const regex = new RegExp(
-    `(?:(?:export\\s+)?(?:const|let|var)\\s+(\\w+)\\s*=\\s*)?` +
-      `styled\\((${componentPattern()})\\)` +
-      `(?:<[^>]*>)?(?:\\.attrs\\([^)]*\\))?(?:<[^>]*>)?` +
-      "`([^`]*)`",
-    "g",
-  );
-
-  let match;
-  while ((match = regex.exec(content)) !== null) {
-    results.push({
-      component: match[2],
-      styledContent: match[3].trim(),
-      variableName: match[1] || null,
-    });
-  }
-  return results;
+  return styledCallsOfKind(content, "template");
 }
 
 /**
@@ -289,49 +213,35 @@ function matchStyledTemplateLiterals(content) {
  * - `styled(Card)((props) => css\`…\`)`
  * - `export const Root = styled(Card)(…)`
  *
- * @param {string} content - File content.
- * @param {Array<{ component: string, variableName: string | null }>} existing
+ * @param {string|import("../lib/parser").ParsedFile} content - File content.
+ * @param {Array<{ component: string, variableName: string | null }>} [existing]
  *   Already-matched results to check for duplicates against.
  * @returns {Array<{ component: string, styledContent: string, variableName: string | null }>}
  */
-function matchStyledFunctionCalls(content, existing) {
-  const results = [];
-  const regex = new RegExp(
-    `(?:(?:export\\s+)?(?:const|let|var)\\s+(\\w+)\\s*=\\s*)?` +
-      `styled\\((${componentPattern()})\\)` +
-      `(?:<[^>]*>)?(?:\\.attrs\\([^)]*\\))?(?:<[^>]*>)?\\(`,
-    "g",
+function matchStyledFunctionCalls(content, existing = []) {
+  return styledCallsOfKind(content, "call").filter(
+    (result) =>
+      !existing.some(
+        (r) =>
+          r.component === result.component &&
+          r.variableName === result.variableName,
+      ),
   );
-
-  let match;
-  while ((match = regex.exec(content)) !== null) {
-    const component = match[2];
-    const variableName = match[1] || null;
-    const callStart = match.index + match[0].length;
-    const styledContent = extractParenBody(content, callStart);
-
-    const isDuplicate = existing.some(
-      (r) => r.component === component && r.variableName === variableName,
-    );
-    if (!isDuplicate) {
-      results.push({ component, styledContent, variableName });
-    }
-  }
-  return results;
 }
 
 /**
  * Extract all `styled()` usages that wrap tracked UI library components.
  *
- * Combines the template-literal and function-call patterns, deduplicating
- * so that a single `styled(Card)` call is never counted twice.
+ * Combines the template-literal and function-call patterns.  Each
+ * `styled(Card)` call has exactly one form, so nothing is counted twice.
  *
- * @param {string} content - File content.
+ * @param {string|import("../lib/parser").ParsedFile} content - File content.
  * @returns {Array<{ component: string, styledContent: string, variableName: string | null }>}
  */
 function extractStyledUsages(content) {
-  const templateResults = matchStyledTemplateLiterals(content);
-  const fnResults = matchStyledFunctionCalls(content, templateResults);
+  const parsed = toParsed(content);
+  const templateResults = matchStyledTemplateLiterals(parsed);
+  const fnResults = matchStyledFunctionCalls(parsed, templateResults);
   return [...templateResults, ...fnResults];
 }
 
@@ -395,6 +305,7 @@ function parseStyledProperties(templateStr) {
  * @property {string}   component    - Tracked UI library component name.
  * @property {string}   styleContent - Raw content of the style object.
  * @property {string}   raw          - Reconstructed JSX for reference.
+ * @property {number}   line         - 1-based line of the element.
  * @property {string[]} properties   - Parsed property names.
  */
 
@@ -403,6 +314,7 @@ function parseStyledProperties(templateStr) {
  * @property {string}      component    - Tracked UI library component being wrapped.
  * @property {string}      styledContent - CSS / JS content inside styled().
  * @property {string|null} variableName - Variable the result is assigned to.
+ * @property {number}      line         - 1-based line of `styled`.
  * @property {string[]}    properties   - Parsed CSS property names.
  */
 
@@ -424,16 +336,18 @@ function parseStyledProperties(templateStr) {
  * Returns both the raw extraction results (with parsed properties
  * attached) and a quick summary object.
  *
- * @param {string} content - File content.
+ * @param {string|import("../lib/parser").ParsedFile} content - File
+ *   content, or an already parsed file.
  * @returns {FileCustomizationResult}
  */
 function analyzeContent(content) {
-  const inlineStyles = extractInlineStyles(content).map((s) => ({
+  const parsed = toParsed(content);
+  const inlineStyles = extractInlineStyles(parsed).map((s) => ({
     ...s,
     properties: parseStyleProperties(s.styleContent),
   }));
 
-  const styledUsages = extractStyledUsages(content).map((s) => ({
+  const styledUsages = extractStyledUsages(parsed).map((s) => ({
     ...s,
     properties: parseStyledProperties(s.styledContent),
   }));
@@ -463,6 +377,14 @@ function analyzeContent(content) {
  * @property {Object<string, number>} properties - Property → count.
  */
 
+/**
+ * @typedef {object} CustomizationReference
+ * @property {string} file       - File path relative to the codebase root.
+ * @property {number} line       - 1-based line number.
+ * @property {string} codebase   - Which codebase the file belongs to.
+ * @property {string} sourceCode - `<Card style={…}>` or `styled(Card)`, on one line.
+ */
+
 /**
  * @typedef {object} AggregatedCustomizationResult
  * @property {number} totalFiles
@@ -476,6 +398,8 @@ function analyzeContent(content) {
  * @property {Object<string, number>} styledProperties
  * @property {InlineStyleEntry[]}     allInlineStyles
  * @property {StyledUsageEntry[]}     allStyledUsages
+ * @property {Object<string, CustomizationReference[]>} inlineStyleReferences - Component → inline styles.
+ * @property {Object<string, CustomizationReference[]>} styledReferences      - Component → styled() wrappers.
  */
 
 /**
@@ -505,10 +429,19 @@ function recordComponentProperties(byComponent, comp, properties, globalProps) {
 /**
  * Aggregate results from multiple file analyses into a single summary.
  *
+ * When `filePaths` and `codebase` are provided, a reference to every
+ * customization is collected per component; otherwise the reference
+ * maps are left empty.
+ *
  * @param {FileCustomizationResult[]} fileResults
+ * @param {object}   [options]
+ * @param {string[]} [options.filePaths] - Parallel array of relative file paths.
+ * @param {string}   [options.codebase]  - Codebase name for references.
  * @returns {AggregatedCustomizationResult}
  */
-function aggregateResults(fileResults) {
+function aggregateResults(fileResults, options = {}) {
+  const { filePaths, codebase } = options;
+
   /** @type {AggregatedCustomizationResult} */
   const agg = {
     totalFiles: fileResults.length,
@@ -522,9 +455,30 @@ function aggregateResults(fileResults) {
     styledProperties: {},
     allInlineStyles: [],
     allStyledUsages: [],
+    inlineStyleReferences: {},
+    styledReferences: {},
   };
 
-  for (const result of fileResults) {
+  /**
+   * @param {Object<string, CustomizationReference[]>} refs
+   * @param {string} component
+   * @param {number} i          - File index.
+   * @param {number} line
+   * @param {string} sourceCode
+   */
+  const addReference = (refs, component, i, line, sourceCode) => {
+    if (!filePaths || !codebase) return;
+    if (!refs[component]) refs[component] = [];
+    refs[component].push({
+      file: filePaths[i],
+      line,
+      codebase,
+      sourceCode: sourceCode.replace(/\s+/g, " ").trim(),
+    });
+  };
+
+  for (let i = 0; i < fileResults.length; i++) {
+    const result = fileResults[i];
     if (result.summary.totalCustomizations > 0) {
       agg.filesWithCustomizations++;
     }
@@ -541,6 +495,13 @@ function aggregateResults(fileResults) {
         agg.inlineStyleProperties,
       );
       agg.allInlineStyles.push(style);
+      addReference(
+        agg.inlineStyleReferences,
+        style.component,
+        i,
+        style.line,
+        style.raw,
+      );
     }
 
     for (const styled of result.styledUsages) {
@@ -551,6 +512,13 @@ function aggregateResults(fileResults) {
         agg.styledProperties,
       );
       agg.allStyledUsages.push(styled);
+      addReference(
+        agg.styledReferences,
+        styled.component,
+        i,
+        styled.line,
+        `styled(${styled.component})`,
+      );
     }
   }
 
@@ -935,6 +903,8 @@ function buildCodebaseJsonSummary(data) {
     topStyledProperties: sortByCount(data.styledProperties)
       .slice(0, 20)
       .map(([prop, count]) => ({ property: prop, count })),
+    inlineStyleReferences: data.inlineStyleReferences || {},
+    styledReferences: data.styledReferences || {},
   };
 }
 
@@ -961,43 +931,80 @@ function generateJSON(results) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// CODEBASE RUNNER
+// PIPELINE ANALYZER
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Analyse a single codebase for tracked UI library customisations.
- *
- * Returns `null` if the codebase directory doesn't exist.
+ * Create the customization analyzer for the shared single-pass
+ * pipeline.  Codebases that don't exist on disk are reported as `null`.
  *
- * @param {string} codebase - Directory name under `codebases/`.
- * @returns {Promise<AggregatedCustomizationResult | null>}
+ * @returns {import("../lib/pipeline").Analyzer}
  */
-async function analyzeCodebase(codebase) {
-  if (!codebaseExists(codebase)) {
-    console.log(`⚠️  Skipping ${codebase}: path not found`);
-    return null;
-  }
+function createAnalyzer() {
+  /** @type {Object<string, AggregatedCustomizationResult>} */
+  const aggregated = {};
+  let fileResults = [];
+  let filePaths = [];
 
-  console.log(
-    `\n📊 Analyzing ${UI_LIBRARY_NAMES} customizations in ${codebase}...`,
-  );
+  return {
+    name: "customizations",
+    worker: { module: __filename },
+
+    beginCodebase() {
+      fileResults = [];
+      filePaths = [];
+    },
 
-  const files = await findFiles(codebase);
-  console.log(`   Found ${files.length} component files`);
+    analyze(file) {
+      return analyzeContent(file.parsed);
+    },
 
-  const fileResults = [];
-  for (const file of files) {
-    const content = readSafe(file);
-    if (content !== null) {
-      fileResults.push(analyzeContent(content));
-    }
-  }
+    file(file, result) {
+      fileResults.push(result);
+      filePaths.push(file.relPath);
+    },
 
-  const aggregated = aggregateResults(fileResults);
-  console.log(
-    `   ${aggregated.totalInlineStyles} inline styles, ${aggregated.totalStyledUsages} styled() usages`,
-  );
-  return aggregated;
+    endCodebase(codebase) {
+      const agg = aggregateResults(fileResults, { filePaths, codebase });
+      aggregated[codebase] = agg;
+      fileResults = [];
+      filePaths = [];
+      console.log(
+        `   Customizations: ${agg.totalInlineStyles} inline styles, ${agg.totalStyledUsages} styled() usages`,
+      );
+    },
+
+    finish() {
+      /** @type {Object<string, AggregatedCustomizationResult | null>} */
+      const results = {};
+      for (const codebase of CODEBASES) {
+        results[codebase] = aggregated[codebase] || null;
+      }
+
+      writeReports("customizations", "report", {
+        markdown: generateMarkdown(results),
+        csv: generateCSV(results),
+        json: generateJSON(results),
+      });
+
+      console.log("\n✅ Markdown report saved");
+      console.log("✅ CSV report saved");
+      console.log("✅ JSON report saved");
+
+      // Quick console summary
+      console.log("\n" + "─".repeat(60));
+      console.log("  QUICK SUMMARY");
+      console.log("─".repeat(60));
+
+      for (const [codebase, data] of Object.entries(results)) {
+        if (!data) continue;
+        console.log(
+          `  ${codebase.padEnd(10)}: ${String(data.totalInlineStyles).padStart(4)} inline styles, ${String(data.totalStyledUsages).padStart(4)} styled(), ${String(data.totalCustomizations).padStart(4)} total`,
+        );
+      }
+      console.log("");
+    },
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1014,34 +1021,7 @@ async function main() {
   console.log(`  ${UI_LIBRARY_NAMES.toUpperCase()} CUSTOMIZATION ANALYSIS`);
   console.log("═".repeat(60));
 
-  /** @type {Object<string, AggregatedCustomizationResult | null>} */
-  const results = {};
-  for (const codebase of CODEBASES) {
-    results[codebase] = await analyzeCodebase(codebase);
-  }
-
-  writeReports("customizations", "report", {
-    markdown: generateMarkdown(results),
-    csv: generateCSV(results),
-    json: generateJSON(results),
-  });
-
-  console.log("\n✅ Markdown report saved");
-  console.log("✅ CSV report saved");
-  console.log("✅ JSON report saved");
-
-  // Quick console summary
-  console.log("\n" + "─".repeat(60));
-  console.log("  QUICK SUMMARY");
-  console.log("─".repeat(60));
-
-  for (const [codebase, data] of Object.entries(results)) {
-    if (!data) continue;
-    console.log(
-      `  ${codebase.padEnd(10)}: ${String(data.totalInlineStyles).padStart(4)} inline styles, ${String(data.totalStyledUsages).padStart(4)} styled(), ${String(data.totalCustomizations).padStart(4)} total`,
-    );
-  }
-  console.log("");
+  await runPipeline([createAnalyzer()]);
 }
 
 // ─── Module boundary ──────────────────────────────────────────────────────────
@@ -1061,7 +1041,6 @@ module.exports = {
   extractStyledUsages,
   matchStyledTemplateLiterals,
   matchStyledFunctionCalls,
-  extractParenBody,
 
   // Property parsing
   parseStyleProperties,
@@ -1078,6 +1057,9 @@ module.exports = {
   generateCSV,
   generateJSON,
 
+  // Pipeline
+  createAnalyzer,
+
   // Sub-formatters (exposed for testing)
   formatComponentTable,
   formatPropertyTable,
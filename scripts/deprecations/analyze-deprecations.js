@@ -0,0 +1,414 @@
+#!/usr/bin/env node
+
+/**
+ * @module deprecations/analyze-deprecations
+ *
+ * Deprecated Usage
+ *
+ * Lists every instance of a deprecated component, prop or prop value,
+ * as configured per library in `uiLibraries[].deprecations`:
+ *
+ *   { component: "Grid" }                                   any <Grid>
+ *   { component: "Button", prop: "mode" }                   <Button mode=…>
+ *   { component: "Button", prop: "tone", value: "critical" } <Button tone="critical">
+ *
+ * An entry only matches instances imported from its own library.  Prop
+ * values are compared in the normalized form the per-component report
+ * records, so `tone="critical"` and `tone={'critical'}` both match.
+ * Each instance is referenced with file, line and `sourceCode` snippet,
+ * built the same way as the per-component references.
+ *
+ * Output:
+ *   - `reports/deprecations/report.md`
+ *   - `reports/deprecations/report.csv`
+ *   - `reports/deprecations/report.json`
+ *
+ * Run directly:
+ *   node scripts/deprecations/analyze-deprecations.js
+ *
+ * Or via npm:
+ *   npm run analyze:deprecations
+ */
+
+const {
+  CODEBASES,
+  DEPRECATIONS,
+  UI_LIBRARY_NAMES,
+  identifyLibrary,
+} = require("../lib/constants");
+const { writeReports } = require("../lib/files");
+const { runPipeline } = require("../lib/pipeline");
+const { incr, cell, csvField } = require("../lib/utils");
+const {
+  analyzeFileContent,
+  classifyValue,
+  normalizeValue,
+  createInstanceReference,
+} = require("../per-component/analyze-per-component");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** References listed per entry in the Markdown report (the JSON has all). */
+const MAX_MARKDOWN_REFERENCES = 100;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {import("../lib/context").NormalizedDeprecation} Deprecation
+ */
+
+/**
+ * @typedef {object} DeprecationMatch
+ * @property {import("../per-component/analyze-per-component").ComponentInstance} instance
+ * @property {number[]} rules - Indexes of the matching entries.
+ */
+
+/**
+ * @typedef {object} DeprecationResult
+ * @property {Deprecation}            rule
+ * @property {number}                 count      - Matching instances.
+ * @property {Object<string, number>} byCodebase - Codebase → matching instances.
+ * @property {import("../per-component/analyze-per-component").InstanceReference[]} references
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MATCHING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * How a deprecation entry is written in reports: `<Grid>`,
+ * `<Button mode>`, `<Button tone="critical">` or `<Text size={1}>`.
+ *
+ * @param {Deprecation} rule
+ * @returns {string}
+ */
+function deprecationLabel(rule) {
+  if (!rule.prop) return `<${rule.component}>`;
+  if (rule.value === null) return `<${rule.component} ${rule.prop}>`;
+  const value = rule.value.startsWith('"') ? rule.value : `{${rule.value}}`;
+  return `<${rule.component} ${rule.prop}=${value}>`;
+}
+
+/**
+ * The library an instance is imported from.
+ *
+ * @param {import("../per-component/analyze-per-component").FileResult} fileResult
+ * @param {import("../per-component/analyze-per-component").ComponentInstance} instance
+ * @param {(source: string) => string|null} [identify=identifyLibrary]
+ * @returns {string|null}
+ */
+function instanceLibrary(fileResult, instance, identify = identifyLibrary) {
+  const source = fileResult.sourceMap[instance.local];
+  return source ? identify(source) : null;
+}
+
+/**
+ * Indexes of the entries an instance matches.
+ *
+ * @param {import("../per-component/analyze-per-component").ComponentInstance} instance
+ * @param {string|null} library - Library the instance is imported from.
+ * @param {Deprecation[]} rules
+ * @returns {number[]}
+ */
+function matchInstance(instance, library, rules) {
+  /** @type {Object<string, string>} */
+  const props = {};
+  for (const p of instance.props) {
+    props[p.name] = normalizeValue(classifyValue(p.value));
+  }
+
+  const matches = [];
+  rules.forEach((rule, i) => {
+    if (rule.component !== instance.component || rule.library !== library) {
+      return;
+    }
+    if (rule.prop !== null && !(rule.prop in props)) return;
+    if (rule.value !== null && props[rule.prop] !== rule.value) return;
+    matches.push(i);
+  });
+  return matches;
+}
+
+/**
+ * Find the deprecated instances in one file's per-component result.
+ *
+ * @param {import("../per-component/analyze-per-component").FileResult} fileResult
+ * @param {Deprecation[]} [rules=DEPRECATIONS]
+ * @param {(source: string) => string|null} [identify=identifyLibrary]
+ * @returns {{ importMap: Object<string, string>, sourceMap: Object<string, string>, matches: DeprecationMatch[] }}
+ */
+function findDeprecations(fileResult, rules = DEPRECATIONS, identify) {
+  const matches = [];
+  for (const instance of fileResult.instances) {
+    if (!rules.some((rule) => rule.component === instance.component)) continue;
+    const library = instanceLibrary(fileResult, instance, identify);
+    const matched = matchInstance(instance, library, rules);
+    if (matched.length > 0) matches.push({ instance, rules: matched });
+  }
+  return {
+    importMap: fileResult.importMap,
+    sourceMap: fileResult.sourceMap,
+    matches,
+  };
+}
+
+/**
+ * Create the deprecations analyzer for the shared single-pass pipeline.
+ * Results are exposed as `results` (in `rules` order) and written in
+ * `finish`.
+ *
+ * @param {Deprecation[]} [rules=DEPRECATIONS]
+ * @returns {import("../lib/pipeline").Analyzer & { results: DeprecationResult[] }}
+ */
+function createAnalyzer(rules = DEPRECATIONS) {
+  /** @type {DeprecationResult[]} */
+  const results = rules.map((rule) => ({
+    rule,
+    count: 0,
+    byCodebase: {},
+    references: [],
+  }));
+
+  return {
+    name: "deprecations",
+    worker: { module: __filename, args: [rules] },
+    results,
+
+    analyze(file) {
+      if (rules.length === 0) return null;
+      return findDeprecations(analyzeFileContent(file.parsed), rules);
+    },
+
+    file(file, found) {
+      if (!found) return;
+      for (const { instance, rules: matched } of found.matches) {
+        const ref = createInstanceReference(
+          found,
+          instance,
+          file.codebase,
+          file.relPath,
+          file.content,
+          file.path,
+        );
+        for (const i of matched) {
+          results[i].count++;
+          incr(results[i].byCodebase, file.codebase);
+          results[i].references.push(ref);
+        }
+      }
+    },
+
+    finish() {
+      writeDeprecationReports(results);
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Generate the Markdown report: a summary table of every entry, then
+ * the locations of each one in use.
+ *
+ * @param {DeprecationResult[]} results
+ * @returns {string}
+ */
+function generateMarkdown(results) {
+  const lines = [];
+  const total = results.reduce((sum, r) => sum + r.count, 0);
+  const codebaseNames = CODEBASES;
+
+  lines.push("# Deprecated Usage");
+  lines.push("");
+  lines.push(
+    `- **${total}** deprecated instances across **${results.filter((r) => r.count > 0).length}** of ${results.length} deprecations`,
+  );
+  lines.push("");
+
+  lines.push(
+    `| Deprecated | Library | Replacement | ${codebaseNames.map(cell).join(" | ")} | Total |`,
+  );
+  lines.push(
+    `|------------|---------|-------------|${codebaseNames.map(() => "---:|").join("")}---:|`,
+  );
+  for (const r of results) {
+    const perCodebase = codebaseNames.map((cb) => r.byCodebase[cb] || 0);
+    lines.push(
+      `| \`${cell(deprecationLabel(r.rule))}\` | ${cell(r.rule.library)} | ${r.rule.replacement ? `\`${cell(r.rule.replacement)}\`` : "—"} | ${perCodebase.join(" | ")} | ${r.count} |`,
+    );
+  }
+  lines.push("");
+
+  for (const r of results) {
+    if (r.count === 0) continue;
+    lines.push(`## \`${deprecationLabel(r.rule)}\``);
+    lines.push("");
+    if (r.rule.message) lines.push(r.rule.message, "");
+    if (r.rule.replacement) {
+      lines.push(`Use \`${r.rule.replacement}\` instead.`, "");
+    }
+    lines.push("| Codebase | Location | Source |");
+    lines.push("|----------|----------|--------|");
+    for (const ref of r.references.slice(0, MAX_MARKDOWN_REFERENCES)) {
+      lines.push(
+        `| ${cell(ref.codebase)} | ${cell(ref.file)}:${ref.line} | \`${cell(ref.sourceCode)}\` |`,
+      );
+    }
+    if (r.references.length > MAX_MARKDOWN_REFERENCES) {
+      lines.push("");
+      lines.push(
+        `*... and ${r.references.length - MAX_MARKDOWN_REFERENCES} more (see report.json)*`,
+      );
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate the CSV report: one row per deprecated instance.
+ *
+ * @param {DeprecationResult[]} results
+ * @returns {string}
+ */
+function generateCSV(results) {
+  const rows = [
+    "Library,Component,Prop,Value,Replacement,Codebase,File,Line,Source",
+  ];
+  for (const { rule, references } of results) {
+    for (const ref of references) {
+      rows.push(
+        [
+          csvField(rule.library),
+          csvField(rule.component),
+          csvField(rule.prop),
+          csvField(rule.value),
+          csvField(rule.replacement),
+          csvField(ref.codebase),
+          csvField(ref.file),
+          ref.line,
+          csvField(ref.sourceCode),
+        ].join(","),
+      );
+    }
+  }
+  return rows.join("\n") + "\n";
+}
+
+/**
+ * Generate the JSON report.
+ *
+ * @param {DeprecationResult[]} results
+ * @returns {string}
+ */
+function generateJSON(results) {
+  return JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      libraryNames: UI_LIBRARY_NAMES,
+      totalInstances: results.reduce((sum, r) => sum + r.count, 0),
+      deprecations: results.map(({ rule, count, byCodebase, references }) => ({
+        ...rule,
+        label: deprecationLabel(rule),
+        count,
+        byCodebase,
+        references,
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Write the reports and print a console summary.
+ *
+ * @param {DeprecationResult[]} results
+ */
+function writeDeprecationReports(results) {
+  if (results.length === 0) {
+    console.log(
+      "  ⚠ No deprecations configured in component-analytics.config.js",
+    );
+    console.log(
+      "  Add `deprecations` to a `uiLibraries` entry to enable this report.",
+    );
+    console.log("");
+    return;
+  }
+
+  writeReports("deprecations", "report", {
+    markdown: generateMarkdown(results),
+    csv: generateCSV(results),
+    json: generateJSON(results),
+  });
+
+  console.log("\n✅ Markdown report saved");
+  console.log("✅ CSV report saved");
+  console.log("✅ JSON report saved");
+
+  // Quick console summary
+  console.log("\n" + "─".repeat(60));
+  console.log("  QUICK SUMMARY");
+  console.log("─".repeat(60));
+  for (const r of results) {
+    console.log(
+      `  ${deprecationLabel(r.rule).padEnd(40)} ${String(r.count).padStart(6)} instances`,
+    );
+  }
+  console.log("");
+}
+
+/**
+ * Main entry point — analyses every codebase and writes reports.
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  console.log("═".repeat(60));
+  console.log("  DEPRECATED USAGE ANALYSIS");
+  console.log("═".repeat(60));
+
+  if (DEPRECATIONS.length === 0) {
+    writeDeprecationReports([]);
+    return;
+  }
+
+  await runPipeline([createAnalyzer()]);
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("❌ Deprecation analysis failed:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  // Matching
+  deprecationLabel,
+  instanceLibrary,
+  matchInstance,
+  findDeprecations,
+
+  // Report generation
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+
+  // Pipeline
+  createAnalyzer,
+};
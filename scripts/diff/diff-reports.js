@@ -0,0 +1,667 @@
+#!/usr/bin/env node
+
+/**
+ * @module diff/diff-reports
+ *
+ * Usage Diff
+ *
+ * Compares two report sets — e.g. `reports/` generated on a pull
+ * request's base and head — and reports what changed:
+ *
+ *   1. Tracked components gained (first instance) or lost (last instance).
+ *   2. Per-component instance deltas, prop usage deltas and prop values
+ *      not seen before (from `components/detail/*.json`).
+ *   3. Source category shifts per codebase (from `sources/report.json`).
+ *   4. HTML tags new to a codebase (from `html-tags/report.json`).
+ *   5. Components newly or more often customized with inline styles or
+ *      styled() (from `customizations/report.json`).
+ *
+ * Either side may instead be a history snapshot (see `lib/history.js`);
+ * snapshots only carry component totals and source categories, so the
+ * other sections are left out.
+ *
+ * Output:
+ *   - `reports/diff/report.md`   (sized for a PR comment)
+ *   - `reports/diff/report.json`
+ *
+ * Run directly:
+ *   node scripts/diff/diff-reports.js <base> <head> [--out <dir>]
+ *
+ * Or via npm:
+ *   npm run diff -- base-reports/ reports/
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { REPORTS_ROOT, ensureDir, readSafe } = require("../lib/files");
+const { buildSnapshot, readReportSet } = require("../lib/history");
+const { cell } = require("../lib/utils");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Default output directory. */
+const DEFAULT_OUT_DIR = path.join(REPORTS_ROOT, "diff");
+
+/** New prop values listed per prop in the Markdown report. */
+const MAX_VALUES_SHOWN = 5;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Usage of one tracked component.  `props` is `null` when the side is
+ * a snapshot (no detail JSON).
+ *
+ * @typedef {object} ComponentUsage
+ * @property {string} library
+ * @property {number} instances
+ * @property {Object<string, { usages: number, values: Object<string, number> }> | null} props
+ */
+
+/**
+ * One side of a diff, normalised from a report directory or a snapshot.
+ * Sections that the input does not carry are `null`.
+ *
+ * @typedef {object} UsageSet
+ * @property {string}                         label
+ * @property {Object<string, ComponentUsage>} components
+ * @property {Object<string, Object<string, import("../lib/history").CategoryShare>>} sources
+ *   Codebase → category → share.
+ * @property {Object<string, Object<string, number>> | null} htmlTags
+ *   Codebase → tag → instances.
+ * @property {Object<string, { inline: Object<string, number>, styled: Object<string, number> }> | null} customizations
+ *   Codebase → component → customized instances.
+ */
+
+/**
+ * @typedef {object} Delta
+ * @property {number} base
+ * @property {number} head
+ * @property {number} delta
+ */
+
+/**
+ * @typedef {object} ComponentChange
+ * @property {string}                   component
+ * @property {string}                   library
+ * @property {Delta}                    instances
+ * @property {Array<Delta & { prop: string }>} props     - Props whose usage count changed.
+ * @property {Object<string, string[]>} newValues        - Prop → values not used in base.
+ */
+
+/**
+ * @typedef {object} UsageDiff
+ * @property {string} base - Base label.
+ * @property {string} head - Head label.
+ * @property {{ gained: object[], lost: object[], changed: ComponentChange[] }} components
+ * @property {Object<string, Array<{ category: string, instances: Delta, percent: Delta }>>} sources
+ * @property {Object<string, Array<{ tag: string, count: number }>> | null} htmlTags
+ *   Codebase → tags absent from base.
+ * @property {Object<string, Array<{ component: string, kind: "inline" | "styled" } & Delta>> | null} customizations
+ *   Codebase → components customized more often than in base.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LOADING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse a JSON file, returning `null` when missing or invalid.
+ *
+ * @param {string} file
+ * @returns {object | null}
+ */
+function readJSON(file) {
+  const content = readSafe(file);
+  if (content === null) return null;
+  try {
+    return JSON.parse(content);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Build a {@link UsageSet} from a snapshot.
+ *
+ * @param {import("../lib/history").Snapshot} snapshot
+ * @param {string} label
+ * @returns {UsageSet}
+ */
+function fromSnapshot(snapshot, label) {
+  /** @type {Object<string, ComponentUsage>} */
+  const components = {};
+  for (const [name, comp] of Object.entries(snapshot.components)) {
+    components[name] = {
+      library: comp.library,
+      instances: comp.totalInstances,
+      props: null,
+    };
+  }
+
+  const sources = {};
+  for (const [codebase, data] of Object.entries(snapshot.codebases)) {
+    if (data.sources) sources[codebase] = data.sources.categories;
+  }
+
+  return { label, components, sources, htmlTags: null, customizations: null };
+}
+
+/**
+ * Build a {@link UsageSet} from a reports directory.
+ *
+ * @param {string} dir
+ * @param {string} label
+ * @returns {UsageSet}
+ */
+function fromReportDir(dir, label) {
+  const usage = fromSnapshot(buildSnapshot(readReportSet(dir)), label);
+
+  const detailDir = path.join(dir, "components", "detail");
+  const detailFiles = fs.existsSync(detailDir)
+    ? fs.readdirSync(detailDir).filter((f) => f.endsWith(".json"))
+    : [];
+  for (const name of detailFiles) {
+    const detail = readJSON(path.join(detailDir, name));
+    if (!detail || !detail.component) continue;
+    const props = {};
+    for (const [prop, data] of Object.entries(detail.props || {})) {
+      props[prop] = { usages: data.totalUsages, values: data.values || {} };
+    }
+    usage.components[detail.component] = {
+      library: detail.library,
+      instances: detail.totalInstances,
+      props,
+    };
+  }
+
+  const htmlTags = readJSON(path.join(dir, "html-tags", "report.json"));
+  if (htmlTags) {
+    usage.htmlTags = {};
+    for (const [codebase, data] of Object.entries(htmlTags.codebases)) {
+      if (!data) continue;
+      usage.htmlTags[codebase] = Object.fromEntries(
+        Object.entries(data.tags).map(([tag, t]) => [tag, t.count]),
+      );
+    }
+  }
+
+  const customizations = readJSON(
+    path.join(dir, "customizations", "report.json"),
+  );
+  if (customizations) {
+    usage.customizations = {};
+    for (const [codebase, data] of Object.entries(customizations.codebases)) {
+      if (!data) continue;
+      usage.customizations[codebase] = {
+        inline: data.inlineStylesByComponent,
+        styled: data.styledByComponent,
+      };
+    }
+  }
+
+  return usage;
+}
+
+/**
+ * Load one side of a diff: a reports directory or a snapshot file.
+ *
+ * @param {string} target
+ * @returns {UsageSet}
+ * @throws {Error} When `target` is neither.
+ */
+function loadUsage(target) {
+  const label = path.relative(process.cwd(), target) || ".";
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) {
+    return fromReportDir(target, label);
+  }
+  const snapshot = readJSON(target);
+  if (!snapshot || !snapshot.components || !snapshot.codebases) {
+    throw new Error(`${target} is not a reports directory or a snapshot`);
+  }
+  return fromSnapshot(snapshot, snapshot.label || label);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPARISON
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {number} base
+ * @param {number} head
+ * @returns {Delta}
+ */
+function delta(base, head) {
+  return { base, head, delta: Math.round((head - base) * 10) / 10 };
+}
+
+/**
+ * Compare two component entries.  Returns `null` when nothing changed.
+ *
+ * @param {string}         component
+ * @param {ComponentUsage} base
+ * @param {ComponentUsage} head
+ * @returns {ComponentChange | null}
+ */
+function diffComponent(component, base, head) {
+  const props = [];
+  const newValues = {};
+  if (base.props && head.props) {
+    const names = new Set([
+      ...Object.keys(base.props),
+      ...Object.keys(head.props),
+    ]);
+    for (const prop of [...names].sort()) {
+      const b = base.props[prop] || { usages: 0, values: {} };
+      const h = head.props[prop] || { usages: 0, values: {} };
+      if (b.usages !== h.usages)
+        props.push({ prop, ...delta(b.usages, h.usages) });
+      const fresh = Object.keys(h.values).filter((v) => !(v in b.values));
+      if (fresh.length > 0) newValues[prop] = fresh;
+    }
+  }
+
+  if (
+    base.instances === head.instances &&
+    props.length === 0 &&
+    Object.keys(newValues).length === 0
+  ) {
+    return null;
+  }
+  return {
+    component,
+    library: head.library,
+    instances: delta(base.instances, head.instances),
+    props,
+    newValues,
+  };
+}
+
+/**
+ * Compare two usage sets.
+ *
+ * @param {UsageSet} base
+ * @param {UsageSet} head
+ * @returns {UsageDiff}
+ */
+function diffUsage(base, head) {
+  /** Stand-in for a component absent from one side. */
+  const unused = (other) => ({
+    library: other.library,
+    instances: 0,
+    props: other.props && {},
+  });
+  const names = [
+    ...new Set([
+      ...Object.keys(base.components),
+      ...Object.keys(head.components),
+    ]),
+  ].sort();
+
+  const gained = [];
+  const lost = [];
+  const changed = [];
+  for (const name of names) {
+    const b = base.components[name] || unused(head.components[name]);
+    const h = head.components[name] || unused(b);
+    if (b.instances === 0 && h.instances > 0) {
+      gained.push({
+        component: name,
+        library: h.library,
+        instances: h.instances,
+      });
+    } else if (b.instances > 0 && h.instances === 0) {
+      lost.push({
+        component: name,
+        library: b.library,
+        instances: b.instances,
+      });
+    }
+    const change = diffComponent(name, b, h);
+    if (change) changed.push(change);
+  }
+  changed.sort(
+    (a, b) =>
+      Math.abs(b.instances.delta) - Math.abs(a.instances.delta) ||
+      a.component.localeCompare(b.component),
+  );
+
+  const sources = {};
+  for (const codebase of new Set([
+    ...Object.keys(base.sources),
+    ...Object.keys(head.sources),
+  ])) {
+    const b = base.sources[codebase] || {};
+    const h = head.sources[codebase] || {};
+    const shifts = [];
+    for (const category of new Set([...Object.keys(b), ...Object.keys(h)])) {
+      const bs = b[category] || { instances: 0, percent: 0 };
+      const hs = h[category] || { instances: 0, percent: 0 };
+      if (bs.instances === hs.instances && bs.percent === hs.percent) continue;
+      shifts.push({
+        category,
+        instances: delta(bs.instances, hs.instances),
+        percent: delta(bs.percent, hs.percent),
+      });
+    }
+    if (shifts.length > 0) sources[codebase] = shifts;
+  }
+
+  let htmlTags = null;
+  if (base.htmlTags && head.htmlTags) {
+    htmlTags = {};
+    for (const [codebase, tags] of Object.entries(head.htmlTags)) {
+      const before = base.htmlTags[codebase] || {};
+      const fresh = Object.entries(tags)
+        .filter(([tag]) => !(tag in before))
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((x, y) => y.count - x.count || x.tag.localeCompare(y.tag));
+      if (fresh.length > 0) htmlTags[codebase] = fresh;
+    }
+  }
+
+  let customizations = null;
+  if (base.customizations && head.customizations) {
+    customizations = {};
+    for (const [codebase, data] of Object.entries(head.customizations)) {
+      const before = base.customizations[codebase] || {
+        inline: {},
+        styled: {},
+      };
+      const more = [];
+      for (const kind of ["inline", "styled"]) {
+        for (const [component, count] of Object.entries(data[kind] || {})) {
+          const was = (before[kind] || {})[component] || 0;
+          if (count > was) more.push({ component, kind, ...delta(was, count) });
+        }
+      }
+      more.sort(
+        (x, y) => y.delta - x.delta || x.component.localeCompare(y.component),
+      );
+      if (more.length > 0) customizations[codebase] = more;
+    }
+  }
+
+  return {
+    base: base.label,
+    head: head.label,
+    components: { gained, lost, changed },
+    sources,
+    htmlTags,
+    customizations,
+  };
+}
+
+/**
+ * Whether a diff contains any change.
+ *
+ * @param {UsageDiff} diff
+ * @returns {boolean}
+ */
+function hasChanges(diff) {
+  return (
+    diff.components.changed.length > 0 ||
+    Object.keys(diff.sources).length > 0 ||
+    Object.keys(diff.htmlTags || {}).length > 0 ||
+    Object.keys(diff.customizations || {}).length > 0
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Format a signed change (`+12`, `-3`, `0`).
+ *
+ * @param {number} n
+ * @param {string} [unit=""]
+ * @returns {string}
+ */
+function signed(n, unit = "") {
+  return (n > 0 ? `+${n}` : String(n)) + unit;
+}
+
+/**
+ * Generate the Markdown diff, sized for a pull-request comment: a
+ * summary up front, long tables folded into `<details>`.
+ *
+ * @param {UsageDiff} diff
+ * @returns {string}
+ */
+function generateMarkdown(diff) {
+  const lines = [];
+  const { gained, lost, changed } = diff.components;
+
+  lines.push("## Component usage diff");
+  lines.push("");
+  lines.push(`Comparing \`${diff.base}\` → \`${diff.head}\`.`);
+  lines.push("");
+
+  if (!hasChanges(diff)) {
+    lines.push("No changes in component usage.");
+    lines.push("");
+    return lines.join("\n");
+  }
+
+  if (changed.length > 0) {
+    const net = changed.reduce((sum, c) => sum + c.instances.delta, 0);
+    lines.push(
+      `- **${changed.length}** component${changed.length === 1 ? "" : "s"} changed (${signed(net)} instances)`,
+    );
+  }
+  if (gained.length > 0) {
+    lines.push(
+      `- 🆕 Now used: ${gained.map((c) => `\`${c.component}\``).join(", ")}`,
+    );
+  }
+  if (lost.length > 0) {
+    lines.push(
+      `- 🗑️ No longer used: ${lost.map((c) => `\`${c.component}\``).join(", ")}`,
+    );
+  }
+  lines.push("");
+
+  // ── Source categories ─────────────────────────────────────────────────
+
+  if (Object.keys(diff.sources).length > 0) {
+    lines.push("### Source categories");
+    lines.push("");
+    lines.push("| Codebase | Category | Instances | Share |");
+    lines.push("|----------|----------|----------:|------:|");
+    for (const [codebase, shifts] of Object.entries(diff.sources)) {
+      for (const s of shifts) {
+        lines.push(
+          `| ${cell(codebase)} | ${cell(s.category)} | ${s.instances.base} → ${s.instances.head} (${signed(s.instances.delta)}) | ${s.percent.base}% → ${s.percent.head}% (${signed(s.percent.delta, " pp")}) |`,
+        );
+      }
+    }
+    lines.push("");
+  }
+
+  // ── Components ────────────────────────────────────────────────────────
+
+  if (changed.length > 0) {
+    lines.push("<details>");
+    lines.push(`<summary>Component changes (${changed.length})</summary>`);
+    lines.push("");
+    lines.push("| Component | Library | Instances | Change | Props changed |");
+    lines.push("|-----------|---------|----------:|-------:|---------------|");
+    for (const c of changed) {
+      const props = c.props
+        .map((p) => `\`${p.prop}\` ${signed(p.delta)}`)
+        .join(", ");
+      lines.push(
+        `| ${c.component} | ${cell(c.library)} | ${c.instances.base} → ${c.instances.head} | ${signed(c.instances.delta)} | ${props || "—"} |`,
+      );
+    }
+    lines.push("");
+    lines.push("</details>");
+    lines.push("");
+  }
+
+  const withValues = changed.filter((c) => Object.keys(c.newValues).length > 0);
+  if (withValues.length > 0) {
+    lines.push("<details>");
+    lines.push(
+      `<summary>New prop values (${withValues.length} component${withValues.length === 1 ? "" : "s"})</summary>`,
+    );
+    lines.push("");
+    lines.push("| Component | Prop | New values |");
+    lines.push("|-----------|------|------------|");
+    for (const c of withValues) {
+      for (const [prop, values] of Object.entries(c.newValues)) {
+        const shown = values
+          .slice(0, MAX_VALUES_SHOWN)
+          .map((v) => `\`${cell(v)}\``);
+        if (values.length > MAX_VALUES_SHOWN) {
+          shown.push(`… ${values.length - MAX_VALUES_SHOWN} more`);
+        }
+        lines.push(`| ${c.component} | \`${prop}\` | ${shown.join(", ")} |`);
+      }
+    }
+    lines.push("");
+    lines.push("</details>");
+    lines.push("");
+  }
+
+  // ── HTML tags ─────────────────────────────────────────────────────────
+
+  if (diff.htmlTags && Object.keys(diff.htmlTags).length > 0) {
+    lines.push("### New HTML tags");
+    lines.push("");
+    lines.push("| Codebase | Tags |");
+    lines.push("|----------|------|");
+    for (const [codebase, tags] of Object.entries(diff.htmlTags)) {
+      lines.push(
+        `| ${cell(codebase)} | ${tags.map((t) => `\`<${t.tag}>\` ×${t.count}`).join(", ")} |`,
+      );
+    }
+    lines.push("");
+  }
+
+  // ── Customizations ────────────────────────────────────────────────────
+
+  if (diff.customizations && Object.keys(diff.customizations).length > 0) {
+    lines.push("### New customizations");
+    lines.push("");
+    lines.push("| Codebase | Component | Kind | Instances |");
+    lines.push("|----------|-----------|------|----------:|");
+    for (const [codebase, entries] of Object.entries(diff.customizations)) {
+      for (const e of entries) {
+        lines.push(
+          `| ${cell(codebase)} | ${e.component} | ${e.kind === "inline" ? "inline style" : "styled()"} | ${e.base} → ${e.head} |`,
+        );
+      }
+    }
+    lines.push("");
+  }
+
+  if (!diff.htmlTags || !diff.customizations) {
+    lines.push(
+      "_Prop, HTML tag and customization changes need full report directories on both sides._",
+    );
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate the JSON diff.
+ *
+ * @param {UsageDiff} diff
+ * @returns {string}
+ */
+function generateJSON(diff) {
+  return JSON.stringify(
+    { generatedAt: new Date().toISOString(), ...diff },
+    null,
+    2,
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse diff command-line arguments.
+ *
+ * @param {string[]} argv - Arguments after the script name.
+ * @returns {{ base: string, head: string, out: string }}
+ * @throws {Error} When base or head is missing.
+ */
+function parseArgs(argv) {
+  const args = [...argv];
+  let out = DEFAULT_OUT_DIR;
+  const outIdx = args.indexOf("--out");
+  if (outIdx !== -1) {
+    if (!args[outIdx + 1]) throw new Error("--out requires a directory.");
+    out = path.resolve(args[outIdx + 1]);
+    args.splice(outIdx, 2);
+  }
+  if (args.length !== 2) {
+    throw new Error(
+      "usage: diff-reports.js <base> <head> [--out <dir>]  (reports directories or snapshot files)",
+    );
+  }
+  return { base: path.resolve(args[0]), head: path.resolve(args[1]), out };
+}
+
+/**
+ * Main entry point.
+ *
+ * @param {string[]} [argv=process.argv.slice(2)]
+ */
+function main(argv = process.argv.slice(2)) {
+  let options;
+  let diff;
+  try {
+    options = parseArgs(argv);
+    diff = diffUsage(loadUsage(options.base), loadUsage(options.head));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  ensureDir(options.out);
+  const mdPath = path.join(options.out, "report.md");
+  const jsonPath = path.join(options.out, "report.json");
+  fs.writeFileSync(mdPath, generateMarkdown(diff));
+  fs.writeFileSync(jsonPath, generateJSON(diff));
+
+  const { gained, lost, changed } = diff.components;
+  console.log(
+    `\n✅ ${changed.length} component(s) changed, ${gained.length} gained, ${lost.length} lost`,
+  );
+  console.log(`   Markdown: ${path.relative(process.cwd(), mdPath)}`);
+  console.log(`   JSON:     ${path.relative(process.cwd(), jsonPath)}\n`);
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  // Loading
+  loadUsage,
+
+  // Comparison
+  diffUsage,
+  hasChanges,
+
+  // Report generation
+  generateMarkdown,
+  generateJSON,
+
+  // CLI
+  parseArgs,
+  main,
+};
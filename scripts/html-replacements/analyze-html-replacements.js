@@ -0,0 +1,565 @@
+#!/usr/bin/env node
+
+/**
+ * @module html-replacements/analyze-html-replacements
+ *
+ * HTML Replacements
+ *
+ * Lists raw HTML elements a tracked component can replace, file by
+ * file, with the suggested component and props.  Replacements are
+ * configured per library in `uiLibraries[].htmlReplacements`, or for
+ * Sanity UI taken from the built-in defaults:
+ *
+ *   <button>                        → <Button>
+ *   <h2>                            → <Heading as="h2">
+ *   <div style={{display: 'flex'}}> → <Flex>
+ *
+ * The first entry matching an element wins.  The suggestion keeps the
+ * element's other attributes, turns the entry's `styleProps` into props
+ * (`flexDirection: 'column'` → `direction="column"`), translates what
+ * the component's style props cover (`gap: 8` → `gap={2}`, see the
+ * style-props step) and leaves the rest of the inline style in `style`.
+ *
+ * Output:
+ *   - `reports/html-replacements/report.md`
+ *   - `reports/html-replacements/report.csv`  — one row per candidate
+ *   - `reports/html-replacements/report.json`
+ *
+ * Run directly:
+ *   node scripts/html-replacements/analyze-html-replacements.js
+ *
+ * Or via npm:
+ *   npm run analyze:html-replacements
+ */
+
+const {
+  CODEBASES,
+  HTML_REPLACEMENTS,
+  STYLE_PROPS,
+  UI_LIBRARY_NAMES,
+} = require("../lib/constants");
+const { writeReports } = require("../lib/files");
+const { openingTagSource, parseStyleObject } = require("../lib/parser");
+const {
+  renderProp,
+  renderStyle,
+  translateProperty,
+} = require("../lib/jsx-style");
+const { runPipeline } = require("../lib/pipeline");
+const { incr, cell, csvField } = require("../lib/utils");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Files listed in the Markdown report (the JSON has all). */
+const MAX_MARKDOWN_FILES = 100;
+
+/** Own-property test for entry maps, which come from the config. */
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {import("../lib/context").NormalizedHtmlReplacement} Replacement
+ */
+
+/**
+ * @typedef {object} ReplacementCandidate
+ * @property {number} rule       - Index of the matching entry.
+ * @property {string} tag
+ * @property {number} line
+ * @property {string} sourceCode - The element's opening tag.
+ * @property {string} suggestion - The suggested opening tag.
+ */
+
+/**
+ * @typedef {object} ReplacementResult
+ * @property {Replacement}            rule
+ * @property {number}                 count      - Matching elements.
+ * @property {Object<string, number>} byCodebase - Codebase → matching elements.
+ */
+
+/**
+ * @typedef {object} FileCandidates
+ * @property {string} codebase
+ * @property {string} file
+ * @property {Array<Omit<ReplacementCandidate, "rule"> & { component: string, library: string }>} candidates
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MATCHING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The literal value of an attribute: the text of a string, `true` for
+ * boolean shorthand, and string, number and boolean literals inside
+ * braces.  `undefined` for anything else.
+ *
+ * @param {import("../lib/parser").JSXAttribute} attr
+ * @returns {string|number|boolean|undefined}
+ */
+function attributeValue(attr) {
+  if (attr.kind === "string") return attr.value.slice(1, -1);
+  if (attr.kind === "boolean") return true;
+  if (attr.kind !== "expression") return undefined;
+  const quoted = /^(["'`])(.*)\1$/.exec(attr.value);
+  if (quoted) return quoted[2];
+  if (/^-?\d+(\.\d+)?$/.test(attr.value)) return Number(attr.value);
+  if (attr.value === "true" || attr.value === "false") {
+    return attr.value === "true";
+  }
+  return undefined;
+}
+
+/**
+ * The properties of an element's inline style: `[]` without a `style`
+ * attribute, `null` when it is not an object literal.
+ *
+ * @param {import("../lib/parser").JSXElementRecord} element
+ * @returns {import("../lib/parser").StyleProperty[]|null}
+ */
+function inlineStyle(element) {
+  const attr = element.attributes.find((a) => a.name === "style");
+  if (!attr) return [];
+  return attr.kind === "expression" ? parseStyleObject(attr.value) : null;
+}
+
+/**
+ * Index of the first entry an HTML element matches, or -1.
+ *
+ * @param {import("../lib/parser").JSXElementRecord} element
+ * @param {Replacement[]} rules
+ * @returns {number}
+ */
+function matchElement(element, rules) {
+  let style;
+  return rules.findIndex((rule) => {
+    if (rule.tag !== element.name) return false;
+    for (const [name, value] of Object.entries(rule.attributes)) {
+      const attr = element.attributes.find((a) => a.name === name);
+      if (!attr || attributeValue(attr) !== value) return false;
+    }
+    const required = Object.entries(rule.style);
+    if (required.length === 0) return true;
+    if (style === undefined) style = inlineStyle(element);
+    return required.every(
+      ([name, value]) =>
+        style !== null &&
+        style.some((p) => p.name === name && p.value === value),
+    );
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SUGGESTIONS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * How an entry's HTML side is written in reports:
+ * `<input type="checkbox">` or `<div style={{ display: "flex" }}>`.
+ *
+ * @param {Replacement} rule
+ * @returns {string}
+ */
+function htmlLabel(rule) {
+  const parts = [rule.tag];
+  for (const [name, value] of Object.entries(rule.attributes)) {
+    parts.push(renderProp(name, value));
+  }
+  const style = Object.entries(rule.style);
+  if (style.length > 0) {
+    parts.push(
+      renderStyle(
+        style.map(([name, value]) => ({
+          name,
+          value,
+          source: JSON.stringify(value),
+        })),
+      ),
+    );
+  }
+  return `<${parts.join(" ")}>`;
+}
+
+/**
+ * How an entry's component side is written in reports:
+ * `<Button>` or `<Heading as="h2">`.
+ *
+ * @param {Replacement} rule
+ * @returns {string}
+ */
+function componentLabel(rule) {
+  const parts = [rule.component];
+  for (const [name, value] of Object.entries(rule.props)) {
+    parts.push(renderProp(name, value));
+  }
+  return `<${parts.join(" ")}>`;
+}
+
+/**
+ * The suggested opening tag for an element: the entry's props, the
+ * inline style properties it or the component's style props translate,
+ * the element's other attributes as written, then whatever is left of
+ * the inline style.
+ *
+ * @param {import("../lib/parser").ParsedFile} parsed
+ * @param {import("../lib/parser").JSXElementRecord} element
+ * @param {Replacement} rule
+ * @param {import("../lib/context").NormalizedStyleProp[]} [styleRules=[]]
+ *   Style props of the entry's library.
+ * @returns {string}
+ */
+function suggestReplacement(parsed, element, rule, styleRules = []) {
+  const parts = [rule.component];
+  for (const [name, value] of Object.entries(rule.props)) {
+    parts.push(renderProp(name, value));
+  }
+
+  const style = inlineStyle(element);
+  const rest = [];
+  for (const p of style || []) {
+    if (has(rule.style, p.name)) continue;
+    const prop = has(rule.styleProps, p.name) ? rule.styleProps[p.name] : null;
+    if (prop && typeof p.value === "string") {
+      parts.push(renderProp(prop, p.value));
+    } else if (prop) {
+      parts.push(`${prop}={${p.source}}`);
+    } else {
+      const translated = translateProperty(p, rule.component, styleRules);
+      if (translated.status === "prop") parts.push(translated.jsx);
+      else rest.push(p);
+    }
+  }
+
+  for (const attr of element.attributes) {
+    if (has(rule.attributes, attr.name)) continue;
+    if (attr.name === "style" && style !== null) continue;
+    parts.push(
+      parsed.content.slice(attr.start, attr.end).replace(/\s+/g, " ").trim(),
+    );
+  }
+  if (rest.length > 0) parts.push(renderStyle(rest));
+
+  return `<${parts.join(" ")}${element.selfClosing ? " />" : ">"}`;
+}
+
+/**
+ * Find the replacement candidates in one parsed file.
+ *
+ * @param {import("../lib/parser").ParsedFile} parsed
+ * @param {Replacement[]} [rules=HTML_REPLACEMENTS]
+ * @param {import("../lib/context").NormalizedStyleProp[]} [styleRules=STYLE_PROPS]
+ *   Style props that turn leftover inline style into props.
+ * @returns {ReplacementCandidate[]}
+ */
+function findCandidates(
+  parsed,
+  rules = HTML_REPLACEMENTS,
+  styleRules = STYLE_PROPS,
+) {
+  const tags = new Set(rules.map((rule) => rule.tag));
+  const candidates = [];
+  for (const el of parsed.elements) {
+    if (!el.intrinsic || !tags.has(el.name)) continue;
+    const rule = matchElement(el, rules);
+    if (rule === -1) continue;
+    candidates.push({
+      rule,
+      tag: el.name,
+      line: el.line,
+      sourceCode: openingTagSource(parsed, el),
+      suggestion: suggestReplacement(
+        parsed,
+        el,
+        rules[rule],
+        styleRules.filter((r) => r.library === rules[rule].library),
+      ),
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Create the HTML replacements analyzer for the shared single-pass
+ * pipeline.  Results are exposed as `results` (in `rules` order) and
+ * `files`, and written in `finish`.
+ *
+ * @param {Replacement[]} [rules=HTML_REPLACEMENTS]
+ * @param {import("../lib/context").NormalizedStyleProp[]} [styleRules=STYLE_PROPS]
+ * @returns {import("../lib/pipeline").Analyzer & { results: ReplacementResult[], files: FileCandidates[] }}
+ */
+function createAnalyzer(rules = HTML_REPLACEMENTS, styleRules = STYLE_PROPS) {
+  /** @type {ReplacementResult[]} */
+  const results = rules.map((rule) => ({ rule, count: 0, byCodebase: {} }));
+  /** @type {FileCandidates[]} */
+  const files = [];
+
+  return {
+    name: "html-replacements",
+    worker: { module: __filename, args: [rules, styleRules] },
+    results,
+    files,
+
+    analyze(file) {
+      if (rules.length === 0) return null;
+      const candidates = findCandidates(file.parsed, rules, styleRules);
+      return candidates.length > 0 ? candidates : null;
+    },
+
+    file(file, candidates) {
+      if (!candidates) return;
+      files.push({
+        codebase: file.codebase,
+        file: file.relPath,
+        candidates: candidates.map(({ rule, ...candidate }) => {
+          results[rule].count++;
+          incr(results[rule].byCodebase, file.codebase);
+          return {
+            ...candidate,
+            component: rules[rule].component,
+            library: rules[rule].library,
+          };
+        }),
+      });
+    },
+
+    finish() {
+      writeReplacementReports(results, files);
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Files with the most candidates first.
+ *
+ * @param {FileCandidates[]} files
+ * @returns {FileCandidates[]}
+ */
+function sortFiles(files) {
+  return [...files].sort(
+    (a, b) =>
+      b.candidates.length - a.candidates.length ||
+      a.codebase.localeCompare(b.codebase) ||
+      a.file.localeCompare(b.file),
+  );
+}
+
+/**
+ * Generate the Markdown report: a summary table of the replacements in
+ * use, then each file's candidates with their suggestions.
+ *
+ * @param {ReplacementResult[]} results
+ * @param {FileCandidates[]} files
+ * @returns {string}
+ */
+function generateMarkdown(results, files) {
+  const lines = [];
+  const total = results.reduce((sum, r) => sum + r.count, 0);
+  const codebaseNames = CODEBASES;
+
+  lines.push("# HTML Replacements");
+  lines.push("");
+  lines.push(
+    "Raw HTML elements a tracked component can replace, with the suggested component and props.",
+  );
+  lines.push("");
+  lines.push(
+    `- **${total}** replacement candidates in **${files.length}** files`,
+  );
+  lines.push("");
+
+  const used = results.filter((r) => r.count > 0);
+  if (used.length === 0) return lines.join("\n");
+
+  lines.push(
+    `| HTML | Replacement | Library | ${codebaseNames.map(cell).join(" | ")} | Total |`,
+  );
+  lines.push(
+    `|------|-------------|---------|${codebaseNames.map(() => "---:|").join("")}---:|`,
+  );
+  for (const r of [...used].sort((a, b) => b.count - a.count)) {
+    const perCodebase = codebaseNames.map((cb) => r.byCodebase[cb] || 0);
+    lines.push(
+      `| \`${cell(htmlLabel(r.rule))}\` | \`${cell(componentLabel(r.rule))}\` | ${cell(r.rule.library)} | ${perCodebase.join(" | ")} | ${r.count} |`,
+    );
+  }
+  lines.push("");
+
+  const sorted = sortFiles(files);
+  lines.push("## Files");
+  lines.push("");
+  for (const f of sorted.slice(0, MAX_MARKDOWN_FILES)) {
+    lines.push(`### ${f.codebase}: ${f.file} (${f.candidates.length})`);
+    lines.push("");
+    lines.push("| Line | HTML | Suggestion |");
+    lines.push("|-----:|------|------------|");
+    for (const c of f.candidates) {
+      lines.push(
+        `| ${c.line} | \`${cell(c.sourceCode)}\` | \`${cell(c.suggestion)}\` |`,
+      );
+    }
+    lines.push("");
+  }
+  if (sorted.length > MAX_MARKDOWN_FILES) {
+    lines.push(
+      `*... and ${sorted.length - MAX_MARKDOWN_FILES} more files (see report.json)*`,
+    );
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate the CSV report: one row per candidate.
+ *
+ * @param {FileCandidates[]} files
+ * @returns {string}
+ */
+function generateCSV(files) {
+  const rows = ["Codebase,File,Line,Tag,Component,Library,Source,Suggestion"];
+  for (const f of sortFiles(files)) {
+    for (const c of f.candidates) {
+      rows.push(
+        [
+          csvField(f.codebase),
+          csvField(f.file),
+          c.line,
+          csvField(c.tag),
+          csvField(c.component),
+          csvField(c.library),
+          csvField(c.sourceCode),
+          csvField(c.suggestion),
+        ].join(","),
+      );
+    }
+  }
+  return rows.join("\n") + "\n";
+}
+
+/**
+ * Generate the JSON report.
+ *
+ * @param {ReplacementResult[]} results
+ * @param {FileCandidates[]} files
+ * @returns {string}
+ */
+function generateJSON(results, files) {
+  return JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      libraryNames: UI_LIBRARY_NAMES,
+      totalCandidates: results.reduce((sum, r) => sum + r.count, 0),
+      totalFiles: files.length,
+      replacements: results.map(({ rule, count, byCodebase }) => ({
+        ...rule,
+        html: htmlLabel(rule),
+        replacement: componentLabel(rule),
+        count,
+        byCodebase,
+      })),
+      files: sortFiles(files),
+    },
+    null,
+    2,
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Write the reports and print a console summary.
+ *
+ * @param {ReplacementResult[]} results
+ * @param {FileCandidates[]} files
+ */
+function writeReplacementReports(results, files) {
+  if (results.length === 0) {
+    console.log("  ⚠ No HTML replacements apply to the configured libraries");
+    console.log(
+      "  Add `htmlReplacements` to a `uiLibraries` entry to enable this report.",
+    );
+    console.log("");
+    return;
+  }
+
+  writeReports("html-replacements", "report", {
+    markdown: generateMarkdown(results, files),
+    csv: generateCSV(files),
+    json: generateJSON(results, files),
+  });
+
+  console.log("\n✅ Markdown report saved");
+  console.log("✅ CSV report saved");
+  console.log("✅ JSON report saved");
+
+  // Quick console summary
+  console.log("\n" + "─".repeat(60));
+  console.log("  QUICK SUMMARY");
+  console.log("─".repeat(60));
+  const used = results
+    .filter((r) => r.count > 0)
+    .sort((a, b) => b.count - a.count);
+  for (const r of used) {
+    console.log(
+      `  ${`${htmlLabel(r.rule)} → ${componentLabel(r.rule)}`.padEnd(50)} ${String(r.count).padStart(6)}`,
+    );
+  }
+  console.log("");
+}
+
+/**
+ * Main entry point — analyses every codebase and writes reports.
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  console.log("═".repeat(60));
+  console.log("  HTML REPLACEMENT ANALYSIS");
+  console.log("═".repeat(60));
+
+  if (HTML_REPLACEMENTS.length === 0) {
+    writeReplacementReports([], []);
+    return;
+  }
+
+  await runPipeline([createAnalyzer()]);
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("❌ HTML replacement analysis failed:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  // Matching
+  attributeValue,
+  matchElement,
+  findCandidates,
+
+  // Suggestions
+  htmlLabel,
+  componentLabel,
+  suggestReplacement,
+
+  // Report generation
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+
+  // Pipeline
+  createAnalyzer,
+};
@@ -30,31 +30,10 @@ const {
   mergeCounters,
   compact,
 } = require("../lib/utils");
-const path = require("path");
-const {
-  codebaseExists,
-  findFiles,
-  readSafe,
-  writeReports,
-} = require("../lib/files");
-
-// ─── Utilities ────────────────────────────────────────────────────────────────
-
-/**
- * Compute the 1-based line number for a character offset in a string.
- *
- * @param {string} content - Full file content.
- * @param {number} offset  - Character index (0-based).
- * @returns {number} 1-based line number.
- */
-function lineNumberAt(content, offset) {
-  if (offset <= 0) return 1;
-  let line = 1;
-  for (let i = 0; i < offset && i < content.length; i++) {
-    if (content[i] === "\n") line++;
-  }
-  return line;
-}
+const { writeReports } = require("../lib/files");
+const { parseSource, toParsed, openingTagSource } = require("../lib/parser");
+const { lineNumberAt } = require("../lib/legacy-extraction");
+const { runPipeline } = require("../lib/pipeline");
 
 // ─── Tag Category Lookup ──────────────────────────────────────────────────────
 
@@ -105,6 +84,9 @@ function getTagCategory(tag, categoryMap) {
  *   - Single-quoted strings    → empty single-quoted strings
  *   - Double-quoted strings    → empty double-quoted strings
  *
+ * Not needed before {@link extractHTMLTags}, which never reads tags
+ * inside literals; kept for the public API.
+ *
  * @param {string} content - Raw file content.
  * @returns {string} Content with literal bodies removed.
  */
@@ -116,11 +98,8 @@ function stripStringLiterals(content) {
 }
 
 /**
- * Match opening HTML tags in JSX that start with a lowercase letter.
- *
- * Uses a **full** regex that requires the tag to close with `>` or `/>`:
- *
- *     <tagname …>   or   <tagname … />
+ * Count the lowercase JSX elements in a file, known HTML/SVG tags or
+ * not.  Single-line and multi-line tags are counted alike.
  *
  * @param {string} cleaned - Content with string literals already stripped.
  * @returns {Object<string, number>} Tag → count map.
@@ -128,70 +107,49 @@ function stripStringLiterals(content) {
 function matchFullTags(cleaned) {
   /** @type {Object<string, number>} */
   const tags = {};
-  const regex = /<([a-z][a-zA-Z0-9]*)\s*(?:[^>]*?)?\/?>/g;
-  let m;
-  while ((m = regex.exec(cleaned)) !== null) {
-    incr(tags, m[1]);
+  for (const el of parseSource(cleaned).elements) {
+    if (el.intrinsic) incr(tags, el.name);
   }
   return tags;
 }
 
 /**
- * Match opening HTML tags using a simpler pattern that catches tags
- * split across multiple lines (where the full regex may miss).
- *
- * Looks for `<tagname` followed immediately by whitespace, `/`, or `>`.
+ * Same as {@link matchFullTags}: the parser reads tags split across
+ * lines, so there is no separate multi-line pass any more.  Kept for
+ * the public API.
  *
  * @param {string} cleaned - Content with string literals already stripped.
  * @returns {Object<string, number>} Tag → count map.
  */
 function matchSimpleTags(cleaned) {
-  /** @type {Object<string, number>} */
-  const tags = {};
-  const regex = /<([a-z][a-zA-Z0-9]*)[\s/>]/g;
-  let m;
-  while ((m = regex.exec(cleaned)) !== null) {
-    incr(tags, m[1]);
-  }
-  return tags;
+  return matchFullTags(cleaned);
 }
 
 /**
  * Extract HTML tag usages from JSX/TSX file content.
  *
- * Runs two regex passes (full and simple) against the content after
- * stripping string literals, then merges the results by taking the
- * higher count for each tag.  This maximises recall without
- * double-counting.
+ * Counts every intrinsic (lowercase) JSX element in the parsed syntax
+ * tree, so tags inside strings, comments and TypeScript generics are
+ * never mistaken for markup.
  *
- * PascalCase React components, JSX fragments, and closing tags are
- * all ignored by the regexes.
+ * PascalCase React components, member tags (`<motion.div>`), JSX
+ * fragments, and closing tags are all ignored.
  *
- * @param {string} content - Raw file content.
+ * @param {string|import("../lib/parser").ParsedFile} content - Raw file
+ *   content, or an already parsed file.
  * @returns {Object<string, number>} Tag name → occurrence count.
  */
 function extractHTMLTags(content) {
-  const cleaned = stripStringLiterals(content);
-  const full = matchFullTags(cleaned);
-  const simple = matchSimpleTags(cleaned);
-
-  // Merge: take the higher count for each tag.
-  for (const [tag, count] of Object.entries(simple)) {
-    if (!full[tag] || count > full[tag]) {
-      full[tag] = count;
-    }
-  }
+  /** @type {Object<string, number>} */
+  const tags = {};
 
-  // Filter to only known HTML/SVG tags — discard false positives like
-  // TypeScript type keywords ("string", "boolean", "typeof") and
-  // library-specific JSX elements ("motion").
-  for (const tag of Object.keys(full)) {
-    if (!KNOWN_TAGS.has(tag)) {
-      delete full[tag];
-    }
+  // Filter to only known HTML/SVG tags — discard custom elements and
+  // library-specific JSX elements.
+  for (const el of toParsed(content).elements) {
+    if (el.intrinsic && KNOWN_TAGS.has(el.name)) incr(tags, el.name);
   }
 
-  return full;
+  return tags;
 }
 
 // ─── Instance-level extraction (with references) ──────────────────────────────
@@ -210,30 +168,25 @@ function extractHTMLTags(content) {
  * function returns an array of individual instances so that callers
  * can build per-tag reference lists with file + line information.
  *
- * Uses the same "full" regex as {@link matchFullTags} to capture the
- * complete opening tag (for the `sourceCode` snippet).
+ * The `sourceCode` snippet is the complete opening tag, attributes
+ * included.
  *
- * @param {string} content - Raw file content.
+ * @param {string|import("../lib/parser").ParsedFile} content - Raw file
+ *   content, or an already parsed file.
  * @returns {TagInstance[]}
  */
 function extractHTMLTagInstances(content) {
-  // Run the regex against the original content (not cleaned) so that
-  // character offsets are accurate for lineNumberAt.  The tag-matching
-  // regex only captures `<lowercase…>` patterns which don't appear
-  // inside string literals in real JSX/TSX files.
-  const regex = /<([a-z][a-zA-Z0-9]*)\s*(?:[^>]*?)?\/?>/g;
+  const parsed = toParsed(content);
 
   /** @type {TagInstance[]} */
   const instances = [];
-  let m;
-  while ((m = regex.exec(content)) !== null) {
-    const tag = m[1];
-    if (!KNOWN_TAGS.has(tag)) continue;
+  for (const el of parsed.elements) {
+    if (!el.intrinsic || !KNOWN_TAGS.has(el.name)) continue;
 
     instances.push({
-      tag,
-      line: lineNumberAt(content, m.index),
-      sourceCode: m[0].replace(/\s+/g, " ").trim(),
+      tag: el.name,
+      line: el.line,
+      sourceCode: openingTagSource(parsed, el),
     });
   }
   return instances;
@@ -252,12 +205,14 @@ function extractHTMLTagInstances(content) {
 /**
  * Analyse one file's content and return structured tag usage data.
  *
- * @param {string} content - Raw file content.
+ * @param {string|import("../lib/parser").ParsedFile} content - Raw file
+ *   content, or an already parsed file.
  * @returns {FileTagResult}
  */
 function analyzeContent(content) {
-  const tags = extractHTMLTags(content);
-  const instances = extractHTMLTagInstances(content);
+  const parsed = toParsed(content);
+  const tags = extractHTMLTags(parsed);
+  const instances = extractHTMLTagInstances(parsed);
   let totalTags = 0;
   for (const count of Object.values(tags)) {
     totalTags += count;
@@ -638,47 +593,86 @@ function generateJSON(results) {
   return JSON.stringify(summary, null, 2);
 }
 
-// ─── Codebase runner ──────────────────────────────────────────────────────────
+// ─── Pipeline analyzer ────────────────────────────────────────────────────────
 
 /**
- * Analyse a single codebase for HTML tag usage.
+ * Create the HTML tag analyzer for the shared single-pass pipeline.
  *
- * Returns `null` if the codebase directory doesn't exist on disk (the
- * caller is expected to skip it).
+ * Per-file tag data is aggregated when each codebase finishes; reports
+ * are written in `finish`.  Codebases that don't exist on disk are
+ * reported as `null`.
  *
- * @param {string} codebase - Directory name under `codebases/`.
- * @returns {Promise<AggregatedTagResult | null>}
+ * @returns {import("../lib/pipeline").Analyzer}
  */
-async function analyzeCodebase(codebase) {
-  if (!codebaseExists(codebase)) {
-    console.log(`⚠️  Skipping ${codebase}: path not found`);
-    return null;
-  }
+function createAnalyzer() {
+  /** @type {Object<string, AggregatedTagResult>} */
+  const aggregated = {};
+  let fileResults = [];
+  let filePaths = [];
 
-  console.log(`\n📊 Analyzing HTML tags in ${codebase}...`);
+  return {
+    name: "html-tags",
+    worker: { module: __filename },
 
-  const files = await findFiles(codebase);
-  console.log(`   Found ${files.length} component files`);
+    beginCodebase() {
+      fileResults = [];
+      filePaths = [];
+    },
 
-  const { codebasePath } = require("../lib/files");
-  const basePath = codebasePath(codebase);
+    analyze(file) {
+      return analyzeContent(file.parsed);
+    },
 
-  const fileResults = [];
-  const filePaths = [];
-  for (const file of files) {
-    const content = readSafe(file);
-    if (content !== null) {
-      fileResults.push(analyzeContent(content));
-      filePaths.push(path.relative(basePath, file));
-    }
-  }
+    file(file, result) {
+      fileResults.push(result);
+      filePaths.push(file.relPath);
+    },
 
-  const aggregated = aggregateResults(fileResults, { filePaths, codebase });
-  console.log(
-    `   ${aggregated.uniqueTags} unique tags, ${aggregated.totalInstances} total instances`,
-  );
+    endCodebase(codebase) {
+      const agg = aggregateResults(fileResults, { filePaths, codebase });
+      aggregated[codebase] = agg;
+      fileResults = [];
+      filePaths = [];
+      console.log(
+        `   HTML tags: ${agg.uniqueTags} unique tags, ${agg.totalInstances} total instances`,
+      );
+    },
 
-  return aggregated;
+    finish() {
+      /** @type {Object<string, AggregatedTagResult | null>} */
+      const results = {};
+      for (const codebase of CODEBASES) {
+        results[codebase] = aggregated[codebase] || null;
+      }
+
+      writeReports("html-tags", "report", {
+        markdown: generateMarkdown(results),
+        csv: generateCSV(results),
+        json: generateJSON(results),
+      });
+
+      console.log("\n✅ Markdown report saved");
+      console.log("✅ CSV report saved");
+      console.log("✅ JSON report saved");
+
+      // Quick console summary
+      console.log("\n" + "─".repeat(60));
+      console.log("  QUICK SUMMARY");
+      console.log("─".repeat(60));
+
+      for (const [codebase, data] of Object.entries(results)) {
+        if (!data) continue;
+        const top3 = sortByCount(data.tags)
+          .slice(0, 3)
+          .map(([t, c]) => `${t}(${c})`)
+          .join(", ");
+        console.log(
+          `  ${codebase.padEnd(10)}: ${String(data.totalInstances).padStart(6)} instances, ${String(data.uniqueTags).padStart(3)} unique tags  [${top3}]`,
+        );
+      }
+      console.log("");
+    },
+  };
 }
 
 // ─── CLI entry point ──────────────────────────────────────────────────────────
@@ -693,38 +687,7 @@ async function main() {
   console.log("  HTML TAG USAGE ANALYSIS");
   console.log("═".repeat(60));
 
-  /** @type {Object<string, AggregatedTagResult | null>} */
-  const results = {};
-  for (const codebase of CODEBASES) {
-    results[codebase] = await analyzeCodebase(codebase);
-  }
-
-  writeReports("html-tags", "report", {
-    markdown: generateMarkdown(results),
-    csv: generateCSV(results),
-    json: generateJSON(results),
-  });
-
-  console.log("\n✅ Markdown report saved");
-  console.log("✅ CSV report saved");
-  console.log("✅ JSON report saved");
-
-  // Quick console summary
-  console.log("\n" + "─".repeat(60));
-  console.log("  QUICK SUMMARY");
-  console.log("─".repeat(60));
-
-  for (const [codebase, data] of Object.entries(results)) {
-    if (!data) continue;
-    const top3 = sortByCount(data.tags)
-      .slice(0, 3)
-      .map(([t, c]) => `${t}(${c})`)
-      .join(", ");
-    console.log(
-      `  ${codebase.padEnd(10)}: ${String(data.totalInstances).padStart(6)} instances, ${String(data.uniqueTags).padStart(3)} unique tags  [${top3}]`,
-    );
-  }
-  console.log("");
+  await runPipeline([createAnalyzer()]);
 }
 
 // ─── Module boundary ──────────────────────────────────────────────────────────
@@ -757,6 +720,9 @@ module.exports = {
   generateCSV,
   generateJSON,
 
+  // Pipeline
+  createAnalyzer,
+
   // Sub-formatters (exposed for testing)
   formatTagTable,
   formatCategoryBreakdown,
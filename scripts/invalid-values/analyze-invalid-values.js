@@ -0,0 +1,453 @@
+#!/usr/bin/env node
+
+/**
+ * @module invalid-values/analyze-invalid-values
+ *
+ * Invalid Prop Values
+ *
+ * Lists every instance that sets a prop to a literal value outside the
+ * prop's allowed set — a bug or stale code.  The allowed values come
+ * from the top-level `propSchemas` config:
+ *
+ *   propSchemas: { Button: { tone: ["default", "primary", "critical"] } }
+ *
+ * or, for props `propSchemas` does not cover, from the literal-union
+ * types of the library's `declarations` (see `lib/declarations.js`):
+ *
+ *   tone?: "default" | "primary" | "critical"
+ *
+ * Values are compared in the normalized form the per-component report
+ * records, so `tone="danger"` and `tone={'danger'}` are the same value.
+ * Only literal strings, numbers and booleans are checked; expressions
+ * (`tone={tone}`) cannot be validated statically.  Each instance is
+ * referenced with file, line and `sourceCode` snippet, built the same
+ * way as the per-component references.
+ *
+ * Output:
+ *   - `reports/invalid-values/report.md`
+ *   - `reports/invalid-values/report.csv`
+ *   - `reports/invalid-values/report.json`
+ *
+ * Run directly:
+ *   node scripts/invalid-values/analyze-invalid-values.js
+ *
+ * Or via npm:
+ *   npm run analyze:invalid-values
+ */
+
+const {
+  CODEBASES,
+  PROP_SCHEMAS,
+  UI_LIBRARY_NAMES,
+} = require("../lib/constants");
+const { loadDeclarations } = require("../lib/declarations");
+const { writeReports } = require("../lib/files");
+const { runPipeline } = require("../lib/pipeline");
+const { incr, cell, csvField } = require("../lib/utils");
+const {
+  analyzeFileContent,
+  classifyValue,
+  normalizeValue,
+  createInstanceReference,
+} = require("../per-component/analyze-per-component");
+const { deprecationLabel } = require("../deprecations/analyze-deprecations");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** References listed per value in the Markdown report (the JSON has all). */
+const MAX_MARKDOWN_REFERENCES = 100;
+
+/** Normalized values that are literals, and so can be checked. */
+const LITERAL_VALUE = /^(".*"|-?\d+(\.\d+)?|true|false)$/;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The allowed values of one prop.
+ *
+ * @typedef {object} PropSchema
+ * @property {string[]} values - Normalized allowed values.
+ * @property {string}   source - `"config"` (`propSchemas`) or `"declared"`.
+ */
+
+/**
+ * @typedef {Object<string, Object<string, PropSchema>>} SchemaMap
+ *   Component → prop → allowed values.
+ */
+
+/**
+ * @typedef {object} InvalidMatch
+ * @property {import("../per-component/analyze-per-component").ComponentInstance} instance
+ * @property {Array<{ prop: string, value: string }>} invalid
+ */
+
+/**
+ * @typedef {object} InvalidValueResult
+ * @property {string}   component
+ * @property {string}   prop
+ * @property {string}   value      - The invalid normalized value.
+ * @property {string[]} allowed
+ * @property {string}   source     - Where `allowed` comes from.
+ * @property {number}   count      - Instances setting the value.
+ * @property {Object<string, number>} byCodebase - Codebase → instances.
+ * @property {import("../per-component/analyze-per-component").InstanceReference[]} references
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCHEMAS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Merge the configured schemas with the literal-union types of the
+ * declared props.  A configured prop replaces its declaration.
+ *
+ * @param {Object<string, Object<string, string[]>>} [propSchemas=PROP_SCHEMAS]
+ * @param {Object<string, import("../lib/declarations").ComponentDeclaration>} [declarations]
+ *   Declared props by component (default: read per the config).
+ * @returns {SchemaMap}
+ */
+function buildSchemas(
+  propSchemas = PROP_SCHEMAS,
+  declarations = loadDeclarations(),
+) {
+  /** @type {SchemaMap} */
+  const schemas = {};
+  for (const [component, declared] of Object.entries(declarations)) {
+    for (const [prop, decl] of Object.entries(declared.props)) {
+      if (!decl.values) continue;
+      schemas[component] = schemas[component] || {};
+      schemas[component][prop] = { values: decl.values, source: "declared" };
+    }
+  }
+  for (const [component, props] of Object.entries(propSchemas)) {
+    for (const [prop, values] of Object.entries(props)) {
+      schemas[component] = schemas[component] || {};
+      schemas[component][prop] = { values, source: "config" };
+    }
+  }
+  return schemas;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MATCHING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The props of an instance set to a literal outside their schema.
+ *
+ * @param {import("../per-component/analyze-per-component").ComponentInstance} instance
+ * @param {SchemaMap} schemas
+ * @returns {Array<{ prop: string, value: string }>}
+ */
+function invalidProps(instance, schemas) {
+  const schema = schemas[instance.component];
+  if (!schema) return [];
+
+  const invalid = [];
+  for (const p of instance.props) {
+    if (!schema[p.name]) continue;
+    const value = normalizeValue(classifyValue(p.value));
+    if (!LITERAL_VALUE.test(value)) continue;
+    if (!schema[p.name].values.includes(value)) {
+      invalid.push({ prop: p.name, value });
+    }
+  }
+  return invalid;
+}
+
+/**
+ * Find the instances with invalid values in one file's per-component
+ * result.
+ *
+ * @param {import("../per-component/analyze-per-component").FileResult} fileResult
+ * @param {SchemaMap} schemas
+ * @returns {{ importMap: Object<string, string>, sourceMap: Object<string, string>, matches: InvalidMatch[] }}
+ */
+function findInvalidValues(fileResult, schemas) {
+  const matches = [];
+  for (const instance of fileResult.instances) {
+    const invalid = invalidProps(instance, schemas);
+    if (invalid.length > 0) matches.push({ instance, invalid });
+  }
+  return {
+    importMap: fileResult.importMap,
+    sourceMap: fileResult.sourceMap,
+    matches,
+  };
+}
+
+/**
+ * Create the invalid-values analyzer for the shared single-pass
+ * pipeline.  Results are exposed as `results` (keyed by component, prop
+ * and value) and written in `finish`.
+ *
+ * @param {SchemaMap} [schemas] - Default: {@link buildSchemas}.
+ * @returns {import("../lib/pipeline").Analyzer & { results: Map<string, InvalidValueResult> }}
+ */
+function createAnalyzer(schemas = buildSchemas()) {
+  /** @type {Map<string, InvalidValueResult>} */
+  const results = new Map();
+  const hasSchemas = Object.keys(schemas).length > 0;
+
+  return {
+    name: "invalid-values",
+    worker: { module: __filename, args: [schemas] },
+    results,
+
+    analyze(file) {
+      if (!hasSchemas) return null;
+      return findInvalidValues(analyzeFileContent(file.parsed), schemas);
+    },
+
+    file(file, found) {
+      if (!found) return;
+      for (const { instance, invalid } of found.matches) {
+        const ref = createInstanceReference(
+          found,
+          instance,
+          file.codebase,
+          file.relPath,
+          file.content,
+          file.path,
+        );
+        for (const { prop, value } of invalid) {
+          const key = `${instance.component}\0${prop}\0${value}`;
+          if (!results.has(key)) {
+            const schema = schemas[instance.component][prop];
+            results.set(key, {
+              component: instance.component,
+              prop,
+              value,
+              allowed: schema.values,
+              source: schema.source,
+              count: 0,
+              byCodebase: {},
+              references: [],
+            });
+          }
+          const result = results.get(key);
+          result.count++;
+          incr(result.byCodebase, file.codebase);
+          result.references.push(ref);
+        }
+      }
+    },
+
+    finish() {
+      writeInvalidValueReports(sortResults(results), hasSchemas);
+    },
+  };
+}
+
+/**
+ * Results by count, then by component, prop and value.
+ *
+ * @param {Map<string, InvalidValueResult>} results
+ * @returns {InvalidValueResult[]}
+ */
+function sortResults(results) {
+  return [...results.values()].sort(
+    (a, b) =>
+      b.count - a.count ||
+      a.component.localeCompare(b.component) ||
+      a.prop.localeCompare(b.prop) ||
+      a.value.localeCompare(b.value),
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Generate the Markdown report: a summary table of every invalid value,
+ * then the locations of each.
+ *
+ * @param {InvalidValueResult[]} results - Sorted.
+ * @returns {string}
+ */
+function generateMarkdown(results) {
+  const lines = [];
+  const total = results.reduce((sum, r) => sum + r.count, 0);
+  const codebaseNames = CODEBASES;
+
+  lines.push("# Invalid Prop Values");
+  lines.push("");
+  lines.push(
+    `- **${total}** uses of **${results.length}** values outside the allowed set`,
+  );
+  lines.push("");
+  if (results.length === 0) return lines.join("\n");
+
+  lines.push(
+    `| Value | Allowed | Source | ${codebaseNames.map(cell).join(" | ")} | Total |`,
+  );
+  lines.push(
+    `|-------|---------|--------|${codebaseNames.map(() => "---:|").join("")}---:|`,
+  );
+  for (const r of results) {
+    const perCodebase = codebaseNames.map((cb) => r.byCodebase[cb] || 0);
+    lines.push(
+      `| \`${cell(deprecationLabel(r))}\` | ${cell(r.allowed.join(", "))} | ${r.source} | ${perCodebase.join(" | ")} | ${r.count} |`,
+    );
+  }
+  lines.push("");
+
+  for (const r of results) {
+    lines.push(`## \`${deprecationLabel(r)}\``);
+    lines.push("");
+    lines.push("| Codebase | Location | Source |");
+    lines.push("|----------|----------|--------|");
+    for (const ref of r.references.slice(0, MAX_MARKDOWN_REFERENCES)) {
+      lines.push(
+        `| ${cell(ref.codebase)} | ${cell(ref.file)}:${ref.line} | \`${cell(ref.sourceCode)}\` |`,
+      );
+    }
+    if (r.references.length > MAX_MARKDOWN_REFERENCES) {
+      lines.push("");
+      lines.push(
+        `*... and ${r.references.length - MAX_MARKDOWN_REFERENCES} more (see report.json)*`,
+      );
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate the CSV report: one row per instance and invalid value.
+ *
+ * @param {InvalidValueResult[]} results
+ * @returns {string}
+ */
+function generateCSV(results) {
+  const rows = ["Component,Prop,Value,Allowed,Source,Codebase,File,Line,Code"];
+  for (const r of results) {
+    for (const ref of r.references) {
+      rows.push(
+        [
+          csvField(r.component),
+          csvField(r.prop),
+          csvField(r.value),
+          csvField(r.allowed.join(" | ")),
+          csvField(r.source),
+          csvField(ref.codebase),
+          csvField(ref.file),
+          ref.line,
+          csvField(ref.sourceCode),
+        ].join(","),
+      );
+    }
+  }
+  return rows.join("\n") + "\n";
+}
+
+/**
+ * Generate the JSON report.
+ *
+ * @param {InvalidValueResult[]} results
+ * @returns {string}
+ */
+function generateJSON(results) {
+  return JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      libraryNames: UI_LIBRARY_NAMES,
+      totalInstances: results.reduce((sum, r) => sum + r.count, 0),
+      invalidValues: results.map((r) => ({
+        ...r,
+        label: deprecationLabel(r),
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Write the reports and print a console summary.
+ *
+ * @param {InvalidValueResult[]} results - Sorted.
+ * @param {boolean} hasSchemas - Whether any prop had allowed values.
+ */
+function writeInvalidValueReports(results, hasSchemas) {
+  if (!hasSchemas) {
+    console.log("  ⚠ No prop schemas configured or declared");
+    console.log(
+      "  Add `propSchemas` to component-analytics.config.js, or `declarations` to a `uiLibraries` entry, to enable this report.",
+    );
+    console.log("");
+    return;
+  }
+
+  writeReports("invalid-values", "report", {
+    markdown: generateMarkdown(results),
+    csv: generateCSV(results),
+    json: generateJSON(results),
+  });
+
+  console.log("\n✅ Markdown report saved");
+  console.log("✅ CSV report saved");
+  console.log("✅ JSON report saved");
+
+  // Quick console summary
+  console.log("\n" + "─".repeat(60));
+  console.log("  QUICK SUMMARY");
+  console.log("─".repeat(60));
+  if (results.length === 0) console.log("  No invalid values found");
+  for (const r of results.slice(0, 10)) {
+    console.log(
+      `  ${deprecationLabel(r).padEnd(40)} ${String(r.count).padStart(6)} instances`,
+    );
+  }
+  console.log("");
+}
+
+/**
+ * Main entry point — analyses every codebase and writes reports.
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  console.log("═".repeat(60));
+  console.log("  INVALID PROP VALUE ANALYSIS");
+  console.log("═".repeat(60));
+
+  await runPipeline([createAnalyzer()]);
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("❌ Invalid value analysis failed:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  // Schemas
+  buildSchemas,
+
+  // Matching
+  invalidProps,
+  findInvalidValues,
+  sortResults,
+
+  // Report generation
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+
+  // Pipeline
+  createAnalyzer,
+};
@@ -0,0 +1,354 @@
+/**
+ * @module lib/cache
+ *
+ * Persistent per-file analysis cache for the pipeline.
+ *
+ * Stores each analyzer's {@link import("./pipeline").Analyzer.analyze}
+ * result per file, keyed by the file's content hash, so a re-run only
+ * analyzes files that changed.  The `file` / `endCodebase` hooks then
+ * rebuild reports from cached and fresh results alike.
+ *
+ * Results are invalidated when:
+ *   - the file's content changes,
+ *   - a barrel or tsconfig file its analysis went through changes
+ *     (see `resolver.trackDependencies`),
+ *   - the analyzer's key changes — a hash of the config, the tool
+ *     version, the shared `scripts/lib/` sources, the analyzer's
+ *     arguments and the source of its module and of every project
+ *     module that one requires, directly or not.
+ *
+ * Only analyzers with a `worker` spec are cached: the spec names the
+ * module whose sources go into the key.
+ *
+ * On disk there is one file per codebase.  The first line is a JSON
+ * header; every other line is `<hash>\t<relPath>\t<json>`, so entries
+ * are only parsed when looked up.  Files not seen during a run are
+ * dropped when the codebase is written back.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { ensureDir, readSafe } = require("./files");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Bump when the on-disk layout changes. */
+const CACHE_FORMAT = 1;
+
+/** Default cache directory, at the project root. */
+const DEFAULT_CACHE_DIR = path.resolve(
+  __dirname,
+  "../../.component-analytics-cache",
+);
+
+/** Directory whose sources every analyzer depends on. */
+const LIB_DIR = __dirname;
+
+/** Relative `require("./…")` calls, lazy ones inside functions included. */
+const RELATIVE_REQUIRE = /\brequire\(\s*["'](\.{1,2}\/[^"']+)["']\s*\)/g;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HASHING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * SHA-1 of one or more strings (hex).
+ *
+ * @param {...string} parts
+ * @returns {string}
+ */
+function hashContent(...parts) {
+  const hash = crypto.createHash("sha1");
+  for (const part of parts) hash.update(part).update("\0");
+  return hash.digest("hex");
+}
+
+/**
+ * Serialise a config object for hashing.  Functions and regular
+ * expressions are kept as source text rather than dropped.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  return JSON.stringify(value, (key, v) => {
+    if (typeof v === "function" || v instanceof RegExp) return String(v);
+    return v;
+  });
+}
+
+/**
+ * A module and every project module it requires, directly or
+ * transitively, found by scanning the sources for relative `require`
+ * calls.  Packages and JSON files are left out: the tool version and
+ * the lockfile pin those.
+ *
+ * @param {string} file - Absolute path of the module.
+ * @param {Set<string>} [seen]
+ * @returns {Set<string>} Absolute paths, `file` first.
+ */
+function moduleClosure(file, seen = new Set()) {
+  if (seen.has(file)) return seen;
+  const source = readSafe(file);
+  if (source === null) return seen;
+  seen.add(file);
+
+  for (const match of source.matchAll(RELATIVE_REQUIRE)) {
+    let dep;
+    try {
+      dep = require.resolve(path.resolve(path.dirname(file), match[1]));
+    } catch {
+      continue;
+    }
+    if (dep.endsWith(".js")) moduleClosure(dep, seen);
+  }
+  return seen;
+}
+
+/**
+ * Compute the cache key of each cacheable analyzer.
+ *
+ * @param {import("./pipeline").Analyzer[]} analyzers
+ * @param {object} config - Raw configuration object.
+ * @returns {Object<string, string>} Analyzer name → key.
+ */
+function analyzerKeys(analyzers, config) {
+  const { version } = require("../../package.json");
+  const libSources = fs
+    .readdirSync(LIB_DIR)
+    .filter((name) => name.endsWith(".js"))
+    .sort()
+    .map((name) => readSafe(path.join(LIB_DIR, name)) || "");
+  const base = hashContent(
+    String(CACHE_FORMAT),
+    version,
+    stableStringify(config),
+    ...libSources,
+  );
+
+  /** @type {Object<string, string>} */
+  const keys = {};
+  for (const analyzer of analyzers) {
+    if (!analyzer.worker || !analyzer.analyze) continue;
+    const sources = [...moduleClosure(analyzer.worker.module)]
+      .sort()
+      .flatMap((file) => [path.relative(LIB_DIR, file), readSafe(file)]);
+    keys[analyzer.name] = hashContent(
+      base,
+      stableStringify(analyzer.worker.args || []),
+      ...sources,
+    );
+  }
+  return keys;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SERIALISATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * `JSON.stringify` that preserves `Set` and `Map` values, which some
+ * `analyze` results use (e.g. `librariesPresent` in sources).
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function serialize(value) {
+  return JSON.stringify(value, (key, v) => {
+    if (v instanceof Set) return { $set: [...v] };
+    if (v instanceof Map) return { $map: [...v] };
+    return v;
+  });
+}
+
+/**
+ * Inverse of {@link serialize}.
+ *
+ * @param {string} json
+ * @returns {*}
+ */
+function deserialize(json) {
+  return JSON.parse(json, (key, v) => {
+    if (v && typeof v === "object" && !Array.isArray(v)) {
+      if (Array.isArray(v.$set)) return new Set(v.$set);
+      if (Array.isArray(v.$map)) return new Map(v.$map);
+    }
+    return v;
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CACHE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {object} CacheEntry
+ * @property {Object<string, string>} deps    - Dependency path → content hash.
+ * @property {Object<string, *>}      results - Analyzer name → `analyze` result.
+ */
+
+/**
+ * @typedef {object} AnalysisCache
+ * @property {(codebase: string) => void} beginCodebase
+ *   Load the stored entries for a codebase.
+ * @property {(relPath: string, hash: string) => Object<string, *>} lookup
+ *   Cached results that are still valid for a file (possibly empty).
+ * @property {(relPath: string, hash: string, deps: string[], results: Object<string, *>) => void} store
+ *   Record fresh results (merged with still-valid cached ones).
+ * @property {() => void} endCodebase
+ *   Write the codebase's entries back to disk.
+ * @property {Object<string, string>} keys - Analyzer name → key.
+ * @property {{ hits: number, misses: number }} stats
+ *   Files served entirely from cache vs. (partly) re-analyzed.
+ */
+
+/**
+ * Create a cache for a set of analyzers.
+ *
+ * @param {object} options
+ * @param {import("./pipeline").Analyzer[]} options.analyzers
+ * @param {object} options.config          - Raw configuration object (hashed into the keys).
+ * @param {string} [options.dir=DEFAULT_CACHE_DIR]
+ * @returns {AnalysisCache}
+ */
+function createCache({ analyzers, config, dir = DEFAULT_CACHE_DIR }) {
+  const keys = analyzerKeys(analyzers, config);
+  const names = Object.keys(keys);
+  const stats = { hits: 0, misses: 0 };
+
+  /** Content hashes of dependency files, computed once per run. */
+  const depHashes = new Map();
+  const depHash = (file) => {
+    if (!depHashes.has(file)) {
+      const content = readSafe(file);
+      depHashes.set(file, content === null ? null : hashContent(content));
+    }
+    return depHashes.get(file);
+  };
+
+  let file = null;
+  /** Keys stored in the header of the file being read. */
+  let storedKeys = {};
+  /** @type {Map<string, { hash: string, json: string }>} */
+  let previous = new Map();
+  /** @type {Map<string, { hash: string, json: string }>} */
+  let next = new Map();
+
+  /**
+   * Parse a stored entry, keeping only results whose analyzer key still
+   * matches and whose dependencies are unchanged.
+   *
+   * @param {string} relPath
+   * @param {string} hash
+   * @returns {CacheEntry | null}
+   */
+  const validEntry = (relPath, hash) => {
+    const raw = previous.get(relPath);
+    if (!raw || raw.hash !== hash) return null;
+    /** @type {CacheEntry} */
+    const entry = deserialize(raw.json);
+    for (const [dep, expected] of Object.entries(entry.deps)) {
+      if (depHash(dep) !== expected) return null;
+    }
+    for (const name of Object.keys(entry.results)) {
+      if (keys[name] && storedKeys[name] !== keys[name]) {
+        delete entry.results[name];
+      }
+    }
+    return entry;
+  };
+
+  return {
+    keys,
+    stats,
+
+    beginCodebase(codebase) {
+      file = path.join(dir, `${encodeURIComponent(codebase)}.cache`);
+      previous = new Map();
+      next = new Map();
+      storedKeys = {};
+
+      const content = readSafe(file);
+      if (!content) return;
+      const lines = content.split("\n");
+      let header;
+      try {
+        header = JSON.parse(lines[0]);
+      } catch {
+        return;
+      }
+      if (!header || header.format !== CACHE_FORMAT) return;
+      storedKeys = header.keys || {};
+
+      for (let i = 1; i < lines.length; i++) {
+        const line = lines[i];
+        const tab1 = line.indexOf("\t");
+        const tab2 = line.indexOf("\t", tab1 + 1);
+        if (tab1 === -1 || tab2 === -1) continue;
+        previous.set(line.slice(tab1 + 1, tab2), {
+          hash: line.slice(0, tab1),
+          json: line.slice(tab2 + 1),
+        });
+      }
+    },
+
+    lookup(relPath, hash) {
+      const entry = validEntry(relPath, hash);
+      const results = {};
+      if (entry) {
+        for (const name of names) {
+          if (name in entry.results) results[name] = entry.results[name];
+        }
+      }
+      const complete = names.every((name) => name in results);
+      if (complete && entry) {
+        next.set(relPath, previous.get(relPath));
+        stats.hits++;
+      } else {
+        stats.misses++;
+      }
+      return results;
+    },
+
+    store(relPath, hash, deps, results) {
+      const entry = validEntry(relPath, hash) || { deps: {}, results: {} };
+      for (const dep of deps) {
+        const depContent = depHash(dep);
+        if (depContent !== null) entry.deps[dep] = depContent;
+      }
+      for (const [name, result] of Object.entries(results)) {
+        if (keys[name]) entry.results[name] = result;
+      }
+      next.set(relPath, { hash, json: serialize(entry) });
+    },
+
+    endCodebase() {
+      if (!file) return;
+      const header = { format: CACHE_FORMAT, keys: { ...storedKeys, ...keys } };
+      const lines = [JSON.stringify(header)];
+      for (const [relPath, { hash, json }] of next) {
+        lines.push(`${hash}\t${relPath}\t${json}`);
+      }
+
+      ensureDir(dir);
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, lines.join("\n"));
+      fs.renameSync(tmp, file);
+      file = null;
+    },
+  };
+}
+
+module.exports = {
+  createCache,
+  moduleClosure,
+  analyzerKeys,
+  hashContent,
+  serialize,
+  deserialize,
+  DEFAULT_CACHE_DIR,
+};
@@ -31,12 +31,134 @@
  *   `["ui-components"]`).  When present, a separate "wrappers" scan is
  *   generated so you can measure how much code goes through the wrapper
  *   vs. importing the library directly.
+ * @property {boolean|string|DeclarationManifest} [declarations] - Read each
+ *   component's props, literal-union values and `@defaultValue` tags from
+ *   the library's TypeScript declarations in a local `node_modules`.
+ *   `true` searches upwards from the project root and every codebase; a
+ *   string names the directory to search from instead.  A path ending in
+ *   `.json`, or an object, is a {@link DeclarationManifest} listing the
+ *   props directly.  Declared defaults take precedence over inferred
+ *   ones, and declared props nobody uses show up in the `api-surface`
+ *   report.
+ * @property {DeprecationEntry[]} [deprecations] - Optional components,
+ *   props and prop values being migrated away from.  Instances imported
+ *   from this library that match an entry are listed by the
+ *   `deprecations` step.
+ * @property {HtmlReplacementEntry[]|false} [htmlReplacements] - Tracked
+ *   components that replace raw HTML tags, listed by the
+ *   `html-replacements` step.  The first matching entry wins.  When
+ *   omitted, a library importing from `@sanity/ui` uses the built-in
+ *   defaults whose component it tracks (`DEFAULT_HTML_REPLACEMENTS` in
+ *   `lib/context.js`) and other libraries get none; `false` turns the
+ *   suggestions off.
+ * @property {Object<string, number[]>} [scales] - Named scales of the
+ *   library's props: the pixel value of each step, e.g.
+ *   `{ space: [0, 4, 8, 12, 20] }` makes `padding={3}` 12px.  For a
+ *   library importing from `@sanity/ui`, merged over the built-in
+ *   `space` and `radius` scales.
+ * @property {StylePropEntry[]|false} [styleProps] - Inline style
+ *   properties the library's components take as props, used by the
+ *   `style-props` step.  When omitted, a library importing from
+ *   `@sanity/ui` uses the built-in defaults narrowed to the components
+ *   it tracks (`DEFAULT_STYLE_PROPS` in `lib/context.js`) and other
+ *   libraries get none; `false` turns the translation off.
  *
  * Note: Prop defaults are detected automatically from usage data by
  * `detect-prop-defaults.js` and applied at analysis time by
  * `analyze-per-component.js`.  No manual configuration is needed.
  */
 
+/**
+ * Declared props of a library's components, for libraries without
+ * TypeScript declarations at hand.  Maps component → prop → either the
+ * prop's literal values or a {@link DeclaredProp}:
+ *
+ *     {
+ *       Button: {
+ *         mode: ["default", "ghost", "bleed"],
+ *         tone: { values: ["default", "primary"], defaultValue: "default" },
+ *         text: {},
+ *       },
+ *     }
+ *
+ * @typedef {Object<string, Object<string, Array<string|number|boolean>|DeclaredProp>>} DeclarationManifest
+ */
+
+/**
+ * @typedef {object} DeclaredProp
+ * @property {string} [type] - The prop's type, for display.
+ * @property {Array<string|number|boolean>} [values] - Allowed literal values.
+ * @property {string|number|boolean} [defaultValue]
+ * @property {boolean} [optional=true]
+ */
+
+/**
+ * A deprecated component, prop or prop value of a UI library.
+ *
+ * @typedef {object} DeprecationEntry
+ * @property {string} component     - PascalCase component export name.
+ * @property {string} [prop]        - Deprecated prop.  When omitted, every
+ *   instance of the component is deprecated.
+ * @property {string|number|boolean} [value] - Deprecated literal value of
+ *   `prop` (e.g. `"critical"`, `1`, `true`).  When omitted, every use of
+ *   the prop is deprecated.  Requires `prop`.
+ * @property {string} [replacement] - What to use instead, e.g. `"Stack"`
+ *   or `'tone="danger"'`.
+ * @property {string} [message]     - Why, or how to migrate.
+ * @property {DeprecationMigration} [migrate] - Mechanical rewrite applied
+ *   by the `migrate` command.
+ */
+
+/**
+ * How `migrate` rewrites instances matching a {@link DeprecationEntry}.
+ * Only the fields that apply to the entry may be set.
+ *
+ * @typedef {object} DeprecationMigration
+ * @property {string} [component] - New component name.  Only for entries
+ *   without a `prop`; the import specifier is swapped too.
+ * @property {string} [prop]      - New name for the entry's prop.
+ * @property {string|number|boolean} [value] - New value for the entry's
+ *   prop (e.g. `"danger"` for `tone="critical"`).
+ */
+
+/**
+ * A tracked component that replaces a raw HTML tag, e.g.
+ * `{ tag: "div", style: { display: "flex" }, component: "Flex" }`.
+ *
+ * @typedef {object} HtmlReplacementEntry
+ * @property {string} tag       - Lowercase HTML tag name.
+ * @property {string} component - PascalCase component export name.
+ * @property {Object<string, string|number|boolean>} [attributes] - Literal
+ *   attribute values the tag must have (e.g. `{ type: "checkbox" }`).
+ *   Matched attributes are left out of the suggestion.
+ * @property {Object<string, string|number>} [style] - Inline style values
+ *   the tag must have (e.g. `{ display: "flex" }`).  Matched properties
+ *   are left out of the suggestion.
+ * @property {Object<string, string|number|boolean>} [props] - Props the
+ *   suggestion sets (e.g. `{ as: "h2" }`).
+ * @property {Object<string, string>} [styleProps] - Inline style
+ *   properties that become props, with their values as written
+ *   (e.g. `{ flexDirection: "direction" }`).
+ */
+
+/**
+ * An inline style property a component takes as a prop, e.g.
+ * `{ property: "padding", prop: "padding", scale: "space", components: ["Box"] }`.
+ *
+ * @typedef {object} StylePropEntry
+ * @property {string}   property     - Inline style property, camelCase as
+ *   written in `style={{ … }}`.
+ * @property {string}   prop         - The prop it translates to.
+ * @property {string}   [scale]      - Name of a scale in `scales`: the
+ *   prop takes the index of the step whose pixel value the style sets.
+ * @property {Array<string|number>|Object<string, string|number>} [values] -
+ *   The CSS values the prop supports, or a map from CSS value to prop
+ *   value (e.g. `{ 600: "semibold" }`).  When omitted, any literal value
+ *   is passed through.
+ * @property {string[]} [components] - Components that take the prop.
+ *   When omitted, every component of the library does.
+ */
+
 /**
  * @typedef {object} FileConfig
  * @property {string}   pattern - Glob pattern for component files
@@ -54,6 +176,51 @@
  *   order in the generated reports.
  */
 
+/**
+ * Thresholds of the `prop-clusters` step, which mines literal prop sets
+ * that many instances of a component repeat.
+ *
+ * @typedef {object} PropClusterConfig
+ * @property {number} [minInstances=10] - Instances that must repeat a
+ *   prop set for it to be reported.
+ * @property {number} [minProps=2]      - Smallest prop set reported.
+ */
+
+/**
+ * Allowed literal values of component props, checked by the
+ * `invalid-values` step: component → prop → values.  Takes precedence
+ * over the union types read from a library's `declarations`.
+ *
+ * @example
+ *   { Button: { tone: ["default", "primary", "critical"] },
+ *     Text: { size: [0, 1, 2, 3, 4] } }
+ *
+ * @typedef {Object<string, Object<string, Array<string|number|boolean>>>} PropSchemas
+ */
+
+/**
+ * Limits enforced by `npm run check` against the generated JSON
+ * reports.  Every budget applies to each codebase separately; all are
+ * optional.
+ *
+ * @typedef {object} BudgetLimits
+ * @property {number} [minTrackedPercent] - Minimum share (%) of JSX
+ *   instances that come from the tracked UI libraries (sources report).
+ * @property {number} [minLineOwnership]  - Minimum line ownership (%)
+ *   of UI files (line-ownership report).
+ * @property {Object<string, number>} [maxHtmlTags] - Tag name → maximum
+ *   raw instances (html-tags report), e.g. `{ div: 500 }`.
+ * @property {Object<string, number>} [maxInlineStyles] - Tracked
+ *   component → maximum inline `style=` customizations (customizations
+ *   report).  The key `"*"` applies to every component not listed.
+ */
+
+/**
+ * @typedef {BudgetLimits & { codebases?: Object<string, BudgetLimits> }} BudgetConfig
+ *   Limits for every codebase, plus per-codebase overrides merged on
+ *   top (`maxHtmlTags` / `maxInlineStyles` are merged key by key).
+ */
+
 /**
  * @typedef {object} StudioAnalysisConfig
  * @property {CodebaseEntry[]}  codebases      - Codebases to analyse.
@@ -66,6 +233,18 @@
  * @property {PropComboEntry[]} [propCombos]   - Optional list of component +
  *   prop-set pairs to cross-tabulate.  For each entry the analyser counts how
  *   often each unique combination of prop values appears across all codebases.
+ *   When empty, the most co-used prop pairs of each component are discovered.
+ * @property {BudgetConfig}     [budgets]      - Optional thresholds checked
+ *   by `npm run check`, which exits non-zero when one is exceeded.
+ * @property {PropSchemas}      [propSchemas]  - Optional allowed values of
+ *   component props; instances setting any other literal value are listed
+ *   by the `invalid-values` step.
+ * @property {number}           [wrapperDepth=3] - How many internal wrappers
+ *   (`const PrimaryButton = (p) => <Button {...p} />`) the per-component
+ *   report follows when counting effective instances.  `0` turns the
+ *   attribution off.
+ * @property {PropClusterConfig} [propClusters] - Thresholds of the
+ *   `prop-clusters` step.
  */
 
 module.exports = {};
@@ -279,6 +279,55 @@ Object.defineProperty(exp, "PROP_COMBOS", {
   enumerable: true,
 });
 
+// ── Deprecations ─────────────────────────────────────────────────────────────
+
+Object.defineProperty(exp, "DEPRECATIONS", {
+  get: () => getContext().deprecations,
+  enumerable: true,
+});
+
+// ── HTML replacements ────────────────────────────────────────────────────────
+
+Object.defineProperty(exp, "HTML_REPLACEMENTS", {
+  get: () => getContext().htmlReplacements,
+  enumerable: true,
+});
+
+// ── Style props ──────────────────────────────────────────────────────────────
+
+Object.defineProperty(exp, "STYLE_PROPS", {
+  get: () => getContext().styleProps,
+  enumerable: true,
+});
+
+// ── Prop schemas ─────────────────────────────────────────────────────────────
+
+Object.defineProperty(exp, "PROP_SCHEMAS", {
+  get: () => getContext().propSchemas,
+  enumerable: true,
+});
+
+// ── Wrappers ─────────────────────────────────────────────────────────────────
+
+Object.defineProperty(exp, "WRAPPER_DEPTH", {
+  get: () => getContext().wrapperDepth,
+  enumerable: true,
+});
+
+// ── Prop clusters ────────────────────────────────────────────────────────────
+
+Object.defineProperty(exp, "PROP_CLUSTERS", {
+  get: () => getContext().propClusters,
+  enumerable: true,
+});
+
+// ── Budgets ──────────────────────────────────────────────────────────────────
+
+Object.defineProperty(exp, "BUDGETS", {
+  get: () => getContext().budgets,
+  enumerable: true,
+});
+
 // ── File scanning ────────────────────────────────────────────────────────────
 
 Object.defineProperty(exp, "FILE_PATTERN", {
@@ -53,6 +53,55 @@ const path = require("path");
  * @property {string[]} components     - PascalCase component names to track.
  * @property {Object<string, Object<string, string>>} propDefaults - Known prop defaults.
  * @property {string[]} wrapperSources - Import-path substrings for the wrapper layer.
+ * @property {NormalizedDeprecation[]} deprecations - Deprecated components, props and values.
+ * @property {NormalizedHtmlReplacement[]} htmlReplacements - Tracked components replacing raw HTML tags.
+ * @property {Object<string, number[]>} scales - Named scales: pixel value of each step.
+ * @property {NormalizedStyleProp[]} styleProps - Inline style properties the components take as props.
+ * @property {string[]} declarationPaths - Directories to search for the library's
+ *   TypeScript declarations (empty when `declarations` is not set).
+ * @property {string|object|null} declarationManifest - Path of a JSON
+ *   manifest of declared props, or the manifest itself.
+ */
+
+/**
+ * @typedef {object} NormalizedDeprecation
+ * @property {string}      library     - Name of the library the entry belongs to.
+ * @property {string}      component   - Deprecated component (or the component whose prop is deprecated).
+ * @property {string|null} prop        - Deprecated prop, or null for the whole component.
+ * @property {string|null} value       - Deprecated value of `prop` in normalized form
+ *   (e.g. `"critical"` with quotes, `1`, `true`), or null for any value.
+ * @property {string|null} replacement - What to use instead.
+ * @property {string|null} message     - Why, or how to migrate.
+ * @property {NormalizedMigration|null} migrate - Rewrite applied by `migrate`, if any.
+ */
+
+/**
+ * @typedef {object} NormalizedMigration
+ * @property {string|null}                component - New component name.
+ * @property {string|null}                prop      - New prop name.
+ * @property {string|number|boolean|null} value     - New prop value, as written in the config.
+ */
+
+/**
+ * @typedef {object} NormalizedHtmlReplacement
+ * @property {string} library    - Name of the library the entry belongs to.
+ * @property {string} tag        - HTML tag it replaces.
+ * @property {Object<string, string|number|boolean>} attributes - Literal attribute values the tag must have.
+ * @property {Object<string, string|number>} style - Inline style values the tag must have.
+ * @property {string} component  - Replacing component.
+ * @property {Object<string, string|number|boolean>} props - Props the component is given.
+ * @property {Object<string, string>} styleProps - Inline style property → prop it translates to.
+ */
+
+/**
+ * @typedef {object} NormalizedStyleProp
+ * @property {string}        library    - Name of the library the entry belongs to.
+ * @property {string}        property   - Inline style property (camelCase).
+ * @property {string}        prop       - Prop it translates to.
+ * @property {string|null}   scale      - Name of the scale the prop takes steps of, if any.
+ * @property {number[]|null} steps      - Pixel value of each step of `scale`.
+ * @property {Object<string, string|number>|null} values - CSS value → prop value, or null for any value.
+ * @property {string[]|null} components - Components that take the prop, or null for every component.
  */
 
 /**
@@ -76,6 +125,14 @@ const path = require("path");
  * @property {Map<string, Set<string>>} libraryComponentMap - library name → Set of component names.
  * @property {string[]}              otherUIPatterns        - Third-party UI import substrings.
  * @property {Array<{component:string, props:string[]}>} propCombos - Prop combination entries.
+ * @property {NormalizedDeprecation[]} deprecations        - Deprecation entries across all libraries.
+ * @property {NormalizedHtmlReplacement[]} htmlReplacements - HTML replacement entries across all libraries, in library order.
+ * @property {NormalizedStyleProp[]} styleProps             - Style prop entries across all libraries.
+ * @property {Object<string, Object<string, string[]>>} propSchemas - Allowed
+ *   normalized values per component prop, from `propSchemas`.
+ * @property {number}                wrapperDepth           - Internal wrappers followed per chain (0 = off).
+ * @property {{ minInstances: number, minProps: number }} propClusters - Thresholds of the `prop-clusters` step.
+ * @property {import("./config-schema").BudgetConfig} budgets - Thresholds enforced by `npm run check`.
  * @property {string}                filePattern            - Glob pattern for component files.
  * @property {string[]}              defaultGlobIgnore      - Glob patterns to exclude.
  * @property {Object<string, string[]>} htmlTagCategories   - Tag categories (static, config-independent).
@@ -247,6 +304,182 @@ const HTML_TAG_CATEGORIES = {
 /** @type {Set<string>} */
 const KNOWN_TAGS = new Set(Object.values(HTML_TAG_CATEGORIES).flat());
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// DEFAULT HTML REPLACEMENTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Import source of the library the built-in tables describe.  Other
+ * libraries name their components differently, so they only get the
+ * replacements and style props they configure.
+ */
+const DEFAULTS_SOURCE = "@sanity/ui";
+
+/**
+ * Replacements used for Sanity UI libraries without `htmlReplacements`.
+ * The first matching entry wins, so specific entries come before the
+ * catch-all ones of the same tag.
+ *
+ * @type {import("./config-schema").HtmlReplacementEntry[]}
+ */
+const DEFAULT_HTML_REPLACEMENTS = [
+  { tag: "button", component: "Button" },
+  { tag: "input", attributes: { type: "checkbox" }, component: "Checkbox" },
+  { tag: "input", attributes: { type: "radio" }, component: "Radio" },
+  { tag: "input", component: "TextInput" },
+  { tag: "textarea", component: "TextArea" },
+  { tag: "select", component: "Select" },
+  ...["h1", "h2", "h3", "h4", "h5", "h6"].map((tag) => ({
+    tag,
+    component: "Heading",
+    props: { as: tag },
+  })),
+  { tag: "p", component: "Text", props: { as: "p" } },
+  { tag: "code", component: "Code" },
+  { tag: "kbd", component: "KBD" },
+  {
+    tag: "div",
+    style: { display: "flex" },
+    component: "Flex",
+    styleProps: {
+      flexDirection: "direction",
+      alignItems: "align",
+      justifyContent: "justify",
+      flexWrap: "wrap",
+    },
+  },
+  { tag: "div", style: { display: "grid" }, component: "Grid" },
+  { tag: "div", component: "Box" },
+];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DEFAULT STYLE PROPS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Scales of Sanity UI libraries, unless overridden by `scales`: pixel
+ * value of each step, so `padding: 12` is `padding={3}`.
+ *
+ * @type {Object<string, number[]>}
+ */
+const DEFAULT_SCALES = {
+  space: [0, 4, 8, 12, 20, 32, 52, 84, 136, 220],
+  radius: [0, 1, 3, 6, 9, 12, 21],
+};
+
+/** Components that take the box props (padding, margin, flex, …). */
+const BOX_COMPONENTS = [
+  "Box",
+  "Card",
+  "Container",
+  "Flex",
+  "Grid",
+  "Inline",
+  "Stack",
+];
+
+/** Components that take the text props (align, weight). */
+const TEXT_COMPONENTS = ["Text", "Heading", "Label"];
+
+/**
+ * Style props used for Sanity UI libraries without `styleProps`.
+ *
+ * @type {import("./config-schema").StylePropEntry[]}
+ */
+const DEFAULT_STYLE_PROPS = [
+  ...["", "Top", "Right", "Bottom", "Left"].flatMap((side) =>
+    ["padding", "margin"].map((property) => ({
+      property: property + side,
+      prop: property + side,
+      scale: "space",
+      components: BOX_COMPONENTS,
+    })),
+  ),
+  {
+    property: "gap",
+    prop: "gap",
+    scale: "space",
+    components: ["Flex", "Grid"],
+  },
+  {
+    property: "gap",
+    prop: "space",
+    scale: "space",
+    components: ["Inline", "Stack"],
+  },
+  { property: "rowGap", prop: "gapY", scale: "space", components: ["Grid"] },
+  { property: "columnGap", prop: "gapX", scale: "space", components: ["Grid"] },
+  { property: "flex", prop: "flex", components: BOX_COMPONENTS },
+  {
+    property: "overflow",
+    prop: "overflow",
+    values: ["auto", "hidden", "visible"],
+    components: BOX_COMPONENTS,
+  },
+  {
+    property: "display",
+    prop: "display",
+    values: ["none", "block", "inline-block", "flex", "grid"],
+    components: ["Box"],
+  },
+  {
+    property: "flexDirection",
+    prop: "direction",
+    values: ["row", "row-reverse", "column", "column-reverse"],
+    components: ["Flex"],
+  },
+  {
+    property: "alignItems",
+    prop: "align",
+    values: ["baseline", "center", "flex-start", "flex-end", "stretch"],
+    components: ["Flex"],
+  },
+  {
+    property: "justifyContent",
+    prop: "justify",
+    values: [
+      "center",
+      "flex-start",
+      "flex-end",
+      "space-between",
+      "space-around",
+      "space-evenly",
+    ],
+    components: ["Flex"],
+  },
+  {
+    property: "flexWrap",
+    prop: "wrap",
+    values: ["wrap", "wrap-reverse", "nowrap"],
+    components: ["Flex"],
+  },
+  {
+    property: "borderRadius",
+    prop: "radius",
+    scale: "radius",
+    components: ["Card", "Button"],
+  },
+  {
+    property: "textAlign",
+    prop: "align",
+    values: ["left", "center", "right", "justify"],
+    components: TEXT_COMPONENTS,
+  },
+  {
+    property: "fontWeight",
+    prop: "weight",
+    values: {
+      400: "regular",
+      normal: "regular",
+      500: "medium",
+      600: "semibold",
+      700: "bold",
+      bold: "bold",
+    },
+    components: TEXT_COMPONENTS,
+  },
+];
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // EMPTY UI LIBRARY (used when no libraries are configured)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -259,6 +492,12 @@ const EMPTY_LIBRARY = Object.freeze({
   components: [],
   propDefaults: {},
   wrapperSources: [],
+  deprecations: [],
+  htmlReplacements: [],
+  scales: {},
+  styleProps: [],
+  declarationPaths: [],
+  declarationManifest: null,
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -287,20 +526,326 @@ function buildCodebasePaths(codebases, projectRoot) {
   return map;
 }
 
+/**
+ * Normalize a deprecation entry.  Values are stored the way
+ * `normalizeValue` records them, so they compare directly with
+ * per-component prop values: strings quoted, numbers and booleans bare.
+ *
+ * @param {import("./config-schema").DeprecationEntry} entry
+ * @param {string} library - Name of the library the entry belongs to.
+ * @returns {NormalizedDeprecation}
+ * @throws {Error} When `value` is given without `prop`, or `migrate`
+ *   rewrites something the entry does not cover.
+ */
+function normalizeDeprecation(entry, library) {
+  const hasValue = entry.value !== undefined && entry.value !== null;
+  if (hasValue && !entry.prop) {
+    throw new Error(
+      `Deprecation for ${entry.component} in "${library}" sets a value without a prop.`,
+    );
+  }
+  return {
+    library,
+    component: entry.component,
+    prop: entry.prop || null,
+    value: !hasValue
+      ? null
+      : typeof entry.value === "string"
+        ? `"${entry.value}"`
+        : String(entry.value),
+    replacement: entry.replacement || null,
+    message: entry.message || null,
+    migrate: normalizeMigration(entry, library),
+  };
+}
+
+/**
+ * Normalize the `migrate` field of a deprecation entry.  A component
+ * swap only applies to whole-component entries, and prop rewrites only
+ * to prop entries.
+ *
+ * @param {import("./config-schema").DeprecationEntry} entry
+ * @param {string} library
+ * @returns {NormalizedMigration|null}
+ * @throws {Error} When the migration does not fit the entry.
+ */
+function normalizeMigration(entry, library) {
+  if (!entry.migrate) return null;
+  const { component, prop, value } = entry.migrate;
+  const hasValue = value !== undefined && value !== null;
+  const where = `Migration for ${entry.component} in "${library}"`;
+  if (component && entry.prop) {
+    throw new Error(`${where} renames the component of a prop deprecation.`);
+  }
+  if ((prop || hasValue) && !entry.prop) {
+    throw new Error(`${where} rewrites a prop but the deprecation has none.`);
+  }
+  return {
+    component: component || null,
+    prop: prop || null,
+    value: hasValue ? value : null,
+  };
+}
+
+/**
+ * Normalize `propSchemas`: allowed values in the form the per-component
+ * report records them (strings quoted, numbers and booleans bare).
+ *
+ * @param {import("./config-schema").PropSchemas} schemas
+ * @returns {Object<string, Object<string, string[]>>}
+ * @throws {Error} When a prop does not list its allowed values.
+ */
+function normalizePropSchemas(schemas) {
+  const result = {};
+  for (const [component, props] of Object.entries(schemas)) {
+    result[component] = {};
+    for (const [prop, values] of Object.entries(props)) {
+      if (!Array.isArray(values)) {
+        throw new Error(
+          `propSchemas for ${component}.${prop} must list the allowed values.`,
+        );
+      }
+      result[component][prop] = values.map((v) =>
+        typeof v === "string" ? `"${v}"` : String(v),
+      );
+    }
+  }
+  return result;
+}
+
+/**
+ * Normalize an HTML replacement entry.
+ *
+ * @param {import("./config-schema").HtmlReplacementEntry} entry
+ * @param {string} library - Name of the library the entry belongs to.
+ * @returns {NormalizedHtmlReplacement}
+ * @throws {Error} When the entry lacks a tag or a component.
+ */
+function normalizeHtmlReplacement(entry, library) {
+  if (!entry.tag || !entry.component) {
+    throw new Error(
+      `htmlReplacements entries of "${library}" need a tag and a component.`,
+    );
+  }
+  return {
+    library,
+    tag: entry.tag,
+    attributes: entry.attributes || {},
+    style: entry.style || {},
+    component: entry.component,
+    props: entry.props || {},
+    styleProps: entry.styleProps || {},
+  };
+}
+
+/**
+ * Whether the built-in tables describe a library: it imports from
+ * {@link DEFAULTS_SOURCE}.
+ *
+ * @param {object} lib - Raw library entry from the config.
+ * @returns {boolean}
+ */
+function usesDefaults(lib) {
+  return (lib.importSources || []).includes(DEFAULTS_SOURCE);
+}
+
+/**
+ * The HTML replacements of a library: its own `htmlReplacements`, or
+ * for Sanity UI the defaults whose component it tracks (all of them
+ * when it tracks every import).  `false` turns replacements off.
+ *
+ * @param {object} lib - Raw library entry from the config.
+ * @param {string} name
+ * @returns {NormalizedHtmlReplacement[]}
+ */
+function libraryHtmlReplacements(lib, name) {
+  if (lib.htmlReplacements === false) return [];
+  let entries = lib.htmlReplacements;
+  if (!entries) {
+    if (!usesDefaults(lib)) return [];
+    const components = new Set(lib.components || []);
+    entries = DEFAULT_HTML_REPLACEMENTS.filter(
+      (entry) => components.size === 0 || components.has(entry.component),
+    );
+  }
+  return entries.map((entry) => normalizeHtmlReplacement(entry, name));
+}
+
+/**
+ * The scales of a library: its `scales`, merged over the defaults for
+ * Sanity UI.
+ *
+ * @param {object} lib - Raw library entry from the config.
+ * @param {string} name
+ * @returns {Object<string, number[]>}
+ * @throws {Error} When a scale is not a list of numbers.
+ */
+function libraryScales(lib, name) {
+  const scales = {
+    ...(usesDefaults(lib) ? DEFAULT_SCALES : {}),
+    ...(lib.scales || {}),
+  };
+  for (const [scale, steps] of Object.entries(scales)) {
+    if (!Array.isArray(steps) || steps.some((s) => typeof s !== "number")) {
+      throw new Error(`scales.${scale} of "${name}" must list numbers.`);
+    }
+  }
+  return scales;
+}
+
+/**
+ * Normalize a style prop entry: the scale is resolved to its steps and
+ * allowed values become a CSS value → prop value map.
+ *
+ * @param {import("./config-schema").StylePropEntry} entry
+ * @param {string} library - Name of the library the entry belongs to.
+ * @param {Object<string, number[]>} scales - The library's scales.
+ * @returns {NormalizedStyleProp}
+ * @throws {Error} When the entry lacks a property or prop, or names an
+ *   unknown scale.
+ */
+function normalizeStyleProp(entry, library, scales) {
+  if (!entry.property || !entry.prop) {
+    throw new Error(
+      `styleProps entries of "${library}" need a property and a prop.`,
+    );
+  }
+  if (entry.scale && !scales[entry.scale]) {
+    throw new Error(
+      `styleProps entry for ${entry.property} in "${library}" uses unknown scale "${entry.scale}".`,
+    );
+  }
+  const values = Array.isArray(entry.values)
+    ? Object.fromEntries(entry.values.map((v) => [String(v), v]))
+    : entry.values || null;
+  return {
+    library,
+    property: entry.property,
+    prop: entry.prop,
+    scale: entry.scale || null,
+    steps: entry.scale ? scales[entry.scale] : null,
+    values,
+    components: entry.components || null,
+  };
+}
+
+/**
+ * The style props of a library: its own `styleProps`, or for Sanity UI
+ * the defaults narrowed to the components it tracks (all of them when
+ * it tracks every import).  `false` turns style props off.
+ *
+ * @param {object} lib - Raw library entry from the config.
+ * @param {string} name
+ * @param {Object<string, number[]>} scales - The library's scales.
+ * @returns {NormalizedStyleProp[]}
+ */
+function libraryStyleProps(lib, name, scales) {
+  if (lib.styleProps === false) return [];
+  let entries = lib.styleProps;
+  if (!entries) {
+    if (!usesDefaults(lib)) return [];
+    const tracked = new Set(lib.components || []);
+    entries = DEFAULT_STYLE_PROPS.map((entry) =>
+      tracked.size === 0
+        ? entry
+        : {
+            ...entry,
+            components: entry.components.filter((c) => tracked.has(c)),
+          },
+    ).filter((entry) => entry.components.length > 0);
+  }
+  return entries.map((entry) => normalizeStyleProp(entry, name, scales));
+}
+
+/**
+ * Whether a `declarations` setting names a manifest rather than
+ * directories to search.
+ *
+ * @param {*} declarations
+ * @returns {boolean}
+ */
+function isManifest(declarations) {
+  return typeof declarations === "string"
+    ? declarations.endsWith(".json")
+    : typeof declarations === "object" && declarations !== null;
+}
+
+/**
+ * Directories to search for a library's TypeScript declarations.
+ * `true` searches from the project root and every codebase; a string
+ * is resolved like a codebase path.
+ *
+ * @param {boolean|string|object|undefined} declarations - The library's `declarations` setting.
+ * @param {string} library - Library name, for errors.
+ * @param {{ projectRoot?: string, codebasePaths: Object<string, string> }} roots
+ * @returns {string[]}
+ * @throws {Error} When the setting is neither a boolean, a string nor a manifest.
+ */
+function declarationPaths(declarations, library, roots) {
+  if (declarations === undefined || declarations === false) return [];
+  if (isManifest(declarations)) return [];
+  if (declarations === true) {
+    return [
+      ...new Set([
+        roots.projectRoot || ".",
+        ...Object.values(roots.codebasePaths),
+      ]),
+    ];
+  }
+  if (typeof declarations === "string") {
+    return [
+      roots.projectRoot
+        ? path.resolve(roots.projectRoot, declarations)
+        : declarations,
+    ];
+  }
+  throw new Error(
+    `"declarations" of "${library}" must be true, a directory or a manifest.`,
+  );
+}
+
+/**
+ * The manifest a `declarations` setting names, with a `.json` path
+ * resolved against the project root.
+ *
+ * @param {*} declarations
+ * @param {{ projectRoot?: string }} roots
+ * @returns {string|object|null}
+ */
+function declarationManifest(declarations, roots) {
+  if (!isManifest(declarations)) return null;
+  if (typeof declarations !== "string" || !roots.projectRoot) {
+    return declarations;
+  }
+  return path.resolve(roots.projectRoot, declarations);
+}
+
 /**
  * Normalize a raw UI library config entry into a consistent shape.
  *
  * @param {object} lib - Raw library entry from the config.
+ * @param {{ projectRoot?: string, codebasePaths: Object<string, string> }} roots
+ *   Where relative paths resolve and `declarations: true` searches.
  * @returns {NormalizedUILibrary}
  */
-function normalizeLibrary(lib) {
+function normalizeLibrary(lib, roots) {
+  const name = lib.name || "UI Library";
+  const scales = libraryScales(lib, name);
   return {
-    name: lib.name || "UI Library",
+    name,
     importSources: lib.importSources || [],
     excludeSources: lib.excludeSources || [],
     components: lib.components || [],
     propDefaults: lib.propDefaults || {},
     wrapperSources: lib.wrapperSources || [],
+    deprecations: (lib.deprecations || []).map((entry) =>
+      normalizeDeprecation(entry, name),
+    ),
+    htmlReplacements: libraryHtmlReplacements(lib, name),
+    scales,
+    styleProps: libraryStyleProps(lib, name, scales),
+    declarationPaths: declarationPaths(lib.declarations, name, roots),
+    declarationManifest: declarationManifest(lib.declarations, roots),
   };
 }
 
@@ -327,7 +872,9 @@ function createContext(config, options = {}) {
   const codebasePaths = buildCodebasePaths(config.codebases || [], projectRoot);
 
   // ── UI Libraries ──────────────────────────────────────────────────────
-  const allUILibraries = (config.uiLibraries || []).map(normalizeLibrary);
+  const allUILibraries = (config.uiLibraries || []).map((lib) =>
+    normalizeLibrary(lib, { projectRoot, codebasePaths }),
+  );
 
   const primaryUILibrary = allUILibraries[0] || EMPTY_LIBRARY;
 
@@ -422,6 +969,46 @@ function createContext(config, options = {}) {
     props: entry.props || [],
   }));
 
+  // ── Deprecations ──────────────────────────────────────────────────────
+  const deprecations = allUILibraries.flatMap((lib) => lib.deprecations);
+
+  // ── HTML replacements ─────────────────────────────────────────────────
+  const htmlReplacements = allUILibraries.flatMap(
+    (lib) => lib.htmlReplacements,
+  );
+
+  // ── Style props ───────────────────────────────────────────────────────
+  const styleProps = allUILibraries.flatMap((lib) => lib.styleProps);
+
+  // ── Prop schemas ──────────────────────────────────────────────────────
+  const propSchemas = normalizePropSchemas(config.propSchemas || {});
+
+  // ── Wrappers ──────────────────────────────────────────────────────────
+  const wrapperDepth =
+    config.wrapperDepth === undefined ? 3 : config.wrapperDepth;
+  if (!Number.isInteger(wrapperDepth) || wrapperDepth < 0) {
+    throw new Error("wrapperDepth must be a non-negative integer.");
+  }
+
+  // ── Prop clusters ─────────────────────────────────────────────────────
+  const propClusters = {
+    minInstances: 10,
+    minProps: 2,
+    ...(config.propClusters || {}),
+  };
+  if (
+    !Number.isInteger(propClusters.minInstances) ||
+    propClusters.minInstances < 1
+  ) {
+    throw new Error("propClusters.minInstances must be a positive integer.");
+  }
+  if (!Number.isInteger(propClusters.minProps) || propClusters.minProps < 2) {
+    throw new Error("propClusters.minProps must be an integer of at least 2.");
+  }
+
+  // ── Budgets ───────────────────────────────────────────────────────────
+  const budgets = config.budgets || {};
+
   // ── File scanning ─────────────────────────────────────────────────────
   const filePattern =
     (config.files && config.files.pattern) || "**/*.{tsx,jsx}";
@@ -465,6 +1052,27 @@ function createContext(config, options = {}) {
     // Prop combinations
     propCombos,
 
+    // Deprecations
+    deprecations,
+
+    // HTML replacements
+    htmlReplacements,
+
+    // Style props
+    styleProps,
+
+    // Prop schemas
+    propSchemas,
+
+    // Wrappers
+    wrapperDepth,
+
+    // Prop clusters
+    propClusters,
+
+    // Budgets
+    budgets,
+
     // File scanning
     filePattern,
     defaultGlobIgnore,
@@ -485,4 +1093,7 @@ module.exports = {
   // Exported for direct access when no context is needed
   HTML_TAG_CATEGORIES,
   KNOWN_TAGS,
+  DEFAULT_HTML_REPLACEMENTS,
+  DEFAULT_SCALES,
+  DEFAULT_STYLE_PROPS,
 };
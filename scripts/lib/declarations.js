@@ -0,0 +1,586 @@
+/**
+ * @module lib/declarations
+ *
+ * Reads component props from a UI library's TypeScript declarations.
+ *
+ * Default detection otherwise has to guess from usage data.  When a
+ * library entry sets `declarations`, this module finds the package in a
+ * local `node_modules`, loads its `.d.ts` entry point with the
+ * TypeScript checker and, for every tracked component the package
+ * exports, records the props the package itself declares:
+ *
+ *     export interface ButtonProps {
+ *       /** @defaultValue 'default' *\/
+ *       mode?: "default" | "ghost" | "bleed";
+ *     }
+ *     export declare const Button: ForwardRefExoticComponent<ButtonProps & …>;
+ *
+ *     → Button.props.mode = { type: '"default" | "ghost" | "bleed"',
+ *                             values: ['"default"', '"ghost"', '"bleed"'],
+ *                             defaultValue: '"default"', optional: true }
+ *
+ * Values use the normalized form of the per-component report (strings
+ * quoted, numbers and booleans bare) so they compare directly with
+ * usage data.  Props inherited from other packages (e.g. React's HTML
+ * attributes) are left out, and the props type is read from the
+ * declaration syntax, so nothing depends on `@types/react` being
+ * installed.
+ *
+ * Libraries without declarations at hand can list their props in a
+ * manifest instead (a `.json` path or an object as `declarations`).
+ * Either way, {@link apiSurface} compares the declared props with usage
+ * to find the ones nobody sets.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const ts = require("typescript");
+
+const { ALL_UI_LIBRARIES } = require("./constants");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Type references whose first argument holds the props. */
+const WRAPPER_TYPES = /(Component|Exotic|FC)$/;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {object} PropDeclaration
+ * @property {string}        type         - The prop's type as written in the declaration.
+ * @property {string[]|null} values       - Normalized members of a literal-union type, else null.
+ * @property {string|null}   defaultValue - Normalized `@defaultValue` / `@default` tag, if any.
+ * @property {boolean}       optional
+ */
+
+/**
+ * @typedef {object} ComponentDeclaration
+ * @property {string} library - Name of the library entry it was read for.
+ * @property {string} file    - The `.d.ts` entry point or manifest it was
+ *   read from (`"config"` for a manifest written inline).
+ * @property {Object<string, PropDeclaration>} props
+ */
+
+/**
+ * How much of a component's declared API is used.  Every declared prop
+ * counts once, plus once per declared literal value.
+ *
+ * @typedef {object} ApiSurface
+ * @property {number}   total        - Declared props plus declared values.
+ * @property {number}   exercised    - Of those, how many are used.
+ * @property {string[]} unusedProps  - Declared props never set.
+ * @property {Object<string, string[]>} unusedValues - Prop → declared
+ *   values never set, for props that are used.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LOCATING PACKAGES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The `.d.ts` entry point a package.json declares.
+ *
+ * @param {object} pkg - Parsed package.json.
+ * @returns {string} Path relative to the package directory.
+ */
+function typesEntry(pkg) {
+  if (pkg.types || pkg.typings) return pkg.types || pkg.typings;
+  const root = pkg.exports && (pkg.exports["."] || pkg.exports);
+  if (root && typeof root === "object") {
+    const types =
+      root.types ||
+      (root.import && root.import.types) ||
+      (root.require && root.require.types);
+    if (typeof types === "string") return types;
+  }
+  return "index.d.ts";
+}
+
+/**
+ * Find a package in the `node_modules` of any of `searchDirs` or their
+ * parents, and return its declaration entry point.
+ *
+ * @param {string}   packageName - e.g. `"@sanity/ui"`.
+ * @param {string[]} searchDirs
+ * @returns {{ packageDir: string, entry: string } | null}
+ */
+function findPackageTypes(packageName, searchDirs) {
+  for (const start of searchDirs) {
+    let dir = path.resolve(start);
+    for (;;) {
+      const packageDir = path.join(dir, "node_modules", packageName);
+      const pkgPath = path.join(packageDir, "package.json");
+      if (fs.existsSync(pkgPath)) {
+        const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+        const entry = path.resolve(packageDir, typesEntry(pkg));
+        if (fs.existsSync(entry)) return { packageDir, entry };
+      }
+      const parent = path.dirname(dir);
+      if (parent === dir) break;
+      dir = parent;
+    }
+  }
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALUES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Normalize the text of a `@defaultValue` tag: `'row'`, `"row"` and
+ * `` `row` `` become `"row"`; numbers and booleans stay bare.
+ *
+ * @param {string} text
+ * @returns {string|null}
+ */
+function normalizeDeclaredValue(text) {
+  const value = text
+    .trim()
+    .replace(/^```\w*\s*([\s\S]*?)\s*```$/, "$1")
+    .replace(/^`(.*)`$/, "$1")
+    .trim();
+  if (value === "") return null;
+  const quoted = /^(['"])(.*)\1$/.exec(value);
+  if (quoted) return `"${quoted[2]}"`;
+  return value;
+}
+
+/**
+ * Normalized members of a literal type or union of literals, or null
+ * when any member is not a literal.
+ *
+ * @param {ts.TypeChecker} checker
+ * @param {ts.Type} type
+ * @returns {string[]|null}
+ */
+function literalValues(checker, type) {
+  const members = type.isUnion() ? type.types : [type];
+  const values = [];
+  for (const member of members) {
+    if (member.flags & ts.TypeFlags.Undefined) continue;
+    if (member.isStringLiteral()) values.push(`"${member.value}"`);
+    else if (member.isNumberLiteral()) values.push(String(member.value));
+    else if (member.flags & ts.TypeFlags.BooleanLiteral) {
+      values.push(checker.typeToString(member));
+    } else return null;
+  }
+  return values.length > 0 ? values : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROPS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The type node holding a component's props: the first parameter of a
+ * function component, or the first type argument of
+ * `ForwardRefExoticComponent<P>`, `MemoExoticComponent<…>`, `FC<P>`, ….
+ *
+ * @param {ts.Declaration} decl
+ * @returns {ts.TypeNode|null}
+ */
+function propsTypeNode(decl) {
+  if (ts.isFunctionDeclaration(decl)) {
+    return decl.parameters[0] ? decl.parameters[0].type || null : null;
+  }
+  if (!ts.isVariableDeclaration(decl) || !decl.type) return null;
+
+  let node = decl.type;
+  for (;;) {
+    if (ts.isFunctionTypeNode(node)) {
+      return node.parameters[0] ? node.parameters[0].type || null : null;
+    }
+    if (
+      ts.isTypeReferenceNode(node) &&
+      node.typeArguments &&
+      WRAPPER_TYPES.test(node.typeName.getText())
+    ) {
+      node = node.typeArguments[0];
+      continue;
+    }
+    return node;
+  }
+}
+
+/**
+ * String-literal keys of a type node (`"a" | "b"`), for `Omit` / `Pick`.
+ *
+ * @param {ts.TypeNode} node
+ * @returns {string[]}
+ */
+function literalKeys(node) {
+  if (ts.isUnionTypeNode(node)) return node.types.flatMap(literalKeys);
+  if (ts.isLiteralTypeNode(node) && ts.isStringLiteral(node.literal)) {
+    return [node.literal.text];
+  }
+  return [];
+}
+
+/**
+ * Collect the property symbols of a props type node, following
+ * intersections, `Omit` / `Pick` / `Partial`, and the package's own
+ * interfaces and type aliases.  Syntactic where it can be, so a props
+ * type that also mentions unresolved types (`HTMLProps<…>` without
+ * `@types/react`) keeps the package's own props.
+ *
+ * @param {ts.TypeChecker} checker
+ * @param {ts.TypeNode} node
+ * @param {Map<string, ts.Symbol>} out - Prop name → symbol.
+ * @param {(name: string) => boolean} [keep] - Filter from `Omit` / `Pick`.
+ * @param {Set<ts.Node>} [seen] - Guards against recursive aliases.
+ */
+function collectProps(checker, node, out, keep = () => true, seen = new Set()) {
+  if (seen.has(node)) return;
+  seen.add(node);
+
+  if (ts.isParenthesizedTypeNode(node)) {
+    collectProps(checker, node.type, out, keep, seen);
+  } else if (ts.isIntersectionTypeNode(node)) {
+    for (const t of node.types) collectProps(checker, t, out, keep, seen);
+  } else if (ts.isTypeLiteralNode(node)) {
+    for (const prop of checker.getTypeFromTypeNode(node).getProperties()) {
+      if (keep(prop.name)) out.set(prop.name, prop);
+    }
+  } else if (ts.isTypeReferenceNode(node)) {
+    const name = node.typeName.getText();
+    const args = node.typeArguments || [];
+    if (name === "Omit" && args.length === 2) {
+      const omitted = new Set(literalKeys(args[1]));
+      const next = (n) => !omitted.has(n) && keep(n);
+      collectProps(checker, args[0], out, next, seen);
+      return;
+    }
+    if (name === "Pick" && args.length === 2) {
+      const picked = new Set(literalKeys(args[1]));
+      const next = (n) => picked.has(n) && keep(n);
+      collectProps(checker, args[0], out, next, seen);
+      return;
+    }
+    if (/^(Partial|Readonly|Required)$/.test(name) && args.length === 1) {
+      collectProps(checker, args[0], out, keep, seen);
+      return;
+    }
+
+    let symbol = checker.getSymbolAtLocation(node.typeName);
+    if (symbol && symbol.flags & ts.SymbolFlags.Alias) {
+      symbol = checker.getAliasedSymbol(symbol);
+    }
+    const decl = symbol && symbol.declarations && symbol.declarations[0];
+    if (!decl) return;
+    if (ts.isTypeAliasDeclaration(decl)) {
+      collectProps(checker, decl.type, out, keep, seen);
+    } else if (ts.isInterfaceDeclaration(decl)) {
+      const type = checker.getDeclaredTypeOfSymbol(symbol);
+      for (const prop of checker.getPropertiesOfType(type)) {
+        if (keep(prop.name)) out.set(prop.name, prop);
+      }
+    }
+  }
+}
+
+/**
+ * Describe one prop symbol.
+ *
+ * @param {ts.TypeChecker} checker
+ * @param {ts.Symbol} prop
+ * @returns {PropDeclaration}
+ */
+function describeProp(checker, prop) {
+  const decl = prop.valueDeclaration || prop.declarations[0];
+  const type = checker.getTypeOfSymbolAtLocation(prop, decl);
+  const tag = prop
+    .getJsDocTags(checker)
+    .find((t) => t.name === "defaultValue" || t.name === "default");
+
+  return {
+    type:
+      decl.type && decl.type.getText
+        ? decl.type.getText()
+        : checker.typeToString(type),
+    values: literalValues(checker, type),
+    defaultValue: tag
+      ? normalizeDeclaredValue(ts.displayPartsToString(tag.text))
+      : null,
+    optional: Boolean(prop.flags & ts.SymbolFlags.Optional),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// READING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read the declared props of the given components from a package's
+ * declaration entry point.  Only props declared inside `packageDir` are
+ * kept.  Components the entry does not export are left out.
+ *
+ * @param {string}   entry      - Absolute path of the `.d.ts` entry point.
+ * @param {string}   packageDir - The package's own directory.
+ * @param {string[]|null} components - `null` for every PascalCase export.
+ * @returns {Object<string, Object<string, PropDeclaration>>}
+ *   Component → prop → declaration.
+ */
+function readDeclarations(entry, packageDir, components) {
+  const program = ts.createProgram([entry], {
+    noEmit: true,
+    skipLibCheck: true,
+    types: [],
+  });
+  const checker = program.getTypeChecker();
+  const source = program.getSourceFile(entry);
+  const moduleSymbol = source && checker.getSymbolAtLocation(source);
+  if (!moduleSymbol) return {};
+
+  const inPackage = (decl) =>
+    path
+      .resolve(decl.getSourceFile().fileName)
+      .startsWith(packageDir + path.sep);
+
+  const exports = new Map(
+    checker.getExportsOfModule(moduleSymbol).map((s) => [s.name, s]),
+  );
+
+  const names =
+    components || [...exports.keys()].filter((name) => /^[A-Z]/.test(name));
+
+  /** @type {Object<string, Object<string, PropDeclaration>>} */
+  const result = {};
+  for (const component of names) {
+    let symbol = exports.get(component);
+    if (!symbol) continue;
+    if (symbol.flags & ts.SymbolFlags.Alias) {
+      symbol = checker.getAliasedSymbol(symbol);
+    }
+    const decl = symbol.valueDeclaration || (symbol.declarations || [])[0];
+    const node = decl && propsTypeNode(decl);
+    if (!node) continue;
+
+    const props = new Map();
+    collectProps(checker, node, props);
+
+    result[component] = {};
+    for (const [name, prop] of [...props].sort(([a], [b]) =>
+      a.localeCompare(b),
+    )) {
+      const own = (prop.declarations || []).filter(inPackage);
+      if (own.length === 0) continue;
+      result[component][name] = describeProp(checker, prop);
+    }
+  }
+  return result;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MANIFESTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * A manifest value in normalized form: strings quoted, everything else
+ * as written.
+ *
+ * @param {string|number|boolean} value
+ * @returns {string}
+ */
+function manifestValue(value) {
+  return typeof value === "string" ? `"${value}"` : String(value);
+}
+
+/**
+ * Read the declared props of a {@link import("./config-schema").DeclarationManifest}.
+ *
+ * @param {import("./config-schema").DeclarationManifest} manifest
+ * @param {string} library - Library name, for errors.
+ * @returns {Object<string, Object<string, PropDeclaration>>}
+ *   Component → prop → declaration.
+ * @throws {Error} When the manifest does not map components to props.
+ */
+function manifestDeclarations(manifest, library) {
+  const isObject = (v) => typeof v === "object" && v !== null;
+  if (
+    !isObject(manifest) ||
+    Object.values(manifest).some((p) => !isObject(p))
+  ) {
+    throw new Error(
+      `Declarations manifest of "${library}" must map components to props.`,
+    );
+  }
+
+  /** @type {Object<string, Object<string, PropDeclaration>>} */
+  const result = {};
+  for (const [component, props] of Object.entries(manifest)) {
+    result[component] = {};
+    for (const [name, entry] of Object.entries(props).sort(([a], [b]) =>
+      a.localeCompare(b),
+    )) {
+      const prop = Array.isArray(entry)
+        ? { values: entry }
+        : isObject(entry)
+          ? entry
+          : {};
+      const values = prop.values ? prop.values.map(manifestValue) : null;
+      const hasDefault =
+        prop.defaultValue !== undefined && prop.defaultValue !== null;
+      result[component][name] = {
+        type: prop.type || (values ? values.join(" | ") : "unknown"),
+        values,
+        defaultValue: hasDefault ? manifestValue(prop.defaultValue) : null,
+        optional: prop.optional !== false,
+      };
+    }
+  }
+  return result;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LOADING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** @type {Map<string, Object<string, ComponentDeclaration>>} */
+const cache = new Map();
+
+/**
+ * Tag every component read for a library with where it came from.
+ *
+ * @param {Object<string, Object<string, PropDeclaration>>} read
+ * @param {string} library
+ * @param {string} file
+ * @returns {Object<string, ComponentDeclaration>}
+ */
+function byComponent(read, library, file) {
+  return Object.fromEntries(
+    Object.entries(read).map(([component, props]) => [
+      component,
+      { library, file, props },
+    ]),
+  );
+}
+
+/**
+ * Declared props of the components of one library entry, from its
+ * manifest or the first of its import sources whose package is found.
+ *
+ * @param {import("./context").NormalizedUILibrary} lib
+ * @returns {Object<string, ComponentDeclaration>}
+ */
+function libraryDeclarations(lib) {
+  const manifest = lib.declarationManifest;
+  if (typeof manifest === "string") {
+    const key = `${lib.name}\0${manifest}`;
+    if (!cache.has(key)) {
+      const read = JSON.parse(fs.readFileSync(manifest, "utf8"));
+      cache.set(
+        key,
+        byComponent(manifestDeclarations(read, lib.name), lib.name, manifest),
+      );
+    }
+    return cache.get(key);
+  }
+  if (manifest) {
+    return byComponent(
+      manifestDeclarations(manifest, lib.name),
+      lib.name,
+      "config",
+    );
+  }
+
+  /** @type {Object<string, ComponentDeclaration>} */
+  const declarations = {};
+  for (const source of lib.importSources) {
+    const found = findPackageTypes(source, lib.declarationPaths);
+    if (!found) continue;
+
+    const key = `${lib.name}\0${found.entry}\0${lib.components.join(",")}`;
+    if (!cache.has(key)) {
+      const read = readDeclarations(
+        found.entry,
+        found.packageDir,
+        lib.components.length > 0 ? lib.components : null,
+      );
+      cache.set(key, byComponent(read, lib.name, found.entry));
+    }
+    for (const [component, decl] of Object.entries(cache.get(key))) {
+      if (!declarations[component]) declarations[component] = decl;
+    }
+  }
+  return declarations;
+}
+
+/**
+ * Declared props of every tracked component of the libraries that set
+ * `declarations`.  Each library's manifest is read, or else its import
+ * sources are looked up in turn and the first package found declares a
+ * component.  Results are cached per process.
+ *
+ * @param {import("./context").NormalizedUILibrary[]} [libraries=ALL_UI_LIBRARIES]
+ * @returns {Object<string, ComponentDeclaration>} Component → declaration.
+ */
+function loadDeclarations(libraries = ALL_UI_LIBRARIES) {
+  /** @type {Object<string, ComponentDeclaration>} */
+  const declarations = {};
+  for (const lib of libraries) {
+    if (lib.declarationPaths.length === 0 && !lib.declarationManifest) {
+      continue;
+    }
+    for (const [component, decl] of Object.entries(libraryDeclarations(lib))) {
+      if (!declarations[component]) declarations[component] = decl;
+    }
+  }
+  return declarations;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// API SURFACE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compare a component's declared props with the props its instances
+ * set.  A value counts as used when it is set literally; props only
+ * ever set through expressions have all their values reported unused.
+ *
+ * @param {Object<string, PropDeclaration>} declaredProps
+ * @param {Object<string, { values: Object<string, number> }>} usedProps
+ *   Prop → normalized value → count, as in the per-component report.
+ * @returns {ApiSurface}
+ */
+function apiSurface(declaredProps, usedProps) {
+  /** @type {ApiSurface} */
+  const surface = { total: 0, exercised: 0, unusedProps: [], unusedValues: {} };
+  for (const [name, declared] of Object.entries(declaredProps)) {
+    const values = declared.values || [];
+    surface.total += 1 + values.length;
+
+    const used = usedProps[name];
+    if (!used) {
+      surface.unusedProps.push(name);
+      continue;
+    }
+    surface.exercised++;
+    const unused = values.filter((v) => !used.values[v]);
+    surface.exercised += values.length - unused.length;
+    if (unused.length > 0) surface.unusedValues[name] = unused;
+  }
+  return surface;
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+module.exports = {
+  // Locating packages
+  findPackageTypes,
+
+  // Values
+  normalizeDeclaredValue,
+
+  // Reading
+  readDeclarations,
+  manifestDeclarations,
+  loadDeclarations,
+
+  // API surface
+  apiSurface,
+};
@@ -60,16 +60,19 @@ function codebaseExists(codebase) {
  * @param {string}  [options.pattern="**\/*.{tsx,jsx}"] - Glob pattern.
  * @param {string[]} [options.ignore] - Extra ignore patterns (merged
  *   with {@link DEFAULT_GLOB_IGNORE}).
+ * @param {object}  [options.fs] - File-system override passed to glob
+ *   (e.g. a git commit's tree, see `git.js`).
  * @returns {Promise<string[]>} Absolute file paths.
  */
 async function findFiles(codebase, options = {}) {
-  const { pattern = FILE_PATTERN, ignore = [] } = options;
+  const { pattern = FILE_PATTERN, ignore = [], fs: fsOverride } = options;
 
   const cwd = codebasePath(codebase);
   return glob(pattern, {
     cwd,
     ignore: [...DEFAULT_GLOB_IGNORE, ...ignore],
     absolute: true,
+    ...(fsOverride ? { fs: fsOverride } : {}),
   });
 }
 
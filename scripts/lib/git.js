@@ -0,0 +1,431 @@
+/**
+ * @module lib/git
+ *
+ * Read-only access to a git repository's files at a past commit.
+ *
+ * The backfill command and the pull-request analysis (`run.js --base`)
+ * analyze commits without checking them out:
+ * {@link openTree} lists a commit's tree with `git ls-tree` and reads
+ * blobs in batches with `git cat-file --batch`, and the resulting
+ * {@link GitTree} plugs into every place the analysis touches files —
+ * glob (`files.findFiles`), the pipeline ({@link createGitSource}) and
+ * the barrel resolver ({@link createResolverFileSystem}).  The working
+ * tree and index are never modified.
+ */
+
+const { execFileSync } = require("child_process");
+const path = require("path");
+
+const { codebasePath, findFiles, readSafe } = require("./files");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Blobs requested per `git cat-file --batch` call. */
+const BATCH_SIZE = 1000;
+
+/** Upper bound for one git command's output. */
+const MAX_BUFFER = 1024 * 1024 * 1024;
+
+/** `ls-tree` modes of regular files (symlinks and submodules are skipped). */
+const FILE_MODES = new Set(["100644", "100755"]);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GIT COMMANDS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Run a git command and return its raw output.
+ *
+ * @param {string}   cwd
+ * @param {string[]} args
+ * @param {string}   [input] - Written to stdin.
+ * @returns {Buffer}
+ * @throws {Error} With git's error output when the command fails.
+ */
+function git(cwd, args, input) {
+  try {
+    return execFileSync("git", args, {
+      cwd,
+      input,
+      maxBuffer: MAX_BUFFER,
+      stdio: ["pipe", "pipe", "pipe"],
+    });
+  } catch (err) {
+    const stderr = err.stderr ? err.stderr.toString().trim() : "";
+    throw new Error(`git ${args[0]} failed: ${stderr || err.message}`);
+  }
+}
+
+/**
+ * Find the root of the repository containing `dir`, expressed through
+ * `dir` itself (so a symlinked codebase path keeps its prefix).
+ *
+ * @param {string} dir - Absolute directory.
+ * @returns {string | null} `null` when `dir` is not inside a repository.
+ */
+function repoRoot(dir) {
+  try {
+    const cdup = git(dir, ["rev-parse", "--show-cdup"]).toString().trim();
+    return path.resolve(dir, cdup);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @typedef {object} CommitRef
+ * @property {string} sha
+ * @property {string} date - Committer date, ISO 8601.
+ */
+
+/**
+ * The last commit on the first-parent line of `ref` made at or before
+ * `date`.
+ *
+ * @param {string} root
+ * @param {Date}   date
+ * @param {string} [ref="HEAD"]
+ * @returns {CommitRef | null} `null` when the history starts later.
+ */
+function commitAt(root, date, ref = "HEAD") {
+  const out = git(root, [
+    "log",
+    "-1",
+    "--first-parent",
+    `--before=${date.toISOString()}`,
+    "--format=%H %cI",
+    ref,
+    "--",
+  ])
+    .toString()
+    .trim();
+  if (!out) return null;
+  const [sha, committed] = out.split(" ");
+  return { sha, date: new Date(committed).toISOString() };
+}
+
+/**
+ * Resolve a branch, tag or revision to a commit SHA.
+ *
+ * @param {string} root
+ * @param {string} ref
+ * @returns {string | null} `null` when `ref` does not name a commit.
+ */
+function resolveRef(root, ref) {
+  try {
+    return git(root, ["rev-parse", "--verify", "--quiet", `${ref}^{commit}`])
+      .toString()
+      .trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The best common ancestor of two commits — what a pull request from
+ * `head` into `base` is compared against.
+ *
+ * @param {string} root
+ * @param {string} base - Commit SHA.
+ * @param {string} head - Commit SHA.
+ * @returns {string | null} `null` when the histories are unrelated.
+ */
+function mergeBase(root, base, head) {
+  try {
+    return git(root, ["merge-base", base, head]).toString().trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Files added, modified or deleted between two commits, as absolute
+ * paths under `root`.  Renames count as a deletion plus an addition.
+ *
+ * @param {string} root
+ * @param {string} from - Commit SHA.
+ * @param {string} to   - Commit SHA.
+ * @returns {string[]}
+ */
+function changedFiles(root, from, to) {
+  return git(root, ["diff", "--name-only", "--no-renames", "-z", from, to])
+    .toString("utf8")
+    .split("\0")
+    .filter(Boolean)
+    .map((rel) => path.join(root, rel));
+}
+
+/**
+ * Read blobs by object id with `git cat-file --batch`.
+ *
+ * @param {string}   root
+ * @param {string[]} oids
+ * @returns {Map<string, string>} Object id → UTF-8 content.
+ */
+function readBlobs(root, oids) {
+  /** @type {Map<string, string>} */
+  const blobs = new Map();
+  for (let i = 0; i < oids.length; i += BATCH_SIZE) {
+    const out = git(
+      root,
+      ["cat-file", "--batch"],
+      oids.slice(i, i + BATCH_SIZE).join("\n") + "\n",
+    );
+    // Each entry is "<oid> <type> <size>\n<content>\n".
+    let pos = 0;
+    while (pos < out.length) {
+      const eol = out.indexOf(10, pos);
+      const [oid, type, size] = out.toString("utf8", pos, eol).split(" ");
+      pos = eol + 1;
+      if (type === "missing") continue;
+      const end = pos + Number(size);
+      blobs.set(oid, out.toString("utf8", pos, end));
+      pos = end + 1;
+    }
+  }
+  return blobs;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TREES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * A commit's files, addressed by the absolute paths they would have in
+ * a checkout at `root`.
+ *
+ * @typedef {object} GitTree
+ * @property {string} root
+ * @property {string} sha
+ * @property {(file: string) => boolean}        contains    - Whether `file` lies under `root`.
+ * @property {(file: string) => boolean}        isFile
+ * @property {(dir: string) => boolean}         isDirectory
+ * @property {(file: string) => string | null}  read        - Content at the commit (cached).
+ * @property {(files: string[]) => void}        prefetch    - Read many files in one batch.
+ * @property {object}                           fs          - File-system override for glob.
+ */
+
+/**
+ * Directory entry shaped like `fs.Dirent`, as glob expects.
+ *
+ * @param {string}  name
+ * @param {boolean} isDir
+ */
+function dirent(name, isDir) {
+  return {
+    name,
+    isFile: () => !isDir,
+    isDirectory: () => isDir,
+    isSymbolicLink: () => false,
+    isBlockDevice: () => false,
+    isCharacterDevice: () => false,
+    isFIFO: () => false,
+    isSocket: () => false,
+  };
+}
+
+/**
+ * Error shaped like a failed `fs` call.
+ *
+ * @param {string} code
+ * @param {string} file
+ */
+function fsError(code, file) {
+  const err = new Error(`${code}: ${file}`);
+  err.code = code;
+  return err;
+}
+
+/**
+ * List the tree of `sha` and return a {@link GitTree} over it.
+ *
+ * @param {string} root - Repository root (see {@link repoRoot}).
+ * @param {string} sha
+ * @returns {GitTree}
+ */
+function openTree(root, sha) {
+  /** @type {Map<string, string>} Absolute path → blob id. */
+  const blobIds = new Map();
+  /** @type {Map<string, Map<string, boolean>>} Directory → entry name → is directory. */
+  const dirs = new Map([[root, new Map()]]);
+
+  const listing = git(root, ["ls-tree", "-r", "-z", "--full-tree", sha])
+    .toString("utf8")
+    .split("\0");
+  for (const entry of listing) {
+    const tab = entry.indexOf("\t");
+    if (tab === -1) continue;
+    const [mode, type, oid] = entry.slice(0, tab).split(" ");
+    if (type !== "blob" || !FILE_MODES.has(mode)) continue;
+
+    const file = path.join(root, entry.slice(tab + 1));
+    blobIds.set(file, oid);
+    let child = file;
+    let isDir = false;
+    while (child !== root) {
+      const parent = path.dirname(child);
+      if (!dirs.has(parent)) dirs.set(parent, new Map());
+      dirs.get(parent).set(path.basename(child), isDir);
+      child = parent;
+      isDir = true;
+    }
+  }
+
+  /** @type {Map<string, string | null>} */
+  const contents = new Map();
+
+  const prefetch = (files) => {
+    const wanted = files.filter((f) => blobIds.has(f) && !contents.has(f));
+    const blobs = readBlobs(root, [
+      ...new Set(wanted.map((f) => blobIds.get(f))),
+    ]);
+    for (const file of wanted) {
+      contents.set(file, blobs.get(blobIds.get(file)) ?? null);
+    }
+  };
+
+  const readdir = (dir) => {
+    const entries = dirs.get(dir);
+    if (!entries) throw fsError("ENOENT", dir);
+    return [...entries].map(([name, isDir]) => dirent(name, isDir));
+  };
+
+  const lstat = (file) => {
+    if (dirs.has(file)) return dirent(path.basename(file), true);
+    if (blobIds.has(file)) return dirent(path.basename(file), false);
+    throw fsError("ENOENT", file);
+  };
+
+  const noLinks = (file) => {
+    throw fsError("EINVAL", file);
+  };
+
+  return {
+    root,
+    sha,
+    contains(file) {
+      const rel = path.relative(root, file);
+      return (
+        !rel.startsWith(`..${path.sep}`) &&
+        rel !== ".." &&
+        !path.isAbsolute(rel)
+      );
+    },
+    isFile: (file) => blobIds.has(file),
+    isDirectory: (dir) => dirs.has(dir),
+    prefetch,
+    read(file) {
+      if (!contents.has(file)) prefetch([file]);
+      return contents.has(file) ? contents.get(file) : null;
+    },
+    fs: {
+      lstatSync: lstat,
+      readdirSync: readdir,
+      readdir(dir, options, callback) {
+        const cb = typeof options === "function" ? options : callback;
+        try {
+          cb(null, readdir(dir));
+        } catch (err) {
+          cb(err);
+        }
+      },
+      readlinkSync: noLinks,
+      realpathSync: (file) => file,
+      promises: {
+        lstat: async (file) => lstat(file),
+        readdir: async (dir) => readdir(dir),
+        readlink: async (file) => noLinks(file),
+        realpath: async (file) => file,
+      },
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ADAPTERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The tree, among `trees`, that contains `file` — the innermost one
+ * when repositories are nested.
+ *
+ * @param {GitTree[]} trees
+ * @param {string}    file
+ * @returns {GitTree | undefined}
+ */
+function treeFor(trees, file) {
+  return trees
+    .filter((tree) => tree.contains(file))
+    .sort((a, b) => b.root.length - a.root.length)[0];
+}
+
+/**
+ * A pipeline {@link import("./pipeline").FileSource} that reads each
+ * codebase from its repository's tree.  Codebases without a tree, or
+ * whose directory does not exist at that commit, are skipped.
+ *
+ * @param {Object<string, GitTree>} trees - Codebase name → tree.
+ * @param {(file: string) => boolean} [include]
+ *   Restrict each codebase to the component files it accepts.
+ * @returns {import("./pipeline").FileSource}
+ */
+function createGitSource(trees, include = () => true) {
+  const all = Object.values(trees);
+  return {
+    exists: (codebase) =>
+      Boolean(trees[codebase]) &&
+      trees[codebase].isDirectory(codebasePath(codebase)),
+    async find(codebase) {
+      const tree = trees[codebase];
+      const files = (await findFiles(codebase, { fs: tree.fs })).filter(
+        include,
+      );
+      tree.prefetch(files);
+      return files;
+    },
+    read(file) {
+      const tree = treeFor(all, file);
+      return tree ? tree.read(file) : null;
+    },
+  };
+}
+
+/**
+ * A {@link import("./resolver").ResolverFileSystem} over `trees`.
+ * Files outside every repository (e.g. a shared tsconfig) are read
+ * from disk.
+ *
+ * @param {GitTree[]} trees
+ * @returns {import("./resolver").ResolverFileSystem}
+ */
+function createResolverFileSystem(trees) {
+  return {
+    readText(file) {
+      const tree = treeFor(trees, file);
+      return tree ? tree.read(file) : readSafe(file);
+    },
+    isFile(file) {
+      const tree = treeFor(trees, file);
+      return tree ? tree.isFile(file) : readSafe(file) !== null;
+    },
+  };
+}
+
+module.exports = {
+  // Git commands
+  repoRoot,
+  commitAt,
+  resolveRef,
+  mergeBase,
+  changedFiles,
+  readBlobs,
+
+  // Trees
+  openTree,
+
+  // Adapters
+  createGitSource,
+  createResolverFileSystem,
+};
@@ -0,0 +1,286 @@
+/**
+ * @module lib/history
+ *
+ * Compact, timestamped snapshots of a report set, kept across runs.
+ *
+ * A full run clears `reports/`, so every run also distils the headline
+ * numbers into a small JSON snapshot under `history/`:
+ *
+ *   - per codebase: source category instance counts and percentages,
+ *     line ownership and prop surface totals;
+ *   - per component that is used at all: imports, instances (overall
+ *     and per codebase), unique props and average props per instance.
+ *
+ * The `trends` step reads every snapshot back to chart adoption over
+ * time.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { REPORTS_ROOT, ensureDir } = require("./files");
+const { pct } = require("./utils");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Bump when the snapshot shape changes incompatibly. */
+const SNAPSHOT_VERSION = 1;
+
+/** Default snapshot store, at the project root (survives `clearReports`). */
+const HISTORY_ROOT = path.resolve(__dirname, "../../history");
+
+/**
+ * Report files a snapshot is built from, relative to a reports root.
+ * Keys match the fields of {@link ReportSet}.
+ */
+const REPORT_FILES = {
+  components: "components/summary.json",
+  sources: "sources/report.json",
+  lineOwnership: "line-ownership/report.json",
+  propSurface: "prop-surface/report.json",
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parsed JSON reports a snapshot is built from.  Any of them may be
+ * `null` when the corresponding step did not run.
+ *
+ * @typedef {object} ReportSet
+ * @property {object | null} components    - `components/summary.json`.
+ * @property {object | null} sources       - `sources/report.json`.
+ * @property {object | null} lineOwnership - `line-ownership/report.json`.
+ * @property {object | null} propSurface   - `prop-surface/report.json`.
+ */
+
+/**
+ * @typedef {object} CategoryShare
+ * @property {number} instances
+ * @property {number} percent - Share of all JSX instances in the codebase.
+ */
+
+/**
+ * @typedef {object} CodebaseSnapshot
+ * @property {{ files: number, totalInstances: number, categories: Object<string, CategoryShare> } | null} sources
+ *   Categories are each tracked library by name plus `"Other UI"`,
+ *   `"Internal"` and `"Native HTML"`.
+ * @property {{ uiFileLines: number, trackedUILines: number, percent: number } | null} lineOwnership
+ * @property {{ uiFileCharacters: number, trackedUIPropCharacters: number, percent: number } | null} propSurface
+ */
+
+/**
+ * @typedef {object} ComponentSnapshot
+ * @property {string}                 library
+ * @property {number}                 totalImports
+ * @property {number}                 totalInstances
+ * @property {Object<string, number>} codebaseInstances
+ * @property {number}                 uniqueProps
+ * @property {number}                 avgPropsPerInstance
+ */
+
+/**
+ * @typedef {object} Snapshot
+ * @property {number}                            version
+ * @property {string}                            timestamp - ISO date the data describes.
+ * @property {string | null}                     label     - Free-form label (e.g. a commit SHA).
+ * @property {Object<string, CodebaseSnapshot>}  codebases
+ * @property {Object<string, ComponentSnapshot>} components
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BUILDING SNAPSHOTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Read the JSON reports a snapshot needs from a reports directory.
+ * Missing or unparsable files come back as `null`.
+ *
+ * @param {string} [root=REPORTS_ROOT]
+ * @returns {ReportSet}
+ */
+function readReportSet(root = REPORTS_ROOT) {
+  /** @type {ReportSet} */
+  const set = {};
+  for (const [key, rel] of Object.entries(REPORT_FILES)) {
+    try {
+      set[key] = JSON.parse(fs.readFileSync(path.join(root, rel), "utf8"));
+    } catch {
+      set[key] = null;
+    }
+  }
+  return set;
+}
+
+/**
+ * Summarise one codebase entry of `sources/report.json` into category
+ * shares.
+ *
+ * @param {object} data
+ * @returns {CodebaseSnapshot["sources"]}
+ */
+function sourceShares(data) {
+  const total = data.total.instances;
+  const share = (instances) => ({
+    instances,
+    percent: Number(pct(instances, total)),
+  });
+
+  /** @type {Object<string, CategoryShare>} */
+  const categories = {};
+  for (const [lib, libData] of Object.entries(data.libraries)) {
+    categories[lib] = share(libData.instances);
+  }
+  categories["Other UI"] = share(data.otherUI.instances);
+  categories["Internal"] = share(data.internal.instances);
+  categories["Native HTML"] = share(data.nativeHTML.instances);
+
+  return { files: data.fileCount, totalInstances: total, categories };
+}
+
+/**
+ * Distil a report set into a snapshot.
+ *
+ * @param {ReportSet} reports
+ * @param {object}  [options]
+ * @param {Date|string} [options.timestamp=new Date()] - When the data was taken.
+ * @param {string}  [options.label=null]
+ * @returns {Snapshot}
+ */
+function buildSnapshot(reports, options = {}) {
+  const { timestamp = new Date(), label = null } = options;
+
+  /** @type {Object<string, CodebaseSnapshot>} */
+  const codebases = {};
+  const codebase = (name) =>
+    (codebases[name] = codebases[name] || {
+      sources: null,
+      lineOwnership: null,
+      propSurface: null,
+    });
+
+  if (reports.sources) {
+    for (const [name, data] of Object.entries(reports.sources.codebases)) {
+      if (data) codebase(name).sources = sourceShares(data);
+    }
+  }
+
+  if (reports.lineOwnership) {
+    for (const [name, data] of Object.entries(
+      reports.lineOwnership.codebases,
+    )) {
+      if (!data) continue;
+      codebase(name).lineOwnership = {
+        uiFileLines: data.uiFileLines,
+        trackedUILines: data.trackedUILines,
+        percent: data.lineOwnershipPercent,
+      };
+    }
+  }
+
+  if (reports.propSurface) {
+    for (const [name, data] of Object.entries(reports.propSurface.codebases)) {
+      if (!data) continue;
+      codebase(name).propSurface = {
+        uiFileCharacters: data.uiFileCharacters,
+        trackedUIPropCharacters: data.trackedUIPropCharacters,
+        percent: data.propSurfacePercent,
+      };
+    }
+  }
+
+  /** @type {Object<string, ComponentSnapshot>} */
+  const components = {};
+  if (reports.components) {
+    for (const comp of reports.components.components) {
+      if (comp.totalInstances === 0 && comp.totalImports === 0) continue;
+      components[comp.component] = {
+        library: comp.library,
+        totalImports: comp.totalImports,
+        totalInstances: comp.totalInstances,
+        codebaseInstances: comp.codebaseInstances,
+        uniqueProps: comp.uniqueProps,
+        avgPropsPerInstance: comp.avgPropsPerInstance,
+      };
+    }
+  }
+
+  return {
+    version: SNAPSHOT_VERSION,
+    timestamp: new Date(timestamp).toISOString(),
+    label,
+    codebases,
+    components,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STORE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * File name for a snapshot: its timestamp with `:` and `.` replaced so
+ * it is valid on every platform and sorts chronologically.
+ *
+ * @param {Snapshot} snapshot
+ * @returns {string}
+ */
+function snapshotFileName(snapshot) {
+  return `${snapshot.timestamp.replace(/[:.]/g, "-")}.json`;
+}
+
+/**
+ * Write a snapshot into the store.  A snapshot with the same timestamp
+ * is replaced.
+ *
+ * @param {Snapshot} snapshot
+ * @param {string}   [dir=HISTORY_ROOT]
+ * @returns {string} Absolute path of the written file.
+ */
+function saveSnapshot(snapshot, dir = HISTORY_ROOT) {
+  ensureDir(dir);
+  const file = path.join(dir, snapshotFileName(snapshot));
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+  return file;
+}
+
+/**
+ * Load every snapshot in the store, oldest first.  Files that are not
+ * valid snapshots (or use a newer version) are skipped.
+ *
+ * @param {string} [dir=HISTORY_ROOT]
+ * @returns {Snapshot[]}
+ */
+function loadSnapshots(dir = HISTORY_ROOT) {
+  if (!fs.existsSync(dir)) return [];
+
+  const snapshots = [];
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith(".json")) continue;
+    try {
+      const snapshot = JSON.parse(
+        fs.readFileSync(path.join(dir, name), "utf8"),
+      );
+      if (snapshot && snapshot.version <= SNAPSHOT_VERSION) {
+        snapshots.push(snapshot);
+      }
+    } catch {
+      // Not a snapshot — ignore
+    }
+  }
+
+  return snapshots.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+module.exports = {
+  readReportSet,
+  buildSnapshot,
+  saveSnapshot,
+  loadSnapshots,
+  snapshotFileName,
+  HISTORY_ROOT,
+  SNAPSHOT_VERSION,
+};
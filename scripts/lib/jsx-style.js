@@ -0,0 +1,206 @@
+/**
+ * @module lib/jsx-style
+ *
+ * Inline style → component prop translation, and JSX rendering of the
+ * results.
+ *
+ * Shared by the steps that suggest rewrites of inline styles:
+ * `style-props` (styles on tracked components) and `html-replacements`
+ * (styles left over when a raw HTML tag becomes a component).  Each
+ * style property is looked up in the library's style-prop entries (see
+ * `uiLibraries[].styleProps`); scaled props take the index of the step
+ * whose pixel value the style sets.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Property names that can be written without quotes. */
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {import("./context").NormalizedStyleProp} StyleProp
+ */
+
+/**
+ * How one inline style property translates.
+ *
+ * - `prop`      — to `jsx`
+ * - `off-scale` — the value is not a step of the prop's scale; `nearest`
+ *                 is the closest step
+ * - `value`     — the prop does not support the value
+ * - `dynamic`   — the value is computed, or a spread
+ * - `none`      — the component has no prop for the property
+ *
+ * @typedef {object} PropertyTranslation
+ * @property {string}      property - Style property (`""` for spreads).
+ * @property {string}      source   - Value as written.
+ * @property {"prop"|"off-scale"|"value"|"dynamic"|"none"} status
+ * @property {string|null} prop     - The prop it translates to, if any.
+ * @property {string|null} jsx      - The prop as written, when translated.
+ * @property {string|null} nearest  - The closest step as written, when off the scale.
+ */
+
+/**
+ * @typedef {object} StyleTranslation
+ * @property {"full"|"partial"|"none"} status - Whether every, some or no property translates.
+ * @property {PropertyTranslation[]}   properties
+ * @property {string} replacement - Props and leftover style to write instead of `style`.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RENDERING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * A prop as written in JSX: `muted`, `as="h2"` or `size={1}`.
+ *
+ * @param {string} name
+ * @param {string|number|boolean} value
+ * @returns {string}
+ */
+function renderProp(name, value) {
+  if (value === true) return name;
+  if (typeof value === "string" && !value.includes('"')) {
+    return `${name}="${value}"`;
+  }
+  return `${name}={${JSON.stringify(value)}}`;
+}
+
+/**
+ * An inline style object as written in JSX: `style={{ gap: 8 }}`.
+ *
+ * @param {import("./parser").StyleProperty[]} properties
+ * @returns {string}
+ */
+function renderStyle(properties) {
+  const entries = properties.map((p) => {
+    if (p.name === "") return p.source;
+    const key = IDENTIFIER.test(p.name) ? p.name : JSON.stringify(p.name);
+    return p.value === null && p.source === key ? key : `${key}: ${p.source}`;
+  });
+  return `style={{ ${entries.join(", ")} }}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRANSLATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Pixels of a style value: numbers as they are, `"12px"` and `"0"`.
+ *
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function pixels(value) {
+  if (typeof value === "number") return value;
+  const match = /^(-?\d+(?:\.\d+)?)(px)?$/.exec(value.trim());
+  if (!match || (!match[2] && Number(match[1]) !== 0)) return null;
+  return Number(match[1]);
+}
+
+/**
+ * Translate one inline style property of a component.
+ *
+ * @param {import("./parser").StyleProperty} property
+ * @param {string} component
+ * @param {StyleProp[]} rules - The component's library's entries.
+ * @returns {PropertyTranslation}
+ */
+function translateProperty(property, component, rules) {
+  const result = {
+    property: property.name,
+    source: property.source,
+    status: "none",
+    prop: null,
+    jsx: null,
+    nearest: null,
+  };
+  if (property.name === "") return { ...result, status: "dynamic" };
+
+  const rule = rules.find(
+    (r) =>
+      r.property === property.name &&
+      (r.components === null || r.components.includes(component)),
+  );
+  if (!rule) return result;
+  result.prop = rule.prop;
+  if (property.value === null) return { ...result, status: "dynamic" };
+
+  if (rule.steps) {
+    const px = pixels(property.value);
+    if (px === null) return { ...result, status: "value" };
+    const step = rule.steps.indexOf(px);
+    if (step !== -1) {
+      return { ...result, status: "prop", jsx: `${rule.prop}={${step}}` };
+    }
+    const nearest = rule.steps.reduce(
+      (best, value, i) =>
+        Math.abs(value - px) < Math.abs(rule.steps[best] - px) ? i : best,
+      0,
+    );
+    return {
+      ...result,
+      status: "off-scale",
+      nearest: `${rule.prop}={${nearest}}`,
+    };
+  }
+
+  if (rule.values) {
+    const key = String(property.value);
+    if (!Object.prototype.hasOwnProperty.call(rule.values, key)) {
+      return { ...result, status: "value" };
+    }
+    return {
+      ...result,
+      status: "prop",
+      jsx: renderProp(rule.prop, rule.values[key]),
+    };
+  }
+
+  return {
+    ...result,
+    status: "prop",
+    jsx: renderProp(rule.prop, property.value),
+  };
+}
+
+/**
+ * Translate a component's inline style object.
+ *
+ * @param {import("./parser").StyleProperty[]} style
+ * @param {string} component
+ * @param {StyleProp[]} rules - The component's library's entries.
+ * @returns {StyleTranslation}
+ */
+function translateStyle(style, component, rules) {
+  const properties = style.map((p) => translateProperty(p, component, rules));
+  const props = properties.filter((t) => t.status === "prop");
+  const rest = style.filter((_, i) => properties[i].status !== "prop");
+
+  const parts = props.map((t) => t.jsx);
+  if (rest.length > 0) parts.push(renderStyle(rest));
+
+  return {
+    status:
+      props.length === 0 ? "none" : rest.length === 0 ? "full" : "partial",
+    properties,
+    replacement: parts.join(" "),
+  };
+}
+
+module.exports = {
+  // Rendering
+  renderProp,
+  renderStyle,
+
+  // Translation
+  pixels,
+  translateProperty,
+  translateStyle,
+};
@@ -0,0 +1,130 @@
+/**
+ * @module lib/legacy-extraction
+ *
+ * The string-based extraction helpers the analyzers exported before they
+ * moved to the shared parser, kept for the public API (`perComponent`,
+ * `sources`, `htmlTags`, `customizations`).
+ *
+ * Each helper is a thin wrapper over {@link parseSource} that reshapes
+ * its result into the helper's original return value.  The analyzers
+ * themselves read the parsed file directly; new code should too.
+ */
+
+const { parseSource } = require("./parser");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LINES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compute the 1-based line number for a character offset in a string.
+ *
+ * Offsets before the start count as line 1, offsets past the end as the
+ * last line.
+ *
+ * @param {string} content - Full file content.
+ * @param {number} offset  - Character index (0-based).
+ * @returns {number} 1-based line number.
+ */
+function lineNumberAt(content, offset) {
+  const clamped = Math.min(Math.max(offset, 0), content.length);
+  return parseSource(content).lineAt(clamped);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// IMPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Extract the default and named imports of every value import statement.
+ *
+ * `namedImports` is the raw text between the braces, as written.
+ * Side-effect, namespace-only and `import type` statements are skipped.
+ *
+ * @param {string} content - File content.
+ * @returns {Array<{ namedImports: string | null, defaultImport: string | null, source: string }>}
+ */
+function extractImports(content) {
+  const results = [];
+  for (const record of parseSource(content).imports) {
+    if (record.typeOnly) continue;
+
+    const statement = content.slice(record.start, record.end);
+    const braces = /\{([^}]*)\}/.exec(statement);
+    const defaultSpec = record.specifiers.find((s) => s.kind === "default");
+    if (!braces && !defaultSpec) continue;
+
+    results.push({
+      namedImports: braces ? braces[1] : null,
+      defaultImport: defaultSpec ? defaultSpec.local : null,
+      source: record.source,
+    });
+  }
+  return results;
+}
+
+/**
+ * Parse the text inside the braces of an import statement into its
+ * value specifiers; `type` specifiers are left out.
+ *
+ * @param {string | null | undefined} namedImportsStr - The string inside `{ }`.
+ * @returns {import("./parser").ImportSpecifier[]}
+ */
+function namedImportSpecifiers(namedImportsStr) {
+  if (!namedImportsStr || !namedImportsStr.trim()) return [];
+
+  const [record] = parseSource(`import {${namedImportsStr}} from "_";`).imports;
+  if (!record) return [];
+  return record.specifiers.filter((s) => s.kind === "named" && !s.typeOnly);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// JSX TAGS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Find the closing `>` of the JSX opening tag that `startIdx` falls in,
+ * so `>` inside `{…}` expressions, strings and arrow functions is never
+ * mistaken for the end of the tag.
+ *
+ * @param {string} content  - File content.
+ * @param {number} startIdx - Position right after the tag name.
+ * @returns {number} Index of the closing `>`, or `-1` when the tag is
+ *   not closed.
+ */
+function findTagEnd(content, startIdx) {
+  const el = parseSource(content).elements.find(
+    (e) => e.start < startIdx && startIdx < e.end,
+  );
+  if (!el || content[el.end - 1] !== ">") return -1;
+  return el.end - 1;
+}
+
+/**
+ * Parse props from a JSX opening-tag body string.
+ *
+ * Returns an array of `{ name, value }` objects where `value` is:
+ *   - The string literal for `prop="value"` / `prop='value'`, in single quotes
+ *   - The expression string for `prop={expr}`
+ *   - `"true"` for boolean shorthand props (`disabled`, `border`)
+ *
+ * Spread attributes (`{...props}`) are skipped.
+ *
+ * @param {string} tagBody - Everything between `<Component` and `>` / `/>`.
+ * @returns {Array<{ name: string, value: string }>}
+ */
+function parseProps(tagBody) {
+  const [el] = parseSource(`<_ ${tagBody}>`).elements;
+  if (!el) return [];
+  return el.attributes
+    .filter((a) => a.kind !== "spread")
+    .map((a) => ({ name: a.name, value: a.value }));
+}
+
+module.exports = {
+  lineNumberAt,
+  extractImports,
+  namedImportSpecifiers,
+  findTagEnd,
+  parseProps,
+};
@@ -0,0 +1,1014 @@
+/**
+ * @module lib/parser
+ *
+ * Shared AST-based extraction engine for TSX / JSX / TS / JS sources.
+ *
+ * Every analyzer needs the same three things from a source file: its
+ * import statements, its JSX elements (with their attributes), and its
+ * `styled()` calls — and a few need the components the file defines.
+ * Historically each analyzer carried its own copy of a regex-based
+ * `extractImports`, `findTagEnd` and tag pattern, and the copies
+ * disagreed on edge cases — a `>` inside a string attribute, a JSX tag
+ * inside a comment, a generic type argument that looked like a tag.
+ * This module parses the file once with the TypeScript compiler
+ * and returns a normalised, plain-data description that every analyzer
+ * consumes, so counts match across reports.
+ *
+ * The TypeScript parser is error-tolerant: fragments, unclosed tags and
+ * partially written files still produce a tree, which keeps the
+ * analyzers usable on the snippets the test-suites feed them.
+ *
+ * Results are memoised on `(filename, content)` so several analyzers
+ * asking for the same file in a row only pay for one parse.
+ */
+
+const path = require("path");
+const ts = require("typescript");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {object} ImportSpecifier
+ * @property {"default"|"named"|"namespace"} kind
+ * @property {string}  imported - Exported name in the source module (`"default"` / `"*"` for default / namespace imports).
+ * @property {string}  local    - Binding name in this file.
+ * @property {boolean} typeOnly - `true` for `import type …` or `import { type X }`.
+ */
+
+/**
+ * @typedef {object} ImportRecord
+ * @property {string}            source     - Module specifier, e.g. `"@sanity/ui"`.
+ * @property {ImportSpecifier[]} specifiers - Empty for side-effect imports (`import "./x.css"`).
+ * @property {boolean}           typeOnly   - `true` for `import type { … } from`.
+ * @property {number}            start      - Offset of the `import` keyword.
+ * @property {number}            end        - Offset just past the statement.
+ * @property {number}            line       - 1-based line of the statement.
+ */
+
+/**
+ * @typedef {object} ExportSpecifier
+ * @property {string}  local    - Name in the source module (or in this file when the export has no `from`).
+ * @property {string}  exported - Name this module exports it as.
+ * @property {boolean} typeOnly
+ */
+
+/**
+ * @typedef {object} ExportRecord
+ * @property {string|null}       source     - Module specifier for `export … from "…"`, else `null`.
+ * @property {boolean}           star       - `true` for `export * from "…"` (without `as`).
+ * @property {string|null}       namespace  - Exported name for `export * as NS from "…"`.
+ * @property {ExportSpecifier[]} specifiers - Named specifiers (`export { A, B as C }`).
+ * @property {boolean}           typeOnly   - `true` for `export type { … }`.
+ * @property {number}            line       - 1-based line of the statement.
+ */
+
+/**
+ * @typedef {object} JSXAttribute
+ * @property {string} name  - Attribute name (`""` for spreads).
+ * @property {"string"|"expression"|"boolean"|"spread"|"element"} kind
+ * @property {string} value - Raw value in the format the analyzers
+ *   have always used: `'text'` for string literals (wrapped in single
+ *   quotes), the trimmed expression source for `{expr}`, `"true"` for
+ *   boolean shorthand, and the spread argument source for `{...expr}`.
+ * @property {number} start - Offset of the attribute's first character.
+ * @property {number} end   - Offset just past the attribute.
+ */
+
+/**
+ * @typedef {object} JSXElementRecord
+ * @property {string}         name        - Full tag name as written (`"Button"`, `"UI.Card"`, `"div"`).
+ * @property {string}         root        - First segment of the tag name (`"UI"` for `UI.Card`).
+ * @property {string|null}    member      - Remaining segments for member tags (`"Card"`), else `null`.
+ * @property {boolean}        intrinsic   - `true` for lowercase HTML / SVG tags.
+ * @property {JSXAttribute[]} attributes
+ * @property {boolean}        selfClosing - `true` for `<C />`.
+ * @property {boolean}        hasChildren - `true` when written as `<C>…</C>`.
+ * @property {number}         start       - Offset of the opening `<`.
+ * @property {number}         nameEnd     - Offset just past the tag name.
+ * @property {number}         end         - Offset just past the `>` of the opening tag.
+ * @property {number|null}    closingName - Offset of the tag name in the closing tag (`</C>`), or
+ *   `null` when self-closing.
+ * @property {number}         line        - 1-based line of the opening `<`.
+ * @property {number|null}    parent      - Index (into `elements`) of the nearest enclosing element.
+ */
+
+/**
+ * @typedef {object} StyledCallRecord
+ * @property {string}              component    - Wrapped component as written (`"Card"`, `"UI.Card"`).
+ * @property {"template"|"call"}   kind         - `styled(X)\`…\`` vs `styled(X)(…)`.
+ * @property {string}              content      - Template body or call arguments, trimmed.
+ * @property {string|null}         variableName - Name of the `const` it is assigned to, if any.
+ * @property {string|null}         exported     - Name the file exports that top-level `const` as
+ *   (`"default"` for the default export), else `null`.
+ * @property {number}              start        - Offset of `styled`.
+ * @property {number}              end          - Offset just past the template / call.
+ * @property {number}              line         - 1-based line of `styled`.
+ */
+
+/**
+ * @typedef {object} ValueReference
+ * @property {string} name  - Identifier passed as a value (e.g. `icon={CloseIcon}`).
+ * @property {number} start - Offset of the identifier.
+ */
+
+/**
+ * A top-level component definition: a PascalCase function declaration,
+ * or a `const` bound to an arrow / function expression, optionally
+ * wrapped in `forwardRef()` and / or `memo()`.
+ *
+ * @typedef {object} ComponentDefinition
+ * @property {string}   name      - Binding name.
+ * @property {"function"|"forwardRef"|"memo"} kind - Outermost wrapper call, or `"function"`.
+ * @property {string|null} exported - Name the file exports it as (`"default"` for the default export), else `null`.
+ * @property {boolean}  hasProps  - `true` when the function declares a props parameter.
+ * @property {Array<number|null>} returns - Per rendered value (arrow body,
+ *   `return` statement or branch of a `?:`): index into `elements` of
+ *   the JSX element it returns, or `null` when it returns anything else
+ *   (a fragment, a call, `a && <X />`).  `null` literals are left out.
+ * @property {number}   line      - 1-based line of the definition.
+ */
+
+/**
+ * One entry of an inline style object (`style={{ … }}`).
+ *
+ * @typedef {object} StyleProperty
+ * @property {string}             name   - Property name without quotes (`""` for spreads).
+ * @property {string|number|null} value  - Literal string or number value, else `null`.
+ * @property {string}             source - Value source as written (`...rest` for spreads).
+ */
+
+/**
+ * @typedef {object} ParsedFile
+ * @property {string}             content
+ * @property {string|null}        filename        - File name passed to {@link parseSource}, if any.
+ * @property {ImportRecord[]}     imports
+ * @property {ExportRecord[]}     exports         - Re-export statements (`export { … }`, `export * from`).
+ * @property {JSXElementRecord[]} elements        - In source order.
+ * @property {StyledCallRecord[]} styledCalls     - In source order.
+ * @property {ValueReference[]}   valueReferences - PascalCase identifiers used as values.
+ * @property {ComponentDefinition[]} definitions  - Top-level component definitions.
+ * @property {boolean}            hasJSX          - `true` when any JSX element or fragment appears.
+ * @property {(offset: number) => number} lineAt  - 1-based line for an offset.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SCRIPT KIND
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Pick the TypeScript script kind for a file name.
+ *
+ * Unknown or missing extensions parse as TSX, the most permissive
+ * dialect for the sources this tool analyses.
+ *
+ * @param {string} [filename]
+ * @returns {import("typescript").ScriptKind}
+ */
+function scriptKindFor(filename) {
+  switch (path.extname(filename || "").toLowerCase()) {
+    case ".ts":
+    case ".mts":
+    case ".cts":
+      return ts.ScriptKind.TS;
+    case ".js":
+    case ".mjs":
+    case ".cjs":
+    case ".jsx":
+      return ts.ScriptKind.JSX;
+    default:
+      return ts.ScriptKind.TSX;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// NODE HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Own-property test for name maps keyed by source identifiers. */
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+
+/**
+ * Text of a JSX tag name or `styled()` argument (`Card`, `UI.Card`,
+ * `svg:rect`).  Returns `null` for anything else.
+ *
+ * @param {import("typescript").Node} node
+ * @param {import("typescript").SourceFile} sf
+ * @returns {string|null}
+ */
+function entityName(node, sf) {
+  if (ts.isIdentifier(node)) return node.text;
+  if (ts.isPropertyAccessExpression(node)) {
+    const left = entityName(node.expression, sf);
+    return left ? `${left}.${node.name.text}` : null;
+  }
+  if (node.kind === ts.SyntaxKind.ThisKeyword) return "this";
+  if (ts.isJsxNamespacedName && ts.isJsxNamespacedName(node)) {
+    return node.getText(sf);
+  }
+  return null;
+}
+
+/**
+ * Convert a JSX attribute node into the normalised record.
+ *
+ * @param {import("typescript").JsxAttributeLike} attr
+ * @param {import("typescript").SourceFile} sf
+ * @returns {JSXAttribute}
+ */
+function toAttribute(attr, sf) {
+  const text = sf.text;
+  const start = attr.getStart(sf);
+  const end = attr.end;
+
+  if (ts.isJsxSpreadAttribute(attr)) {
+    return {
+      name: "",
+      kind: "spread",
+      value: attr.expression.getText(sf),
+      start,
+      end,
+    };
+  }
+
+  const name = attr.name.getText(sf);
+  const init = attr.initializer;
+
+  if (!init) {
+    return { name, kind: "boolean", value: "true", start, end };
+  }
+  if (ts.isStringLiteral(init)) {
+    const raw = init.getText(sf);
+    return {
+      name,
+      kind: "string",
+      value: "'" + raw.slice(1, -1) + "'",
+      start,
+      end,
+    };
+  }
+  if (ts.isJsxExpression(init)) {
+    // Slice between the braces rather than using `init.expression` so
+    // empty / comment-only expressions still yield a value.
+    const inner = text.slice(init.getStart(sf) + 1, init.end - 1).trim();
+    return { name, kind: "expression", value: inner, start, end };
+  }
+  return { name, kind: "element", value: init.getText(sf), start, end };
+}
+
+/**
+ * Describe a `styled(X)` call, or return `null` when `call` is not
+ * the head of a styled template / call.
+ *
+ * Recognised forms:
+ *   styled(X)`…`
+ *   styled(X)<Props>`…`
+ *   styled(X).attrs(…)`…` / .withConfig(…)`…`
+ *   styled(X)(…)
+ *
+ * @param {import("typescript").CallExpression} call
+ * @param {import("typescript").SourceFile} sf
+ * @param {Object<string, string>} exportNames - From {@link exportedNames}.
+ * @returns {StyledCallRecord|null}
+ */
+function toStyledCall(call, sf, exportNames) {
+  if (!ts.isIdentifier(call.expression) || call.expression.text !== "styled") {
+    return null;
+  }
+  if (call.arguments.length === 0) return null;
+
+  const component = entityName(call.arguments[0], sf);
+  if (!component) return null;
+
+  // Step over chained configuration: .attrs(...) / .withConfig(...)
+  let head = call;
+  while (
+    ts.isPropertyAccessExpression(head.parent) &&
+    head.parent.expression === head &&
+    (head.parent.name.text === "attrs" ||
+      head.parent.name.text === "withConfig") &&
+    ts.isCallExpression(head.parent.parent) &&
+    head.parent.parent.expression === head.parent
+  ) {
+    head = head.parent.parent;
+  }
+
+  const outer = head.parent;
+  let kind;
+  let content;
+  if (ts.isTaggedTemplateExpression(outer) && outer.tag === head) {
+    kind = "template";
+    content = outer.template.getText(sf).slice(1, -1).trim();
+  } else if (ts.isCallExpression(outer) && outer.expression === head) {
+    kind = "call";
+    content = sf.text.slice(outer.arguments.pos, outer.arguments.end).trim();
+  } else {
+    return null;
+  }
+
+  let variableName = null;
+  let exported = null;
+  let container = outer.parent;
+  while (
+    container &&
+    (ts.isParenthesizedExpression(container) ||
+      ts.isAsExpression(container) ||
+      ts.isSatisfiesExpression(container))
+  ) {
+    container = container.parent;
+  }
+  if (
+    container &&
+    ts.isVariableDeclaration(container) &&
+    ts.isIdentifier(container.name)
+  ) {
+    variableName = container.name.text;
+    const statement = container.parent.parent;
+    if (statement.parent === sf && has(exportNames, variableName)) {
+      exported = exportNames[variableName];
+    }
+  }
+
+  const start = call.getStart(sf);
+  return {
+    component,
+    kind,
+    content,
+    variableName,
+    exported,
+    start,
+    end: outer.end,
+    line: sf.getLineAndCharacterOfPosition(start).line + 1,
+  };
+}
+
+/**
+ * Unwrap `forwardRef(fn)` / `memo(fn)` / `React.memo(fn)` around a
+ * component function.
+ *
+ * @param {import("typescript").Expression} node
+ * @param {import("typescript").SourceFile} sf
+ * @returns {{ fn: import("typescript").FunctionLikeDeclaration, kind: ComponentDefinition["kind"] } | null}
+ */
+function componentFunction(node, sf) {
+  let kind = null;
+  let expr = node;
+  for (;;) {
+    while (
+      ts.isParenthesizedExpression(expr) ||
+      ts.isAsExpression(expr) ||
+      ts.isSatisfiesExpression(expr)
+    ) {
+      expr = expr.expression;
+    }
+    if (ts.isArrowFunction(expr) || ts.isFunctionExpression(expr)) {
+      return { fn: expr, kind: kind || "function" };
+    }
+    if (!ts.isCallExpression(expr) || expr.arguments.length === 0) {
+      return null;
+    }
+    const callee = (entityName(expr.expression, sf) || "").split(".").pop();
+    if (callee !== "forwardRef" && callee !== "memo") return null;
+    kind = kind || callee;
+    expr = expr.arguments[0];
+  }
+}
+
+/**
+ * The values a component function renders: its expression body, or the
+ * expression of every `return` outside nested functions.
+ *
+ * @param {import("typescript").FunctionLikeDeclaration} fn
+ * @returns {import("typescript").Expression[]}
+ */
+function renderedValues(fn) {
+  if (!fn.body) return [];
+  if (!ts.isBlock(fn.body)) return [fn.body];
+
+  const values = [];
+  const walk = (node) => {
+    if (ts.isFunctionLike(node) || ts.isClassLike(node)) return;
+    if (ts.isReturnStatement(node)) {
+      if (node.expression) values.push(node.expression);
+      return;
+    }
+    ts.forEachChild(node, walk);
+  };
+  ts.forEachChild(fn.body, walk);
+  return values;
+}
+
+/**
+ * The names a file exports its top-level bindings as: `export const X`,
+ * `export function X`, `export default function X` / `export default X`
+ * (as `"default"`) and `export { X as Y }`.
+ *
+ * @param {import("typescript").SourceFile} sf
+ * @returns {Object<string, string>} local → exported name
+ */
+function exportedNames(sf) {
+  /** @type {Object<string, string>} */
+  const names = {};
+  const hasModifier = (node, kind) =>
+    !!(node.modifiers && node.modifiers.some((m) => m.kind === kind));
+
+  for (const statement of sf.statements) {
+    const exported = hasModifier(statement, ts.SyntaxKind.ExportKeyword);
+    if (ts.isFunctionDeclaration(statement) && statement.name && exported) {
+      names[statement.name.text] = hasModifier(
+        statement,
+        ts.SyntaxKind.DefaultKeyword,
+      )
+        ? "default"
+        : statement.name.text;
+    } else if (ts.isVariableStatement(statement) && exported) {
+      for (const decl of statement.declarationList.declarations) {
+        if (ts.isIdentifier(decl.name)) {
+          names[decl.name.text] = decl.name.text;
+        }
+      }
+    } else if (
+      ts.isExportAssignment(statement) &&
+      !statement.isExportEquals &&
+      ts.isIdentifier(statement.expression)
+    ) {
+      names[statement.expression.text] = "default";
+    } else if (
+      ts.isExportDeclaration(statement) &&
+      !statement.moduleSpecifier &&
+      statement.exportClause &&
+      ts.isNamedExports(statement.exportClause)
+    ) {
+      for (const el of statement.exportClause.elements) {
+        const local = (el.propertyName || el.name).text;
+        if (!has(names, local)) names[local] = el.name.text;
+      }
+    }
+  }
+  return names;
+}
+
+/**
+ * Collect the file's top-level component definitions.
+ *
+ * @param {import("typescript").SourceFile} sf
+ * @param {Map<number, number>} elementAt - Element start offset → index.
+ * @param {Object<string, string>} exportNames - From {@link exportedNames}.
+ * @returns {ComponentDefinition[]}
+ */
+function collectDefinitions(sf, elementAt, exportNames) {
+  /** @type {ComponentDefinition[]} */
+  const definitions = [];
+
+  const define = (name, found, node) => {
+    const returns = [];
+    const add = (value) => {
+      while (ts.isParenthesizedExpression(value)) value = value.expression;
+      if (ts.isConditionalExpression(value)) {
+        add(value.whenTrue);
+        add(value.whenFalse);
+        return;
+      }
+      if (value.kind === ts.SyntaxKind.NullKeyword) return;
+      const jsx = ts.isJsxElement(value) || ts.isJsxSelfClosingElement(value);
+      const index = jsx ? elementAt.get(value.getStart(sf)) : undefined;
+      returns.push(index === undefined ? null : index);
+    };
+    renderedValues(found.fn).forEach(add);
+    definitions.push({
+      name,
+      kind: found.kind,
+      exported: has(exportNames, name) ? exportNames[name] : null,
+      hasProps: found.fn.parameters.length > 0,
+      returns,
+      line: sf.getLineAndCharacterOfPosition(node.getStart(sf)).line + 1,
+    });
+  };
+
+  for (const statement of sf.statements) {
+    if (ts.isFunctionDeclaration(statement) && statement.body) {
+      const name = statement.name ? statement.name.text : null;
+      if (name && /^[A-Z]/.test(name)) {
+        define(name, { fn: statement, kind: "function" }, statement);
+      }
+    } else if (ts.isVariableStatement(statement)) {
+      for (const decl of statement.declarationList.declarations) {
+        if (!ts.isIdentifier(decl.name) || !decl.initializer) continue;
+        if (!/^[A-Z]/.test(decl.name.text)) continue;
+        const found = componentFunction(decl.initializer, sf);
+        if (found) define(decl.name.text, found, decl);
+      }
+    }
+  }
+  return definitions;
+}
+
+/**
+ * `true` when an identifier sits in a value position the analyzers
+ * treat as a "prop reference": a JSX expression, an object property
+ * value (including shorthand), or an array element.
+ *
+ * @param {import("typescript").Identifier} node
+ * @returns {boolean}
+ */
+function isValuePosition(node) {
+  const p = node.parent;
+  if (!p) return false;
+  if (ts.isJsxExpression(p)) return p.expression === node;
+  if (ts.isPropertyAssignment(p)) return p.initializer === node;
+  if (ts.isShorthandPropertyAssignment(p)) return p.name === node;
+  if (ts.isArrayLiteralExpression(p)) return true;
+  return false;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Maximum number of parsed files kept in the memo. */
+const CACHE_SIZE = 16;
+
+/** @type {Map<string, ParsedFile>} */
+const _cache = new Map();
+
+/**
+ * Parse a source file into imports, JSX elements, `styled()` calls,
+ * value references and component definitions.
+ *
+ * @param {string} content    - File content.
+ * @param {string} [filename] - Chooses the dialect from the extension
+ *   (defaults to TSX) and is recorded on the result so that module
+ *   resolution can follow relative imports.
+ * @returns {ParsedFile}
+ */
+function parseSource(content, filename) {
+  const kind = scriptKindFor(filename);
+  const key = (filename || "") + "\0" + kind + "\0" + content;
+  const cached = _cache.get(key);
+  if (cached) return cached;
+
+  const parsed = parseUncached(content, kind);
+  parsed.filename = filename || null;
+
+  if (_cache.size >= CACHE_SIZE) {
+    _cache.delete(_cache.keys().next().value);
+  }
+  _cache.set(key, parsed);
+  return parsed;
+}
+
+/**
+ * @param {string} content
+ * @param {import("typescript").ScriptKind} kind
+ * @returns {import("typescript").SourceFile}
+ */
+function createSourceFile(content, kind) {
+  return ts.createSourceFile(
+    "source" + (kind === ts.ScriptKind.TS ? ".ts" : ".tsx"),
+    content,
+    ts.ScriptTarget.Latest,
+    true,
+    kind,
+  );
+}
+
+/**
+ * Offsets at which a `;` ends the statement before a JSX tag that starts
+ * a new line but was read as a `<` comparison.
+ *
+ * Snippets often put a tag on the line after an expression with no `;`
+ * (`` styled(Card)`…` `` followed by `<Text …>`), and TypeScript — like
+ * the compiler would — continues the expression, so the tag is lost.
+ * Only files with syntax errors are considered, so valid multi-line
+ * comparisons are never touched.  Each offset is a whitespace character
+ * between the expression and the `<`, which keeps offsets and line
+ * numbers unchanged when it is replaced.
+ *
+ * @param {import("typescript").SourceFile} sf
+ * @returns {number[]}
+ */
+function bareTagBreaks(sf) {
+  if (!sf.parseDiagnostics || sf.parseDiagnostics.length === 0) return [];
+
+  const text = sf.text;
+  const breaks = [];
+  function visit(node) {
+    if (
+      ts.isBinaryExpression(node) &&
+      node.operatorToken.kind === ts.SyntaxKind.LessThanToken
+    ) {
+      const op = node.operatorToken.getStart(sf);
+      const gap = text.slice(node.left.end, op);
+      const space = gap.search(/[ \t\r]/);
+      if (
+        gap.includes("\n") &&
+        space !== -1 &&
+        /[A-Za-z_$]/.test(text[op + 1])
+      ) {
+        breaks.push(node.left.end + space);
+      }
+    }
+    ts.forEachChild(node, visit);
+  }
+  visit(sf);
+  return breaks;
+}
+
+/**
+ * @param {string} content
+ * @param {import("typescript").ScriptKind} kind
+ * @returns {ParsedFile}
+ */
+function parseUncached(content, kind) {
+  let sf = createSourceFile(content, kind);
+  const breaks = kind === ts.ScriptKind.TS ? [] : bareTagBreaks(sf);
+  if (breaks.length > 0) {
+    const chars = content.split("");
+    for (const offset of breaks) chars[offset] = ";";
+    sf = createSourceFile(chars.join(""), kind);
+  }
+  const lineAt = (offset) => sf.getLineAndCharacterOfPosition(offset).line + 1;
+
+  /** @type {ImportRecord[]} */
+  const imports = [];
+  /** @type {ExportRecord[]} */
+  const exports = [];
+  /** @type {JSXElementRecord[]} */
+  const elements = [];
+  /** @type {StyledCallRecord[]} */
+  const styledCalls = [];
+  /** @type {ValueReference[]} */
+  const valueReferences = [];
+  let hasJSX = false;
+
+  /** Indices of the currently open JSX elements. */
+  const stack = [];
+  const exportNames = exportedNames(sf);
+
+  function visitImport(node) {
+    const source = node.moduleSpecifier.text;
+    const clause = node.importClause;
+    const typeOnly = !!(clause && clause.isTypeOnly);
+    /** @type {ImportSpecifier[]} */
+    const specifiers = [];
+
+    if (clause) {
+      if (clause.name) {
+        specifiers.push({
+          kind: "default",
+          imported: "default",
+          local: clause.name.text,
+          typeOnly,
+        });
+      }
+      const bindings = clause.namedBindings;
+      if (bindings && ts.isNamespaceImport(bindings)) {
+        specifiers.push({
+          kind: "namespace",
+          imported: "*",
+          local: bindings.name.text,
+          typeOnly,
+        });
+      } else if (bindings && ts.isNamedImports(bindings)) {
+        for (const el of bindings.elements) {
+          specifiers.push({
+            kind: "named",
+            imported: (el.propertyName || el.name).text,
+            local: el.name.text,
+            typeOnly: typeOnly || el.isTypeOnly,
+          });
+        }
+      }
+    }
+
+    const start = node.getStart(sf);
+    imports.push({
+      source,
+      specifiers,
+      typeOnly,
+      start,
+      end: node.end,
+      line: lineAt(start),
+    });
+  }
+
+  function visitExport(node) {
+    const source =
+      node.moduleSpecifier && ts.isStringLiteral(node.moduleSpecifier)
+        ? node.moduleSpecifier.text
+        : null;
+    const clause = node.exportClause;
+    /** @type {ExportSpecifier[]} */
+    const specifiers = [];
+    let namespace = null;
+
+    if (clause && ts.isNamedExports(clause)) {
+      for (const el of clause.elements) {
+        specifiers.push({
+          local: (el.propertyName || el.name).text,
+          exported: el.name.text,
+          typeOnly: node.isTypeOnly || el.isTypeOnly,
+        });
+      }
+    } else if (clause && ts.isNamespaceExport(clause)) {
+      namespace = clause.name.text;
+    }
+
+    exports.push({
+      source,
+      star: !clause,
+      namespace,
+      specifiers,
+      typeOnly: node.isTypeOnly,
+      line: lineAt(node.getStart(sf)),
+    });
+  }
+
+  function visitOpening(node, closing) {
+    const name = entityName(node.tagName, sf);
+    if (!name) return null;
+
+    const dot = name.indexOf(".");
+    const root = dot === -1 ? name : name.slice(0, dot);
+    const start = node.getStart(sf);
+
+    elements.push({
+      name,
+      root,
+      member: dot === -1 ? null : name.slice(dot + 1),
+      intrinsic: /^[a-z]/.test(name) && dot === -1,
+      attributes: node.attributes.properties.map((a) => toAttribute(a, sf)),
+      selfClosing: !closing,
+      hasChildren: !!closing,
+      start,
+      nameEnd: node.tagName.end,
+      end: node.end,
+      closingName: closing ? closing.tagName.getStart(sf) : null,
+      line: lineAt(start),
+      parent: stack.length > 0 ? stack[stack.length - 1] : null,
+    });
+    return elements.length - 1;
+  }
+
+  function visit(node) {
+    if (ts.isImportDeclaration(node)) {
+      if (ts.isStringLiteral(node.moduleSpecifier)) visitImport(node);
+      return;
+    }
+    if (ts.isExportDeclaration(node)) {
+      visitExport(node);
+      return;
+    }
+
+    if (ts.isJsxElement(node) || ts.isJsxSelfClosingElement(node)) {
+      hasJSX = true;
+      const selfClosing = ts.isJsxSelfClosingElement(node);
+      const opening = selfClosing ? node : node.openingElement;
+      const index = visitOpening(
+        opening,
+        selfClosing ? null : node.closingElement,
+      );
+
+      // Attributes belong to the parent scope (an element passed as a
+      // prop is not a child of the element it is passed to).
+      ts.forEachChild(opening, visit);
+      if (!selfClosing) {
+        if (index !== null) stack.push(index);
+        for (const child of node.children) visit(child);
+        if (index !== null) stack.pop();
+      }
+      return;
+    }
+
+    if (ts.isJsxFragment(node)) hasJSX = true;
+
+    if (ts.isCallExpression(node)) {
+      const styled = toStyledCall(node, sf, exportNames);
+      if (styled) styledCalls.push(styled);
+    }
+
+    if (
+      ts.isIdentifier(node) &&
+      /^[A-Z]/.test(node.text) &&
+      isValuePosition(node)
+    ) {
+      valueReferences.push({ name: node.text, start: node.getStart(sf) });
+    }
+
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sf);
+
+  styledCalls.sort((a, b) => a.start - b.start);
+
+  const elementAt = new Map(elements.map((el, i) => [el.start, i]));
+  const definitions = collectDefinitions(sf, elementAt, exportNames);
+
+  return {
+    content,
+    filename: null,
+    imports,
+    exports,
+    elements,
+    styledCalls,
+    valueReferences,
+    definitions,
+    hasJSX,
+    lineAt,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Accept either raw content or an already parsed file.
+ *
+ * Lets analyzers expose `analyzeContent(content)` while callers that
+ * already hold a {@link ParsedFile} skip the (memoised) lookup.
+ *
+ * @param {string|ParsedFile} contentOrParsed
+ * @param {string} [filename]
+ * @returns {ParsedFile}
+ */
+function toParsed(contentOrParsed, filename) {
+  if (contentOrParsed && typeof contentOrParsed === "object") {
+    return contentOrParsed;
+  }
+  return parseSource(contentOrParsed || "", filename);
+}
+
+/**
+ * Collapse an element's opening tag to a single line with normalised
+ * whitespace — the `sourceCode` snippet shown in references.
+ *
+ * @param {ParsedFile}       parsed
+ * @param {JSXElementRecord} element
+ * @returns {string}
+ */
+function openingTagSource(parsed, element) {
+  return parsed.content
+    .slice(element.start, element.end)
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * The literal value of a style property initializer: strings (including
+ * templates without substitutions) and possibly negative numbers.
+ *
+ * @param {import("typescript").Expression} node
+ * @returns {string|number|null}
+ */
+function literalStyleValue(node) {
+  if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) {
+    return node.text;
+  }
+  if (ts.isNumericLiteral(node)) return Number(node.text);
+  if (
+    ts.isPrefixUnaryExpression(node) &&
+    node.operator === ts.SyntaxKind.MinusToken &&
+    ts.isNumericLiteral(node.operand)
+  ) {
+    return -Number(node.operand.text);
+  }
+  return null;
+}
+
+/**
+ * Parse the value of a `style` attribute — the expression between the
+ * braces, e.g. `{ display: 'flex', gap: 8 }` — into its properties.
+ *
+ * @param {string} expression - Attribute value as recorded by the parser.
+ * @returns {StyleProperty[]|null} `null` when the expression is not an
+ *   object literal (`style={styles.row}`).
+ */
+function parseStyleObject(expression) {
+  const sf = ts.createSourceFile(
+    "style.ts",
+    `(${expression})`,
+    ts.ScriptTarget.Latest,
+    true,
+    ts.ScriptKind.TS,
+  );
+  const statement = sf.statements[0];
+  let node =
+    statement && ts.isExpressionStatement(statement)
+      ? statement.expression
+      : null;
+  while (node && ts.isParenthesizedExpression(node)) node = node.expression;
+  if (!node || !ts.isObjectLiteralExpression(node)) return null;
+
+  const properties = [];
+  for (const prop of node.properties) {
+    if (ts.isSpreadAssignment(prop)) {
+      properties.push({ name: "", value: null, source: prop.getText(sf) });
+    } else if (ts.isShorthandPropertyAssignment(prop)) {
+      properties.push({
+        name: prop.name.text,
+        value: null,
+        source: prop.name.text,
+      });
+    } else if (ts.isPropertyAssignment(prop)) {
+      const name =
+        ts.isIdentifier(prop.name) ||
+        ts.isStringLiteral(prop.name) ||
+        ts.isNumericLiteral(prop.name)
+          ? prop.name.text
+          : prop.name.getText(sf);
+      properties.push({
+        name,
+        value: literalStyleValue(prop.initializer),
+        source: prop.initializer.getText(sf),
+      });
+    }
+  }
+  return properties;
+}
+
+/**
+ * `true` when an identifier names something — a property, attribute,
+ * member or exported alias — rather than referring to a binding.
+ *
+ * @param {import("typescript").Identifier} node
+ * @returns {boolean}
+ */
+function isNamePosition(node) {
+  const p = node.parent;
+  if (ts.isPropertyAccessExpression(p) || ts.isJsxAttribute(p)) {
+    return p.name === node;
+  }
+  if (ts.isQualifiedName(p)) return p.right === node;
+  if (ts.isBindingElement(p)) return p.propertyName === node;
+  if (ts.isExportSpecifier(p)) return !!p.propertyName && p.name === node;
+  if (
+    ts.isPropertyAssignment(p) ||
+    ts.isPropertyDeclaration(p) ||
+    ts.isPropertySignature(p) ||
+    ts.isMethodDeclaration(p) ||
+    ts.isMethodSignature(p) ||
+    ts.isEnumMember(p)
+  ) {
+    return p.name === node;
+  }
+  return false;
+}
+
+/**
+ * Offsets of every identifier in a file that refers to `name`: values
+ * (`flag ? Card : "div"`), types (`typeof Card`), JSX tag names
+ * (`<Card>`, `</Card>`, the `Card` of `<Card.Header>`) and local
+ * exports.  Import statements and re-exports from other modules are
+ * left out.  Scopes are not resolved, so a binding that shadows the
+ * name counts too.
+ *
+ * Re-parses the content, so it is meant for the codemods rather than
+ * for every file of an analysis run.
+ *
+ * @param {ParsedFile} parsed
+ * @param {string} name
+ * @returns {number[]} In source order.
+ */
+function findIdentifierUses(parsed, name) {
+  if (!parsed.content.includes(name)) return [];
+  const kind = scriptKindFor(parsed.filename);
+  const sf = ts.createSourceFile(
+    "source" + (kind === ts.ScriptKind.TS ? ".ts" : ".tsx"),
+    parsed.content,
+    ts.ScriptTarget.Latest,
+    true,
+    kind,
+  );
+
+  const uses = [];
+  function visit(node) {
+    if (ts.isImportDeclaration(node)) return;
+    if (ts.isExportDeclaration(node) && node.moduleSpecifier) return;
+    if (ts.isIdentifier(node) && node.text === name && !isNamePosition(node)) {
+      uses.push(node.getStart(sf));
+    }
+    ts.forEachChild(node, visit);
+  }
+  visit(sf);
+  return uses;
+}
+
+/**
+ * Clear the parse memo.  Useful in long-running processes and tests.
+ */
+function clearParseCache() {
+  _cache.clear();
+}
+
+module.exports = {
+  parseSource,
+  toParsed,
+  openingTagSource,
+  parseStyleObject,
+  findIdentifierUses,
+  scriptKindFor,
+  clearParseCache,
+};
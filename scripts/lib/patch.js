@@ -0,0 +1,206 @@
+/**
+ * @module lib/patch
+ *
+ * Source rewriting for the codemod commands.
+ *
+ * Rewrites are expressed as {@link Edit}s — replace the text between
+ * two offsets of the original content — so they can be planned from
+ * the offsets the parser records and applied in one go.
+ * {@link unifiedDiff} renders the result as a patch for dry runs.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Unchanged lines shown around each change in a diff. */
+const CONTEXT_LINES = 3;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Replace `content.slice(start, end)` with `text`.
+ *
+ * @typedef {object} Edit
+ * @property {number} start
+ * @property {number} end
+ * @property {string} text
+ * @property {string} [kind] - What the edit does, for summaries.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EDITS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Drop edits that overlap an earlier one, so rewrites planned
+ * independently never clobber each other.  The first edit planned for
+ * a range wins.
+ *
+ * @param {Edit[]} edits - In priority order.
+ * @returns {Edit[]} The kept edits, sorted by offset.
+ */
+function resolveOverlaps(edits) {
+  const kept = [];
+  for (const edit of edits) {
+    const clash = kept.some((k) =>
+      edit.start === edit.end && k.start === k.end
+        ? edit.start === k.start
+        : edit.start < k.end && k.start < edit.end,
+    );
+    if (!clash) kept.push(edit);
+  }
+  return kept.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Apply non-overlapping edits to the content they were planned on.
+ *
+ * @param {string} content
+ * @param {Edit[]} edits
+ * @returns {string}
+ */
+function applyEdits(content, edits) {
+  let out = content;
+  for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+    out = out.slice(0, edit.start) + edit.text + out.slice(edit.end);
+  }
+  return out;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DIFF
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Line-level shortest edit script (Myers), as `[op, line]` pairs with
+ * `op` one of `" "`, `"-"`, `"+"`.
+ *
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {Array<[string, string]>}
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const offset = n + m + 1;
+  const v = new Int32Array(2 * offset + 1);
+  const trace = [];
+
+  search: for (let d = 0; d <= n + m; d++) {
+    trace.push(v.slice());
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break search;
+    }
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const prev = trace[d];
+    const k = x - y;
+    const prevK =
+      k === -d || (k !== d && prev[offset + k - 1] < prev[offset + k + 1])
+        ? k + 1
+        : k - 1;
+    const prevX = prev[offset + prevK];
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push([" ", a[--x]]);
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push(["+", b[--y]]);
+      else ops.push(["-", a[--x]]);
+    }
+  }
+  return ops.reverse();
+}
+
+/**
+ * Split text into lines that keep their `\n`, so a missing final
+ * newline shows up as a difference.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Render the change from `before` to `after` as a unified diff, or
+ * `""` when they are equal.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @param {string} file - Path shown in the `---` / `+++` headers.
+ * @returns {string}
+ */
+function unifiedDiff(before, after, file) {
+  if (before === after) return "";
+  const ops = diffLines(splitLines(before), splitLines(after));
+
+  // Number every op with the old / new line it sits on.
+  let oldLine = 1;
+  let newLine = 1;
+  const numbered = ops.map(([op, text]) => {
+    const entry = { op, text, oldLine, newLine };
+    if (op !== "+") oldLine++;
+    if (op !== "-") newLine++;
+    return entry;
+  });
+
+  // Group changes that are close enough to share context.
+  const hunks = [];
+  for (let i = 0; i < numbered.length; i++) {
+    if (numbered[i].op === " ") continue;
+    const from = Math.max(0, i - CONTEXT_LINES);
+    const last = hunks[hunks.length - 1];
+    if (last && from <= last.to + CONTEXT_LINES) last.to = i + 1;
+    else hunks.push({ from, to: i + 1 });
+  }
+
+  const lines = [`--- a/${file}`, `+++ b/${file}`];
+  for (const { from, to } of hunks) {
+    const body = numbered.slice(
+      from,
+      Math.min(numbered.length, to + CONTEXT_LINES),
+    );
+    const oldCount = body.filter((e) => e.op !== "+").length;
+    const newCount = body.filter((e) => e.op !== "-").length;
+    const oldStart = oldCount === 0 ? body[0].oldLine - 1 : body[0].oldLine;
+    const newStart = newCount === 0 ? body[0].newLine - 1 : body[0].newLine;
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const e of body) {
+      if (e.text.endsWith("\n")) lines.push(e.op + e.text.slice(0, -1));
+      else lines.push(e.op + e.text, "\\ No newline at end of file");
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+module.exports = {
+  // Edits
+  resolveOverlaps,
+  applyEdits,
+
+  // Diff
+  diffLines,
+  unifiedDiff,
+};
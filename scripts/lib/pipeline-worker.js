@@ -0,0 +1,46 @@
+/**
+ * @module lib/pipeline-worker
+ *
+ * Worker-thread entry point for the concurrent pipeline.
+ *
+ * Rebuilds each analyzer from its {@link import("./pipeline").WorkerSpec}
+ * once, then for every {@link import("./pipeline").WorkerTask} it
+ * receives: parses the file and replies with each requested analyzer's
+ * `analyze` result.  Merging happens on the main thread.
+ */
+
+const { parentPort, workerData } = require("worker_threads");
+const { performance } = require("perf_hooks");
+
+const { parseSource } = require("./parser");
+const { trackDependencies } = require("./resolver");
+
+const analyzers = workerData.specs.map((spec) => ({
+  name: spec.name,
+  analyzer: require(spec.module).createAnalyzer(...(spec.args || [])),
+}));
+
+parentPort.on("message", ({ analyzers: only, ...task }) => {
+  try {
+    let start = performance.now();
+    const file = { ...task, parsed: parseSource(task.content, task.path) };
+    const parseMs = performance.now() - start;
+
+    const results = {};
+    const stepMs = {};
+    const { dependencies } = trackDependencies(() => {
+      for (const { name, analyzer } of analyzers) {
+        if (only && !only.includes(name)) continue;
+        start = performance.now();
+        results[name] = analyzer.analyze(file);
+        stepMs[name] = performance.now() - start;
+      }
+    });
+
+    parentPort.postMessage({ results, stepMs, parseMs, dependencies });
+  } catch (err) {
+    parentPort.postMessage({
+      error: { message: `${task.path}: ${err.message}`, stack: err.stack },
+    });
+  }
+});
@@ -0,0 +1,519 @@
+/**
+ * @module lib/pipeline
+ *
+ * Single-pass, in-process analysis pipeline.
+ *
+ * Every analyzer used to glob, read and parse every file of every
+ * codebase on its own.  The pipeline does that work once: each file is
+ * read and parsed a single time and the result is handed to every
+ * registered analyzer in turn.  Analyzers keep their own per-run state
+ * and write their reports in {@link Analyzer.finish}.
+ *
+ * Time spent inside each analyzer is measured separately from the
+ * shared read + parse cost so the runner can print per-step timing.
+ *
+ * With `concurrency > 1` the per-file work — parsing plus each
+ * analyzer's {@link Analyzer.analyze} — runs in a pool of worker
+ * threads (see `pipeline-worker.js`).  Results are handed back to
+ * {@link Analyzer.file} on the main thread strictly in file order, so
+ * every report is byte-identical to a serial run.
+ *
+ * With a persistent cache (see `cache.js`), files whose content and
+ * dependencies are unchanged skip parsing and analysis entirely.
+ *
+ * Files come from the working tree by default; a {@link FileSource}
+ * can supply them from elsewhere (e.g. a past git commit).
+ */
+
+const path = require("path");
+const { performance } = require("perf_hooks");
+const { Worker } = require("worker_threads");
+
+const { CODEBASES } = require("./constants");
+const {
+  codebaseExists,
+  codebasePath,
+  findFiles,
+  readSafe,
+} = require("./files");
+const { parseSource } = require("./parser");
+const { trackDependencies } = require("./resolver");
+const { hashContent } = require("./cache");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * One source file, read and parsed once and shared by every analyzer.
+ *
+ * @typedef {object} SourceFile
+ * @property {string}                            codebase - Codebase the file belongs to.
+ * @property {string}                            path     - Absolute file path.
+ * @property {string}                            relPath  - Path relative to the codebase root.
+ * @property {string}                            content  - File content.
+ * @property {import("./parser").ParsedFile}     parsed   - Shared parse result.
+ */
+
+/**
+ * How a worker thread rebuilds an analyzer:
+ * `require(module).createAnalyzer(...args)`.  `args` must be
+ * structured-cloneable.
+ *
+ * @typedef {object} WorkerSpec
+ * @property {string} module - Absolute path of the analyzer module.
+ * @property {Array}  [args] - Arguments for its `createAnalyzer`.
+ */
+
+/**
+ * An analysis step that consumes files from the pipeline.
+ *
+ * All hooks except `name` are optional.  `beginCodebase` /
+ * `endCodebase` are only called for codebases that exist on disk;
+ * analyzers that report missing codebases should fill them in from
+ * `CODEBASES` in `finish`.
+ *
+ * Per-file work is split in two so it can run off the main thread:
+ * `analyze` does the expensive, side-effect-free part and returns a
+ * structured-cloneable result; `file` merges that result into the
+ * analyzer's state.  Analyzers that declare a `worker` spec have
+ * `analyze` run in a worker thread when the pipeline is concurrent.
+ *
+ * @typedef {object} Analyzer
+ * @property {string} name - Step name (e.g. `"html-tags"`).
+ * @property {WorkerSpec} [worker]
+ * @property {(codebase: string, fileCount: number) => void} [beginCodebase]
+ * @property {(file: SourceFile) => *}                        [analyze]
+ * @property {(file: SourceFile, result: *) => void}          [file]
+ *   Merge one file; `result` is what `analyze` returned for it.
+ * @property {(codebase: string) => void}                     [endCodebase]
+ * @property {() => (void | Promise<void>)}                   [finish]
+ *   Aggregate and write reports once every codebase has been processed.
+ */
+
+/**
+ * Where the pipeline finds and reads files.
+ *
+ * @typedef {object} FileSource
+ * @property {(codebase: string) => boolean}           exists - Whether the codebase is present.
+ * @property {(codebase: string) => Promise<string[]>} find   - Absolute paths of its component files.
+ * @property {(file: string) => string | null}         read   - File content, or `null` when unreadable.
+ */
+
+/** The working tree. @type {FileSource} */
+const DISK_SOURCE = {
+  exists: codebaseExists,
+  find: (codebase) => findFiles(codebase),
+  read: readSafe,
+};
+
+/**
+ * @typedef {object} CollectStats
+ * @property {number}                 fileCount - Files read and parsed.
+ * @property {number}                 readMs    - Time spent globbing, reading and parsing.
+ * @property {Object<string, number>} stepMs    - Analyzer name → time spent in its hooks.
+ *
+ * With worker threads, `readMs` and `stepMs` include parse and
+ * `analyze` time summed across workers.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TIMING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Run `fn` and add its wall time (ms) to `counters[key]`.
+ *
+ * @template T
+ * @param {Object<string, number>} counters
+ * @param {string}                 key
+ * @param {() => T}                fn
+ * @returns {T}
+ */
+function timed(counters, key, fn) {
+  const start = performance.now();
+  try {
+    return fn();
+  } finally {
+    counters[key] = (counters[key] || 0) + (performance.now() - start);
+  }
+}
+
+/**
+ * Format a duration for console output: `"850ms"` below one second,
+ * `"12.3s"` above.
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WORKER POOL
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Script each pool worker runs. */
+const WORKER_SCRIPT = path.join(__dirname, "pipeline-worker.js");
+
+/** Files in flight per worker — keeps workers busy without buffering a whole codebase. */
+const FILES_PER_WORKER = 4;
+
+/**
+ * File handed to a worker (a {@link SourceFile} without `parsed`).
+ *
+ * @typedef {object} WorkerTask
+ * @property {string}   codebase
+ * @property {string}   path
+ * @property {string}   relPath
+ * @property {string}   content
+ * @property {string[]} [analyzers] - Analyzers to run (default: all the worker knows).
+ */
+
+/**
+ * @typedef {object} WorkerReply
+ * @property {Object<string, *>}      results - Analyzer name → `analyze` result.
+ * @property {Object<string, number>} stepMs  - Analyzer name → time spent in `analyze`.
+ * @property {number}                 parseMs - Time spent parsing the file.
+ * @property {string[]}               dependencies - Barrel / tsconfig files the results depend on.
+ */
+
+/**
+ * Start `size` worker threads that parse files and run the `analyze`
+ * hook of every given analyzer (rebuilt in each worker from its
+ * {@link WorkerSpec}).
+ *
+ * Tasks are queued and handed to the next idle worker.  An exception
+ * inside `analyze` rejects only that task; a worker that crashes
+ * rejects every outstanding and future task.
+ *
+ * @param {number}     size
+ * @param {Analyzer[]} analyzers - Analyzers with a `worker` spec.
+ * @returns {{ run: (task: WorkerTask) => Promise<WorkerReply>, close: () => Promise<void> }}
+ */
+function createWorkerPool(size, analyzers) {
+  const specs = analyzers.map((a) => ({ name: a.name, ...a.worker }));
+  const workers = [];
+  const idle = [];
+  const queue = [];
+  /** @type {Map<Worker, { task: WorkerTask, resolve: Function, reject: Function }>} */
+  const busy = new Map();
+  let failure = null;
+  let closing = false;
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const job = queue.shift();
+      busy.set(worker, job);
+      worker.postMessage(job.task);
+    }
+  };
+
+  const fail = (err) => {
+    if (closing) return;
+    failure = failure || err;
+    for (const job of [...busy.values(), ...queue.splice(0)]) {
+      job.reject(failure);
+    }
+    busy.clear();
+  };
+
+  for (let i = 0; i < size; i++) {
+    const worker = new Worker(WORKER_SCRIPT, { workerData: { specs } });
+    worker.on("message", (reply) => {
+      const job = busy.get(worker);
+      busy.delete(worker);
+      idle.push(worker);
+      if (reply.error) {
+        const err = new Error(reply.error.message);
+        err.stack = reply.error.stack;
+        job.reject(err);
+      } else {
+        job.resolve(reply);
+      }
+      dispatch();
+    });
+    worker.on("error", fail);
+    worker.on("exit", (code) => {
+      if (code !== 0) fail(new Error(`Worker thread exited with code ${code}`));
+    });
+    workers.push(worker);
+    idle.push(worker);
+  }
+
+  return {
+    run(task) {
+      if (failure) return Promise.reject(failure);
+      return new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        dispatch();
+      });
+    },
+
+    async close() {
+      closing = true;
+      await Promise.all(workers.map((w) => w.terminate()));
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PIPELINE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Reply for a file whose offloaded results all came from the cache. */
+const EMPTY_REPLY = { results: {}, stepMs: {}, parseMs: 0, dependencies: [] };
+
+/**
+ * Read one file into a {@link WorkerTask}.
+ *
+ * @param {FileSource} source
+ * @param {string} codebase
+ * @param {string} basePath - Codebase root.
+ * @param {string} file     - Absolute path.
+ * @returns {WorkerTask | null} `null` when the file cannot be read.
+ */
+function readTask(source, codebase, basePath, file) {
+  const content = source.read(file);
+  if (content === null) return null;
+  return {
+    codebase,
+    path: file,
+    relPath: path.relative(basePath, file),
+    content,
+  };
+}
+
+/**
+ * Turn a task into a {@link SourceFile} whose `parsed` is computed on
+ * first access — used on the main thread when workers did the parsing
+ * and only analyzers without a worker spec still need the AST.
+ *
+ * @param {WorkerTask} task
+ * @returns {SourceFile}
+ */
+function lazySourceFile(task) {
+  let parsed = null;
+  return Object.defineProperty({ ...task }, "parsed", {
+    enumerable: true,
+    get: () => parsed || (parsed = parseSource(task.content, task.path)),
+  });
+}
+
+/**
+ * Read and parse every file of every codebase once, feeding each file
+ * to all analyzers.  Does not call `finish`.
+ *
+ * With `concurrency > 1`, analyzers that declare a `worker` spec have
+ * their `analyze` hook run in that many worker threads; every other
+ * hook still runs on the main thread, in file order.
+ *
+ * With a `cache`, files whose cached results are still valid are not
+ * parsed or analyzed at all: the cached results go straight to `file`.
+ *
+ * @param {Analyzer[]} analyzers
+ * @param {object}   [options]
+ * @param {string[]} [options.codebases=CODEBASES] - Codebases to scan.
+ * @param {boolean}  [options.quiet=false]         - Suppress progress output.
+ * @param {number}   [options.concurrency=1]       - Worker threads (1 = analyze in-process).
+ * @param {import("./cache").AnalysisCache | null} [options.cache=null]
+ *   Persistent per-file result cache.
+ * @param {FileSource} [options.source=DISK_SOURCE]
+ *   Where files come from.  Worker threads resolve barrels against the
+ *   working tree, so use `concurrency: 1` with any other source.
+ * @returns {Promise<CollectStats>}
+ */
+async function collect(analyzers, options = {}) {
+  const {
+    codebases = CODEBASES,
+    quiet = false,
+    concurrency = 1,
+    cache = null,
+    source = DISK_SOURCE,
+  } = options;
+  const log = quiet ? () => {} : console.log;
+
+  /** @type {Object<string, number>} */
+  const stepMs = {};
+  for (const analyzer of analyzers) stepMs[analyzer.name] = 0;
+  const io = { readMs: 0 };
+  let fileCount = 0;
+
+  const each = (hook, ...args) => {
+    for (const analyzer of analyzers) {
+      if (analyzer[hook]) {
+        timed(stepMs, analyzer.name, () => analyzer[hook](...args));
+      }
+    }
+  };
+
+  /**
+   * Hand one file to every analyzer.  `analyze` runs on the main thread
+   * only for analyzers with neither a cached nor a worker result; fresh
+   * results are written back to the cache.
+   *
+   * @param {SourceFile} sourceFile
+   * @param {object}            known
+   * @param {string | null}     known.hash    - Content hash (when caching).
+   * @param {Object<string, *>} known.cached  - Results served from cache.
+   * @param {Object<string, *>} known.remote  - Results computed by a worker.
+   * @param {string[]}          known.deps    - Files the worker's results depend on.
+   */
+  const deliver = (sourceFile, { hash, cached, remote, deps }) => {
+    fileCount++;
+    const results = { ...cached, ...remote };
+    const fresh = { ...remote };
+
+    const { dependencies } = trackDependencies(() => {
+      for (const analyzer of analyzers) {
+        if (!analyzer.analyze || analyzer.name in results) continue;
+        results[analyzer.name] = fresh[analyzer.name] = timed(
+          stepMs,
+          analyzer.name,
+          () => analyzer.analyze(sourceFile),
+        );
+      }
+    });
+
+    if (cache && Object.keys(fresh).some((name) => name in cache.keys)) {
+      cache.store(sourceFile.relPath, hash, [...deps, ...dependencies], fresh);
+    }
+
+    for (const analyzer of analyzers) {
+      if (analyzer.file) {
+        timed(stepMs, analyzer.name, () =>
+          analyzer.file(sourceFile, results[analyzer.name]),
+        );
+      }
+    }
+  };
+
+  const offloaded =
+    concurrency > 1 ? analyzers.filter((a) => a.worker && a.analyze) : [];
+  const pool =
+    offloaded.length > 0 ? createWorkerPool(concurrency, offloaded) : null;
+
+  try {
+    for (const codebase of codebases) {
+      if (!source.exists(codebase)) {
+        log(`⚠️  Skipping ${codebase}: path not found`);
+        continue;
+      }
+
+      log(`\n📊 Analyzing ${codebase}...`);
+
+      const start = performance.now();
+      const files = await source.find(codebase);
+      io.readMs += performance.now() - start;
+      log(`   Found ${files.length} component files`);
+
+      const basePath = codebasePath(codebase);
+      each("beginCodebase", codebase, files.length);
+      if (cache) cache.beginCodebase(codebase);
+
+      /**
+       * Read one file and look up its cached results.
+       *
+       * @param {string} file
+       */
+      const load = (file) =>
+        timed(io, "readMs", () => {
+          const task = readTask(source, codebase, basePath, file);
+          if (!task) return null;
+          const hash = cache ? hashContent(task.content) : null;
+          const cached = cache ? cache.lookup(task.relPath, hash) : {};
+          return { task, hash, cached };
+        });
+
+      if (!pool) {
+        for (const file of files) {
+          const loaded = load(file);
+          if (!loaded) continue;
+          const sourceFile = lazySourceFile(loaded.task);
+          if (analyzers.some((a) => a.analyze && !(a.name in loaded.cached))) {
+            timed(io, "readMs", () => sourceFile.parsed);
+          }
+          deliver(sourceFile, { ...loaded, remote: {}, deps: [] });
+        }
+      } else {
+        // Results may arrive out of order; they are delivered in file
+        // order by awaiting the oldest job first.
+        const pending = [];
+        const flush = async () => {
+          const job = await pending.shift();
+          if (!job) return;
+          const { reply } = job;
+          io.readMs += reply.parseMs;
+          for (const [name, ms] of Object.entries(reply.stepMs)) {
+            stepMs[name] += ms;
+          }
+          deliver(lazySourceFile(job.task), {
+            hash: job.hash,
+            cached: job.cached,
+            remote: reply.results,
+            deps: reply.dependencies,
+          });
+        };
+
+        for (const file of files) {
+          const loaded = load(file);
+          const missing = loaded
+            ? offloaded.map((a) => a.name).filter((n) => !(n in loaded.cached))
+            : [];
+
+          let job;
+          if (!loaded) {
+            job = Promise.resolve(null);
+          } else if (missing.length === 0) {
+            job = Promise.resolve({ ...loaded, reply: EMPTY_REPLY });
+          } else {
+            job = pool
+              .run({ ...loaded.task, analyzers: missing })
+              .then((reply) => ({ ...loaded, reply }));
+          }
+          job.catch(() => {}); // surfaced when awaited in order
+          pending.push(job);
+          if (pending.length >= concurrency * FILES_PER_WORKER) await flush();
+        }
+        while (pending.length > 0) await flush();
+      }
+
+      each("endCodebase", codebase);
+      if (cache) cache.endCodebase();
+    }
+  } finally {
+    if (pool) await pool.close();
+  }
+
+  return { fileCount, readMs: io.readMs, stepMs };
+}
+
+/**
+ * Run analyzers end to end: {@link collect}, then each analyzer's
+ * `finish` in order.
+ *
+ * @param {Analyzer[]} analyzers
+ * @param {object}     [options] - See {@link collect}.
+ * @returns {Promise<CollectStats>} Stats with `stepMs` including `finish`.
+ */
+async function runPipeline(analyzers, options = {}) {
+  const stats = await collect(analyzers, options);
+  for (const analyzer of analyzers) {
+    if (!analyzer.finish) continue;
+    const start = performance.now();
+    await analyzer.finish();
+    stats.stepMs[analyzer.name] += performance.now() - start;
+  }
+  return stats;
+}
+
+module.exports = {
+  collect,
+  DISK_SOURCE,
+  createWorkerPool,
+  runPipeline,
+  timed,
+  formatDuration,
+};
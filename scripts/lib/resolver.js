@@ -0,0 +1,472 @@
+/**
+ * @module lib/resolver
+ *
+ * Follows internal re-export barrels back to the tracked UI library.
+ *
+ * Applications often import tracked components through a local index
+ * file rather than from the library directly:
+ *
+ *     // src/ui/index.ts
+ *     export { Button, Card } from "@sanity/ui";
+ *     export * from "./icons";
+ *
+ *     // src/pages/Home.tsx
+ *     import { Button } from "../ui";          // relative
+ *     import { Card } from "@app/ui";          // tsconfig `paths` alias
+ *
+ * This module resolves such import sources to files on disk (relative
+ * paths, tsconfig / jsconfig `baseUrl` + `paths`), parses them with the
+ * shared parser, and walks `export { X } from`, `export * from` and
+ * `import … ; export { X }` chains until it reaches an import source
+ * the caller considers tracked.
+ *
+ * Bare package imports are never resolved — only the project's own
+ * files are followed.  Every lookup is cached per absolute path.
+ *
+ * {@link trackDependencies} reports which barrel and tsconfig files a
+ * computation consulted, so cached per-file results can be invalidated
+ * when one of them changes.
+ *
+ * Files are read from the working tree unless
+ * {@link setResolverFileSystem} installs another view of the project —
+ * e.g. a past commit (see `git.js`).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const ts = require("typescript");
+
+const { parseSource } = require("./parser");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Extensions tried, in order, when resolving a module path to a file. */
+const RESOLVE_EXTENSIONS = [".tsx", ".ts", ".jsx", ".js", ".mjs", ".cjs"];
+
+/** tsconfig-style files consulted for `baseUrl` / `paths`. */
+const CONFIG_FILES = ["tsconfig.json", "jsconfig.json"];
+
+/** Maximum barrel depth followed before giving up (guards pathological chains). */
+const MAX_DEPTH = 10;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CACHES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Path-alias configuration keyed by directory.
+ * @type {Map<string, PathConfig | null>}
+ */
+const _configCache = new Map();
+
+/**
+ * Parsed barrel files keyed by absolute path (`null` when unreadable).
+ * @type {Map<string, import("./parser").ParsedFile | null>}
+ */
+const _parsedCache = new Map();
+
+/**
+ * Resolved module files keyed by `fromDir \0 source`, with the config
+ * files the resolution depended on.
+ * @type {Map<string, { file: string | null, configFiles: string[] }>}
+ */
+const _resolveCache = new Map();
+
+/**
+ * Files consulted by the current {@link trackDependencies} call, or
+ * `null` when nothing is being tracked.
+ * @type {Set<string> | null}
+ */
+let _dependencies = null;
+
+/**
+ * Record that the current computation depends on `file`.
+ *
+ * @param {string} file - Absolute path.
+ */
+function noteDependency(file) {
+  if (_dependencies) _dependencies.add(file);
+}
+
+/**
+ * Run `fn` and report every barrel / tsconfig file the resolver
+ * consulted while it ran — including lookups answered from cache.
+ * Nested calls also report to the enclosing call.
+ *
+ * @template T
+ * @param {() => T} fn
+ * @returns {{ result: T, dependencies: string[] }}
+ */
+function trackDependencies(fn) {
+  const outer = _dependencies;
+  const inner = new Set();
+  _dependencies = inner;
+  try {
+    const result = fn();
+    return { result, dependencies: [...inner].sort() };
+  } finally {
+    _dependencies = outer;
+    if (outer) for (const file of inner) outer.add(file);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FILE ACCESS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The file operations the resolver needs.  Paths are absolute.
+ *
+ * @typedef {object} ResolverFileSystem
+ * @property {(file: string) => string | null} readText - UTF-8 content, or `null` when unreadable.
+ * @property {(file: string) => boolean}       isFile   - Whether a regular file exists.
+ */
+
+/** @type {ResolverFileSystem} */
+const DISK_FILE_SYSTEM = {
+  readText(file) {
+    try {
+      return fs.readFileSync(file, "utf8");
+    } catch {
+      return null;
+    }
+  },
+  isFile(file) {
+    try {
+      return fs.statSync(file).isFile();
+    } catch {
+      return false;
+    }
+  },
+};
+
+/** @type {ResolverFileSystem} */
+let _fileSystem = DISK_FILE_SYSTEM;
+
+/**
+ * Read a file as UTF-8, returning `null` on any error.
+ *
+ * @param {string} filePath
+ * @returns {string|null}
+ */
+function readText(filePath) {
+  return _fileSystem.readText(filePath);
+}
+
+/**
+ * Clear all resolver caches.  Useful in tests and long-running processes.
+ */
+function clearResolverCache() {
+  _configCache.clear();
+  _parsedCache.clear();
+  _resolveCache.clear();
+}
+
+/**
+ * Resolve against another view of the project instead of the working
+ * tree, or against the working tree again when `fileSystem` is `null`.
+ * Clears every cache, since cached lookups describe the previous view.
+ *
+ * Only affects the calling thread: worker threads keep reading the
+ * working tree.
+ *
+ * @param {ResolverFileSystem | null} fileSystem
+ */
+function setResolverFileSystem(fileSystem) {
+  _fileSystem = fileSystem || DISK_FILE_SYSTEM;
+  clearResolverCache();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TSCONFIG PATHS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {object} PathConfig
+ * @property {string|null}               baseUrl - Absolute base directory for non-relative imports.
+ * @property {Object<string, string[]>}  paths   - Alias patterns → target patterns (relative to `pathsBase`).
+ * @property {string}                    pathsBase - Directory `paths` targets are resolved against.
+ * @property {string[]}                  files   - Config files read (the config and its `extends` chain).
+ */
+
+/**
+ * Read `compilerOptions.baseUrl` / `paths` from a tsconfig file,
+ * following relative `extends` chains.  Comments and trailing commas
+ * are accepted, as in tsc.
+ *
+ * @param {string} configPath - Absolute path to the config file.
+ * @param {number} [depth=0]
+ * @returns {PathConfig | null}
+ */
+function readPathConfig(configPath, depth = 0) {
+  const { config } = ts.readConfigFile(configPath, (p) => readText(p) || "");
+  if (!config) return null;
+
+  const dir = path.dirname(configPath);
+  let result = { baseUrl: null, paths: {}, pathsBase: dir, files: [] };
+
+  if (typeof config.extends === "string" && depth < MAX_DEPTH) {
+    let parentPath = path.resolve(dir, config.extends);
+    if (!parentPath.endsWith(".json")) parentPath += ".json";
+    if (config.extends.startsWith(".") && _fileSystem.isFile(parentPath)) {
+      result = readPathConfig(parentPath, depth + 1) || result;
+    }
+  }
+  result = { ...result, files: [configPath, ...result.files] };
+
+  const options = config.compilerOptions || {};
+  if (typeof options.baseUrl === "string") {
+    result = { ...result, baseUrl: path.resolve(dir, options.baseUrl) };
+    result.pathsBase = result.baseUrl;
+  }
+  if (options.paths && typeof options.paths === "object") {
+    result = {
+      ...result,
+      paths: options.paths,
+      pathsBase: result.baseUrl || dir,
+    };
+  }
+  return result;
+}
+
+/**
+ * Find the path-alias configuration that applies to a directory —
+ * the nearest `tsconfig.json` / `jsconfig.json` walking upward.
+ *
+ * @param {string} dir - Absolute directory.
+ * @returns {PathConfig | null}
+ */
+function findPathConfig(dir) {
+  if (_configCache.has(dir)) return _configCache.get(dir);
+
+  let result = null;
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(dir, name);
+    if (_fileSystem.isFile(candidate)) {
+      result = readPathConfig(candidate);
+      break;
+    }
+  }
+  if (!result) {
+    const parent = path.dirname(dir);
+    result = parent === dir ? null : findPathConfig(parent);
+  }
+
+  _configCache.set(dir, result);
+  return result;
+}
+
+/**
+ * Expand an import source through tsconfig `paths` / `baseUrl` into
+ * candidate absolute paths (without extension).
+ *
+ * @param {string}     source
+ * @param {PathConfig} config
+ * @returns {string[]}
+ */
+function expandAlias(source, config) {
+  const candidates = [];
+
+  for (const [pattern, targets] of Object.entries(config.paths)) {
+    const star = pattern.indexOf("*");
+    let captured = null;
+    if (star === -1) {
+      if (pattern === source) captured = "";
+    } else {
+      const prefix = pattern.slice(0, star);
+      const suffix = pattern.slice(star + 1);
+      if (
+        source.startsWith(prefix) &&
+        source.endsWith(suffix) &&
+        source.length >= prefix.length + suffix.length
+      ) {
+        captured = source.slice(prefix.length, source.length - suffix.length);
+      }
+    }
+    if (captured === null) continue;
+
+    for (const target of targets) {
+      candidates.push(
+        path.resolve(config.pathsBase, target.replace("*", captured)),
+      );
+    }
+  }
+
+  if (config.baseUrl) candidates.push(path.resolve(config.baseUrl, source));
+  return candidates;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MODULE RESOLUTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Try `base` as a file, with each known extension, and as a directory
+ * index.
+ *
+ * @param {string} base - Absolute path without (or with) extension.
+ * @returns {string|null}
+ */
+function resolveFile(base) {
+  const tries = [
+    base,
+    ...RESOLVE_EXTENSIONS.map((ext) => base + ext),
+    ...RESOLVE_EXTENSIONS.map((ext) => path.join(base, "index" + ext)),
+  ];
+  return tries.find((candidate) => _fileSystem.isFile(candidate)) || null;
+}
+
+/**
+ * Resolve an import source, as written in `fromFile`, to a file in the
+ * project.  Relative paths and tsconfig aliases are supported; bare
+ * package imports that match no alias resolve to `null`.
+ *
+ * @param {string} fromFile - Path of the importing file (relative paths are
+ *   resolved against the working directory).
+ * @param {string} source   - Import source as written.
+ * @returns {string|null} Absolute path of the module file, or `null`.
+ */
+function resolveModule(fromFile, source) {
+  const fromDir = path.dirname(path.resolve(fromFile));
+  const key = fromDir + "\0" + source;
+  let entry = _resolveCache.get(key);
+
+  if (!entry) {
+    entry = { file: null, configFiles: [] };
+    if (source.startsWith(".") || path.isAbsolute(source)) {
+      entry.file = resolveFile(path.resolve(fromDir, source));
+    } else {
+      const config = findPathConfig(fromDir);
+      if (config) {
+        entry.configFiles = config.files;
+        for (const candidate of expandAlias(source, config)) {
+          entry.file = resolveFile(candidate);
+          if (entry.file) break;
+        }
+      }
+    }
+    _resolveCache.set(key, entry);
+  }
+
+  entry.configFiles.forEach(noteDependency);
+  return entry.file;
+}
+
+/**
+ * Read and parse a module file, caching the result.
+ *
+ * @param {string} file - Absolute path.
+ * @returns {import("./parser").ParsedFile | null}
+ */
+function parseModule(file) {
+  noteDependency(file);
+  if (_parsedCache.has(file)) return _parsedCache.get(file);
+  const content = readText(file);
+  const parsed = content === null ? null : parseSource(content, file);
+  _parsedCache.set(file, parsed);
+  return parsed;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RE-EXPORT RESOLUTION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {object} ReExportTarget
+ * @property {string} original - Export name in the tracked library.
+ * @property {string} source   - Tracked import source it comes from (e.g. `"@sanity/ui"`).
+ */
+
+/**
+ * Resolve `name`, as exported by the module at `file`, to a tracked
+ * library export.
+ *
+ * @param {string}                      file
+ * @param {string}                      name
+ * @param {(source: string) => boolean} isTrackedSource
+ * @param {number}                      depth
+ * @param {Set<string>}                 seen - `file\0name` pairs already visited (cycle guard).
+ * @returns {ReExportTarget | null}
+ */
+function resolveExportedName(file, name, isTrackedSource, depth, seen) {
+  const visitKey = file + "\0" + name;
+  if (depth > MAX_DEPTH || seen.has(visitKey)) return null;
+  seen.add(visitKey);
+
+  const parsed = parseModule(file);
+  if (!parsed) return null;
+
+  const follow = (source, importedName) => {
+    if (isTrackedSource(source)) return { original: importedName, source };
+    const next = resolveModule(file, source);
+    return next
+      ? resolveExportedName(
+          next,
+          importedName,
+          isTrackedSource,
+          depth + 1,
+          seen,
+        )
+      : null;
+  };
+
+  // Explicit named re-exports take precedence over `export *`.
+  for (const exp of parsed.exports) {
+    if (exp.typeOnly) continue;
+    for (const spec of exp.specifiers) {
+      if (spec.exported !== name || spec.typeOnly) continue;
+
+      if (exp.source !== null) return follow(exp.source, spec.local);
+
+      // `import { X } from "…"; export { X }`
+      for (const imp of parsed.imports) {
+        const binding = imp.specifiers.find(
+          (s) => s.local === spec.local && s.kind === "named" && !s.typeOnly,
+        );
+        if (binding) return follow(imp.source, binding.imported);
+      }
+      return null;
+    }
+  }
+
+  for (const exp of parsed.exports) {
+    if (!exp.star || exp.source === null || exp.typeOnly) continue;
+    const hit = follow(exp.source, name);
+    if (hit) return hit;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a named import from a local module to the tracked library
+ * export it re-exports, if any.
+ *
+ * `export * from "<tracked>"` matches any name; the caller decides
+ * whether the resulting `original` is a tracked component.
+ *
+ * @param {string}                      fromFile       - Absolute path of the importing file.
+ * @param {string}                      source         - Import source as written (e.g. `"../ui"`).
+ * @param {string}                      importedName   - Imported export name.
+ * @param {(source: string) => boolean} isTrackedSource - Predicate for tracked library sources.
+ * @returns {ReExportTarget | null}
+ */
+function resolveReExport(fromFile, source, importedName, isTrackedSource) {
+  if (!fromFile || isTrackedSource(source)) return null;
+  const file = resolveModule(fromFile, source);
+  if (!file) return null;
+  return resolveExportedName(file, importedName, isTrackedSource, 0, new Set());
+}
+
+module.exports = {
+  resolveModule,
+  resolveReExport,
+  findPathConfig,
+  expandAlias,
+  clearResolverCache,
+  setResolverFileSystem,
+  trackDependencies,
+  RESOLVE_EXTENSIONS,
+};
@@ -159,6 +159,36 @@ function padNum(n, width) {
   return String(n).padStart(width);
 }
 
+/**
+ * Escape a value for a Markdown table cell: pipes are escaped, newlines
+ * collapsed, and `null` shown as an em dash.
+ *
+ * @example
+ *   cell("a | b") // => "a \\| b"
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function cell(value) {
+  return String(value === null ? "—" : value)
+    .replace(/\|/g, "\\|")
+    .replace(/\n/g, " ");
+}
+
+/**
+ * Quote a value as a CSV field, doubling embedded quotes.  `null`
+ * becomes an empty field.
+ *
+ * @example
+ *   csvField('say "hi"') // => '"say ""hi"""'
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  return `"${String(value === null ? "" : value).replace(/"/g, '""')}"`;
+}
+
 module.exports = {
   sortByCount,
   pct,
@@ -168,4 +198,6 @@ module.exports = {
   compact,
   topN,
   padNum,
+  cell,
+  csvField,
 };
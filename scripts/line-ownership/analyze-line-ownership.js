@@ -31,17 +31,16 @@
 
 const {
   CODEBASES,
-  TRACKED_COMPONENTS,
   UI_LIBRARY_NAMES,
   isTrackedUISource,
 } = require("../lib/constants");
 const { sortByCount, pct, incr } = require("../lib/utils");
+const { writeReports } = require("../lib/files");
+const { toParsed } = require("../lib/parser");
+const { runPipeline } = require("../lib/pipeline");
 const {
-  codebaseExists,
-  findFiles,
-  readSafe,
-  writeReports,
-} = require("../lib/files");
+  buildTrackedUIImportMap,
+} = require("../per-component/analyze-per-component");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // JSX DETECTION
@@ -56,80 +55,15 @@ const {
  * utilities, constants) and should be excluded from the UI-file
  * denominator.
  *
- * @param {string} content - File content.
+ * JSX fragments (`<>…</>`) count too; TypeScript generics such as
+ * `Array<string>` do not.
+ *
+ * @param {string|import("../lib/parser").ParsedFile} content - File content,
+ *   or an already parsed file.
  * @returns {boolean}
  */
 function hasJSX(content) {
-  return /<[a-zA-Z][a-zA-Z0-9]*[\s/>]/.test(content);
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// IMPORT PARSING
-// ═══════════════════════════════════════════════════════════════════════════════
-
-/**
- * Extract ES import statements from file content.
- *
- * @param {string} content
- * @returns {Array<{ namedImports: string|null, defaultImport: string|null, source: string, index: number }>}
- */
-function extractImports(content) {
-  const regex = /import\s+(?:\{([^}]+)\}|(\w+))\s+from\s+['"]([^'"]+)['"]/g;
-  const results = [];
-  let m;
-  while ((m = regex.exec(content)) !== null) {
-    results.push({
-      namedImports: m[1] || null,
-      defaultImport: m[2] || null,
-      source: m[3],
-      index: m.index,
-    });
-  }
-  return results;
-}
-
-/**
- * Parse named imports into `{ original, local }` pairs.
- * Only returns PascalCase names.
- *
- * @param {string} namedImportsStr
- * @returns {Array<{ original: string, local: string }>}
- */
-function parseNamedImports(namedImportsStr) {
-  if (!namedImportsStr) return [];
-  const results = [];
-  for (const raw of namedImportsStr.split(",")) {
-    const trimmed = raw.trim();
-    if (!trimmed) continue;
-    const parts = trimmed.split(/\s+as\s+/);
-    const original = parts[0].trim();
-    const local = (parts[1] || parts[0]).trim();
-    if (original && /^[A-Z]/.test(original)) {
-      results.push({ original, local });
-    }
-  }
-  return results;
-}
-
-/**
- * Build `{ localName → originalName }` for tracked UI library component imports.
- *
- * @param {string} content
- * @returns {Object<string, string>}
- */
-function buildTrackedUIImportMap(content) {
-  const imports = extractImports(content);
-  /** @type {Object<string, string>} */
-  const map = {};
-  for (const imp of imports) {
-    if (!isTrackedUISource(imp.source)) continue;
-    for (const { original, local } of parseNamedImports(imp.namedImports)) {
-      if (TRACKED_COMPONENTS.includes(original)) {
-        map[local] = original;
-      }
-    }
-  }
-  return map;
+  return toParsed(content).hasJSX;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -180,37 +114,6 @@ function lineAt(lineStarts, offset) {
   return lo + 1; // 1-based
 }
 
-// ═══════════════════════════════════════════════════════════════════════════════
-// TAG BOUNDARY DETECTION
-// ═══════════════════════════════════════════════════════════════════════════════
-
-/**
- * Find the closing `>` of a JSX opening tag, respecting nested `{…}`.
- *
- * @param {string} content
- * @param {number} startIdx - Position right after the tag name.
- * @returns {number} Index of `>`, or `-1`.
- */
-function findTagEnd(content, startIdx) {
-  let depth = 0;
-  for (let i = startIdx; i < content.length; i++) {
-    if (content[i] === "{") depth++;
-    else if (content[i] === "}") depth--;
-    else if (depth === 0 && content[i] === ">") return i;
-  }
-  return -1;
-}
-
-/**
- * Escape special regex characters.
- *
- * @param {string} s
- * @returns {string}
- */
-function escapeRegex(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-}
-
 // ═══════════════════════════════════════════════════════════════════════════════
 // LINE OWNERSHIP MEASUREMENT
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -228,33 +131,21 @@ function escapeRegex(s) {
  *
  * …spans 4 lines, all of which are counted as tracked UI library lines.
  *
- * To find the full extent of each import we scan from the match index
- * backward/forward to cover the entire statement (including multi-line
- * destructuring).
+ * The extent of each statement comes from the parsed syntax tree, so
+ * multi-line destructuring and trailing semicolons are covered.
  *
- * @param {string}   content
+ * @param {string|import("../lib/parser").ParsedFile} content
  * @param {number[]} lineStarts
  * @returns {{ lines: Set<number>, importLineCount: number }}
  */
 function collectImportLines(content, lineStarts) {
   const lines = new Set();
 
-  // Match the full import statement including multi-line named imports.
-  // We use a regex that captures from `import` to the closing quote + optional semicolon.
-  const importRegex =
-    /import\s+(?:\{[^}]*\}|\w+)(?:\s*,\s*(?:\{[^}]*\}|\w+))?\s+from\s+['"][^'"]+['"]\s*;?/gs;
-
-  let m;
-  while ((m = importRegex.exec(content)) !== null) {
-    const fullMatch = m[0];
-    const source = fullMatch.match(/from\s+['"]([^'"]+)['"]/);
-    if (!source || !isTrackedUISource(source[1])) continue;
-
-    const startOffset = m.index;
-    const endOffset = m.index + fullMatch.length - 1;
+  for (const imp of toParsed(content).imports) {
+    if (!isTrackedUISource(imp.source)) continue;
 
-    const startLine = lineAt(lineStarts, startOffset);
-    const endLine = lineAt(lineStarts, endOffset);
+    const startLine = lineAt(lineStarts, imp.start);
+    const endLine = lineAt(lineStarts, imp.end - 1);
 
     for (let line = startLine; line <= endLine; line++) {
       lines.add(line);
@@ -278,43 +169,29 @@ function collectImportLines(content, lineStarts) {
  * …lines 1–4 are all tracked UI library lines.  The span runs from the `<` of the
  * opening tag through the closing `>`.
  *
- * @param {string}                  content
+ * @param {string|import("../lib/parser").ParsedFile} content
  * @param {number[]}                lineStarts
  * @param {Object<string, string>}  importMap
  * @returns {{ lines: Set<number>, tagLineCount: number, tagCount: number, linesByComponent: Object<string, Set<number>> }}
  */
 function collectTagLines(content, lineStarts, importMap) {
-  const localNames = Object.keys(importMap);
-  if (localNames.length === 0) {
-    return {
-      lines: new Set(),
-      tagLineCount: 0,
-      tagCount: 0,
-      linesByComponent: {},
-    };
-  }
-
-  const pattern = localNames.map(escapeRegex).join("|");
-  const tagRegex = new RegExp(`<(${pattern})\\b`, "g");
-
   const lines = new Set();
   /** @type {Object<string, Set<number>>} */
   const linesByComponent = {};
   let tagCount = 0;
 
-  let openMatch;
-  while ((openMatch = tagRegex.exec(content)) !== null) {
-    const localName = openMatch[1];
-    const original = importMap[localName];
-    const tagStart = openMatch.index; // the `<` character
-    const bodyStart = openMatch.index + openMatch[0].length;
-    const tagEnd = findTagEnd(content, bodyStart);
-    if (tagEnd === -1) continue;
+  if (Object.keys(importMap).length === 0) {
+    return { lines, tagLineCount: 0, tagCount, linesByComponent };
+  }
+
+  for (const el of toParsed(content).elements) {
+    if (!Object.prototype.hasOwnProperty.call(importMap, el.name)) continue;
+    const original = importMap[el.name];
 
     tagCount++;
 
-    const startLine = lineAt(lineStarts, tagStart);
-    const endLine = lineAt(lineStarts, tagEnd);
+    const startLine = lineAt(lineStarts, el.start);
+    const endLine = lineAt(lineStarts, el.end - 1);
 
     if (!linesByComponent[original]) {
       linesByComponent[original] = new Set();
@@ -350,16 +227,19 @@ function collectTagLines(content, lineStarts, importMap) {
  * Lines are deduplicated: if an import line and a tag line happen to be
  * the same physical line (unlikely but possible), it's counted once.
  *
- * @param {string} content
+ * @param {string|import("../lib/parser").ParsedFile} content - File content,
+ *   or an already parsed file.
  * @returns {FileLineMetrics}
  */
 function analyzeFileContent(content) {
-  const totalLines = content === "" ? 0 : content.split("\n").length;
-  const lineStarts = buildLineStarts(content);
-  const importMap = buildTrackedUIImportMap(content);
+  const parsed = toParsed(content);
+  const text = parsed.content;
+  const totalLines = text === "" ? 0 : text.split("\n").length;
+  const lineStarts = buildLineStarts(text);
+  const { components: importMap } = buildTrackedUIImportMap(parsed);
 
-  const importResult = collectImportLines(content, lineStarts);
-  const tagResult = collectTagLines(content, lineStarts, importMap);
+  const importResult = collectImportLines(parsed, lineStarts);
+  const tagResult = collectTagLines(parsed, lineStarts, importMap);
 
   // Merge line sets (deduplicate)
   const allLines = new Set([...importResult.lines, ...tagResult.lines]);
@@ -377,7 +257,7 @@ function analyzeFileContent(content) {
     importLines: importResult.importLineCount,
     tagLines: tagResult.tagLineCount,
     tagCount: tagResult.tagCount,
-    rendersUI: hasJSX(content),
+    rendersUI: hasJSX(parsed),
     linesByComponent,
   };
 }
@@ -838,42 +718,100 @@ function generateJSON(results) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// CODEBASE RUNNER
+// PIPELINE ANALYZER
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Analyse a single codebase.
+ * Create the line ownership analyzer for the shared single-pass pipeline.
+ * Codebases that don't exist on disk are reported as `null`.
  *
- * @param {string} codebase
- * @returns {Promise<CodebaseLineMetrics | null>}
+ * @returns {import("../lib/pipeline").Analyzer}
  */
-async function analyzeCodebase(codebase) {
-  if (!codebaseExists(codebase)) {
-    console.log(`⚠️  Skipping ${codebase}: path not found`);
-    return null;
-  }
+function createAnalyzer() {
+  /** @type {Object<string, CodebaseLineMetrics>} */
+  const aggregated = {};
+  /** @type {FileLineMetrics[]} */
+  let fileResults = [];
+
+  /**
+   * Results per configured codebase, as passed to the report
+   * generators — without writing anything.
+   *
+   * @returns {Object<string, CodebaseLineMetrics | null>}
+   */
+  const summarize = () => {
+    /** @type {Object<string, CodebaseLineMetrics | null>} */
+    const results = {};
+    for (const codebase of CODEBASES) {
+      results[codebase] = aggregated[codebase] || null;
+    }
+    return results;
+  };
 
-  console.log(`\n📊 Analyzing line ownership in ${codebase}...`);
+  return {
+    name: "line-ownership",
+    worker: { module: __filename },
 
-  const files = await findFiles(codebase);
-  console.log(`   Found ${files.length} component files`);
+    beginCodebase() {
+      fileResults = [];
+    },
 
-  /** @type {FileLineMetrics[]} */
-  const fileResults = [];
+    analyze(file) {
+      return analyzeFileContent(file.parsed);
+    },
 
-  for (const file of files) {
-    const content = readSafe(file);
-    if (content === null) continue;
-    fileResults.push(analyzeFileContent(content));
-  }
+    file(file, result) {
+      fileResults.push(result);
+    },
 
-  const agg = aggregateResults(fileResults);
+    endCodebase(codebase) {
+      const agg = aggregateResults(fileResults);
+      aggregated[codebase] = agg;
+      fileResults = [];
+      console.log(
+        `   Line ownership: ${agg.uiFileCount} UI files (${agg.uiFileLines.toLocaleString()} lines), ${agg.trackedUILines.toLocaleString()} ${UI_LIBRARY_NAMES} lines (${pct(agg.trackedUILines, agg.uiFileLines)}%)`,
+      );
+    },
 
-  console.log(
-    `   ${agg.uiFileCount} UI files (${agg.uiFileLines.toLocaleString()} lines), ${agg.trackedUILines.toLocaleString()} ${UI_LIBRARY_NAMES} lines (${pct(agg.trackedUILines, agg.uiFileLines)}%)`,
-  );
+    summarize,
 
-  return agg;
+    finish() {
+      const results = summarize();
+
+      writeReports("line-ownership", "report", {
+        markdown: generateMarkdown(results),
+        csv: generateCSV(results),
+        json: generateJSON(results),
+      });
+
+      console.log("\n✅ Markdown report saved");
+      console.log("✅ CSV report saved");
+      console.log("✅ JSON report saved");
+
+      // Quick console summary
+      console.log("\n" + "─".repeat(60));
+      console.log("  QUICK SUMMARY");
+      console.log("─".repeat(60));
+
+      let grandTotal = 0;
+      let grandUI = 0;
+
+      for (const [codebase, data] of Object.entries(results)) {
+        if (!data) continue;
+        grandTotal += data.uiFileLines;
+        grandUI += data.trackedUILines;
+        console.log(
+          `  ${codebase.padEnd(12)}: ${data.uiFileLines.toLocaleString().padStart(9)} UI lines, ${data.trackedUILines.toLocaleString().padStart(7)} SUI lines → ${pct(data.trackedUILines, data.uiFileLines)}%`,
+        );
+      }
+
+      console.log("  " + "─".repeat(56));
+      console.log(
+        `  ${"TOTAL".padEnd(12)}: ${grandTotal.toLocaleString().padStart(9)} UI lines, ${grandUI.toLocaleString().padStart(7)} SUI lines → ${pct(grandUI, grandTotal)}%`,
+      );
+      console.log("");
+    },
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -890,45 +828,7 @@ async function main() {
   console.log(`  ${UI_LIBRARY_NAMES.toUpperCase()} LINE OWNERSHIP ANALYSIS`);
   console.log("═".repeat(60));
 
-  /** @type {Object<string, CodebaseLineMetrics | null>} */
-  const results = {};
-
-  for (const codebase of CODEBASES) {
-    results[codebase] = await analyzeCodebase(codebase);
-  }
-
-  writeReports("line-ownership", "report", {
-    markdown: generateMarkdown(results),
-    csv: generateCSV(results),
-    json: generateJSON(results),
-  });
-
-  console.log("\n✅ Markdown report saved");
-  console.log("✅ CSV report saved");
-  console.log("✅ JSON report saved");
-
-  // Quick console summary
-  console.log("\n" + "─".repeat(60));
-  console.log("  QUICK SUMMARY");
-  console.log("─".repeat(60));
-
-  let grandTotal = 0;
-  let grandUI = 0;
-
-  for (const [codebase, data] of Object.entries(results)) {
-    if (!data) continue;
-    grandTotal += data.uiFileLines;
-    grandUI += data.trackedUILines;
-    console.log(
-      `  ${codebase.padEnd(12)}: ${data.uiFileLines.toLocaleString().padStart(9)} UI lines, ${data.trackedUILines.toLocaleString().padStart(7)} SUI lines → ${pct(data.trackedUILines, data.uiFileLines)}%`,
-    );
-  }
-
-  console.log("  " + "─".repeat(56));
-  console.log(
-    `  ${"TOTAL".padEnd(12)}: ${grandTotal.toLocaleString().padStart(9)} UI lines, ${grandUI.toLocaleString().padStart(7)} SUI lines → ${pct(grandUI, grandTotal)}%`,
-  );
-  console.log("");
+  await runPipeline([createAnalyzer()]);
 }
 
 // ─── Module boundary ──────────────────────────────────────────────────────────
@@ -942,8 +842,6 @@ module.exports = {
   hasJSX,
 
   // Import parsing
-  extractImports,
-  parseNamedImports,
   isTrackedUISource,
   buildTrackedUIImportMap,
 
@@ -951,10 +849,6 @@ module.exports = {
   buildLineStarts,
   lineAt,
 
-  // Tag detection
-  findTagEnd,
-  escapeRegex,
-
   // Line collection
   collectImportLines,
   collectTagLines,
@@ -969,4 +863,7 @@ module.exports = {
   generateMarkdown,
   generateCSV,
   generateJSON,
+
+  // Pipeline
+  createAnalyzer,
 };
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * @module migrate/fix-defaults
+ *
+ * Fix Defaults
+ *
+ * Removes JSX attributes that explicitly set a prop to its default
+ * (`<Flex direction="row">` → `<Flex>`).  Defaults come from
+ * `detect-prop-defaults.js`, run over the per-component reports of the
+ * last run; only those at or above the confidence threshold are used —
+ * `high` unless `--confidence` says otherwise:
+ *
+ *   --confidence high     known defaults only (the default)
+ *   --confidence medium   also common default values of a prop name
+ *   --confidence low      also statistical guesses — review the diff
+ *
+ * Props after a spread are kept, since the spread may set them too.
+ * The selection and the rewriting are shared with
+ * `migrate --drop-defaults` (see {@link module:migrate/migrate}).
+ *
+ * Run directly:
+ *   node scripts/migrate/fix-defaults.js [--dry-run] [--confidence <level>] [--reports <dir>]
+ *
+ * Or via npm:
+ *   npm run fix-defaults -- --dry-run
+ */
+
+const path = require("path");
+
+const { REPORTS_ROOT } = require("../lib/files");
+const {
+  CONFIDENCE_LEVELS,
+  selectDefaults,
+  loadDefaults,
+  runMigration,
+} = require("./migrate");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DEFAULTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * One line per selected default, e.g. `Flex direction="row"`.
+ *
+ * @param {import("./migrate").DefaultsMap} defaults
+ * @returns {string[]}
+ */
+function describeDefaults(defaults) {
+  return Object.entries(defaults)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .flatMap(([component, props]) =>
+      Object.entries(props).map(([prop, value]) => {
+        const written = value.startsWith('"') ? value : `{${value}}`;
+        return `${component} ${prop}=${written}`;
+      }),
+    );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse command-line arguments.
+ *
+ * @param {string[]} argv
+ * @returns {{ dryRun: boolean, confidence: string, reports: string }}
+ * @throws {Error} On unknown arguments or confidence levels.
+ */
+function parseArgs(argv) {
+  const options = { dryRun: false, confidence: "high", reports: REPORTS_ROOT };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") {
+      options.dryRun = true;
+    } else if (argv[i] === "--confidence") {
+      if (!CONFIDENCE_LEVELS.includes(argv[i + 1])) {
+        throw new Error(
+          `--confidence requires one of ${CONFIDENCE_LEVELS.join(", ")}.`,
+        );
+      }
+      options.confidence = argv[++i];
+    } else if (argv[i] === "--reports") {
+      if (!argv[i + 1]) throw new Error("--reports requires a directory.");
+      options.reports = path.resolve(argv[++i]);
+    } else {
+      throw new Error(`Unknown argument "${argv[i]}".`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Main entry point.  Returns the exit code.
+ *
+ * @param {string[]} [argv=process.argv.slice(2)]
+ * @returns {Promise<number>}
+ */
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  let defaults;
+  try {
+    options = parseArgs(argv);
+    defaults = loadDefaults(options.reports, options.confidence);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return 1;
+  }
+
+  const log = options.dryRun ? console.error : console.log;
+  const described = describeDefaults(defaults);
+  if (described.length === 0) {
+    log(`No defaults detected at ${options.confidence} confidence.`);
+    return 0;
+  }
+
+  log(
+    `Dropping ${described.length} default(s) (${options.confidence} confidence and up):`,
+  );
+  for (const line of described) log(`  ${line}`);
+  log("");
+
+  await runMigration([], defaults, options.dryRun);
+  return 0;
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main().then(
+    (code) => process.exit(code),
+    (err) => {
+      console.error("❌ Fixing defaults failed:", err);
+      process.exit(1);
+    },
+  );
+}
+
+module.exports = {
+  // Constants
+  CONFIDENCE_LEVELS,
+
+  // Defaults
+  selectDefaults,
+  describeDefaults,
+
+  // CLI
+  parseArgs,
+  main,
+};
@@ -0,0 +1,758 @@
+#!/usr/bin/env node
+
+/**
+ * @module migrate/migrate
+ *
+ * Migrate
+ *
+ * Rewrites deprecated usage in place, driven by the `migrate` field of
+ * the `uiLibraries[].deprecations` entries:
+ *
+ *   { component: "Inline", migrate: { component: "Flex" } }
+ *       <Inline>…</Inline>           → <Flex>…</Flex>, import swapped
+ *   { component: "Button", prop: "tone", value: "critical",
+ *     migrate: { value: "danger" } }
+ *       <Button tone="critical" />   → <Button tone="danger" />
+ *   { component: "Text", prop: "muted", migrate: { prop: "dimmed" } }
+ *       <Text muted />               → <Text dimmed />
+ *
+ * With `--drop-defaults`, props set to the default value detected from
+ * the per-component reports (`reports/components/detail/*.json`) are
+ * removed as well — high-confidence defaults only, as with
+ * `fix-defaults`, unless `--confidence` lowers the threshold.
+ *
+ * Instances are located with the offsets the parser records, so only
+ * the tag names, attributes and import specifiers involved are touched.
+ * Cases that cannot be rewritten mechanically (e.g. a component swap on
+ * a component imported through a local barrel) are listed as skipped.
+ *
+ * `--dry-run` writes nothing and prints a unified diff instead, which
+ * `git apply` accepts from the directory the command ran in.
+ *
+ * Run directly:
+ *   node scripts/migrate/migrate.js [--dry-run] [--drop-defaults [--confidence <level>]] [--reports <dir>]
+ *
+ * Or via npm:
+ *   npm run migrate -- --dry-run
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { DEPRECATIONS, identifyLibrary } = require("../lib/constants");
+const { REPORTS_ROOT } = require("../lib/files");
+const { findIdentifierUses } = require("../lib/parser");
+const { collect } = require("../lib/pipeline");
+const { resolveOverlaps, applyEdits, unifiedDiff } = require("../lib/patch");
+const { incr } = require("../lib/utils");
+const {
+  analyzeFileContent,
+  classifyValue,
+  normalizeValue,
+} = require("../per-component/analyze-per-component");
+const { findDeprecations } = require("../deprecations/analyze-deprecations");
+const { detectAllDefaults } = require("../per-component/detect-prop-defaults");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Edit kinds counted in the summary, with their labels. */
+const SUMMARY_KINDS = {
+  component: "component tags renamed",
+  import: "import specifiers updated",
+  prop: "props renamed",
+  value: "prop values remapped",
+  default: "default props dropped",
+};
+
+/** Confidence levels of detected defaults, most certain first. */
+const CONFIDENCE_LEVELS = ["high", "medium", "low"];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {import("../lib/context").NormalizedDeprecation} Deprecation
+ * @typedef {import("../lib/patch").Edit} Edit
+ */
+
+/**
+ * Detected defaults: component → prop → normalized default value.
+ *
+ * @typedef {Object<string, Object<string, string>>} DefaultsMap
+ */
+
+/**
+ * @typedef {object} SkippedInstance
+ * @property {number} line
+ * @property {string} reason
+ */
+
+/**
+ * @typedef {object} FilePlan
+ * @property {Edit[]}            edits   - Non-overlapping, sorted by offset.
+ * @property {SkippedInstance[]} skipped
+ */
+
+/**
+ * @typedef {object} FileChange
+ * @property {string}            path     - Absolute file path.
+ * @property {string}            codebase
+ * @property {string}            relPath  - Path relative to the codebase root.
+ * @property {string}            before
+ * @property {string}            after
+ * @property {Edit[]}            edits
+ * @property {SkippedInstance[]} skipped
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SOURCE HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * How a migrated prop value is written: plain strings as string
+ * attributes, anything else as an expression.
+ *
+ * @param {string|number|boolean} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (typeof value === "string" && !/["\n]/.test(value)) return `"${value}"`;
+  return `{${JSON.stringify(value)}}`;
+}
+
+/**
+ * Offsets of the tag name in the closing tag of a non-self-closing
+ * element, as recorded by the parser, or null for `<C />`.
+ *
+ * @param {import("../lib/parser").JSXElementRecord} el
+ * @returns {{ start: number, end: number } | null}
+ */
+function closingTagName(el) {
+  if (el.closingName === null) return null;
+  return { start: el.closingName, end: el.closingName + el.name.length };
+}
+
+/**
+ * Locate a named specifier inside an import statement.
+ *
+ * @param {string} content
+ * @param {import("../lib/parser").ImportRecord} record
+ * @param {import("../lib/parser").ImportSpecifier} spec
+ * @returns {{ start: number, end: number, imported: number } | null}
+ *   Offsets of the whole specifier (`type X as Y`) and of its
+ *   imported name.
+ */
+function findSpecifier(content, record, spec) {
+  const statement = content.slice(record.start, record.end);
+  const open = statement.indexOf("{");
+  const close = statement.indexOf("}", open);
+  if (open === -1 || close === -1) return null;
+
+  const alias = spec.imported === spec.local ? "" : `\\s+as\\s+${spec.local}`;
+  const pattern = new RegExp(
+    `(^|[\\s,])((?:type\\s+)?)(${spec.imported.replace(/\$/g, "\\$")})${alias.replace(/\$/g, "\\$")}\\s*(?=,|$)`,
+  );
+  const match = pattern.exec(statement.slice(open + 1, close));
+  if (!match) return null;
+
+  const start = record.start + open + 1 + match.index + match[1].length;
+  const imported = start + match[2].length;
+  const end = imported + match[0].length - match[1].length - match[2].length;
+  return {
+    start,
+    end: start + content.slice(start, end).trimEnd().length,
+    imported,
+  };
+}
+
+/**
+ * Edit removing a specifier together with the comma that separates it
+ * from its neighbour.
+ *
+ * @param {string} content
+ * @param {{ start: number, end: number }} found
+ * @returns {Edit}
+ */
+function removeSpecifier(content, found) {
+  const after = /^\s*,\s*/.exec(content.slice(found.end));
+  if (after) {
+    return {
+      start: found.start,
+      end: found.end + after[0].length,
+      text: "",
+      kind: "import",
+    };
+  }
+  const before = /,\s*$/.exec(content.slice(0, found.start));
+  const start = before ? found.start - before[0].length : found.start;
+  return { start, end: found.end, text: "", kind: "import" };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PLANNING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Edits swapping one instance's component.  Namespace tags
+ * (`<UI.Inline>`) get the member renamed; aliased imports
+ * (`Inline as Row`) leave the tags alone, since only the import changes.
+ *
+ * @param {import("../lib/parser").JSXElementRecord} el
+ * @param {string} to - New component name.
+ * @param {boolean} aliased
+ * @returns {Edit[]}
+ */
+function componentEdits(el, to, aliased) {
+  if (aliased) return [];
+  const skip = el.member ? el.root.length + 1 : 0;
+  const edits = [
+    {
+      start: el.start + 1 + skip,
+      end: el.nameEnd,
+      text: to,
+      kind: "component",
+    },
+  ];
+  const closing = closingTagName(el);
+  if (closing) {
+    edits.push({
+      start: closing.start + skip,
+      end: closing.end,
+      text: to,
+      kind: "closing-tag",
+    });
+  }
+  return edits;
+}
+
+/**
+ * Whether a file refers to an imported name anywhere but the tag names
+ * of the instances being swapped: as a value (`styled(Inline)`,
+ * `flag ? Inline : "div"`), a type (`typeof Inline`) or the root of a
+ * member tag (`<Inline.Item>`).
+ *
+ * @param {import("../lib/parser").ParsedFile} parsed
+ * @param {string} local - Local name of the import.
+ * @param {import("../lib/parser").JSXElementRecord[]} elements - Instances being swapped.
+ * @returns {boolean}
+ */
+function usedOutsideTags(parsed, local, elements) {
+  const tags = new Set();
+  for (const el of elements) {
+    tags.add(el.nameEnd - el.name.length);
+    if (el.closingName !== null) tags.add(el.closingName);
+  }
+  return findIdentifierUses(parsed, local).some((offset) => !tags.has(offset));
+}
+
+/**
+ * Edits swapping the import specifier of a migrated component.  The old
+ * specifier is kept, next to the new one, when the file still refers to
+ * the old name outside the swapped tags (see {@link usedOutsideTags});
+ * it is removed when the new name is already imported.
+ *
+ * @param {import("../lib/parser").ParsedFile} parsed
+ * @param {import("../lib/parser").ImportRecord} record
+ * @param {import("../lib/parser").ImportSpecifier} spec
+ * @param {string} to - New component name.
+ * @param {boolean} alreadyImported - `to` is imported from the same source.
+ * @param {boolean} stillUsed - The old name is used outside the swapped tags.
+ * @returns {Edit[] | null} Null when the specifier cannot be found.
+ */
+function importEdits(parsed, record, spec, to, alreadyImported, stillUsed) {
+  const found = findSpecifier(parsed.content, record, spec);
+  if (!found) return null;
+
+  const aliased = spec.imported !== spec.local;
+  if (stillUsed) {
+    if (alreadyImported) return [];
+    return [
+      { start: found.end, end: found.end, text: `, ${to}`, kind: "import" },
+    ];
+  }
+  if (alreadyImported && !aliased) {
+    return [removeSpecifier(parsed.content, found)];
+  }
+  return [
+    {
+      start: found.imported,
+      end: found.imported + spec.imported.length,
+      text: to,
+      kind: "import",
+    },
+  ];
+}
+
+/**
+ * Plan the component swap of every instance of one local binding.
+ *
+ * @param {import("../lib/parser").ParsedFile} parsed
+ * @param {import("../lib/parser").JSXElementRecord[]} elements - Its instances.
+ * @param {string} local  - Local name as written in the tags.
+ * @param {string} source - Import source it resolves to.
+ * @param {string} to     - New component name.
+ * @returns {{ edits: Edit[], reason: string | null }}
+ */
+function planComponentSwap(parsed, elements, local, source, to) {
+  const root = local.split(".")[0];
+  let record = null;
+  let spec = null;
+  for (const r of parsed.imports) {
+    if (r.source !== source) continue;
+    const s = r.specifiers.find((x) => x.local === root);
+    if (s) {
+      record = r;
+      spec = s;
+      break;
+    }
+  }
+  if (!spec || spec.kind === "default") {
+    return { edits: [], reason: `cannot rename the default import "${root}"` };
+  }
+
+  const edits = [];
+  const namespace = spec.kind === "namespace";
+  const aliased = !namespace && spec.imported !== spec.local;
+
+  if (!namespace) {
+    const stillUsed = usedOutsideTags(parsed, spec.local, elements);
+    if (stillUsed && aliased) {
+      return {
+        edits: [],
+        reason: `"${spec.local}" is also used outside the migrated tags`,
+      };
+    }
+    const bound = parsed.imports
+      .flatMap((r) => r.specifiers.map((s) => ({ r, s })))
+      .find(({ s }) => s.local === to);
+    const alreadyImported = Boolean(
+      bound && bound.r.source === source && bound.s.imported === to,
+    );
+    if (bound && !alreadyImported && !aliased) {
+      return { edits: [], reason: `"${to}" is already bound in this file` };
+    }
+    const swap = importEdits(
+      parsed,
+      record,
+      spec,
+      to,
+      alreadyImported,
+      stillUsed,
+    );
+    if (!swap) {
+      return { edits: [], reason: `cannot find the import of "${local}"` };
+    }
+    edits.push(...swap);
+  }
+
+  for (const el of elements) edits.push(...componentEdits(el, to, aliased));
+  return { edits, reason: null };
+}
+
+/**
+ * Edit rewriting the deprecated prop of one instance, or a skip reason.
+ *
+ * @param {import("../lib/parser").JSXElementRecord} el
+ * @param {Deprecation} rule
+ * @returns {Edit | string | null}
+ */
+function planPropRewrite(el, rule) {
+  const attr = el.attributes
+    .filter((a) => a.kind !== "spread" && a.name === rule.prop)
+    .pop();
+  if (!attr) return null;
+
+  const { prop, value } = rule.migrate;
+  const name = prop || rule.prop;
+  if (prop && el.attributes.some((a) => a.name === prop)) {
+    return `<${el.name}> already sets ${prop}`;
+  }
+  if (value !== null) {
+    return {
+      start: attr.start,
+      end: attr.end,
+      text: `${name}=${formatValue(value)}`,
+      kind: "value",
+    };
+  }
+  if (!prop) return null;
+  return {
+    start: attr.start,
+    end: attr.start + attr.name.length,
+    text: prop,
+    kind: "prop",
+  };
+}
+
+/**
+ * Edits dropping the props one instance sets to their detected default.
+ * Props after a spread are kept: they override whatever the spread sets.
+ *
+ * @param {string} content
+ * @param {import("../lib/parser").JSXElementRecord} el
+ * @param {Object<string, string>} defaults - prop → normalized default.
+ * @returns {Edit[]}
+ */
+function planDefaultDrops(content, el, defaults) {
+  const edits = [];
+  for (const attr of el.attributes) {
+    if (attr.kind === "spread") break;
+    if (!Object.prototype.hasOwnProperty.call(defaults, attr.name)) continue;
+    if (normalizeValue(classifyValue(attr.value)) !== defaults[attr.name]) {
+      continue;
+    }
+    let start = attr.start;
+    while (start > 0 && /\s/.test(content[start - 1])) start--;
+    edits.push({ start, end: attr.end, text: "", kind: "default" });
+  }
+  return edits;
+}
+
+/**
+ * Plan every rewrite for one file.  Deprecation rewrites take priority
+ * over dropped defaults where they touch the same attribute.
+ *
+ * @param {import("../lib/parser").ParsedFile} parsed
+ * @param {Deprecation[]} [rules=DEPRECATIONS] - Entries without `migrate` are ignored.
+ * @param {DefaultsMap} [defaults={}]
+ * @param {import("../lib/context").AnalysisContext} [ctx]
+ * @returns {FilePlan}
+ */
+function planEdits(parsed, rules = DEPRECATIONS, defaults = {}, ctx) {
+  const migrations = rules.filter((rule) => rule.migrate);
+  const fileResult = analyzeFileContent(parsed, ctx);
+  const byStart = new Map(parsed.elements.map((el) => [el.start, el]));
+  const edits = [];
+  const skipped = [];
+
+  // Component swaps are planned per local binding, since they share
+  // the import specifier.
+  /** @type {Map<string, { to: string, elements: object[] }>} */
+  const swaps = new Map();
+
+  const { matches } = findDeprecations(
+    fileResult,
+    migrations,
+    ctx ? ctx.identifyLibrary : identifyLibrary,
+  );
+  for (const { instance, rules: matched } of matches) {
+    const el = byStart.get(instance.startOffset);
+    for (const i of matched) {
+      const rule = migrations[i];
+      if (rule.prop === null) {
+        if (!rule.migrate.component) continue;
+        if (instance.viaReExport) {
+          skipped.push({
+            line: instance.line,
+            reason: `<${instance.local}> is imported through ${instance.viaReExport}`,
+          });
+          continue;
+        }
+        const swap = swaps.get(instance.local) || {
+          to: rule.migrate.component,
+          elements: [],
+        };
+        swap.elements.push(el);
+        swaps.set(instance.local, swap);
+        continue;
+      }
+      const rewrite = planPropRewrite(el, rule);
+      if (typeof rewrite === "string") {
+        skipped.push({ line: instance.line, reason: rewrite });
+      } else if (rewrite) {
+        edits.push(rewrite);
+      }
+    }
+  }
+
+  for (const [local, { to, elements }] of swaps) {
+    const planned = planComponentSwap(
+      parsed,
+      elements,
+      local,
+      fileResult.sourceMap[local],
+      to,
+    );
+    if (planned.reason) {
+      for (const el of elements) {
+        skipped.push({ line: el.line, reason: planned.reason });
+      }
+    }
+    edits.push(...planned.edits);
+  }
+
+  for (const instance of fileResult.instances) {
+    const own = defaults[instance.component];
+    if (!own) continue;
+    edits.push(
+      ...planDefaultDrops(
+        parsed.content,
+        byStart.get(instance.startOffset),
+        own,
+      ),
+    );
+  }
+
+  return {
+    edits: resolveOverlaps(edits),
+    skipped: skipped.sort((a, b) => a.line - b.line),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DEFAULTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Keep the detected defaults at or above a confidence level, keyed the
+ * way {@link planEdits} expects them.
+ *
+ * @param {import("../per-component/detect-prop-defaults").DetectedDefault[]} detected
+ * @param {string} [threshold="high"]
+ * @returns {DefaultsMap}
+ */
+function selectDefaults(detected, threshold = "high") {
+  const max = CONFIDENCE_LEVELS.indexOf(threshold);
+
+  /** @type {DefaultsMap} */
+  const defaults = {};
+  for (const d of detected) {
+    if (CONFIDENCE_LEVELS.indexOf(d.confidence) > max) continue;
+    defaults[d.component] = defaults[d.component] || {};
+    defaults[d.component][d.prop] = d.value;
+  }
+  return defaults;
+}
+
+/**
+ * Detect the defaults in the per-component detail reports and keep
+ * those at or above a confidence level.
+ *
+ * @param {string} [reportsDir=REPORTS_ROOT]
+ * @param {string} [threshold="high"]
+ * @returns {DefaultsMap}
+ * @throws {Error} When the per-component reports are missing.
+ */
+function loadDefaults(reportsDir = REPORTS_ROOT, threshold = "high") {
+  const dir = path.join(reportsDir, "components", "detail");
+  if (!fs.existsSync(dir)) {
+    throw new Error(
+      `No per-component reports in ${dir} — run \`npm run analyze:per-component\` first.`,
+    );
+  }
+  return selectDefaults(detectAllDefaults(reportsDir), threshold);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PIPELINE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Create the migrate analyzer.  Planning runs in `analyze` (and so in
+ * worker threads); the rewritten content of every changed file is
+ * exposed as `changes`.
+ *
+ * @param {Deprecation[]} [rules=DEPRECATIONS]
+ * @param {DefaultsMap} [defaults={}]
+ * @returns {import("../lib/pipeline").Analyzer & { changes: FileChange[] }}
+ */
+function createAnalyzer(rules = DEPRECATIONS, defaults = {}) {
+  /** @type {FileChange[]} */
+  const changes = [];
+
+  return {
+    name: "migrate",
+    worker: { module: __filename, args: [rules, defaults] },
+    changes,
+
+    analyze(file) {
+      const plan = planEdits(file.parsed, rules, defaults);
+      return plan.edits.length > 0 || plan.skipped.length > 0 ? plan : null;
+    },
+
+    file(file, plan) {
+      if (!plan) return;
+      changes.push({
+        path: file.path,
+        codebase: file.codebase,
+        relPath: file.relPath,
+        before: file.content,
+        after: applyEdits(file.content, plan.edits),
+        edits: plan.edits,
+        skipped: plan.skipped,
+      });
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Summary lines: edits by kind, then every skipped instance.
+ *
+ * @param {FileChange[]} changes
+ * @returns {string[]}
+ */
+function formatSummary(changes) {
+  /** @type {Object<string, number>} */
+  const counts = {};
+  let files = 0;
+  for (const change of changes) {
+    if (change.edits.length > 0) files++;
+    for (const edit of change.edits) incr(counts, edit.kind);
+  }
+
+  const lines = [`${files} file(s) migrated`];
+  for (const [kind, label] of Object.entries(SUMMARY_KINDS)) {
+    if (counts[kind])
+      lines.push(`  ${String(counts[kind]).padStart(6)}  ${label}`);
+  }
+
+  const skipped = changes.flatMap((c) =>
+    c.skipped.map((s) => `  ${c.codebase}/${c.relPath}:${s.line}  ${s.reason}`),
+  );
+  if (skipped.length > 0) {
+    lines.push("", `${skipped.length} instance(s) need a manual migration:`);
+    lines.push(...skipped);
+  }
+  return lines;
+}
+
+/**
+ * Parse command-line arguments.
+ *
+ * @param {string[]} argv
+ * @returns {{ dryRun: boolean, dropDefaults: boolean, confidence: string, reports: string }}
+ * @throws {Error} On unknown arguments or confidence levels.
+ */
+function parseArgs(argv) {
+  const options = {
+    dryRun: false,
+    dropDefaults: false,
+    confidence: "high",
+    reports: REPORTS_ROOT,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--dry-run") {
+      options.dryRun = true;
+    } else if (argv[i] === "--drop-defaults") {
+      options.dropDefaults = true;
+    } else if (argv[i] === "--confidence") {
+      if (!CONFIDENCE_LEVELS.includes(argv[i + 1])) {
+        throw new Error(
+          `--confidence requires one of ${CONFIDENCE_LEVELS.join(", ")}.`,
+        );
+      }
+      options.confidence = argv[++i];
+    } else if (argv[i] === "--reports") {
+      if (!argv[i + 1]) throw new Error("--reports requires a directory.");
+      options.reports = path.resolve(argv[++i]);
+    } else {
+      throw new Error(`Unknown argument "${argv[i]}".`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Plan and apply the rewrites across every codebase, then print the
+ * summary.  With `dryRun`, the unified diff goes to stdout (so it can
+ * be piped into `git apply`) and the summary to stderr.
+ *
+ * @param {Deprecation[]} rules
+ * @param {DefaultsMap} defaults
+ * @param {boolean} dryRun
+ * @returns {Promise<FileChange[]>}
+ */
+async function runMigration(rules, defaults, dryRun) {
+  const analyzer = createAnalyzer(rules, defaults);
+  await collect([analyzer], { quiet: true });
+
+  const log = dryRun ? console.error : console.log;
+  for (const change of analyzer.changes) {
+    if (change.before === change.after) continue;
+    if (dryRun) {
+      const file = path.relative(process.cwd(), change.path);
+      process.stdout.write(unifiedDiff(change.before, change.after, file));
+    } else {
+      fs.writeFileSync(change.path, change.after);
+    }
+  }
+
+  for (const line of formatSummary(analyzer.changes)) log(line);
+  if (dryRun) log("\n(dry run — no files were written)");
+  return analyzer.changes;
+}
+
+/**
+ * Main entry point.  Returns the exit code.
+ *
+ * @param {string[]} [argv=process.argv.slice(2)]
+ * @returns {Promise<number>}
+ */
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  let defaults = {};
+  try {
+    options = parseArgs(argv);
+    if (options.dropDefaults)
+      defaults = loadDefaults(options.reports, options.confidence);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    return 1;
+  }
+
+  const rules = DEPRECATIONS.filter((rule) => rule.migrate);
+  if (rules.length === 0 && !options.dropDefaults) {
+    console.log(
+      "No migrations configured — add `migrate` to a deprecation in component-analytics.config.js.",
+    );
+    return 0;
+  }
+
+  await runMigration(rules, defaults, options.dryRun);
+  return 0;
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main().then(
+    (code) => process.exit(code),
+    (err) => {
+      console.error("❌ Migration failed:", err);
+      process.exit(1);
+    },
+  );
+}
+
+module.exports = {
+  // Constants
+  CONFIDENCE_LEVELS,
+
+  // Source helpers
+  formatValue,
+  closingTagName,
+  findSpecifier,
+
+  // Planning
+  planEdits,
+
+  // Defaults
+  selectDefaults,
+  loadDefaults,
+
+  // Pipeline
+  createAnalyzer,
+
+  // CLI
+  formatSummary,
+  runMigration,
+  parseArgs,
+  main,
+};
@@ -13,6 +13,9 @@
  *   3. **Prop usage** — which props are used and how often
  *   4. **Prop value usage** — for each prop, which values are passed
  *   5. **References** — file path and line number for every instance
+ *   6. **Effective instances** — instances plus those rendered through
+ *      internal wrappers (`<PrimaryButton>` counts as a `<Button>`),
+ *      following up to `wrapperDepth` wrappers per chain
  *
  * Reports are written to `reports/per-component/` as:
  *   - One JSON file per component  (`Button.json`, `Card.json`, …)
@@ -33,6 +36,7 @@ const {
   CODEBASES,
   TRACKED_COMPONENTS,
   UI_LIBRARY_NAMES,
+  WRAPPER_DEPTH,
   isTrackedUISource,
   identifyComponentLibrary,
   identifyLibrary,
@@ -43,64 +47,30 @@ const {
   KNOWN_AS_DEFAULTS,
 } = require("./detect-prop-defaults");
 const { sortByCount, incr, pct } = require("../lib/utils");
+const { ensureDir, reportDir } = require("../lib/files");
+const { toParsed } = require("../lib/parser");
 const {
-  codebaseExists,
-  findFiles,
-  readSafe,
-  ensureDir,
-  reportDir,
-} = require("../lib/files");
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// LINE NUMBER UTILITY
-// ═══════════════════════════════════════════════════════════════════════════════
+  lineNumberAt,
+  extractImports,
+  namedImportSpecifiers,
+  findTagEnd,
+  parseProps,
+} = require("../lib/legacy-extraction");
+const { runPipeline } = require("../lib/pipeline");
+const { resolveReExport } = require("../lib/resolver");
+const { loadDeclarations, apiSurface } = require("../lib/declarations");
 
 /**
- * Compute the 1-based line number for a character offset in a string.
- *
- * Counts the number of newline characters before `offset` and adds 1.
- * Returns `1` if `offset` is 0 or negative.
- *
- * @param {string} content - Full file content.
- * @param {number} offset  - Character index (0-based).
- * @returns {number} 1-based line number.
+ * Wrapper detection lives in the wrapper-discovery step, which builds on
+ * this module — so it is required on first use.
  */
-function lineNumberAt(content, offset) {
-  if (offset <= 0) return 1;
-  let line = 1;
-  for (let i = 0; i < offset && i < content.length; i++) {
-    if (content[i] === "\n") line++;
-  }
-  return line;
-}
+const wrapperDiscovery = () =>
+  require("../wrapper-discovery/analyze-wrapper-discovery");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // EXTRACTION — imports
 // ═══════════════════════════════════════════════════════════════════════════════
 
-/**
- * Extract all ES import statements from file content.
- *
- * Returns the raw named-imports string, default import name, and
- * source path for each statement.
- *
- * @param {string} content - File content.
- * @returns {Array<{ namedImports: string | null, defaultImport: string | null, source: string }>}
- */
-function extractImports(content) {
-  const regex = /import\s+(?:\{([^}]+)\}|(\w+))\s+from\s+['"]([^'"]+)['"]/g;
-  const results = [];
-  let m;
-  while ((m = regex.exec(content)) !== null) {
-    results.push({
-      namedImports: m[1] || null,
-      defaultImport: m[2] || null,
-      source: m[3],
-    });
-  }
-  return results;
-}
-
 /**
  * Parse named imports into an array of `{ original, local }` pairs.
  *
@@ -108,44 +78,65 @@ function extractImports(content) {
  *   - `Button`           → `{ original: "Button", local: "Button" }`
  *   - `Button as Btn`    → `{ original: "Button", local: "Btn" }`
  *
- * Only PascalCase names are returned.
+ * Only PascalCase value imports are returned.
  *
  * @param {string} namedImportsStr - The string inside `{ }`.
  * @returns {Array<{ original: string, local: string }>}
  */
 function parseNamedImports(namedImportsStr) {
-  if (!namedImportsStr) return [];
-
-  const results = [];
-  for (const raw of namedImportsStr.split(",")) {
-    const trimmed = raw.trim();
-    if (!trimmed) continue;
-
-    const parts = trimmed.split(/\s+as\s+/);
-    const original = parts[0].trim();
-    const local = (parts[1] || parts[0]).trim();
-
-    if (original && /^[A-Z]/.test(original)) {
-      results.push({ original, local });
-    }
-  }
-  return results;
+  return namedImportSpecifiers(namedImportsStr)
+    .filter((s) => /^[A-Z]/.test(s.imported))
+    .map((s) => ({ original: s.imported, local: s.local }));
 }
 
 /**
  * @typedef {object} TrackedImportMap
- * @property {Object<string, string>} components - local JSX name → original tracked UI library export name.
- * @property {Object<string, string>} sources    - local JSX name → import source path (e.g. "@sanity/ui").
+ * @property {Object<string, string>} components - JSX tag name → original tracked UI library export name.
+ * @property {Object<string, string>} sources    - JSX tag name → import source path (e.g. "@sanity/ui").
+ * @property {Object<string, string>} reExports  - JSX tag name → local barrel it was imported through
+ *   (e.g. "../ui"), for components that reach the tracked library via re-exports.
  */
 
 /**
- * Build a map of tracked UI library components imported in a file.
+ * Name a default import is credited to.
+ *
+ * Subpath imports such as `import Button from "@mui/material/Button"`
+ * are credited to the module's last path segment when it is
+ * PascalCase; otherwise the local binding name is used.
+ *
+ * @param {string} source - Import source path.
+ * @param {string} local  - Local binding name.
+ * @returns {string}
+ */
+function defaultImportName(source, local) {
+  const last = source.split("/").pop();
+  return /^[A-Z]/.test(last) ? last : local;
+}
+
+/**
+ * Build a map of tracked UI library components used in a file.
  *
  * Returns both the component name mapping and the import source path
- * for each local name.  The source path is used downstream to resolve
+ * for each JSX tag name.  The source path is used downstream to resolve
  * the package version from the nearest `package.json`.
  *
- * @param {string} content - File content.
+ * Resolves every import form:
+ *   - named / aliased     `import { Card as UICard }`  → `UICard`    → `Card`
+ *   - default             `import Button from "…/Button"` → `Button` → `Button`
+ *   - namespace           `import * as UI` + `<UI.Card>` → `UI.Card`  → `Card`
+ *   - compound components `<Menu.Item>` (Menu tracked)  → `Menu.Item` → `Menu.Item`
+ *
+ * Member-expression keys only appear when the file actually renders
+ * them, since a namespace import alone does not say which exports are
+ * used.
+ *
+ * When the file was parsed with a filename, imports from local modules
+ * (relative paths and tsconfig `paths` aliases) are followed through
+ * re-export barrels (`export { Button } from "@sanity/ui"`,
+ * `export * from …`).  Components found that way are credited to the
+ * tracked library and listed in `reExports`.
+ *
+ * @param {string|import("../lib/parser").ParsedFile} content - File content, or an already parsed file.
  * @param {import("../lib/context").AnalysisContext} [ctx] - Analysis context.
  *   Falls back to the module-scoped constants when omitted (CLI path).
  * @returns {TrackedImportMap}
@@ -154,167 +145,108 @@ function buildTrackedUIImportMap(content, ctx) {
   const _isTrackedUISource = ctx ? ctx.isTrackedUISource : isTrackedUISource;
   const _trackedComponents = ctx ? ctx.trackedComponents : TRACKED_COMPONENTS;
 
-  const imports = extractImports(content);
+  const parsed = toParsed(content);
   /** @type {Object<string, string>} */
   const components = {};
   /** @type {Object<string, string>} */
   const sources = {};
+  /** @type {Object<string, string>} */
+  const reExports = {};
+  /** @type {Object<string, string>} namespace local → import source */
+  const namespaces = {};
+  /** @type {Object<string, string>} namespace local → barrel import source */
+  const barrelNamespaces = {};
+  const filename = parsed.filename;
+
+  // When trackedComponents is empty, track every PascalCase import
+  // from a tracked source (i.e. the config didn't list specific
+  // components, meaning "track all").
+  const trackAll = _trackedComponents.length === 0;
+  const isTracked = (name) =>
+    /^[A-Z]/.test(name) && (trackAll || _trackedComponents.includes(name));
+
+  /** Follow a local barrel to a tracked export, or return null. */
+  const viaBarrel = (source, importedName) => {
+    const target = resolveReExport(
+      filename,
+      source,
+      importedName,
+      _isTrackedUISource,
+    );
+    return target && isTracked(target.original) ? target : null;
+  };
 
-  for (const imp of imports) {
-    if (!_isTrackedUISource(imp.source)) continue;
-
-    for (const { original, local } of parseNamedImports(imp.namedImports)) {
-      // When trackedComponents is empty, track every PascalCase import
-      // from a tracked source (i.e. the config didn't list specific
-      // components, meaning "track all").
-      const trackAll = _trackedComponents.length === 0;
-      if (trackAll || _trackedComponents.includes(original)) {
-        components[local] = original;
-        sources[local] = imp.source;
-      }
-    }
-  }
-
-  return { components, sources };
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// EXTRACTION — JSX props
-// ═══════════════════════════════════════════════════════════════════════════════
+  for (const imp of parsed.imports) {
+    if (!_isTrackedUISource(imp.source)) {
+      if (!filename) continue;
 
-/**
- * Find the end of a JSX opening tag, respecting nested `{…}` expressions.
- *
- * Returns the index of the closing `>` or `/>`, or `-1`.
- *
- * @param {string} content  - File content.
- * @param {number} startIdx - Position right after the tag name.
- * @returns {number}
- */
-function findTagEnd(content, startIdx) {
-  let depth = 0;
-  for (let i = startIdx; i < content.length; i++) {
-    if (content[i] === "{") {
-      depth++;
-    } else if (content[i] === "}") {
-      depth--;
-    } else if (depth === 0 && content[i] === ">") {
-      return i;
-    }
-  }
-  return -1;
-}
-
-/**
- * Parse props from a JSX opening-tag body string.
- *
- * Returns an array of `{ name, value }` objects where `value` is:
- *   - The string literal for `prop="value"` / `prop='value'`
- *   - The expression string for `prop={expr}`
- *   - `true` for boolean shorthand props (`disabled`, `border`)
- *
- * Spread attributes (`{...props}`) are skipped.
- *
- * @param {string} tagBody - Everything between `<Component` and `>` / `/>`.
- * @returns {Array<{ name: string, value: string }>}
- */
-function parseProps(tagBody) {
-  const props = [];
-  let i = 0;
-  const len = tagBody.length;
-
-  while (i < len) {
-    // Skip whitespace
-    while (i < len && /\s/.test(tagBody[i])) i++;
-    if (i >= len) break;
-
-    // Skip self-closing slash at end
-    if (tagBody[i] === "/") break;
-
-    // Skip spread: {...expr}
-    if (tagBody[i] === "{") {
-      let depth = 1;
-      i++;
-      while (i < len && depth > 0) {
-        if (tagBody[i] === "{") depth++;
-        else if (tagBody[i] === "}") depth--;
-        i++;
+      for (const spec of imp.specifiers) {
+        if (spec.typeOnly || spec.kind === "default") continue;
+        if (spec.kind === "namespace") {
+          barrelNamespaces[spec.local] = imp.source;
+          continue;
+        }
+        const target = viaBarrel(imp.source, spec.imported);
+        if (target) {
+          components[spec.local] = target.original;
+          sources[spec.local] = target.source;
+          reExports[spec.local] = imp.source;
+        }
       }
       continue;
     }
 
-    // Read prop name (must start with a letter or _ or $)
-    if (!/[a-zA-Z_$]/.test(tagBody[i])) {
-      i++;
-      continue;
-    }
-
-    let nameStart = i;
-    while (i < len && /[a-zA-Z0-9_$-]/.test(tagBody[i])) i++;
-    const propName = tagBody.slice(nameStart, i);
+    for (const spec of imp.specifiers) {
+      if (spec.typeOnly) continue;
 
-    // Skip whitespace before potential =
-    while (i < len && /\s/.test(tagBody[i])) i++;
+      if (spec.kind === "namespace") {
+        namespaces[spec.local] = imp.source;
+        continue;
+      }
 
-    if (i >= len || tagBody[i] !== "=") {
-      // Boolean shorthand prop: <Card border>
-      props.push({ name: propName, value: "true" });
-      continue;
+      const original =
+        spec.kind === "default"
+          ? defaultImportName(imp.source, spec.local)
+          : spec.imported;
+      if (isTracked(original)) {
+        components[spec.local] = original;
+        sources[spec.local] = imp.source;
+      }
     }
+  }
 
-    // Skip the '='
-    i++;
-    // Skip whitespace after =
-    while (i < len && /\s/.test(tagBody[i])) i++;
-
-    if (i >= len) {
-      props.push({ name: propName, value: "true" });
-      break;
-    }
+  // Member-expression tags: <UI.Card> through a namespace, and
+  // compound components such as <Menu.Item> on a tracked root.
+  for (const el of parsed.elements) {
+    if (el.member === null || components[el.name]) continue;
 
-    let value;
-
-    if (tagBody[i] === '"') {
-      // Double-quoted string: prop="value"
-      // Wrap in single quotes so classifyValue knows this was a literal.
-      i++; // skip opening "
-      let valStart = i;
-      while (i < len && tagBody[i] !== '"') i++;
-      value = "'" + tagBody.slice(valStart, i) + "'";
-      i++; // skip closing "
-    } else if (tagBody[i] === "'") {
-      // Single-quoted string: prop='value'
-      // Keep the quotes so classifyValue knows this was a literal.
-      i++;
-      let valStart = i;
-      while (i < len && tagBody[i] !== "'") i++;
-      value = "'" + tagBody.slice(valStart, i) + "'";
-      i++;
-    } else if (tagBody[i] === "{") {
-      // Expression: prop={expr}
-      i++; // skip {
-      let depth = 1;
-      let valStart = i;
-      while (i < len && depth > 0) {
-        if (tagBody[i] === "{") depth++;
-        else if (tagBody[i] === "}") depth--;
-        if (depth > 0) i++;
+    const [head, ...rest] = el.member.split(".");
+    if (namespaces[el.root]) {
+      if (isTracked(head)) {
+        components[el.name] = el.member;
+        sources[el.name] = namespaces[el.root];
+      }
+    } else if (barrelNamespaces[el.root]) {
+      const target = viaBarrel(barrelNamespaces[el.root], head);
+      if (target) {
+        components[el.name] = [target.original, ...rest].join(".");
+        sources[el.name] = target.source;
+        reExports[el.name] = barrelNamespaces[el.root];
       }
-      value = tagBody.slice(valStart, i).trim();
-      i++; // skip closing }
-    } else {
-      // Bare value (shouldn't happen in valid JSX, but be safe)
-      let valStart = i;
-      while (i < len && !/[\s/>]/.test(tagBody[i])) i++;
-      value = tagBody.slice(valStart, i);
+    } else if (components[el.root]) {
+      components[el.name] = `${components[el.root]}.${el.member}`;
+      sources[el.name] = sources[el.root];
+      if (reExports[el.root]) reExports[el.name] = reExports[el.root];
     }
-
-    props.push({ name: propName, value });
   }
 
-  return props;
+  return { components, sources, reExports };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXTRACTION — JSX props
+// ═══════════════════════════════════════════════════════════════════════════════
+
 /**
  * Classify a prop value into a human-readable category.
  *
@@ -546,11 +478,21 @@ function normalizeValue(classified) {
 /**
  * @typedef {object} ComponentInstance
  * @property {string}                     component   - Original tracked UI library name.
+ * @property {string}                     local       - Name as written in the JSX (a key of the file's `importMap`).
  * @property {Array<{ name: string, value: string }>} props - Parsed props.
  * @property {boolean}                    hasChildren - `true` when the tag has children (`<C>…</C>`), `false` when self-closing (`<C />`).
  * @property {number}                     line        - 1-based line number in the source file.
  * @property {number}                     startOffset - Character offset of the opening `<`.
  * @property {number}                     endOffset   - Character offset just past the closing `>` of the opening tag.
+ * @property {string|null}                viaReExport - Local barrel the component was imported through, or null for direct imports.
+ * @property {NestedElement|null}         parent      - Closest enclosing JSX element, or null at the top of a tree.
+ * @property {NestedElement[]}            children    - JSX elements directly inside this instance.
+ */
+
+/**
+ * @typedef {object} NestedElement
+ * @property {string} name - Original name for tracked components, else the tag as written.
+ * @property {"tracked"|"internal"|"html"} kind - What the element is.
  */
 
 /**
@@ -558,68 +500,74 @@ function normalizeValue(classified) {
  * @property {Object<string, string>}  importMap  - local → original for tracked UI library imports.
  * @property {Object<string, string>}  sourceMap  - local → import source path (e.g. "@sanity/ui").
  * @property {ComponentInstance[]}      instances  - Every tracked UI library JSX instance.
+ * @property {Object<string, string>}  [reExports] - local → barrel source for components imported via re-export.
  */
 
 /**
  * Analyse one file and return every tracked UI library component instance with
  * its parsed props and source line number.
  *
- * @param {string} content - File content.
+ * @param {string|import("../lib/parser").ParsedFile} content - File content, or
+ *   an already parsed file.
+ * @param {import("../lib/context").AnalysisContext} [ctx] - Analysis context.
  * @returns {FileResult}
  */
 function analyzeFileContent(content, ctx) {
-  const { components: importMap, sources: sourceMap } = buildTrackedUIImportMap(
-    content,
-    ctx,
-  );
-  const localNames = Object.keys(importMap);
+  const parsed = toParsed(content);
+  const {
+    components: importMap,
+    sources: sourceMap,
+    reExports,
+  } = buildTrackedUIImportMap(parsed, ctx);
+
+  if (Object.keys(importMap).length === 0) {
+    return { importMap, sourceMap, reExports, instances: [] };
+  }
 
-  if (localNames.length === 0) {
-    return { importMap, sourceMap, instances: [] };
+  /**
+   * Classify an element as a tracked component, internal component or
+   * HTML tag for the composition analysis.
+   *
+   * @param {import("../lib/parser").JSXElementRecord} el
+   * @returns {NestedElement}
+   */
+  function nestedElement(el) {
+    if (Object.prototype.hasOwnProperty.call(importMap, el.name)) {
+      return { name: importMap[el.name], kind: "tracked" };
+    }
+    return { name: el.name, kind: el.intrinsic ? "html" : "internal" };
   }
 
+  /** @type {NestedElement[][]} Direct children of each element, by index. */
+  const children = parsed.elements.map(() => []);
+  parsed.elements.forEach((el) => {
+    if (el.parent !== null) children[el.parent].push(nestedElement(el));
+  });
+
   /** @type {ComponentInstance[]} */
   const instances = [];
 
-  // Build a regex that matches `<LocalName` for any imported tracked UI library component
-  const pattern = localNames.map(escapeRegex).join("|");
-  const tagRegex = new RegExp(`<(${pattern})\\b`, "g");
-
-  let openMatch;
-  while ((openMatch = tagRegex.exec(content)) !== null) {
-    const localName = openMatch[1];
-    const original = importMap[localName];
-    const bodyStart = openMatch.index + openMatch[0].length;
-    const tagEnd = findTagEnd(content, bodyStart);
-
-    if (tagEnd === -1) continue;
+  parsed.elements.forEach((el, index) => {
+    if (!Object.prototype.hasOwnProperty.call(importMap, el.name)) return;
 
-    const tagBody = content.slice(bodyStart, tagEnd);
-    const props = parseProps(tagBody);
-
-    const line = lineNumberAt(content, openMatch.index);
-    const selfClosing = tagEnd > 0 && content[tagEnd - 1] === "/";
     instances.push({
-      component: original,
-      props,
-      hasChildren: !selfClosing,
-      line,
-      startOffset: openMatch.index,
-      endOffset: tagEnd + 1,
+      component: importMap[el.name],
+      local: el.name,
+      props: el.attributes
+        .filter((a) => a.kind !== "spread")
+        .map((a) => ({ name: a.name, value: a.value })),
+      hasChildren: el.hasChildren,
+      line: el.line,
+      startOffset: el.start,
+      endOffset: el.end,
+      viaReExport: reExports[el.name] || null,
+      parent:
+        el.parent === null ? null : nestedElement(parsed.elements[el.parent]),
+      children: children[index],
     });
-  }
-
-  return { importMap, sourceMap, instances };
-}
+  });
 
-/**
- * Escape special regex characters in a string.
- *
- * @param {string} s
- * @returns {string}
- */
-function escapeRegex(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return { importMap, sourceMap, reExports, instances };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -633,6 +581,7 @@ function escapeRegex(s) {
  * @property {number}                 unsetInstances  - instances where this prop was not set.
  * @property {number}                 defaultUsages   - times the prop was set to its known default value.
  * @property {string|null}            defaultValue    - the known default value (null if unknown).
+ * @property {string|null}            defaultSource   - `"declared"` or `"inferred"` (null if unknown).
  */
 
 /**
@@ -642,6 +591,18 @@ function escapeRegex(s) {
  * @property {string}      codebase       - Which codebase the file belongs to.
  * @property {string}      sourceCode     - The JSX opening tag source, collapsed to a single line.
  * @property {string|null} packageVersion - Declared version of the import source package, or null.
+ * @property {string}      [viaReExport]  - Present when the component was imported through a local
+ *   re-export barrel; the import source as written (e.g. `"../ui"`).
+ * @property {import("../wrapper-discovery/analyze-wrapper-discovery").WrapperLink[]} [via]
+ *   Present on wrapper references: the internal wrappers between this
+ *   element and the component, outermost first.
+ */
+
+/**
+ * @typedef {object} NestingCounts
+ * @property {Object<string, number>} tracked  - Tracked component name → count.
+ * @property {Object<string, number>} internal - Internal component name → count.
+ * @property {Object<string, number>} html     - HTML tag → count.
  */
 
 /**
@@ -654,7 +615,14 @@ function escapeRegex(s) {
  * @property {Object<string, number>}          codebaseImports - Imports per codebase.
  * @property {Object<string, number>}          codebaseInstances - Instances per codebase.
  * @property {InstanceReference[]}             references      - File + line for every instance.
+ * @property {number}                          wrappedInstances - Instances of internal wrappers that render this component.
+ * @property {Object<string, number>}          codebaseWrappedInstances - Wrapped instances per codebase.
+ * @property {InstanceReference[]}             wrapperReferences - File + line + wrapper chain for every wrapped instance.
+ * @property {NestingCounts}                   parents         - Direct parent elements of the instances.
+ * @property {NestingCounts}                   children        - Elements directly inside the instances.
  * @property {number}                          totalDefaultUsages - Total times any prop was set to its default.
+ * @property {Object<string, import("../lib/declarations").PropDeclaration>} [declaredProps]
+ *   Props declared in the library's types, when `declarations` is set.
  */
 
 /**
@@ -677,6 +645,11 @@ function createEmptyReport(component, ctx) {
     codebaseImports: {},
     codebaseInstances: {},
     references: [],
+    wrappedInstances: 0,
+    codebaseWrappedInstances: {},
+    wrapperReferences: [],
+    parents: { tracked: {}, internal: {}, html: {} },
+    children: { tracked: {}, internal: {}, html: {} },
     totalDefaultUsages: 0,
   };
 }
@@ -699,6 +672,7 @@ function recordProp(report, propName, rawValue) {
       totalUsages: 0,
       defaultUsages: 0,
       defaultValue: null,
+      defaultSource: null,
     };
   }
   report.props[propName].totalUsages++;
@@ -716,10 +690,18 @@ function recordProp(report, propName, rawValue) {
  * This is called once after ALL files have been processed, so the
  * detection heuristics have complete usage data to work with.
  *
+ * Components with `declarations` also get their declared props attached
+ * as `declaredProps`, and declared defaults take precedence.
+ *
  * @param {Object<string, ComponentReport>} reports - Keyed by component name.
+ * @param {Object<string, import("../lib/declarations").ComponentDeclaration>} [declarations={}]
+ *   Declared props by component.
  */
-function applyAutoDetectedDefaults(reports) {
+function applyAutoDetectedDefaults(reports, declarations = {}) {
   for (const [component, report] of Object.entries(reports)) {
+    const declared = declarations[component] || null;
+    if (declared) report.declaredProps = declared.props;
+
     for (const [propName, bucket] of Object.entries(report.props)) {
       // Skip event handlers, keys, refs, data-/aria- attributes
       if (
@@ -738,6 +720,7 @@ function applyAutoDetectedDefaults(reports) {
         propName,
         bucket,
         report.totalInstances,
+        declared ? declared.props[propName] || null : null,
       );
 
       if (
@@ -745,6 +728,7 @@ function applyAutoDetectedDefaults(reports) {
         (detected.confidence === "high" || detected.confidence === "medium")
       ) {
         bucket.defaultValue = detected.value;
+        bucket.defaultSource = detected.source;
         bucket.defaultUsages = detected.count;
         report.totalDefaultUsages += detected.count;
       }
@@ -766,6 +750,59 @@ function extractSourceSnippet(content, startOffset, endOffset) {
   return content.slice(startOffset, endOffset).replace(/\s+/g, " ").trim();
 }
 
+/**
+ * Build the reference for one component instance: where it is, the
+ * declared version of its import source and a snippet of its opening
+ * tag.
+ *
+ * @param {FileResult}        fileResult
+ * @param {ComponentInstance} instance
+ * @param {string}            codebase
+ * @param {string}            filePath           - Path relative to codebase root.
+ * @param {string}            [content]          - Full file content (for `sourceCode`).
+ * @param {string}            [absoluteFilePath] - Absolute path (for `packageVersion`).
+ * @returns {InstanceReference}
+ */
+function createInstanceReference(
+  fileResult,
+  instance,
+  codebase,
+  filePath,
+  content,
+  absoluteFilePath,
+) {
+  // Resolve the package version for this instance's import source
+  let packageVersion = null;
+  if (absoluteFilePath && fileResult.sourceMap) {
+    // Find the local name that maps to this component's original name
+    for (const [local, original] of Object.entries(fileResult.importMap)) {
+      if (original === instance.component && fileResult.sourceMap[local]) {
+        const { resolveVersion } = require("../lib/version");
+        packageVersion =
+          resolveVersion(absoluteFilePath, fileResult.sourceMap[local]) || null;
+        break;
+      }
+    }
+  }
+
+  const ref = {
+    file: filePath,
+    packageVersion,
+    line: instance.line,
+    codebase,
+    sourceCode: "",
+  };
+  if (instance.viaReExport) ref.viaReExport = instance.viaReExport;
+  if (content && instance.startOffset != null && instance.endOffset != null) {
+    ref.sourceCode = extractSourceSnippet(
+      content,
+      instance.startOffset,
+      instance.endOffset,
+    );
+  }
+  return ref;
+}
+
 /**
  * Merge one file's results into the global per-component reports.
  *
@@ -822,45 +859,65 @@ function mergeFileResult(
     incr(report.codebaseInstances, codebase);
 
     if (filePath) {
-      // Resolve the package version for this instance's import source
-      let packageVersion = null;
-      if (absoluteFilePath && fileResult.sourceMap) {
-        // Find the local name that maps to this component's original name
-        for (const [local, original] of Object.entries(fileResult.importMap)) {
-          if (original === instance.component && fileResult.sourceMap[local]) {
-            const { resolveVersion } = require("../lib/version");
-            packageVersion =
-              resolveVersion(absoluteFilePath, fileResult.sourceMap[local]) ||
-              null;
-            break;
-          }
-        }
-      }
-
-      const ref = {
-        file: filePath,
-        packageVersion,
-        line: instance.line,
-        codebase,
-        sourceCode: "",
-      };
-      if (
-        content &&
-        instance.startOffset != null &&
-        instance.endOffset != null
-      ) {
-        ref.sourceCode = extractSourceSnippet(
+      report.references.push(
+        createInstanceReference(
+          fileResult,
+          instance,
+          codebase,
+          filePath,
           content,
-          instance.startOffset,
-          instance.endOffset,
-        );
-      }
-      report.references.push(ref);
+          absoluteFilePath,
+        ),
+      );
     }
 
     for (const prop of instance.props) {
       recordProp(report, prop.name, prop.value);
     }
+
+    if (instance.parent) {
+      incr(report.parents[instance.parent.kind], instance.parent.name);
+    }
+    for (const child of instance.children || []) {
+      incr(report.children[child.kind], child.name);
+    }
+  }
+}
+
+/**
+ * Count instances of internal wrappers toward the tracked component they
+ * render, following up to `depth` wrappers per chain.  Each wrapped
+ * instance gets a reference whose `via` links back through the chain.
+ *
+ * @param {Object<string, ComponentReport>} reports
+ * @param {Map<string, { relPath: string, wrappers: object[], forwards: object[] }>} files
+ *   Wrapper definitions by absolute file path (see `findWrappers`).
+ * @param {Array<import("../wrapper-discovery/analyze-wrapper-discovery").WrapperUse & { codebase: string, relPath: string }>} uses
+ *   Every element rendered from an internal component.
+ * @param {number} depth
+ */
+function applyWrapperInstances(reports, files, uses, depth) {
+  const resolve = wrapperDiscovery().createWrapperResolver(files, depth);
+  for (const use of uses) {
+    const resolved = resolve(use.file, use.name);
+    if (!resolved) continue;
+
+    if (!reports[resolved.component]) {
+      reports[resolved.component] = createEmptyReport(resolved.component);
+    }
+    const report = reports[resolved.component];
+    if (report.library === null) report.library = resolved.library;
+
+    report.wrappedInstances++;
+    incr(report.codebaseWrappedInstances, use.codebase);
+    report.wrapperReferences.push({
+      file: use.relPath,
+      packageVersion: null,
+      line: use.line,
+      codebase: use.codebase,
+      sourceCode: use.sourceCode,
+      via: resolved.chain,
+    });
   }
 }
 
@@ -868,11 +925,31 @@ function mergeFileResult(
 // REPORT GENERATION — per-component JSON
 // ═══════════════════════════════════════════════════════════════════════════════
 
+/**
+ * Sort each kind of nesting counts by count descending.
+ *
+ * @param {NestingCounts} [counts]
+ * @returns {NestingCounts}
+ */
+function sortNesting(counts) {
+  const sorted = {};
+  for (const kind of ["tracked", "internal", "html"]) {
+    sorted[kind] = Object.fromEntries(
+      sortByCount((counts && counts[kind]) || {}),
+    );
+  }
+  return sorted;
+}
+
 /**
  * Generate a JSON object for a single component report.
  *
  * Props are sorted by usage count descending.  Within each prop, values
- * are also sorted by count descending.
+ * are also sorted by count descending.  Components with declared props
+ * also list the declared props and values no instance sets
+ * (`unusedProps`, `unusedValues`).  `effectiveInstances` adds the
+ * instances rendered through internal wrappers (`wrapperReferences`).
+ * `composition` counts the direct parents and children of the instances.
  *
  * @param {ComponentReport} report
  * @returns {object} - Plain object ready for JSON.stringify.
@@ -884,6 +961,10 @@ function buildComponentJson(report) {
     ),
   );
 
+  const surface = report.declaredProps
+    ? apiSurface(report.declaredProps, report.props)
+    : null;
+
   const propsDetail = {};
   for (const [propName] of propEntries) {
     const bucket = report.props[propName];
@@ -894,6 +975,7 @@ function buildComponentJson(report) {
     };
     if (bucket.defaultValue !== null) {
       detail.defaultValue = bucket.defaultValue;
+      detail.defaultSource = bucket.defaultSource || "inferred";
       detail.defaultUsages = bucket.defaultUsages;
     }
     propsDetail[propName] = detail;
@@ -904,9 +986,12 @@ function buildComponentJson(report) {
     library: report.library,
     totalImports: report.totalImports,
     totalInstances: report.totalInstances,
+    wrappedInstances: report.wrappedInstances || 0,
+    effectiveInstances: report.totalInstances + (report.wrappedInstances || 0),
     instancesWithChildren: report.instancesWithChildren,
     codebaseImports: report.codebaseImports,
     codebaseInstances: report.codebaseInstances,
+    codebaseWrappedInstances: report.codebaseWrappedInstances || {},
     uniqueProps: Object.keys(report.props).length,
     avgPropsPerInstance:
       report.totalInstances > 0
@@ -920,8 +1005,20 @@ function buildComponentJson(report) {
           )
         : 0,
     totalDefaultUsages: report.totalDefaultUsages,
+    composition: {
+      parents: sortNesting(report.parents),
+      children: sortNesting(report.children),
+    },
     props: propsDetail,
+    ...(surface
+      ? {
+          declaredProps: report.declaredProps,
+          unusedProps: surface.unusedProps,
+          unusedValues: surface.unusedValues,
+        }
+      : {}),
     references: report.references,
+    wrapperReferences: report.wrapperReferences || [],
   };
 }
 
@@ -941,6 +1038,7 @@ function generateSummaryCSV(reports, ctx) {
     "Component",
     "Total Imports",
     "Total Instances",
+    "Effective Instances",
     "Default Value Usages",
     ...codebaseNames.map((c) => `${c} Imports`),
     ...codebaseNames.map((c) => `${c} Instances`),
@@ -980,6 +1078,7 @@ function generateSummaryCSV(reports, ctx) {
         `"${r.component}"`,
         r.totalImports,
         r.totalInstances,
+        r.totalInstances + (r.wrappedInstances || 0),
         r.totalDefaultUsages,
         ...codebaseNames.map((c) => r.codebaseImports[c] || 0),
         ...codebaseNames.map((c) => r.codebaseInstances[c] || 0),
@@ -1025,6 +1124,7 @@ function generateSummaryJSON(reports) {
       library: r.library,
       totalImports: r.totalImports,
       totalInstances: r.totalInstances,
+      effectiveInstances: r.totalInstances + (r.wrappedInstances || 0),
       codebaseImports: r.codebaseImports,
       codebaseInstances: r.codebaseInstances,
       uniqueProps: Object.keys(r.props).length,
@@ -1044,11 +1144,13 @@ function generateSummaryJSON(reports) {
 
   let totalImports = 0;
   let totalInstances = 0;
+  let totalEffectiveInstances = 0;
   let totalPropUsages = 0;
   let totalDefaultUsages = 0;
   for (const r of sorted) {
     totalImports += r.totalImports;
     totalInstances += r.totalInstances;
+    totalEffectiveInstances += r.totalInstances + (r.wrappedInstances || 0);
     totalDefaultUsages += r.totalDefaultUsages;
     totalPropUsages += Object.values(r.props).reduce(
       (s, p) => s + p.totalUsages,
@@ -1080,6 +1182,7 @@ function generateSummaryJSON(reports) {
       totalComponents: sorted.length,
       totalImports,
       totalInstances,
+      totalEffectiveInstances,
       totalDefaultUsages,
       avgPropsPerInstance,
       componentsByAvgPropsPerInstance,
@@ -1113,10 +1216,12 @@ function generateSummaryMarkdown(reports, ctx) {
 
   let totalImports = 0;
   let totalInstances = 0;
+  let totalWrappedInstances = 0;
   let totalDefaultUsages = 0;
   for (const r of sorted) {
     totalImports += r.totalImports;
     totalInstances += r.totalInstances;
+    totalWrappedInstances += r.wrappedInstances || 0;
     totalDefaultUsages += r.totalDefaultUsages;
   }
 
@@ -1133,6 +1238,11 @@ function generateSummaryMarkdown(reports, ctx) {
   lines.push(`- **Components analysed:** ${sorted.length}`);
   lines.push(`- **Total imports:** ${totalImports}`);
   lines.push(`- **Total JSX instances:** ${totalInstances}`);
+  if (totalWrappedInstances > 0) {
+    lines.push(
+      `- **Effective instances:** ${totalInstances + totalWrappedInstances} (${totalWrappedInstances} through internal wrappers)`,
+    );
+  }
   lines.push(`- **Avg props per instance:** ${avgPropsPerInstance}`);
   lines.push(
     `- **Default value usages:** ${totalDefaultUsages} (props explicitly set to their default)`,
@@ -1210,8 +1320,11 @@ function generateSummaryMarkdown(reports, ctx) {
   for (const r of topComponents) {
     lines.push(`## ${r.component}`);
     lines.push("");
+    const wrapped = r.wrappedInstances
+      ? ` | **Effective instances:** ${r.totalInstances + r.wrappedInstances}`
+      : "";
     lines.push(
-      `- **Imports:** ${r.totalImports} | **Instances:** ${r.totalInstances} | **Unique props:** ${Object.keys(r.props).length}`,
+      `- **Imports:** ${r.totalImports} | **Instances:** ${r.totalInstances}${wrapped} | **Unique props:** ${Object.keys(r.props).length}`,
     );
     lines.push("");
 
@@ -1267,43 +1380,159 @@ function generateSummaryMarkdown(reports, ctx) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// CODEBASE RUNNER
+// PIPELINE ANALYZER
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Analyse a single codebase, merging results into the reports map.
+ * Create the per-component analyzer for the shared single-pass
+ * pipeline.  Reports are seeded for every tracked component so that
+ * unused components still get an entry.
  *
- * @param {string}                          codebase
- * @param {Object<string, ComponentReport>} reports  - Mutated in place.
- * @returns {Promise<number>} Number of files analysed.
+ * @returns {import("../lib/pipeline").Analyzer}
  */
-async function analyzeCodebase(codebase, reports) {
-  if (!codebaseExists(codebase)) {
-    console.log(`⚠️  Skipping ${codebase}: path not found`);
-    return 0;
+function createAnalyzer() {
+  /** @type {Object<string, ComponentReport>} */
+  const reports = {};
+  for (const comp of TRACKED_COMPONENTS) {
+    reports[comp] = createEmptyReport(comp);
   }
+  let totalFiles = 0;
+  let defaultsApplied = false;
+
+  // Internal wrappers, resolved once every file is in
+  const wrapperDepth = WRAPPER_DEPTH;
+  const wrapperFiles = new Map();
+  const wrapperUses = [];
+
+  /**
+   * Component reports with detected defaults applied, as passed to the
+   * report generators — without writing anything.
+   *
+   * @returns {Object<string, ComponentReport>}
+   */
+  const summarize = () => {
+    // Run automatic default-value detection now that all usage data is
+    // collected.  This replaces the old approach of reading defaults
+    // from the config file.
+    if (!defaultsApplied) {
+      applyAutoDetectedDefaults(reports, loadDeclarations());
+      applyWrapperInstances(reports, wrapperFiles, wrapperUses, wrapperDepth);
+    }
+    defaultsApplied = true;
+    return reports;
+  };
+
+  return {
+    name: "per-component",
+    worker: { module: __filename },
+
+    analyze(file) {
+      const result = analyzeFileContent(file.parsed);
+      if (wrapperDepth === 0) return result;
+      return {
+        ...result,
+        wrappers: wrapperDiscovery().findWrappers(
+          file.parsed,
+          file.path,
+          identifyLibrary,
+          result,
+        ),
+      };
+    },
 
-  console.log(`\n📊 Analyzing ${codebase}...`);
+    file(file, result) {
+      mergeFileResult(
+        reports,
+        result,
+        file.codebase,
+        file.relPath,
+        file.content,
+        file.path,
+      );
+      if (result.wrappers) {
+        const { wrappers, forwards, uses } = result.wrappers;
+        if (wrappers.length > 0 || forwards.length > 0) {
+          wrapperFiles.set(file.path, {
+            relPath: file.relPath,
+            wrappers,
+            forwards,
+          });
+        }
+        for (const use of uses) {
+          wrapperUses.push({
+            ...use,
+            codebase: file.codebase,
+            relPath: file.relPath,
+          });
+        }
+      }
+      totalFiles++;
+    },
 
-  const files = await findFiles(codebase);
-  console.log(`   Found ${files.length} component files`);
+    summarize,
 
-  const { codebasePath } = require("../lib/files");
-  const basePath = codebasePath(codebase);
+    finish() {
+      summarize();
 
-  let analyzed = 0;
-  for (const file of files) {
-    const content = readSafe(file);
-    if (content === null) continue;
+      // Write reports
+      const outDir = reportDir("components");
+      ensureDir(outDir);
 
-    const result = analyzeFileContent(content);
-    // Store a relative path from the codebase root for readability
-    const relPath = path.relative(basePath, file);
-    mergeFileResult(reports, result, codebase, relPath, content, file);
-    analyzed++;
-  }
+      // Individual component JSON files
+      const componentsDir = path.join(outDir, "detail");
+      ensureDir(componentsDir);
+
+      let writtenCount = 0;
+      for (const [name, report] of Object.entries(reports)) {
+        if (report.totalInstances === 0 && report.totalImports === 0) continue;
+        const json = JSON.stringify(buildComponentJson(report), null, 2);
+        fs.writeFileSync(path.join(componentsDir, `${name}.json`), json);
+        writtenCount++;
+      }
 
-  return analyzed;
+      // Summary files
+      const summaryCSV = generateSummaryCSV(reports);
+      fs.writeFileSync(path.join(outDir, "summary.csv"), summaryCSV);
+
+      const summaryJSON = generateSummaryJSON(reports);
+      fs.writeFileSync(path.join(outDir, "summary.json"), summaryJSON);
+
+      const summaryMarkdown = generateSummaryMarkdown(reports);
+      fs.writeFileSync(path.join(outDir, "summary.md"), summaryMarkdown);
+
+      console.log(`\n✅ ${writtenCount} component reports written`);
+      console.log("✅ Summary CSV written");
+      console.log("✅ Summary JSON written");
+      console.log("✅ Summary Markdown written");
+
+      // Quick console summary
+      console.log("\n" + "─".repeat(60));
+      console.log("  QUICK SUMMARY");
+      console.log("─".repeat(60));
+      console.log(`  Files analysed:     ${totalFiles}`);
+      console.log(`  Components found:   ${writtenCount}`);
+
+      const topByInstances = Object.values(reports)
+        .sort((a, b) => b.totalInstances - a.totalInstances)
+        .slice(0, 5);
+
+      console.log("  Top 5 by instances:");
+      for (const r of topByInstances) {
+        const topProp = sortByCount(
+          Object.fromEntries(
+            Object.entries(r.props).map(([k, v]) => [k, v.totalUsages]),
+          ),
+        )[0];
+        const topPropStr = topProp
+          ? `  top prop: ${topProp[0]}(${topProp[1]})`
+          : "";
+        console.log(
+          `    ${r.component.padEnd(24)} ${String(r.totalInstances).padStart(6)} instances, ${String(r.totalImports).padStart(4)} imports${topPropStr}`,
+        );
+      }
+      console.log("");
+    },
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1320,82 +1549,7 @@ async function main() {
   console.log(`  PER-COMPONENT ${UI_LIBRARY_NAMES.toUpperCase()} ANALYSIS`);
   console.log("═".repeat(60));
 
-  /** @type {Object<string, ComponentReport>} */
-  const reports = {};
-
-  // Seed reports for all known components so we get entries even for
-  // components that are never used.
-  for (const comp of TRACKED_COMPONENTS) {
-    reports[comp] = createEmptyReport(comp);
-  }
-
-  let totalFiles = 0;
-  for (const codebase of CODEBASES) {
-    totalFiles += await analyzeCodebase(codebase, reports);
-  }
-
-  // Run automatic default-value detection now that all usage data is
-  // collected.  This replaces the old approach of reading defaults
-  // from the config file.
-  applyAutoDetectedDefaults(reports);
-
-  // Write reports
-  const outDir = reportDir("components");
-  ensureDir(outDir);
-
-  // Individual component JSON files
-  const componentsDir = path.join(outDir, "detail");
-  ensureDir(componentsDir);
-
-  let writtenCount = 0;
-  for (const [name, report] of Object.entries(reports)) {
-    if (report.totalInstances === 0 && report.totalImports === 0) continue;
-    const json = JSON.stringify(buildComponentJson(report), null, 2);
-    fs.writeFileSync(path.join(componentsDir, `${name}.json`), json);
-    writtenCount++;
-  }
-
-  // Summary files
-  const summaryCSV = generateSummaryCSV(reports);
-  fs.writeFileSync(path.join(outDir, "summary.csv"), summaryCSV);
-
-  const summaryJSON = generateSummaryJSON(reports);
-  fs.writeFileSync(path.join(outDir, "summary.json"), summaryJSON);
-
-  const summaryMarkdown = generateSummaryMarkdown(reports);
-  fs.writeFileSync(path.join(outDir, "summary.md"), summaryMarkdown);
-
-  console.log(`\n✅ ${writtenCount} component reports written`);
-  console.log("✅ Summary CSV written");
-  console.log("✅ Summary JSON written");
-  console.log("✅ Summary Markdown written");
-
-  // Quick console summary
-  console.log("\n" + "─".repeat(60));
-  console.log("  QUICK SUMMARY");
-  console.log("─".repeat(60));
-  console.log(`  Files analysed:     ${totalFiles}`);
-  console.log(`  Components found:   ${writtenCount}`);
-
-  const topByInstances = Object.values(reports)
-    .sort((a, b) => b.totalInstances - a.totalInstances)
-    .slice(0, 5);
-
-  console.log("  Top 5 by instances:");
-  for (const r of topByInstances) {
-    const topProp = sortByCount(
-      Object.fromEntries(
-        Object.entries(r.props).map(([k, v]) => [k, v.totalUsages]),
-      ),
-    )[0];
-    const topPropStr = topProp
-      ? `  top prop: ${topProp[0]}(${topProp[1]})`
-      : "";
-    console.log(
-      `    ${r.component.padEnd(24)} ${String(r.totalInstances).padStart(6)} instances, ${String(r.totalImports).padStart(4)} imports${topPropStr}`,
-    );
-  }
-  console.log("");
+  await runPipeline([createAnalyzer()]);
 }
 
 // ─── Module boundary ──────────────────────────────────────────────────────────
@@ -1426,7 +1580,9 @@ module.exports = {
   // Aggregation
   createEmptyReport,
   recordProp,
+  createInstanceReference,
   mergeFileResult,
+  applyWrapperInstances,
 
   // Default detection (post-aggregation)
   applyAutoDetectedDefaults,
@@ -1439,4 +1595,7 @@ module.exports = {
   generateSummaryCSV,
   generateSummaryJSON,
   generateSummaryMarkdown,
+
+  // Pipeline
+  createAnalyzer,
 };
@@ -6,7 +6,10 @@
  * Automatic Prop Default Detection
  *
  * Analyses the existing per-component report JSON files to infer which
- * prop values are likely defaults.  Uses two complementary strategies:
+ * prop values are likely defaults.  When the library's TypeScript
+ * declarations are available (`declarations` on a `uiLibraries` entry),
+ * a prop's `@defaultValue` tag wins and the default is marked
+ * **declared**; otherwise two complementary strategies infer one:
  *
  *   1. **Name matching** — values that match well-known default patterns
  *      (e.g. `"default"`, `"div"`, `"row"`, `true`, `0`) and appear in
@@ -19,7 +22,7 @@
  *
  * Output:
  *   - `reports/per-component/detected-prop-defaults.json`
- *     Machine-readable map of `{ Component: { prop: { value, confidence, reason, count, total } } }`
+ *     Machine-readable map of `{ Component: { prop: { value, source, confidence, reason, count, total } } }`
  *
  *   - `reports/per-component/detected-prop-defaults.md`
  *     Human-readable summary showing every detected default with its
@@ -38,9 +41,9 @@
 const fs = require("fs");
 const path = require("path");
 
-const { TRACKED_COMPONENTS } = require("../lib/constants");
 const { sortByCount } = require("../lib/utils");
-const { ensureDir, reportDir } = require("../lib/files");
+const { ensureDir, reportDir, REPORTS_ROOT } = require("../lib/files");
+const { loadDeclarations } = require("../lib/declarations");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // KNOWN DEFAULT PATTERNS
@@ -121,7 +124,9 @@ const KNOWN_AS_DEFAULTS = {
  * @typedef {object} DetectedDefault
  * @property {string} component  - Component name.
  * @property {string} prop       - Prop name.
- * @property {string} value      - The inferred default value (normalised form).
+ * @property {string} value      - The default value (normalised form).
+ * @property {string} source     - "declared" (from the library's type
+ *   declarations) or "inferred" (from usage data).
  * @property {string} confidence - "high", "medium", or "low".
  * @property {string} reason     - Human-readable explanation.
  * @property {number} count      - How many times this value was explicitly set.
@@ -130,7 +135,8 @@ const KNOWN_AS_DEFAULTS = {
 
 /**
  * Attempt to detect the default value for a single prop on a single
- * component by applying every strategy in order.
+ * component.  A declared `@defaultValue` is taken as is; otherwise
+ * every inference strategy is applied in order.
  *
  * Returns the first match with the highest confidence, or `null` if
  * no default can be inferred.
@@ -141,12 +147,34 @@ const KNOWN_AS_DEFAULTS = {
  * @param {number} propData.totalUsages
  * @param {Object<string, number>} propData.values - normalised value → count.
  * @param {number} totalInstances  - Total instances of this component.
+ * @param {import("../lib/declarations").PropDeclaration | null} [declared]
+ *   The prop's declaration, when the library's types were read.
  * @returns {DetectedDefault | null}
  */
-function detectPropDefault(component, propName, propData, totalInstances) {
+function detectPropDefault(
+  component,
+  propName,
+  propData,
+  totalInstances,
+  declared = null,
+) {
   const { totalUsages, values } = propData;
   if (!values || totalUsages === 0) return null;
 
+  // ── Declared: @defaultValue in the library's type declarations ───────
+  if (declared && declared.defaultValue !== null) {
+    return {
+      component,
+      prop: propName,
+      value: declared.defaultValue,
+      source: "declared",
+      confidence: "high",
+      reason: `Declared default: @defaultValue ${declared.defaultValue}`,
+      count: values[declared.defaultValue] || 0,
+      total: totalUsages,
+    };
+  }
+
   const sorted = sortByCount(values);
 
   // ── Strategy 1: Known `as` defaults per component ───────────────────
@@ -157,6 +185,7 @@ function detectPropDefault(component, propName, propData, totalInstances) {
         component,
         prop: propName,
         value: expected,
+        source: "inferred",
         confidence: "high",
         reason: `Known default: ${component} renders as <${expected.replace(/"/g, "")}> by default`,
         count: values[expected],
@@ -188,6 +217,7 @@ function detectPropDefault(component, propName, propData, totalInstances) {
           component,
           prop: propName,
           value: candidate,
+          source: "inferred",
           confidence,
           reason:
             `Known default pattern: ${propName}=${candidate}` +
@@ -226,6 +256,7 @@ function detectPropDefault(component, propName, propData, totalInstances) {
           component,
           prop: propName,
           value: leastValue,
+          source: "inferred",
           confidence: "low",
           reason: `Statistical: ${leastValue} is the least-used value (${leastCount}/${totalUsages} = ${(ratio * 100).toFixed(1)}%) and looks like a default`,
           count: leastCount,
@@ -243,6 +274,7 @@ function detectPropDefault(component, propName, propData, totalInstances) {
       component,
       prop: propName,
       value: '"default"',
+      source: "inferred",
       confidence: "high",
       reason: `Value is literally "default" (${values['"default"']} of ${totalUsages} usages)`,
       count: values['"default"'],
@@ -261,12 +293,14 @@ function detectPropDefault(component, propName, propData, totalInstances) {
  * Load a per-component JSON report from disk.
  *
  * @param {string} component - PascalCase component name.
+ * @param {string} [reportsDir=REPORTS_ROOT] - Root of the reports to read.
  * @returns {object | null} The parsed JSON, or null if not found.
  */
-function loadComponentReport(component) {
+function loadComponentReport(component, reportsDir = REPORTS_ROOT) {
   const filePath = path.join(
-    reportDir("components"),
+    reportsDir,
     "components",
+    "detail",
     `${component}.json`,
   );
 
@@ -278,22 +312,48 @@ function loadComponentReport(component) {
   }
 }
 
+/**
+ * Names of the components with a per-component JSON report, sorted.
+ * Read from the reports rather than the config so configs that track
+ * every import (no `components` list) are covered too.
+ *
+ * @param {string} [reportsDir=REPORTS_ROOT] - Root of the reports to read.
+ * @returns {string[]}
+ */
+function listComponentReports(reportsDir = REPORTS_ROOT) {
+  try {
+    return fs
+      .readdirSync(path.join(reportsDir, "components", "detail"))
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => file.slice(0, -".json".length))
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // FULL ANALYSIS
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Run detection across all known components and return every detected
- * default.
+ * Run detection across every component with a per-component report and
+ * return every detected default.
  *
+ * @param {string} [reportsDir=REPORTS_ROOT] - Root of the per-component reports.
+ * @param {Object<string, import("../lib/declarations").ComponentDeclaration>} [declarations]
+ *   Declared props by component (default: read per the config).
  * @returns {DetectedDefault[]}
  */
-function detectAllDefaults() {
+function detectAllDefaults(
+  reportsDir = REPORTS_ROOT,
+  declarations = loadDeclarations(),
+) {
   /** @type {DetectedDefault[]} */
   const results = [];
 
-  for (const component of TRACKED_COMPONENTS) {
-    const report = loadComponentReport(component);
+  for (const component of listComponentReports(reportsDir)) {
+    const report = loadComponentReport(component, reportsDir);
     if (!report || !report.props) continue;
 
     const totalInstances = report.totalInstances || 0;
@@ -311,11 +371,13 @@ function detectAllDefaults() {
       if (propName.startsWith("data-")) continue;
       if (propName.startsWith("aria-")) continue;
 
+      const declared = declarations[component];
       const detected = detectPropDefault(
         component,
         propName,
         propData,
         totalInstances,
+        declared ? declared.props[propName] || null : null,
       );
       if (detected) {
         results.push(detected);
@@ -327,8 +389,8 @@ function detectAllDefaults() {
   const confidenceOrder = { high: 0, medium: 1, low: 2 };
   results.sort((a, b) => {
     const co =
-      (confidenceOrder[a.confidence] || 3) -
-      (confidenceOrder[b.confidence] || 3);
+      (confidenceOrder[a.confidence] ?? 3) -
+      (confidenceOrder[b.confidence] ?? 3);
     if (co !== 0) return co;
     const cn = a.component.localeCompare(b.component);
     if (cn !== 0) return cn;
@@ -359,6 +421,7 @@ function buildJsonOutput(results) {
     }
     byComponent[r.component][r.prop] = {
       value: r.value,
+      source: r.source,
       confidence: r.confidence,
       reason: r.reason,
       count: r.count,
@@ -374,6 +437,10 @@ function buildJsonOutput(results) {
       medium: results.filter((r) => r.confidence === "medium").length,
       low: results.filter((r) => r.confidence === "low").length,
     },
+    bySource: {
+      declared: results.filter((r) => r.source === "declared").length,
+      inferred: results.filter((r) => r.source === "inferred").length,
+    },
     components: byComponent,
   };
 }
@@ -410,6 +477,9 @@ function buildMarkdownOutput(results) {
   lines.push(`  - High confidence: ${high.length}`);
   lines.push(`  - Medium confidence: ${medium.length}`);
   lines.push(`  - Low confidence: ${low.length}`);
+  lines.push(
+    `- **Declared** in the library's types: ${results.filter((r) => r.source === "declared").length}`,
+  );
   lines.push("");
 
   // ── Grouped by confidence ──────────────────────────────────────────────
@@ -423,12 +493,14 @@ function buildMarkdownOutput(results) {
 
     lines.push(`## ${label} (${group.length})`);
     lines.push("");
-    lines.push("| Component | Prop | Default Value | Explicit Uses | Reason |");
-    lines.push("| --- | --- | --- | ---: | --- |");
+    lines.push(
+      "| Component | Prop | Default Value | Source | Explicit Uses | Reason |",
+    );
+    lines.push("| --- | --- | --- | --- | ---: | --- |");
 
     for (const r of group) {
       lines.push(
-        `| ${r.component} | ${r.prop} | ${r.value} | ${r.count} / ${r.total} | ${r.reason} |`,
+        `| ${r.component} | ${r.prop} | ${r.value} | ${r.source} | ${r.count} / ${r.total} | ${r.reason} |`,
       );
     }
     lines.push("");
@@ -505,6 +577,9 @@ function main() {
   console.log(
     `    Low confidence:    ${results.filter((r) => r.confidence === "low").length}`,
   );
+  console.log(
+    `    Declared in types: ${results.filter((r) => r.source === "declared").length}`,
+  );
 
   // Write reports
   const outDir = reportDir("components");
@@ -557,6 +632,10 @@ module.exports = {
 
   // Report helpers
   loadComponentReport,
+  listComponentReports,
   buildJsonOutput,
   buildMarkdownOutput,
+
+  // CLI entry point (used in-process by run.js)
+  main,
 };
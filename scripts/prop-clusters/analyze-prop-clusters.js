@@ -0,0 +1,502 @@
+#!/usr/bin/env node
+
+/**
+ * @module prop-clusters/analyze-prop-clusters
+ *
+ * Prop Clusters
+ *
+ * Mines the literal prop sets that instances of a component repeat,
+ * without configuring which props to combine (compare `prop-combos`).
+ * When 300 instances all say `<Text size={1} muted weight="semibold">`,
+ * the set is a candidate for a variant of `Text` or a wrapper component.
+ *
+ * Every instance contributes its literal props (strings, numbers,
+ * booleans, literal arrays and objects — `tone={tone}` is skipped) and
+ * every subset of them with at least `propClusters.minProps` props.  A
+ * set is listed once `propClusters.minInstances` instances contain it,
+ * unless a larger listed set of the same component occurs exactly as
+ * often (the smaller one adds nothing).  Candidates are ranked by the
+ * attributes a variant would replace: instances × props.
+ *
+ * Output:
+ *   - `reports/prop-clusters/report.md`
+ *   - `reports/prop-clusters/report.csv`
+ *   - `reports/prop-clusters/report.json`
+ *
+ * Run directly:
+ *   node scripts/prop-clusters/analyze-prop-clusters.js
+ *
+ * Or via npm:
+ *   npm run analyze:prop-clusters
+ */
+
+const { PROP_CLUSTERS, UI_LIBRARY_NAMES } = require("../lib/constants");
+const { writeReports } = require("../lib/files");
+const { runPipeline } = require("../lib/pipeline");
+const { incr, pct, cell, csvField } = require("../lib/utils");
+const {
+  analyzeFileContent,
+  extractSourceSnippet,
+} = require("../per-component/analyze-per-component");
+const { normalize } = require("../prop-combos/analyze-prop-combos");
+
+/** Largest prop set counted; bounds the subsets of very long tags. */
+const MAX_CLUSTER_PROPS = 6;
+
+/** Example references kept per cluster. */
+const MAX_EXAMPLES = 3;
+
+/** Clusters listed in the Markdown report. */
+const TOP_CLUSTERS = 50;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {object} LiteralInstance
+ * @property {string}             component
+ * @property {Array<[string, string]>} props - Literal props as `[name, normalized value]`, sorted by name.
+ * @property {number}             line
+ * @property {number}             startOffset
+ * @property {number}             endOffset
+ */
+
+/**
+ * @typedef {object} ClusterExample
+ * @property {string} codebase
+ * @property {string} file
+ * @property {number} line
+ * @property {string} sourceCode
+ */
+
+/**
+ * An exact set of literal props and the instances that set it.
+ *
+ * @typedef {object} PropSignature
+ * @property {Array<[string, string]>} props
+ * @property {number}                  count
+ * @property {Object<string, number>}  codebases - Instances per codebase.
+ * @property {ClusterExample[]}        examples
+ */
+
+/**
+ * @typedef {object} PropCluster
+ * @property {string}                 component
+ * @property {Object<string, string>} props      - Prop → normalized literal value.
+ * @property {string}                 label      - The set as JSX, e.g. `<Text size={1} muted>`.
+ * @property {number}                 instances  - Instances that set every prop of the cluster.
+ * @property {number}                 componentInstances - All instances of the component.
+ * @property {number}                 savings    - Attributes a variant would replace (instances × props).
+ * @property {Object<string, number>} byCodebase
+ * @property {ClusterExample[]}       examples
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PER-FILE ANALYSIS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Whether a normalized prop value is a literal rather than a dynamic
+ * label such as `<variable>`.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isLiteral(value) {
+  return !value.startsWith("<");
+}
+
+/**
+ * The tracked instances of a file with their literal props, and the
+ * number of instances per component.
+ *
+ * @param {import("../lib/parser").ParsedFile} parsed
+ * @param {number} [minProps=2] - Instances with fewer literal props are only counted.
+ * @returns {{ totals: Object<string, number>, instances: LiteralInstance[] }}
+ */
+function literalInstances(parsed, minProps = 2) {
+  const totals = {};
+  const instances = [];
+  for (const inst of analyzeFileContent(parsed).instances) {
+    incr(totals, inst.component);
+
+    /** @type {Map<string, string>} */
+    const props = new Map();
+    for (const p of inst.props) {
+      const value = normalize(p.value);
+      if (isLiteral(value)) props.set(p.name, value);
+      else props.delete(p.name);
+    }
+    if (props.size < minProps) continue;
+
+    instances.push({
+      component: inst.component,
+      props: [...props].sort((a, b) => a[0].localeCompare(b[0])),
+      line: inst.line,
+      startOffset: inst.startOffset,
+      endOffset: inst.endOffset,
+    });
+  }
+  return { totals, instances };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AGGREGATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Key of a prop set, e.g. `muted=true size=1`.
+ *
+ * @param {Array<[string, string]>} props - Sorted by name.
+ * @returns {string}
+ */
+function propsKey(props) {
+  return props.map(([name, value]) => `${name}=${value}`).join(" ");
+}
+
+/**
+ * The prop set as JSX, e.g. `<Text muted size={1} weight="semibold">`.
+ *
+ * @param {string} component
+ * @param {Object<string, string>} props
+ * @returns {string}
+ */
+function clusterLabel(component, props) {
+  const attributes = Object.entries(props).map(([name, value]) =>
+    value === "true"
+      ? name
+      : value.startsWith('"')
+        ? `${name}=${value}`
+        : `${name}={${value}}`,
+  );
+  return `<${[component, ...attributes].join(" ")}>`;
+}
+
+/**
+ * Every subset of `items` with `min` to `max` elements, in order.
+ *
+ * @template T
+ * @param {T[]} items
+ * @param {number} min
+ * @param {number} max
+ * @returns {T[][]}
+ */
+function subsets(items, min, max) {
+  const out = [];
+  const pick = (start, chosen) => {
+    if (chosen.length >= min) out.push(chosen);
+    if (chosen.length === max) return;
+    for (let i = start; i < items.length; i++) {
+      pick(i + 1, [...chosen, items[i]]);
+    }
+  };
+  pick(0, []);
+  return out;
+}
+
+/**
+ * Ranked clusters from the prop signatures of every component.
+ *
+ * @param {Object<string, Map<string, PropSignature>>} signatures - Component → signature key → signature.
+ * @param {Object<string, number>} totals - Instances per component.
+ * @param {{ minInstances: number, minProps: number }} [options=PROP_CLUSTERS]
+ * @returns {PropCluster[]}
+ */
+function findClusters(signatures, totals, options = PROP_CLUSTERS) {
+  const clusters = [];
+  for (const [component, bySignature] of Object.entries(signatures)) {
+    /** @type {Map<string, { props: Array<[string, string]>, instances: number, byCodebase: Object<string, number>, examples: ClusterExample[] }>} */
+    const sets = new Map();
+    for (const signature of bySignature.values()) {
+      for (const props of subsets(
+        signature.props,
+        options.minProps,
+        MAX_CLUSTER_PROPS,
+      )) {
+        const key = propsKey(props);
+        if (!sets.has(key)) {
+          sets.set(key, { props, instances: 0, byCodebase: {}, examples: [] });
+        }
+        const set = sets.get(key);
+        set.instances += signature.count;
+        for (const [codebase, count] of Object.entries(signature.codebases)) {
+          set.byCodebase[codebase] = (set.byCodebase[codebase] || 0) + count;
+        }
+        for (const example of signature.examples) {
+          if (set.examples.length < MAX_EXAMPLES) set.examples.push(example);
+        }
+      }
+    }
+
+    const frequent = [...sets.values()].filter(
+      (s) => s.instances >= options.minInstances,
+    );
+    for (const set of frequent) {
+      const subsumed = frequent.some(
+        (other) =>
+          other.instances === set.instances &&
+          other.props.length > set.props.length &&
+          set.props.every(([name, value]) =>
+            other.props.some(([n, v]) => n === name && v === value),
+          ),
+      );
+      if (subsumed) continue;
+
+      const props = Object.fromEntries(set.props);
+      clusters.push({
+        component,
+        props,
+        label: clusterLabel(component, props),
+        instances: set.instances,
+        componentInstances: totals[component] || set.instances,
+        savings: set.instances * set.props.length,
+        byCodebase: set.byCodebase,
+        examples: set.examples,
+      });
+    }
+  }
+
+  return clusters.sort(
+    (a, b) =>
+      b.savings - a.savings ||
+      b.instances - a.instances ||
+      a.label.localeCompare(b.label),
+  );
+}
+
+/**
+ * Create the prop-cluster analyzer for the shared single-pass pipeline.
+ *
+ * Files contribute the exact literal prop set of each instance; the
+ * subsets are mined once in `finish`, so memory grows with the distinct
+ * sets rather than the instances.  `clusters()` returns the ranked
+ * clusters.
+ *
+ * @param {{ minInstances: number, minProps: number }} [options=PROP_CLUSTERS]
+ * @returns {import("../lib/pipeline").Analyzer & { clusters: () => PropCluster[] }}
+ */
+function createAnalyzer(options = PROP_CLUSTERS) {
+  /** @type {Object<string, Map<string, PropSignature>>} */
+  const signatures = {};
+  /** @type {Object<string, number>} */
+  const totals = {};
+
+  return {
+    name: "prop-clusters",
+    worker: { module: __filename, args: [options] },
+
+    analyze(file) {
+      return literalInstances(file.parsed, options.minProps);
+    },
+
+    file(file, result) {
+      for (const [component, count] of Object.entries(result.totals)) {
+        totals[component] = (totals[component] || 0) + count;
+      }
+      for (const inst of result.instances) {
+        const bySignature = (signatures[inst.component] =
+          signatures[inst.component] || new Map());
+        const key = propsKey(inst.props);
+        if (!bySignature.has(key)) {
+          bySignature.set(key, {
+            props: inst.props,
+            count: 0,
+            codebases: {},
+            examples: [],
+          });
+        }
+        const signature = bySignature.get(key);
+        signature.count++;
+        incr(signature.codebases, file.codebase);
+        if (signature.examples.length < MAX_EXAMPLES) {
+          signature.examples.push({
+            codebase: file.codebase,
+            file: file.relPath,
+            line: inst.line,
+            sourceCode: extractSourceSnippet(
+              file.content,
+              inst.startOffset,
+              inst.endOffset,
+            ),
+          });
+        }
+      }
+    },
+
+    clusters() {
+      return findClusters(signatures, totals, options);
+    },
+
+    finish() {
+      writeClusterReports(this.clusters(), options);
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Generate the Markdown report: the top clusters, then where the top
+ * ones are used.
+ *
+ * @param {PropCluster[]} clusters
+ * @param {{ minInstances: number, minProps: number }} [options=PROP_CLUSTERS]
+ * @returns {string}
+ */
+function generateMarkdown(clusters, options = PROP_CLUSTERS) {
+  const lines = [];
+  lines.push("# Prop Clusters");
+  lines.push("");
+  lines.push(
+    `Literal prop sets of at least ${options.minProps} props that ${options.minInstances} or more instances of a component repeat — candidates for a variant or a wrapper component. Ranked by the attributes a variant would replace (instances × props).`,
+  );
+  lines.push("");
+  lines.push(
+    `- **${clusters.length}** clusters across **${new Set(clusters.map((c) => c.component)).size}** components`,
+  );
+  lines.push("");
+
+  if (clusters.length === 0) return lines.join("\n");
+
+  const top = clusters.slice(0, TOP_CLUSTERS);
+  lines.push(
+    "| Rank | Cluster | Props | Instances | % of Component | Savings |",
+  );
+  lines.push(
+    "|-----:|---------|------:|----------:|---------------:|--------:|",
+  );
+  top.forEach((c, i) => {
+    lines.push(
+      `| ${i + 1} | \`${cell(c.label)}\` | ${Object.keys(c.props).length} | ${c.instances} | ${pct(c.instances, c.componentInstances)}% | ${c.savings} |`,
+    );
+  });
+  if (clusters.length > top.length) {
+    lines.push("");
+    lines.push(`*... and ${clusters.length - top.length} more clusters*`);
+  }
+  lines.push("");
+
+  lines.push("## Examples");
+  lines.push("");
+  for (const c of top) {
+    lines.push(`### \`${cell(c.label)}\``);
+    lines.push("");
+    for (const e of c.examples) {
+      lines.push(
+        `- ${cell(e.codebase)}: ${cell(e.file)}:${e.line} — \`${cell(e.sourceCode)}\``,
+      );
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate the CSV report: one row per cluster.
+ *
+ * @param {PropCluster[]} clusters
+ * @returns {string}
+ */
+function generateCSV(clusters) {
+  const out = [
+    "Component,Cluster,Props,Instances,Component Instances,Savings,Example",
+  ];
+  for (const c of clusters) {
+    const e = c.examples[0];
+    out.push(
+      [
+        csvField(c.component),
+        csvField(c.label),
+        Object.keys(c.props).length,
+        c.instances,
+        c.componentInstances,
+        c.savings,
+        csvField(e ? `${e.codebase}: ${e.file}:${e.line}` : ""),
+      ].join(","),
+    );
+  }
+  return out.join("\n") + "\n";
+}
+
+/**
+ * Generate the JSON report.
+ *
+ * @param {PropCluster[]} clusters
+ * @param {{ minInstances: number, minProps: number }} [options=PROP_CLUSTERS]
+ * @returns {string}
+ */
+function generateJSON(clusters, options = PROP_CLUSTERS) {
+  return JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      libraryNames: UI_LIBRARY_NAMES,
+      minInstances: options.minInstances,
+      minProps: options.minProps,
+      totalClusters: clusters.length,
+      clusters,
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * Write the reports and print the top clusters.
+ *
+ * @param {PropCluster[]} clusters
+ * @param {{ minInstances: number, minProps: number }} [options=PROP_CLUSTERS]
+ */
+function writeClusterReports(clusters, options = PROP_CLUSTERS) {
+  writeReports("prop-clusters", "report", {
+    markdown: generateMarkdown(clusters, options),
+    csv: generateCSV(clusters),
+    json: generateJSON(clusters, options),
+  });
+
+  console.log(`✅ ${clusters.length} prop cluster(s) found`);
+  for (const c of clusters.slice(0, 5)) {
+    console.log(`    ${String(c.instances).padStart(6)}×  ${c.label}`);
+  }
+  console.log("");
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function main() {
+  await runPipeline([createAnalyzer()]);
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("❌ Prop cluster analysis failed:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  // Per-file analysis
+  literalInstances,
+
+  // Aggregation
+  subsets,
+  clusterLabel,
+  findClusters,
+  createAnalyzer,
+
+  // Report generation
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+  writeClusterReports,
+
+  // CLI entry point
+  main,
+};
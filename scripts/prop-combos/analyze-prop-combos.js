@@ -14,6 +14,16 @@
  *   - "Do developers ever use `tone='critical'` with `mode='ghost'` on `<Button>`?"
  *   - "Which three-way `tone` × `padding` × `radius` combos occur on `<Card>`?"
  *
+ * Without `propCombos`, the combos are discovered instead: per component,
+ * the prop pairs most often set together whose props each take at least
+ * two literal values (see `DISCOVERY_DEFAULTS`).
+ *
+ * Every report scores how strongly the props are correlated: the mutual
+ * information of their values (total correlation for three or more
+ * props) over the instances that set every prop to a literal value, and
+ * the lift of each such combination — how much more often it occurs
+ * than if the values were independent.
+ *
  * Output:
  *   - `reports/prop-combos/report.md`
  *   - `reports/prop-combos/report.csv`
@@ -32,12 +42,8 @@ const {
   UI_LIBRARY_NAMES,
 } = require("../lib/constants");
 const { sortByCount, pct, incr } = require("../lib/utils");
-const {
-  codebaseExists,
-  findFiles,
-  readSafe,
-  writeReports,
-} = require("../lib/files");
+const { codebaseExists, writeReports } = require("../lib/files");
+const { collect, runPipeline } = require("../lib/pipeline");
 const {
   analyzeFileContent,
   classifyValue,
@@ -68,6 +74,27 @@ const {
  * @property {Object<string, Object<string, number>>} comboCountsByCodebase
  *   Codebase → { comboKey → count }.
  * @property {ComboInstance[]}         instances  - Every matched instance (capped for JSON).
+ * @property {{ coUsage: number }}     [discovered] - Present on discovered combos: instances
+ *   that set both props.
+ */
+
+/**
+ * @typedef {object} ComboCorrelation
+ * @property {number} instances         - Instances that set every prop of the combo to a
+ *   literal value.
+ * @property {number} mutualInformation - Bits shared by the prop values (total
+ *   correlation for three or more props).
+ * @property {number} normalized        - `mutualInformation` over its upper bound
+ *   (0 = independent, 1 = one value determines the others).
+ * @property {Object<string, number>} lift - Combo key → observed / expected
+ *   frequency, for combinations of literal values only.
+ */
+
+/**
+ * @typedef {object} DiscoveryOptions
+ * @property {number} pairsPerComponent - Prop pairs reported per component.
+ * @property {number} minCoUsage        - Instances that must set both props.
+ * @property {number} minValues         - Distinct literal values each prop needs.
  */
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -77,6 +104,16 @@ const {
 /** Sentinel for "prop not supplied on this instance". */
 const UNSET = "(unset)";
 
+/** @type {DiscoveryOptions} */
+const DISCOVERY_DEFAULTS = {
+  pairsPerComponent: 3,
+  minCoUsage: 10,
+  minValues: 2,
+};
+
+/** Instances kept per component for the samples of discovered combos. */
+const MAX_DISCOVERY_SAMPLES = 500;
+
 /**
  * Build a display key for a combination tuple.
  *
@@ -87,6 +124,19 @@ function comboKey(values) {
   return values.join(" × ");
 }
 
+/**
+ * Whether a normalized value is a set literal rather than {@link UNSET}
+ * or a dynamic placeholder (`<variable>`, `<expression>`, …), which
+ * stands for many values and so says nothing about which ones go
+ * together.
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isLiteral(value) {
+  return value !== UNSET && !value.startsWith("<");
+}
+
 /**
  * Normalize a raw prop value the same way per-component does, so that
  * combo keys are consistent with the existing reports.
@@ -99,73 +149,356 @@ function normalize(raw) {
 }
 
 /**
- * Analyse a single codebase for one combo entry.
+ * Create an empty result for one combo entry.
  *
  * @param {import("../lib/config-schema").PropComboEntry} combo
- * @param {string} codebase
- * @returns {Promise<{ totalInstances: number, matchedInstances: number, comboCounts: Object<string, number>, instances: ComboInstance[] } | null>}
+ * @returns {ComboResult}
  */
-async function analyzeCodebaseForCombo(combo, codebase) {
-  if (!codebaseExists(codebase)) return null;
+function createComboResult(combo) {
+  return {
+    component: combo.component,
+    props: combo.props,
+    totalInstances: 0,
+    matchedInstances: 0,
+    comboCounts: {},
+    comboCountsByCodebase: {},
+    instances: [],
+  };
+}
+
+/**
+ * Tally one component instance into a combo result.
+ *
+ * @param {ComboResult} result
+ * @param {import("../per-component/analyze-per-component").ComponentInstance} inst
+ * @param {import("../lib/pipeline").SourceFile} file
+ */
+function recordComboInstance(result, inst, file) {
+  result.totalInstances++;
+
+  // Build a map of prop name → normalized value for this instance
+  /** @type {Object<string, string>} */
+  const propMap = {};
+  for (const p of inst.props) {
+    propMap[p.name] = normalize(p.value);
+  }
+
+  // Extract values for the configured props
+  const values = result.props.map((p) => propMap[p] || UNSET);
+
+  // Only count as "matched" if at least one configured prop was set
+  const hasAny = values.some((v) => v !== UNSET);
+  if (!hasAny) return;
+
+  result.matchedInstances++;
+  const key = comboKey(values);
+  incr(result.comboCounts, key);
+  incr(result.comboCountsByCodebase[file.codebase], key);
+
+  result.instances.push({
+    codebase: file.codebase,
+    file: file.relPath,
+    line: inst.line,
+    values,
+    sourceCode: extractSourceSnippet(
+      file.content,
+      inst.startOffset,
+      inst.endOffset,
+    ),
+  });
+}
 
-  const files = await findFiles(codebase);
-  let totalInstances = 0;
-  let matchedInstances = 0;
-  /** @type {Object<string, number>} */
-  const comboCounts = {};
-  /** @type {ComboInstance[]} */
-  const instances = [];
+/**
+ * Round to a fixed number of decimals.
+ *
+ * @param {number} value
+ * @param {number} digits
+ * @returns {number}
+ */
+function round(value, digits) {
+  return parseFloat(value.toFixed(digits));
+}
 
-  for (const filePath of files) {
-    const content = readSafe(filePath);
-    if (!content) continue;
+/**
+ * Score how strongly the props of a combo are correlated, from the
+ * combinations that set every prop to a literal value.  Dynamic values
+ * are left out the same way discovery leaves them out when counting
+ * distinct values.  Null for single-prop combos and when no instance
+ * sets every prop to a literal.
+ *
+ * @param {ComboResult} result
+ * @returns {ComboCorrelation|null}
+ */
+function comboCorrelation(result) {
+  if (result.props.length < 2) return null;
+
+  const joint = Object.entries(result.comboCounts)
+    .map(([key, count]) => [key, key.split(" × "), count])
+    .filter(([, values]) => values.every(isLiteral));
+  const total = joint.reduce((sum, [, , count]) => sum + count, 0);
+  if (total === 0) return null;
+
+  /** @type {Object<string, number>[]} */
+  const marginals = result.props.map(() => ({}));
+  for (const [, values, count] of joint) {
+    values.forEach((value, i) => incr(marginals[i], value, count));
+  }
 
-    const { instances: fileInstances } = analyzeFileContent(content);
+  const entropy = (counts) =>
+    counts.reduce((h, c) => h - (c / total) * Math.log2(c / total), 0);
+  const entropies = marginals.map((m) => entropy(Object.values(m)));
+  const sum = entropies.reduce((a, b) => a + b, 0);
+  const shared = Math.max(0, sum - entropy(joint.map(([, , c]) => c)));
+  const bound = sum - Math.max(...entropies);
+
+  const lift = {};
+  for (const [key, values, count] of joint) {
+    const expected = values.reduce(
+      (p, value, i) => p * (marginals[i][value] / total),
+      1,
+    );
+    lift[key] = round(count / total / expected, 2);
+  }
 
-    for (const inst of fileInstances) {
-      if (inst.component !== combo.component) continue;
+  return {
+    instances: total,
+    mutualInformation: round(shared, 3),
+    normalized: bound > 0 ? round(shared / bound, 3) : 0,
+    lift,
+  };
+}
 
-      totalInstances++;
+/**
+ * Pick each component's most co-used prop pairs from the distinct prop
+ * sets of its instances, and tally them into combo results.
+ *
+ * @param {Object<string, Map<string, { props: Object<string, string>, count: number, codebases: Object<string, number> }>>} signatures
+ *   Component → distinct normalized prop sets and how often each occurs.
+ * @param {Object<string, number>} totals - Instances per component.
+ * @param {Object<string, ComboInstance[]>} samples - Sampled instances per
+ *   component, with every normalized prop in `values`.
+ * @param {string[]} codebases
+ * @param {DiscoveryOptions} [options=DISCOVERY_DEFAULTS]
+ * @returns {ComboResult[]}
+ */
+function discoverCombos(
+  signatures,
+  totals,
+  samples,
+  codebases,
+  options = DISCOVERY_DEFAULTS,
+) {
+  const results = [];
+  for (const component of Object.keys(signatures).sort()) {
+    const bySignature = [...signatures[component].values()];
+
+    const pairs = new Map();
+    for (const signature of bySignature) {
+      const names = Object.keys(signature.props).sort();
+      for (let i = 0; i < names.length; i++) {
+        for (let j = i + 1; j < names.length; j++) {
+          const key = `${names[i]} × ${names[j]}`;
+          if (!pairs.has(key)) {
+            pairs.set(key, {
+              props: [names[i], names[j]],
+              coUsage: 0,
+              values: [new Set(), new Set()],
+            });
+          }
+          const pair = pairs.get(key);
+          pair.coUsage += signature.count;
+          pair.props.forEach((name, k) => {
+            const value = signature.props[name];
+            if (isLiteral(value)) pair.values[k].add(value);
+          });
+        }
+      }
+    }
 
-      // Build a map of prop name → normalized value for this instance
-      /** @type {Object<string, string>} */
-      const propMap = {};
-      for (const p of inst.props) {
-        propMap[p.name] = normalize(p.value);
+    const chosen = [...pairs.values()]
+      .filter(
+        (pair) =>
+          pair.coUsage >= options.minCoUsage &&
+          pair.values.every((v) => v.size >= options.minValues),
+      )
+      .sort(
+        (a, b) =>
+          b.coUsage - a.coUsage ||
+          comboKey(a.props).localeCompare(comboKey(b.props)),
+      )
+      .slice(0, options.pairsPerComponent);
+
+    for (const pair of chosen) {
+      const result = createComboResult({ component, props: pair.props });
+      result.totalInstances = totals[component];
+      result.discovered = { coUsage: pair.coUsage };
+      for (const codebase of codebases) {
+        result.comboCountsByCodebase[codebase] = {};
       }
 
-      // Extract values for the configured props
-      const values = combo.props.map((p) => propMap[p] || UNSET);
+      const valuesOf = (props) => pair.props.map((p) => props[p] || UNSET);
+      for (const signature of bySignature) {
+        const values = valuesOf(signature.props);
+        if (values.every((v) => v === UNSET)) continue;
+        const key = comboKey(values);
+        result.matchedInstances += signature.count;
+        incr(result.comboCounts, key, signature.count);
+        for (const [codebase, count] of Object.entries(signature.codebases)) {
+          result.comboCountsByCodebase[codebase] =
+            result.comboCountsByCodebase[codebase] || {};
+          incr(result.comboCountsByCodebase[codebase], key, count);
+        }
+      }
+      result.instances = (samples[component] || [])
+        .map((inst) => ({ ...inst, values: valuesOf(inst.values) }))
+        .filter((inst) => inst.values.some((v) => v !== UNSET));
+
+      results.push(result);
+    }
+  }
+  return results;
+}
+
+/**
+ * Create the discovery analyzer used when no `propCombos` are
+ * configured.  Files contribute the distinct normalized prop sets of
+ * each component's instances (and a sample of instances for the
+ * reports); the pairs are chosen once every file is in.
+ *
+ * @param {DiscoveryOptions} [options=DISCOVERY_DEFAULTS]
+ * @returns {import("../lib/pipeline").Analyzer & { discover: () => ComboResult[] }}
+ */
+function createDiscoveryAnalyzer(options = DISCOVERY_DEFAULTS) {
+  const signatures = {};
+  const totals = {};
+  const samples = {};
+  const codebases = [];
 
-      // Only count as "matched" if at least one configured prop was set
-      const hasAny = values.some((v) => v !== UNSET);
-      if (!hasAny) continue;
+  return {
+    name: "prop-combos",
+    worker: { module: __filename, args: [[], options] },
+
+    beginCodebase(codebase) {
+      codebases.push(codebase);
+    },
+
+    analyze(file) {
+      return analyzeFileContent(file.parsed).instances;
+    },
+
+    file(file, instances) {
+      for (const inst of instances) {
+        incr(totals, inst.component);
+
+        /** @type {Object<string, string>} */
+        const props = {};
+        for (const p of inst.props) props[p.name] = normalize(p.value);
+
+        const bySignature = (signatures[inst.component] =
+          signatures[inst.component] || new Map());
+        const key = JSON.stringify(Object.entries(props).sort());
+        if (!bySignature.has(key)) {
+          bySignature.set(key, { props, count: 0, codebases: {} });
+        }
+        const signature = bySignature.get(key);
+        signature.count++;
+        incr(signature.codebases, file.codebase);
+
+        const sampled = (samples[inst.component] =
+          samples[inst.component] || []);
+        if (sampled.length < MAX_DISCOVERY_SAMPLES) {
+          sampled.push({
+            codebase: file.codebase,
+            file: file.relPath,
+            line: inst.line,
+            values: props,
+            sourceCode: extractSourceSnippet(
+              file.content,
+              inst.startOffset,
+              inst.endOffset,
+            ),
+          });
+        }
+      }
+    },
 
-      matchedInstances++;
-      const key = comboKey(values);
-      incr(comboCounts, key);
+    discover() {
+      return discoverCombos(signatures, totals, samples, codebases, options);
+    },
 
-      // Derive a short relative path from the absolute filePath
-      const codebasePath = require("../lib/files").codebasePath(codebase);
-      const path = require("path");
-      const relPath = path.relative(codebasePath, filePath);
+    finish() {
+      writeComboReports(this.discover());
+    },
+  };
+}
 
-      const sourceCode = extractSourceSnippet(
-        content,
-        inst.startOffset,
-        inst.endOffset,
+/**
+ * Create the prop-combo analyzer for the shared single-pass pipeline.
+ *
+ * Each file's component instances are extracted once and tallied into
+ * every configured combo, rather than rescanning the codebases per
+ * combo.  Results are exposed as `results` (in `combos` order) and
+ * written to per-combo reports in `finish`.  Without combos, returns
+ * the discovery analyzer instead (see `createDiscoveryAnalyzer`).
+ *
+ * @param {import("../lib/config-schema").PropComboEntry[]} [combos=PROP_COMBOS]
+ * @param {DiscoveryOptions} [discovery=DISCOVERY_DEFAULTS] - Thresholds of the
+ *   discovery analyzer.
+ * @returns {import("../lib/pipeline").Analyzer & { results: ComboResult[] }}
+ */
+function createAnalyzer(combos = PROP_COMBOS, discovery = DISCOVERY_DEFAULTS) {
+  if (combos.length === 0) return createDiscoveryAnalyzer(discovery);
+
+  const results = combos.map(createComboResult);
+
+  return {
+    name: "prop-combos",
+    worker: { module: __filename, args: [combos] },
+    results,
+
+    beginCodebase(codebase) {
+      for (const result of results) {
+        result.comboCountsByCodebase[codebase] = {};
+      }
+    },
+
+    analyze(file) {
+      return analyzeFileContent(file.parsed).instances.filter((inst) =>
+        results.some((result) => result.component === inst.component),
       );
+    },
+
+    file(file, instances) {
+      for (const inst of instances) {
+        for (const result of results) {
+          if (inst.component === result.component) {
+            recordComboInstance(result, inst, file);
+          }
+        }
+      }
+    },
 
-      instances.push({
-        codebase,
-        file: relPath,
-        line: inst.line,
-        values,
-        sourceCode,
-      });
-    }
-  }
+    finish() {
+      writeComboReports(results);
+    },
+  };
+}
 
+/**
+ * Analyse a single codebase for one combo entry.
+ *
+ * @param {import("../lib/config-schema").PropComboEntry} combo
+ * @param {string} codebase
+ * @returns {Promise<{ totalInstances: number, matchedInstances: number, comboCounts: Object<string, number>, instances: ComboInstance[] } | null>}
+ */
+async function analyzeCodebaseForCombo(combo, codebase) {
+  if (!codebaseExists(codebase)) return null;
+
+  const analyzer = createAnalyzer([combo]);
+  await collect([analyzer], { codebases: [codebase], quiet: true });
+
+  const { totalInstances, matchedInstances, comboCounts, instances } =
+    analyzer.results[0];
   return { totalInstances, matchedInstances, comboCounts, instances };
 }
 
@@ -176,39 +509,9 @@ async function analyzeCodebaseForCombo(combo, codebase) {
  * @returns {Promise<ComboResult>}
  */
 async function analyzeCombo(combo) {
-  /** @type {Object<string, number>} */
-  const comboCounts = {};
-  /** @type {Object<string, Object<string, number>>} */
-  const comboCountsByCodebase = {};
-  /** @type {ComboInstance[]} */
-  const allInstances = [];
-  let totalInstances = 0;
-  let matchedInstances = 0;
-
-  for (const codebase of CODEBASES) {
-    const result = await analyzeCodebaseForCombo(combo, codebase);
-    if (!result) continue;
-
-    totalInstances += result.totalInstances;
-    matchedInstances += result.matchedInstances;
-
-    for (const [key, count] of Object.entries(result.comboCounts)) {
-      incr(comboCounts, key, count);
-    }
-
-    comboCountsByCodebase[codebase] = result.comboCounts;
-    allInstances.push(...result.instances);
-  }
-
-  return {
-    component: combo.component,
-    props: combo.props,
-    totalInstances,
-    matchedInstances,
-    comboCounts,
-    comboCountsByCodebase,
-    instances: allInstances,
-  };
+  const analyzer = createAnalyzer([combo]);
+  await collect([analyzer], { quiet: true });
+  return analyzer.results[0];
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -233,6 +536,11 @@ function generateMarkdown(result) {
   lines.push(
     "Only instances where at least one of the listed props is set are included.",
   );
+  if (result.discovered) {
+    lines.push(
+      `Discovered automatically: \`${propsLabel}\` are set together on ${result.discovered.coUsage} instances.`,
+    );
+  }
   lines.push("");
   lines.push(
     `- **Total \`<${result.component}>\` instances:** ${result.totalInstances}`,
@@ -243,6 +551,12 @@ function generateMarkdown(result) {
   lines.push(
     `- **Unique combinations:** ${Object.keys(result.comboCounts).length}`,
   );
+  const correlation = comboCorrelation(result);
+  if (correlation) {
+    lines.push(
+      `- **${result.props.length > 2 ? "Total correlation" : "Mutual information"}:** ${correlation.mutualInformation} bits (normalized ${correlation.normalized}) across the ${correlation.instances} instances that set every prop to a literal value`,
+    );
+  }
   lines.push("");
 
   const sorted = sortByCount(result.comboCounts);
@@ -258,16 +572,22 @@ function generateMarkdown(result) {
   lines.push("");
 
   const propHeaders = result.props.map((p) => `\`${p}\``).join(" | ");
-  lines.push(`| Rank | ${propHeaders} | Count | % of Matched |`);
+  const liftHeader = correlation ? " Lift |" : "";
+  lines.push(`| Rank | ${propHeaders} | Count | % of Matched |${liftHeader}`);
   const alignments = result.props.map(() => "---").join(" | ");
-  lines.push(`| ---: | ${alignments} | ---: | ---: |`);
+  lines.push(
+    `| ---: | ${alignments} | ---: | ---: |${correlation ? " ---: |" : ""}`,
+  );
 
   for (let i = 0; i < sorted.length; i++) {
     const [key, count] = sorted[i];
     const values = key.split(" × ");
     const valueCells = values.map((v) => `\`${v}\``).join(" | ");
+    const liftCell = correlation
+      ? ` ${correlation.lift[key] !== undefined ? correlation.lift[key] : "—"} |`
+      : "";
     lines.push(
-      `| ${i + 1} | ${valueCells} | ${count} | ${pct(count, result.matchedInstances)}% |`,
+      `| ${i + 1} | ${valueCells} | ${count} | ${pct(count, result.matchedInstances)}% |${liftCell}`,
     );
   }
   lines.push("");
@@ -329,9 +649,14 @@ function csvEscape(value) {
  */
 function generateCSV(result) {
   const rows = [];
-  const header = ["Component", ...result.props, ...CODEBASES, "Total"].map(
-    csvEscape,
-  );
+  const correlation = comboCorrelation(result);
+  const header = [
+    "Component",
+    ...result.props,
+    ...CODEBASES,
+    "Total",
+    ...(correlation ? ["Lift"] : []),
+  ].map(csvEscape);
   rows.push(header.join(","));
 
   const sorted = sortByCount(result.comboCounts);
@@ -341,7 +666,12 @@ function generateCSV(result) {
     const perCb = CODEBASES.map((cb) => {
       return (result.comboCountsByCodebase[cb] || {})[key] || 0;
     });
-    const row = [result.component, ...values, ...perCb, total].map(csvEscape);
+    const lift = correlation
+      ? [correlation.lift[key] !== undefined ? correlation.lift[key] : ""]
+      : [];
+    const row = [result.component, ...values, ...perCb, total, ...lift].map(
+      csvEscape,
+    );
     rows.push(row.join(","));
   }
 
@@ -360,6 +690,7 @@ function generateCSV(result) {
  */
 function generateJSON(result) {
   const sorted = sortByCount(result.comboCounts);
+  const correlation = comboCorrelation(result);
 
   const output = {
     generatedAt: new Date().toISOString(),
@@ -369,6 +700,12 @@ function generateJSON(result) {
     totalInstances: result.totalInstances,
     matchedInstances: result.matchedInstances,
     uniqueCombinations: sorted.length,
+    ...(result.discovered ? { discovered: result.discovered } : {}),
+    correlation: correlation && {
+      instances: correlation.instances,
+      mutualInformation: correlation.mutualInformation,
+      normalized: correlation.normalized,
+    },
     combinations: sorted.map(([key, count]) => {
       const values = key.split(" × ");
       const propValues = {};
@@ -379,6 +716,9 @@ function generateJSON(result) {
         ...propValues,
         count,
         percentOfMatched: parseFloat(pct(count, result.matchedInstances)),
+        ...(correlation && correlation.lift[key] !== undefined
+          ? { lift: correlation.lift[key] }
+          : {}),
       };
     }),
     byCodebase: Object.fromEntries(
@@ -431,45 +771,30 @@ function comboReportPath(result) {
   return { subdir, baseName };
 }
 
-async function main() {
-  console.log("═".repeat(60));
-  console.log("  PROP COMBINATION ANALYSIS");
-  console.log("═".repeat(60));
-  console.log("");
-
-  if (PROP_COMBOS.length === 0) {
+/**
+ * Write each combo's reports to its own directory and print a console
+ * summary.
+ *
+ * @param {ComboResult[]} results
+ */
+function writeComboReports(results) {
+  if (results.length === 0) {
     console.log(
-      "  ⚠ No propCombos configured in component-analytics.config.js",
+      "  ⚠ No propCombos configured and no prop pairs set together often enough",
     );
     console.log(
-      "  Add entries to the `propCombos` array to enable this report.",
+      "  Add entries to the `propCombos` array to choose the combinations.",
     );
     console.log("");
     return;
   }
 
-  console.log(`  Combos configured: ${PROP_COMBOS.length}`);
-  for (const combo of PROP_COMBOS) {
-    console.log(`    ${combo.component}: ${combo.props.join(" × ")}`);
-  }
-  console.log("");
-
-  /** @type {ComboResult[]} */
-  const results = [];
-
-  for (const combo of PROP_COMBOS) {
-    console.log(
-      `  Analysing ${combo.component} [${combo.props.join(", ")}]...`,
-    );
-    const result = await analyzeCombo(combo);
-    results.push(result);
-
+  for (const result of results) {
     const uniqueCombos = Object.keys(result.comboCounts).length;
     console.log(
-      `    ${result.matchedInstances} matched / ${result.totalInstances} total → ${uniqueCombos} unique combos`,
+      `  ${result.component} [${result.props.join(", ")}]: ${result.matchedInstances} matched / ${result.totalInstances} total → ${uniqueCombos} unique combos`,
     );
 
-    // Write this combo's reports to its own directory
     const { subdir, baseName } = comboReportPath(result);
     const markdown = generateMarkdown(result);
     const csv = generateCSV(result);
@@ -498,13 +823,35 @@ async function main() {
       .slice(0, 3)
       .map(([key, count]) => `${key} (${count})`)
       .join(", ");
+    const correlation = comboCorrelation(result);
+    const score = correlation
+      ? `, MI ${correlation.mutualInformation} bits`
+      : "";
     console.log(
-      `  ${result.component} [${result.props.join("×")}]: ${sorted.length} combos, top: ${top3}`,
+      `  ${result.component} [${result.props.join("×")}]: ${sorted.length} combos${score}, top: ${top3}`,
     );
   }
   console.log("");
 }
 
+async function main() {
+  console.log("═".repeat(60));
+  console.log("  PROP COMBINATION ANALYSIS");
+  console.log("═".repeat(60));
+  console.log("");
+
+  if (PROP_COMBOS.length === 0) {
+    console.log("  No propCombos configured — discovering prop pairs");
+  } else {
+    console.log(`  Combos configured: ${PROP_COMBOS.length}`);
+    for (const combo of PROP_COMBOS) {
+      console.log(`    ${combo.component}: ${combo.props.join(" × ")}`);
+    }
+  }
+
+  await runPipeline([createAnalyzer()]);
+}
+
 if (require.main === module) {
   main().catch((err) => {
     console.error("❌ Prop combo analysis failed:", err);
@@ -513,6 +860,10 @@ if (require.main === module) {
 }
 
 module.exports = {
+  createAnalyzer,
+  createDiscoveryAnalyzer,
+  discoverCombos,
+  comboCorrelation,
   analyzeCodebaseForCombo,
   analyzeCombo,
   generateMarkdown,
@@ -522,4 +873,5 @@ module.exports = {
   comboKey,
   normalize,
   UNSET,
+  DISCOVERY_DEFAULTS,
 };
@@ -29,17 +29,16 @@
 
 const {
   CODEBASES,
-  TRACKED_COMPONENTS,
   UI_LIBRARY_NAMES,
   isTrackedUISource,
 } = require("../lib/constants");
 const { sortByCount, pct, incr } = require("../lib/utils");
+const { writeReports } = require("../lib/files");
+const { toParsed } = require("../lib/parser");
+const { runPipeline } = require("../lib/pipeline");
 const {
-  codebaseExists,
-  findFiles,
-  readSafe,
-  writeReports,
-} = require("../lib/files");
+  buildTrackedUIImportMap,
+} = require("../per-component/analyze-per-component");
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // JSX DETECTION
@@ -54,111 +53,15 @@ const {
  * utilities, constants) and should be excluded from the UI-file
  * denominator.
  *
- * @param {string} content - File content.
+ * JSX fragments (`<>…</>`) count too; TypeScript generics such as
+ * `Array<string>` do not.
+ *
+ * @param {string|import("../lib/parser").ParsedFile} content - File content,
+ *   or an already parsed file.
  * @returns {boolean}
  */
 function hasJSX(content) {
-  // Matches <Tag or <tag followed by whitespace, /, or >
-  return /<[a-zA-Z][a-zA-Z0-9]*[\s/>]/.test(content);
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// IMPORT PARSING (mirrors per-component logic)
-// ═══════════════════════════════════════════════════════════════════════════════
-
-/**
- * Extract ES import statements from file content.
- *
- * @param {string} content
- * @returns {Array<{ namedImports: string|null, defaultImport: string|null, source: string }>}
- */
-function extractImports(content) {
-  const regex = /import\s+(?:\{([^}]+)\}|(\w+))\s+from\s+['"]([^'"]+)['"]/g;
-  const results = [];
-  let m;
-  while ((m = regex.exec(content)) !== null) {
-    results.push({
-      namedImports: m[1] || null,
-      defaultImport: m[2] || null,
-      source: m[3],
-    });
-  }
-  return results;
-}
-
-/**
- * Parse named imports into `{ original, local }` pairs.
- * Only returns PascalCase names.
- *
- * @param {string} namedImportsStr
- * @returns {Array<{ original: string, local: string }>}
- */
-function parseNamedImports(namedImportsStr) {
-  if (!namedImportsStr) return [];
-  const results = [];
-  for (const raw of namedImportsStr.split(",")) {
-    const trimmed = raw.trim();
-    if (!trimmed) continue;
-    const parts = trimmed.split(/\s+as\s+/);
-    const original = parts[0].trim();
-    const local = (parts[1] || parts[0]).trim();
-    if (original && /^[A-Z]/.test(original)) {
-      results.push({ original, local });
-    }
-  }
-  return results;
-}
-
-/**
- * Build `{ localName → originalName }` for tracked UI library component imports.
- *
- * @param {string} content
- * @returns {Object<string, string>}
- */
-function buildTrackedUIImportMap(content) {
-  const imports = extractImports(content);
-  /** @type {Object<string, string>} */
-  const map = {};
-  for (const imp of imports) {
-    if (!isTrackedUISource(imp.source)) continue;
-    for (const { original, local } of parseNamedImports(imp.namedImports)) {
-      if (TRACKED_COMPONENTS.includes(original)) {
-        map[local] = original;
-      }
-    }
-  }
-  return map;
-}
-
-// ═══════════════════════════════════════════════════════════════════════════════
-// TAG BOUNDARY DETECTION
-// ═══════════════════════════════════════════════════════════════════════════════
-
-/**
- * Find the closing `>` of a JSX opening tag, respecting nested `{…}`.
- *
- * @param {string} content
- * @param {number} startIdx - Position right after the tag name.
- * @returns {number} Index of `>`, or `-1`.
- */
-function findTagEnd(content, startIdx) {
-  let depth = 0;
-  for (let i = startIdx; i < content.length; i++) {
-    if (content[i] === "{") depth++;
-    else if (content[i] === "}") depth--;
-    else if (depth === 0 && content[i] === ">") return i;
-  }
-  return -1;
-}
-
-/**
- * Escape special regex characters.
- *
- * @param {string} s
- * @returns {string}
- */
-function escapeRegex(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return toParsed(content).hasJSX;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -187,36 +90,30 @@ function escapeRegex(s) {
  * Self-closing `/>` counts as part of the span since it sits inside
  * the tag.  The opening `<ComponentName` and the final `>` are excluded.
  *
- * @param {string} content          - Full file content.
+ * @param {string|import("../lib/parser").ParsedFile} content - Full file
+ *   content, or an already parsed file.
  * @param {Object<string, string>}  importMap - local → original tracked UI library map.
  * @returns {PropSpan[]}
  */
 function measurePropSpans(content, importMap) {
-  const localNames = Object.keys(importMap);
-  if (localNames.length === 0) return [];
-
-  const pattern = localNames.map(escapeRegex).join("|");
-  const tagRegex = new RegExp(`<(${pattern})\\b`, "g");
+  if (Object.keys(importMap).length === 0) return [];
 
   /** @type {PropSpan[]} */
   const spans = [];
-  let openMatch;
 
-  while ((openMatch = tagRegex.exec(content)) !== null) {
-    const localName = openMatch[1];
-    const original = importMap[localName];
-    const bodyStart = openMatch.index + openMatch[0].length;
-    const tagEnd = findTagEnd(content, bodyStart);
-    if (tagEnd === -1) continue;
+  for (const el of toParsed(content).elements) {
+    if (!Object.prototype.hasOwnProperty.call(importMap, el.name)) continue;
 
-    // The props body runs from bodyStart to tagEnd (exclusive of the `>` itself).
-    const charCount = tagEnd - bodyStart;
+    // The props body runs from the end of the name to the closing `>`
+    // (exclusive of the `>` itself).
+    const startIdx = el.nameEnd;
+    const endIdx = el.end - 1;
 
     spans.push({
-      component: original,
-      startIdx: bodyStart,
-      endIdx: tagEnd,
-      charCount,
+      component: importMap[el.name],
+      startIdx,
+      endIdx,
+      charCount: endIdx - startIdx,
     });
   }
 
@@ -239,13 +136,15 @@ function measurePropSpans(content, importMap) {
 /**
  * Analyse one file and return character metrics.
  *
- * @param {string} content - File content.
+ * @param {string|import("../lib/parser").ParsedFile} content - File content,
+ *   or an already parsed file.
  * @returns {FileMetrics}
  */
 function analyzeFileContent(content) {
-  const totalChars = content.length;
-  const importMap = buildTrackedUIImportMap(content);
-  const spans = measurePropSpans(content, importMap);
+  const parsed = toParsed(content);
+  const totalChars = parsed.content.length;
+  const { components: importMap } = buildTrackedUIImportMap(parsed);
+  const spans = measurePropSpans(parsed, importMap);
 
   let trackedUIPropChars = 0;
   /** @type {Object<string, number>} */
@@ -260,7 +159,7 @@ function analyzeFileContent(content) {
     totalChars,
     trackedUIPropChars,
     trackedUITagCount: spans.length,
-    rendersUI: hasJSX(content),
+    rendersUI: hasJSX(parsed),
     charsByComponent,
   };
 }
@@ -724,43 +623,101 @@ function generateJSON(results) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// CODEBASE RUNNER
+// PIPELINE ANALYZER
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Analyse a single codebase.
+ * Create the prop surface area analyzer for the shared single-pass pipeline.
+ * Codebases that don't exist on disk are reported as `null`.
  *
- * @param {string} codebase
- * @returns {Promise<CodebaseMetrics | null>}
+ * @returns {import("../lib/pipeline").Analyzer}
  */
-async function analyzeCodebase(codebase) {
-  if (!codebaseExists(codebase)) {
-    console.log(`⚠️  Skipping ${codebase}: path not found`);
-    return null;
-  }
+function createAnalyzer() {
+  /** @type {Object<string, CodebaseMetrics>} */
+  const aggregated = {};
+  /** @type {FileMetrics[]} */
+  let fileResults = [];
+
+  /**
+   * Results per configured codebase, as passed to the report
+   * generators — without writing anything.
+   *
+   * @returns {Object<string, CodebaseMetrics | null>}
+   */
+  const summarize = () => {
+    /** @type {Object<string, CodebaseMetrics | null>} */
+    const results = {};
+    for (const codebase of CODEBASES) {
+      results[codebase] = aggregated[codebase] || null;
+    }
+    return results;
+  };
 
-  console.log(`\n📊 Analyzing prop surface area in ${codebase}...`);
+  return {
+    name: "prop-surface",
+    worker: { module: __filename },
 
-  const files = await findFiles(codebase);
-  console.log(`   Found ${files.length} component files`);
+    beginCodebase() {
+      fileResults = [];
+    },
 
-  /** @type {FileMetrics[]} */
-  const fileResults = [];
+    analyze(file) {
+      return analyzeFileContent(file.parsed);
+    },
 
-  for (const file of files) {
-    const content = readSafe(file);
-    if (content === null) continue;
-    fileResults.push(analyzeFileContent(content));
-  }
+    file(file, result) {
+      fileResults.push(result);
+    },
 
-  const agg = aggregateResults(fileResults);
+    endCodebase(codebase) {
+      const agg = aggregateResults(fileResults);
+      aggregated[codebase] = agg;
+      fileResults = [];
+      const p = pct(agg.trackedUIPropChars, agg.uiFileChars);
+      console.log(
+        `   Prop surface: ${agg.uiFileCount} UI files (${formatSize(agg.uiFileChars)}), ${formatSize(agg.trackedUIPropChars)} ${UI_LIBRARY_NAMES} props (${p}%)`,
+      );
+    },
 
-  const p = pct(agg.trackedUIPropChars, agg.uiFileChars);
-  console.log(
-    `   ${agg.uiFileCount} UI files (${formatSize(agg.uiFileChars)}), ${formatSize(agg.trackedUIPropChars)} ${UI_LIBRARY_NAMES} props (${p}%)`,
-  );
+    summarize,
 
-  return agg;
+    finish() {
+      const results = summarize();
+
+      writeReports("prop-surface", "report", {
+        markdown: generateMarkdown(results),
+        csv: generateCSV(results),
+        json: generateJSON(results),
+      });
+
+      console.log("\n✅ Markdown report saved");
+      console.log("✅ CSV report saved");
+      console.log("✅ JSON report saved");
+
+      // Quick console summary
+      console.log("\n" + "─".repeat(60));
+      console.log("  QUICK SUMMARY");
+      console.log("─".repeat(60));
+
+      let grandTotal = 0;
+      let grandProps = 0;
+
+      for (const [codebase, data] of Object.entries(results)) {
+        if (!data) continue;
+        grandTotal += data.uiFileChars;
+        grandProps += data.trackedUIPropChars;
+        console.log(
+          `  ${codebase.padEnd(12)}: ${formatSize(data.uiFileChars).padStart(10)} UI code, ${formatSize(data.trackedUIPropChars).padStart(10)} props → ${pct(data.trackedUIPropChars, data.uiFileChars)}%`,
+        );
+      }
+
+      console.log("  " + "─".repeat(56));
+      console.log(
+        `  ${"TOTAL".padEnd(12)}: ${formatSize(grandTotal).padStart(10)} UI code, ${formatSize(grandProps).padStart(10)} props → ${pct(grandProps, grandTotal)}%`,
+      );
+      console.log("");
+    },
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -777,45 +734,7 @@ async function main() {
   console.log(`  ${UI_LIBRARY_NAMES.toUpperCase()} PROP SURFACE AREA ANALYSIS`);
   console.log("═".repeat(60));
 
-  /** @type {Object<string, CodebaseMetrics | null>} */
-  const results = {};
-
-  for (const codebase of CODEBASES) {
-    results[codebase] = await analyzeCodebase(codebase);
-  }
-
-  writeReports("prop-surface", "report", {
-    markdown: generateMarkdown(results),
-    csv: generateCSV(results),
-    json: generateJSON(results),
-  });
-
-  console.log("\n✅ Markdown report saved");
-  console.log("✅ CSV report saved");
-  console.log("✅ JSON report saved");
-
-  // Quick console summary
-  console.log("\n" + "─".repeat(60));
-  console.log("  QUICK SUMMARY");
-  console.log("─".repeat(60));
-
-  let grandTotal = 0;
-  let grandProps = 0;
-
-  for (const [codebase, data] of Object.entries(results)) {
-    if (!data) continue;
-    grandTotal += data.uiFileChars;
-    grandProps += data.trackedUIPropChars;
-    console.log(
-      `  ${codebase.padEnd(12)}: ${formatSize(data.uiFileChars).padStart(10)} UI code, ${formatSize(data.trackedUIPropChars).padStart(10)} props → ${pct(data.trackedUIPropChars, data.uiFileChars)}%`,
-    );
-  }
-
-  console.log("  " + "─".repeat(56));
-  console.log(
-    `  ${"TOTAL".padEnd(12)}: ${formatSize(grandTotal).padStart(10)} UI code, ${formatSize(grandProps).padStart(10)} props → ${pct(grandProps, grandTotal)}%`,
-  );
-  console.log("");
+  await runPipeline([createAnalyzer()]);
 }
 
 // ─── Module boundary ──────────────────────────────────────────────────────────
@@ -829,15 +748,9 @@ module.exports = {
   hasJSX,
 
   // Import parsing
-  extractImports,
-  parseNamedImports,
   isTrackedUISource,
   buildTrackedUIImportMap,
 
-  // Tag detection
-  findTagEnd,
-  escapeRegex,
-
   // Measurement
   measurePropSpans,
   analyzeFileContent,
@@ -852,4 +765,7 @@ module.exports = {
   generateMarkdown,
   generateCSV,
   generateJSON,
+
+  // Pipeline
+  createAnalyzer,
 };
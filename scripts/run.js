@@ -10,25 +10,62 @@
  * the central configuration file and runs every analysis step in
  * the correct order.
  *
+ * Source-analysis steps run in-process on a single pass over the
+ * codebases (see `lib/pipeline.js`): every file is read and parsed once
+ * and handed to each requested analyzer, then each analyzer writes its
+ * reports.  Time spent per step is printed at the end.
+ *
+ * Per-file results are cached in `.component-analytics-cache/` keyed by
+ * content hash and configuration, so re-runs only analyze changed files
+ * (see `lib/cache.js`).
+ *
  * Usage:
- *   node scripts/run.js              # run everything
- *   node scripts/run.js --step scan  # run only the React Scanner step
+ *   node scripts/run.js                  # run everything
+ *   node scripts/run.js --step scan      # run only the React Scanner step
+ *   node scripts/run.js --concurrency 4  # analyze files in 4 worker threads
+ *   node scripts/run.js --no-cache       # ignore cached results
+ *   node scripts/run.js --base origin/main --head HEAD
+ *                                        # analyze only the files a branch changes
+ *
+ * With `--base`, no steps run: the component files changed between
+ * `--head` (default `HEAD`) and its merge base with `--base` are
+ * analyzed from git at both commits and the difference is written to
+ * `reports/changes/` (see `changes/analyze-changes.js`).
  *
  * Available steps (run in this order by default):
  *   scan           React Scanner (components + wrappers for every codebase)
  *   sources        UI component source classification
  *   html-tags      Native HTML/SVG tag usage
+ *   html-replacements Tracked components that can replace raw HTML tags
  *   customizations Inline style= and styled() detection
+ *   style-props    Inline styles the components' own props can express
  *   per-component  Per-component props, values, references, defaults
+ *   prop-clusters  Literal prop sets that many instances repeat
+ *   deprecations   Deprecated components, props and values with locations
+ *   invalid-values Literal prop values outside the declared or configured set
+ *   unused-components Library components never used, used in one codebase or only styled()
+ *   wrapper-discovery Internal components that render a single tracked component
  *   prop-surface   Character footprint of UI props
  *   line-ownership Line-of-code footprint of UI library
+ *   api-surface    Declared props and values that are never used
+ *   composition    Direct parents and children of each tracked component
+ *   history        Snapshot of headline metrics into history/
+ *   trends         Adoption over time from history/ snapshots
  */
 
 const { execSync } = require("child_process");
 const path = require("path");
 
-const { CODEBASES, ALL_UI_LIBRARIES } = require("./lib/constants");
+const { performance } = require("perf_hooks");
+
+const {
+  CODEBASES,
+  ALL_UI_LIBRARIES,
+  CONFIG: ANALYTICS_CONFIG,
+} = require("./lib/constants");
+const { createCache } = require("./lib/cache");
 const { clearReports } = require("./lib/files");
+const { collect, formatDuration } = require("./lib/pipeline");
 
 // ─── Paths ────────────────────────────────────────────────────────────────────
 
@@ -52,6 +89,17 @@ function run(cmd, env = {}) {
   });
 }
 
+/**
+ * Print the banner that introduces a step.
+ *
+ * @param {string} title
+ */
+function stepBanner(title) {
+  console.log("\n" + "═".repeat(60));
+  console.log(`  STEP: ${title}`);
+  console.log("═".repeat(60));
+}
+
 /**
  * Run a Node script relative to the scripts/ directory.
  *
@@ -80,117 +128,344 @@ function runScannerForAll(scanType) {
 // ─── Steps ────────────────────────────────────────────────────────────────────
 
 /**
- * Each step is a named function that runs one phase of the analysis.
- * They are executed in declaration order when no --step flag is given.
+ * @typedef {object} Step
+ * @property {string} title - Banner title.
+ * @property {() => void} [run]
+ *   Self-contained step (external tools) — runs before the shared pass.
+ * @property {() => import("./lib/pipeline").Analyzer} [analyzer]
+ *   Creates the step's analyzer for the shared single pass.
+ * @property {() => void} [after]
+ *   Post-processing that reads the step's reports once they are written.
+ * @property {() => void} [report]
+ *   Self-contained step that reads other steps' reports — runs after the
+ *   shared pass.
+ */
+
+/**
+ * Every analysis step, executed in declaration order when no --step
+ * flag is given.
+ *
+ * @type {Object<string, Step>}
  */
 const STEPS = {
   /**
    * React Scanner — run for each codebase × scan type, then post-process
    * the JSON output into CSV/Markdown reports.
    */
-  scan() {
-    console.log("\n" + "═".repeat(60));
-    console.log("  STEP: React Scanner");
-    console.log("═".repeat(60));
-
-    // 1. All components (no import filter)
-    console.log("\n── Scanning: components ──");
-    runScannerForAll("components");
-    runScript("components/convert-to-csv.js");
-    runScript("components/create-summary-csv.js");
-    runScript("components/generate-stats.js");
-
-    // 2. Wrapper layers — one scan per library that has wrapperSources
-    const wrapperLibs = ALL_UI_LIBRARIES.filter(
-      (lib) => lib.wrapperSources && lib.wrapperSources.length > 0,
-    );
-    for (const lib of wrapperLibs) {
-      const scanType = `wrappers:${lib.name}`;
-      console.log(`\n── Scanning: ${scanType} ──`);
-      runScannerForAll(scanType);
-    }
-    if (wrapperLibs.length > 0) {
-      runScript("ui-components/convert-ui-components-to-csv.js");
-      runScript("ui-components/create-ui-components-summary.js");
-    }
+  scan: {
+    title: "React Scanner",
+    run() {
+      // 1. All components (no import filter)
+      console.log("\n── Scanning: components ──");
+      runScannerForAll("components");
+      runScript("components/convert-to-csv.js");
+      runScript("components/create-summary-csv.js");
+      runScript("components/generate-stats.js");
+
+      // 2. Wrapper layers — one scan per library that has wrapperSources
+      const wrapperLibs = ALL_UI_LIBRARIES.filter(
+        (lib) => lib.wrapperSources && lib.wrapperSources.length > 0,
+      );
+      for (const lib of wrapperLibs) {
+        const scanType = `wrappers:${lib.name}`;
+        console.log(`\n── Scanning: ${scanType} ──`);
+        runScannerForAll(scanType);
+      }
+      if (wrapperLibs.length > 0) {
+        runScript("ui-components/convert-ui-components-to-csv.js");
+        runScript("ui-components/create-ui-components-summary.js");
+      }
+    },
   },
 
   /**
    * UI component source classification — classifies every JSX element
    * as tracked UI, internal, native HTML, or other.
    */
-  sources() {
-    console.log("\n" + "═".repeat(60));
-    console.log("  STEP: Source Classification");
-    console.log("═".repeat(60));
-    runScript("sources/analyze-ui-component-sources.js");
+  sources: {
+    title: "Source Classification",
+    analyzer: () =>
+      require("./sources/analyze-ui-component-sources").createAnalyzer(),
   },
 
   /**
    * Native HTML/SVG tag usage.
    */
-  "html-tags"() {
-    console.log("\n" + "═".repeat(60));
-    console.log("  STEP: HTML Tags");
-    console.log("═".repeat(60));
-    runScript("html-tags/analyze-html-tags.js");
+  "html-tags": {
+    title: "HTML Tags",
+    analyzer: () => require("./html-tags/analyze-html-tags").createAnalyzer(),
+  },
+
+  /**
+   * Raw HTML elements a tracked component can replace, with the
+   * suggested component and props.
+   */
+  "html-replacements": {
+    title: "HTML Replacements",
+    analyzer: () =>
+      require("./html-replacements/analyze-html-replacements").createAnalyzer(),
   },
 
   /**
    * Inline style= and styled() detection on tracked UI components.
    */
-  customizations() {
-    console.log("\n" + "═".repeat(60));
-    console.log("  STEP: Customizations");
-    console.log("═".repeat(60));
-    runScript("customizations/analyze-customizations.js");
+  customizations: {
+    title: "Customizations",
+    analyzer: () =>
+      require("./customizations/analyze-customizations").createAnalyzer(),
+  },
+
+  /**
+   * Inline style objects on tracked components translated into the
+   * props the components take.
+   */
+  "style-props": {
+    title: "Style Props",
+    analyzer: () =>
+      require("./style-props/analyze-style-props").createAnalyzer(),
   },
 
   /**
    * Per-component analysis — imports, instances, props, values,
    * references, and automatic default-value detection.
    */
-  "per-component"() {
-    console.log("\n" + "═".repeat(60));
-    console.log("  STEP: Per-Component Analysis");
-    console.log("═".repeat(60));
-    runScript("per-component/analyze-per-component.js");
-    runScript("per-component/detect-prop-defaults.js");
-    runScript("versions/analyze-versions.js");
+  "per-component": {
+    title: "Per-Component Analysis",
+    analyzer: () =>
+      require("./per-component/analyze-per-component").createAnalyzer(),
+    after() {
+      require("./per-component/detect-prop-defaults").main();
+      require("./versions/analyze-versions").main();
+    },
   },
 
   /**
    * Prop combination cross-tabulation — counts unique value tuples
-   * for configured component + prop-set pairs.
+   * for configured component + prop-set pairs, or for the discovered
+   * pairs when none are configured.
    */
-  "prop-combos"() {
-    console.log("\n" + "═".repeat(60));
-    console.log("  STEP: Prop Combinations");
-    console.log("═".repeat(60));
-    runScript("prop-combos/analyze-prop-combos.js");
+  "prop-combos": {
+    title: "Prop Combinations",
+    analyzer: () =>
+      require("./prop-combos/analyze-prop-combos").createAnalyzer(),
+  },
+
+  /**
+   * Literal prop sets repeated by many instances of a component —
+   * candidates for variants or wrapper components.
+   */
+  "prop-clusters": {
+    title: "Prop Clusters",
+    analyzer: () =>
+      require("./prop-clusters/analyze-prop-clusters").createAnalyzer(),
+  },
+
+  /**
+   * Instances of deprecated components, props and prop values
+   * configured per library.
+   */
+  deprecations: {
+    title: "Deprecated Usage",
+    analyzer: () =>
+      require("./deprecations/analyze-deprecations").createAnalyzer(),
+  },
+
+  /**
+   * Literal prop values outside the allowed set, from `propSchemas` or
+   * the libraries' declared union types.
+   */
+  "invalid-values": {
+    title: "Invalid Prop Values",
+    analyzer: () =>
+      require("./invalid-values/analyze-invalid-values").createAnalyzer(),
+  },
+
+  /**
+   * Library components no codebase uses, only one codebase uses, or
+   * that are only wrapped with `styled()`.
+   */
+  "unused-components": {
+    title: "Unused Components",
+    analyzer: () =>
+      require("./unused-components/analyze-unused-components").createAnalyzer(),
+  },
+
+  /**
+   * Internal components that render a single tracked component, with
+   * the props they hardcode and how often they are rendered.
+   */
+  "wrapper-discovery": {
+    title: "Wrapper Discovery",
+    analyzer: () =>
+      require("./wrapper-discovery/analyze-wrapper-discovery").createAnalyzer(),
   },
 
   /**
    * Character footprint of UI component props relative to UI files.
    */
-  "prop-surface"() {
-    console.log("\n" + "═".repeat(60));
-    console.log("  STEP: Prop Surface Area");
-    console.log("═".repeat(60));
-    runScript("prop-surface/analyze-prop-surface.js");
+  "prop-surface": {
+    title: "Prop Surface Area",
+    analyzer: () =>
+      require("./prop-surface/analyze-prop-surface").createAnalyzer(),
   },
 
   /**
    * Line-of-code footprint of UI library relative to UI files.
    */
-  "line-ownership"() {
-    console.log("\n" + "═".repeat(60));
-    console.log("  STEP: Line Ownership");
-    console.log("═".repeat(60));
-    runScript("line-ownership/analyze-line-ownership.js");
+  "line-ownership": {
+    title: "Line Ownership",
+    analyzer: () =>
+      require("./line-ownership/analyze-line-ownership").createAnalyzer(),
+  },
+
+  /**
+   * Declared props and values of every component that no codebase
+   * uses, from the per-component reports.
+   */
+  "api-surface": {
+    title: "API Surface",
+    report: () => require("./api-surface/analyze-api-surface").main(),
+  },
+
+  /**
+   * Direct parents and children of every tracked component, from the
+   * per-component reports.
+   */
+  composition: {
+    title: "Composition",
+    report: () => require("./composition/analyze-composition").main(),
+  },
+
+  /**
+   * Save a compact snapshot of this run's headline numbers to history/,
+   * which survives the report clearing of a full run.
+   */
+  history: {
+    title: "History Snapshot",
+    report() {
+      const history = require("./lib/history");
+      const file = history.saveSnapshot(
+        history.buildSnapshot(history.readReportSet()),
+      );
+      console.log(`✅ Snapshot saved: ${path.relative(ROOT, file)}`);
+    },
+  },
+
+  /**
+   * Adoption over time per codebase and per component, from history/.
+   */
+  trends: {
+    title: "Adoption Trends",
+    report: () => require("./trends/analyze-trends").main(),
   },
 };
 
+/**
+ * @typedef {object} RunStats
+ * @property {Object<string, number>} timings   - Milliseconds spent per step.
+ * @property {number}                 readMs    - Shared read + parse cost.
+ * @property {number}                 fileCount - Files in the shared pass.
+ * @property {number}                 cacheHits - Files served entirely from the cache.
+ */
+
+/**
+ * Run the named steps: self-contained steps first, then one shared
+ * pass over the codebases for every analyzer step, then each
+ * analyzer's report writing and post-processing, then the steps that
+ * build on other steps' reports.
+ *
+ * @param {string[]} names - Step names, in execution order.
+ * @param {object}   options
+ * @param {number}   options.concurrency - Worker threads for the shared pass.
+ * @param {boolean}  options.useCache    - Reuse and update cached per-file results.
+ * @returns {Promise<RunStats>}
+ */
+async function runSteps(names, { concurrency, useCache }) {
+  /** @type {Object<string, number>} */
+  const timings = {};
+  let readMs = 0;
+  let fileCount = 0;
+  let cacheHits = 0;
+  let current = null;
+
+  try {
+    for (const name of names.filter((n) => STEPS[n].run)) {
+      current = name;
+      stepBanner(STEPS[name].title);
+      const start = performance.now();
+      STEPS[name].run();
+      timings[name] = performance.now() - start;
+    }
+
+    const analyzerSteps = names.filter((n) => STEPS[n].analyzer);
+    if (analyzerSteps.length > 0) {
+      current = analyzerSteps.join(", ");
+      stepBanner(`Reading & parsing (${analyzerSteps.join(", ")})`);
+      const analyzers = analyzerSteps.map((n) => STEPS[n].analyzer());
+      const cache = useCache
+        ? createCache({ analyzers, config: ANALYTICS_CONFIG })
+        : null;
+      const stats = await collect(analyzers, { concurrency, cache });
+      readMs = stats.readMs;
+      fileCount = stats.fileCount;
+      cacheHits = cache ? cache.stats.hits : 0;
+
+      for (const analyzer of analyzers) {
+        const step = STEPS[analyzer.name];
+        current = analyzer.name;
+        stepBanner(step.title);
+        const start = performance.now();
+        if (analyzer.finish) await analyzer.finish();
+        if (step.after) step.after();
+        timings[analyzer.name] =
+          stats.stepMs[analyzer.name] + (performance.now() - start);
+      }
+    }
+
+    for (const name of names.filter((n) => STEPS[n].report)) {
+      current = name;
+      stepBanner(STEPS[name].title);
+      const start = performance.now();
+      STEPS[name].report();
+      timings[name] = performance.now() - start;
+    }
+  } catch (err) {
+    console.error(`\n❌ Step "${current}" failed:`);
+    console.error(err.message || err);
+    process.exit(1);
+  }
+
+  return { timings, readMs, fileCount, cacheHits };
+}
+
+/**
+ * Print the per-step timing table.
+ *
+ * @param {RunStats} result
+ */
+function printTimings({ timings, readMs, fileCount, cacheHits }) {
+  console.log("\n" + "─".repeat(60));
+  console.log("  STEP TIMINGS");
+  console.log("─".repeat(60));
+  const width = Math.max(
+    "read + parse".length,
+    ...Object.keys(timings).map((name) => name.length),
+  );
+  for (const [name, ms] of Object.entries(timings)) {
+    console.log(`  ${name.padEnd(width)} ${formatDuration(ms).padStart(8)}`);
+  }
+  if (fileCount > 0) {
+    console.log(
+      `  ${"read + parse".padEnd(width)} ${formatDuration(readMs).padStart(8)}  (${fileCount.toLocaleString()} files, shared)`,
+    );
+  }
+  if (cacheHits > 0) {
+    console.log(
+      `  ${"cache".padEnd(width)} ${cacheHits.toLocaleString()} of ${fileCount.toLocaleString()} files unchanged`,
+    );
+  }
+}
+
 // ─── CLI ──────────────────────────────────────────────────────────────────────
 
 /**
@@ -216,9 +491,62 @@ function parseRequestedStep() {
   return step;
 }
 
+/**
+ * Parse --concurrency <n> from argv.  Returns 1 (analyze in-process)
+ * if the flag is absent.
+ *
+ * @returns {number}
+ */
+function parseConcurrency() {
+  const idx = process.argv.indexOf("--concurrency");
+  if (idx === -1) return 1;
+  const value = process.argv[idx + 1];
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    console.error(
+      `Error: --concurrency requires a positive integer (got "${value || ""}").`,
+    );
+    process.exit(1);
+  }
+  return n;
+}
+
+/**
+ * Parse --base <ref> and --head <ref> from argv.  Returns null if
+ * --base is absent (meaning "run the steps").
+ *
+ * @returns {{ base: string, head: string } | null}
+ */
+function parseRefs() {
+  const value = (flag) => {
+    const idx = process.argv.indexOf(flag);
+    if (idx === -1) return undefined;
+    const ref = process.argv[idx + 1];
+    if (!ref || ref.startsWith("-")) {
+      console.error(`Error: ${flag} requires a git ref.`);
+      process.exit(1);
+    }
+    return ref;
+  };
+  const base = value("--base");
+  const head = value("--head");
+  if (base === undefined) {
+    if (head !== undefined) {
+      console.error("Error: --head requires --base.");
+      process.exit(1);
+    }
+    return null;
+  }
+  if (process.argv.includes("--step")) {
+    console.error("Error: --base cannot be combined with --step.");
+    process.exit(1);
+  }
+  return { base, head: head || "HEAD" };
+}
+
 // ─── Main ─────────────────────────────────────────────────────────────────────
 
-function main() {
+async function main() {
   const startTime = Date.now();
 
   console.log("╔════════════════════════════════════════════════════════╗");
@@ -228,14 +556,39 @@ function main() {
   console.log(`  Codebases: ${CODEBASES.join(", ")}`);
   console.log(`  Config:    component-analytics.config.js`);
 
+  const refs = parseRefs();
+  if (refs) {
+    console.log(`  Comparing: ${refs.head} against ${refs.base}`);
+    stepBanner("Changed Files");
+    const start = performance.now();
+    try {
+      await require("./changes/analyze-changes").main(refs);
+    } catch (err) {
+      console.error(`\n❌ ${err.message}`);
+      process.exit(1);
+    }
+    console.log(`\n  ✅ Done in ${formatDuration(performance.now() - start)}`);
+    console.log("");
+    return;
+  }
+
   const requestedStep = parseRequestedStep();
+  const concurrency = parseConcurrency();
+  if (concurrency > 1) {
+    console.log(`  Workers:   ${concurrency} threads`);
+  }
+  const useCache = !process.argv.includes("--no-cache");
+  if (!useCache) {
+    console.log("  Cache:     disabled (--no-cache)");
+  }
+  let stepNames;
 
   if (requestedStep) {
     console.log(`  Running:   ${requestedStep} (single step)`);
     console.log("");
-    STEPS[requestedStep]();
+    stepNames = [requestedStep];
   } else {
-    const stepNames = Object.keys(STEPS);
+    stepNames = Object.keys(STEPS);
     console.log(`  Running:   all ${stepNames.length} steps`);
     console.log(`  Steps:     ${stepNames.join(" → ")}`);
     console.log("");
@@ -243,18 +596,10 @@ function main() {
     console.log("  Clearing previous reports…");
     clearReports();
     console.log("");
-
-    for (const [name, fn] of Object.entries(STEPS)) {
-      try {
-        fn();
-      } catch (err) {
-        console.error(`\n❌ Step "${name}" failed:`);
-        console.error(err.message || err);
-        process.exit(1);
-      }
-    }
   }
 
+  printTimings(await runSteps(stepNames, { concurrency, useCache }));
+
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
   console.log("\n" + "═".repeat(60));
   console.log(`  ✅ Done in ${elapsed}s`);
@@ -262,4 +607,4 @@ function main() {
   console.log("");
 }
 
-main();
+main().catch(console.error);
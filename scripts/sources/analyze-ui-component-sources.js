@@ -1,19 +1,23 @@
 const fs = require("fs");
 const path = require("path");
-const { glob } = require("glob");
 
 const { extractHTMLTags } = require("../html-tags/analyze-html-tags");
 const { sumValues } = require("../lib/utils");
+const { parseSource, toParsed } = require("../lib/parser");
+const {
+  extractImports,
+  namedImportSpecifiers,
+} = require("../lib/legacy-extraction");
+const { resolveReExport } = require("../lib/resolver");
+const { runPipeline } = require("../lib/pipeline");
 const {
   CODEBASES,
-  CODEBASE_PATHS,
   TRACKED_COMPONENTS,
   ALL_UI_LIBRARIES,
   UI_LIBRARY_NAMES,
   isTrackedUISource,
   identifyLibrary,
   isOtherUISource,
-  DEFAULT_GLOB_IGNORE,
 } = require("../lib/constants");
 
 /**
@@ -28,30 +32,16 @@ const LIBRARY_NAMES = ALL_UI_LIBRARIES.map((l) => l.name);
  * Parse named imports from an import statement, returning the LOCAL
  * names that will appear in JSX (i.e. the alias when present).
  *
- * Only PascalCase names are returned — hooks and utilities are excluded
- * because they aren't JSX elements.
+ * Only PascalCase value imports are returned — hooks, utilities and
+ * `type` specifiers are excluded because they aren't JSX elements.
  *
  * @param {string} namedImportsStr - The string inside { } in an import statement
  * @returns {string[]} - Array of local component names (PascalCase only)
  */
 function parseNamedImports(namedImportsStr) {
-  if (!namedImportsStr) return [];
-
-  const imports = [];
-  namedImportsStr.split(",").forEach((imp) => {
-    const trimmed = imp.trim();
-    if (trimmed) {
-      // Handle "X as Y" syntax — the LOCAL name (Y) is what appears in JSX.
-      // If there's no alias, the original name is the local name.
-      const parts = trimmed.split(/\s+as\s+/);
-      const localName = (parts[1] || parts[0]).trim();
-      if (localName && /^[A-Z]/.test(localName)) {
-        // Only count PascalCase (components)
-        imports.push(localName);
-      }
-    }
-  });
-  return imports;
+  return namedImportSpecifiers(namedImportsStr)
+    .map((s) => s.local)
+    .filter((local) => /^[A-Z]/.test(local));
 }
 
 /**
@@ -89,27 +79,6 @@ function categorizeImportSource(source) {
   return null;
 }
 
-/**
- * Extract all import statements from file content
- * @param {string} content - File content
- * @returns {Array<{namedImports: string|null, defaultImport: string|null, source: string}>}
- */
-function extractImports(content) {
-  const importRegex = /import\s+(?:{([^}]+)}|(\w+))\s+from\s+['"]([^'"]+)['"]/g;
-  const imports = [];
-  let match;
-
-  while ((match = importRegex.exec(content)) !== null) {
-    imports.push({
-      namedImports: match[1] || null,
-      defaultImport: match[2] || null,
-      source: match[3],
-    });
-  }
-
-  return imports;
-}
-
 /**
  * Count every PascalCase JSX element instance in the file content.
  *
@@ -117,41 +86,23 @@ function extractImports(content) {
  * this returns a count for every occurrence so that `<Button>…<Button>`
  * registers as 2 instances of `Button`.
  *
- * @param {string} content - File content
+ * Member tags (`<Menu.Item>`) are credited to their root identifier,
+ * which is the name the file imported.
+ *
+ * @param {string|import("../lib/parser").ParsedFile} content - File content, or an already parsed file.
  * @returns {Object<string, number>} - Component name → instance count
  */
 function countJSXInstances(content) {
-  const jsxRegex = /<([A-Z][a-zA-Z0-9]*)/g;
   const counts = {};
-  let match;
 
-  while ((match = jsxRegex.exec(content)) !== null) {
-    const name = match[1];
-    counts[name] = (counts[name] || 0) + 1;
+  for (const el of toParsed(content).elements) {
+    if (!/^[A-Z]/.test(el.root)) continue;
+    counts[el.root] = (counts[el.root] || 0) + 1;
   }
 
   return counts;
 }
 
-/**
- * Strip import statements from file content so that import
- * destructuring (`import { Button, Card } from '...'`) doesn't
- * produce false positives when scanning for prop-value references.
- *
- * Replaces every `import … from '…'` statement (including multi-line
- * destructured imports) with whitespace of the same length to
- * preserve character offsets.
- *
- * @param {string} content - Raw file content.
- * @returns {string} Content with import statements blanked out.
- */
-function stripImportStatements(content) {
-  return content.replace(
-    /import\s+(?:\{[^}]*\}|\w+)(?:\s*,\s*(?:\{[^}]*\}|\w+))?\s+from\s+['"][^'"]+['"]\s*;?/gs,
-    (match) => " ".repeat(match.length),
-  );
-}
-
 /**
  * Count references to imported component names that appear as prop
  * values rather than as JSX opening tags.
@@ -167,50 +118,28 @@ function stripImportStatements(content) {
  * whose exports are used as prop values rather than rendered directly)
  * would be invisible to the sources report.
  *
- * Import statements are stripped before scanning to avoid false
- * positives from import destructuring (e.g. `import { CloseIcon }`).
+ * References are read from the parsed syntax tree: an identifier
+ * counts when it is a JSX expression (`icon={CloseIcon}`, `{CloseIcon}`),
+ * an object property value (including shorthand) or an array element.
+ * Import specifiers are never value positions, so import destructuring
+ * does not produce false positives.
  *
  * Only names that exist in `importedNames` are counted — this avoids
  * false positives from local variables that happen to be PascalCase.
  *
- * @param {string}   content       - File content.
+ * @param {string|import("../lib/parser").ParsedFile} content - File content, or an already parsed file.
  * @param {string[]} importedNames - Local names imported from tracked / categorised sources.
  * @returns {Object<string, number>} - Component name → prop-reference count.
  */
 function countPropReferences(content, importedNames) {
   if (importedNames.length === 0) return {};
 
-  // Remove import statements so that `import { CloseIcon }` doesn't
-  // get counted as a prop reference.
-  const stripped = stripImportStatements(content);
-
+  const wanted = new Set(importedNames);
   const counts = {};
 
-  for (const name of importedNames) {
-    // Match patterns where the name appears as a prop value:
-    //   ={Name}       — JSX expression prop:  icon={CloseIcon}
-    //   ={Name,       — inside an object/array: {icon: CloseIcon, ...}
-    //   : Name,       — object literal value:  {icon: CloseIcon}
-    //   : Name}       — last key in object
-    //   [Name,        — array element:         [CloseIcon, EditIcon]
-    //
-    // We use word-boundary matching to avoid partial matches
-    // (e.g. "CloseIcon" should not match "CloseIconWrapper").
-    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-    const pattern = new RegExp(
-      `(?:[=:{,\\[]\\s*)\\b${escaped}\\b(?=[\\s,}\\])])`,
-      "g",
-    );
-
-    let m;
-    let refCount = 0;
-    while ((m = pattern.exec(stripped)) !== null) {
-      refCount++;
-    }
-
-    if (refCount > 0) {
-      counts[name] = refCount;
-    }
+  for (const ref of toParsed(content).valueReferences) {
+    if (!wanted.has(ref.name)) continue;
+    counts[ref.name] = (counts[ref.name] || 0) + 1;
   }
 
   return counts;
@@ -227,37 +156,96 @@ function countPropReferences(content, importedNames) {
  * For `import MyWidget from './MyWidget'`:
  *   - MyWidget → "internal"
  *
+ * For `import * as UI from '<tracked-ui-library>'`, `UI` is recorded in
+ * `namespaceToCategory` so that `<UI.Card>` can be credited later.
+ *
  * Components whose source doesn't match any known category (e.g.
  * `react`, `next/link`) are omitted from the map.
  *
- * @param {string} content - File content
- * @returns {{ componentToCategory: Object<string, string>, categoriesPresent: Set<string> }}
+ * When the file was parsed with a filename, named imports from local
+ * modules are followed through re-export barrels: a `Button` imported
+ * from `../ui` that re-exports `@sanity/ui` is credited to Sanity UI
+ * rather than `"internal"`.
+ *
+ * @param {string|import("../lib/parser").ParsedFile} content - File content, or an already parsed file.
+ * @returns {{ componentToCategory: Object<string, string>, namespaceToCategory: Object<string, string>, categoriesPresent: Set<string> }}
  */
 function buildImportMap(content) {
-  const imports = extractImports(content);
+  const { imports, filename } = toParsed(content);
   const componentToCategory = {};
+  const namespaceToCategory = {};
   const categoriesPresent = new Set();
 
+  /** Library a local import re-exports `importedName` from, if any. */
+  const reExportedLibrary = (source, importedName) => {
+    if (!filename) return null;
+    const target = resolveReExport(
+      filename,
+      source,
+      importedName,
+      isTrackedUISource,
+    );
+    return target ? identifyLibrary(target.source) : null;
+  };
+
   for (const imp of imports) {
     const category = categorizeImportSource(imp.source);
-    if (!category) continue;
+    const isLibrary = Boolean(identifyLibrary(imp.source));
 
-    const localNames = [];
+    for (const spec of imp.specifiers) {
+      if (spec.typeOnly) continue;
 
-    if (imp.namedImports) {
-      localNames.push(...parseNamedImports(imp.namedImports));
-    }
-    if (imp.defaultImport && /^[A-Z]/.test(imp.defaultImport)) {
-      localNames.push(imp.defaultImport);
-    }
+      if (spec.kind === "namespace") {
+        if (!category) continue;
+        namespaceToCategory[spec.local] = category;
+        categoriesPresent.add(category);
+        continue;
+      }
+      if (!/^[A-Z]/.test(spec.local)) continue;
 
-    for (const name of localNames) {
-      componentToCategory[name] = category;
-      categoriesPresent.add(category);
+      const specCategory =
+        (!isLibrary &&
+          spec.kind === "named" &&
+          reExportedLibrary(imp.source, spec.imported)) ||
+        category;
+      if (!specCategory) continue;
+
+      componentToCategory[spec.local] = specCategory;
+      categoriesPresent.add(specCategory);
     }
   }
 
-  return { componentToCategory, categoriesPresent };
+  return { componentToCategory, namespaceToCategory, categoriesPresent };
+}
+
+/**
+ * Resolve a JSX element to the component name it is credited to and
+ * that name's source category.
+ *
+ *   - `<Button>`    → `Button`    (imported name)
+ *   - `<UI.Card>`   → `Card`      (member of a namespace import)
+ *   - `<Menu.Item>` → `Menu.Item` (compound component of an imported root)
+ *
+ * Returns `null` for elements whose name was not imported from a
+ * categorised source.
+ *
+ * @param {import("../lib/parser").JSXElementRecord} el
+ * @param {Object<string, string>} componentToCategory
+ * @param {Object<string, string>} namespaceToCategory
+ * @returns {{ name: string, category: string } | null}
+ */
+function resolveJSXElement(el, componentToCategory, namespaceToCategory) {
+  if (componentToCategory[el.name]) {
+    return { name: el.name, category: componentToCategory[el.name] };
+  }
+  if (el.member === null) return null;
+  if (namespaceToCategory[el.root]) {
+    return { name: el.member, category: namespaceToCategory[el.root] };
+  }
+  if (componentToCategory[el.root]) {
+    return { name: el.name, category: componentToCategory[el.root] };
+  }
+  return null;
 }
 
 /**
@@ -269,10 +257,12 @@ function buildImportMap(content) {
  * file.  Native HTML/SVG tags are counted the same way via
  * {@link extractHTMLTags}.
  *
- * @param {string} content - File content to analyze
+ * @param {string|import("../lib/parser").ParsedFile} content - File content to
+ *   analyze, or an already parsed file.
  * @returns {object} - Analysis results
  */
 function analyzeContent(content) {
+  const parsed = toParsed(content);
   const instances = {
     libraries: {},
     otherUI: { components: [], count: 0 },
@@ -299,24 +289,33 @@ function analyzeContent(content) {
   // import statements.  This tells us WHERE each name comes from.
   // Categories are now either a library name (e.g. "Sanity UI") or one
   // of the fixed strings "otherUI" / "internal".
-  const { componentToCategory, categoriesPresent } = buildImportMap(content);
+  const { componentToCategory, namespaceToCategory, categoriesPresent } =
+    buildImportMap(parsed);
 
   // Step 2: Count every PascalCase JSX element in the file.  For each
-  // instance, look up the category via the import map and credit it.
-  const jsxCounts = countJSXInstances(content);
-
-  for (const [name, count] of Object.entries(jsxCounts)) {
-    const category = componentToCategory[name];
-    if (category) {
-      const bucket = getBucket(category);
-      if (bucket) {
-        for (let i = 0; i < count; i++) {
-          bucket.components.push(name);
-          bucket.count++;
-          instances.total.components.push(name);
-          instances.total.count++;
-        }
-      }
+  // instance, resolve it through the import map (including namespace
+  // and compound member tags) and credit its category.  Unresolved
+  // elements are counted under their root name, as
+  // {@link countJSXInstances} does.
+  const jsxCounts = {};
+
+  for (const el of parsed.elements) {
+    const resolved = resolveJSXElement(
+      el,
+      componentToCategory,
+      namespaceToCategory,
+    );
+    const name = resolved ? resolved.name : el.root;
+    if (!resolved && !/^[A-Z]/.test(name)) continue;
+
+    jsxCounts[name] = (jsxCounts[name] || 0) + 1;
+
+    const bucket = resolved && getBucket(resolved.category);
+    if (bucket) {
+      bucket.components.push(name);
+      bucket.count++;
+      instances.total.components.push(name);
+      instances.total.count++;
     }
   }
 
@@ -327,7 +326,7 @@ function analyzeContent(content) {
   // as JSX instances — avoids double-counting components that are
   // both rendered as JSX and passed as props.
   const importedNames = Object.keys(componentToCategory);
-  const propRefs = countPropReferences(content, importedNames);
+  const propRefs = countPropReferences(parsed, importedNames);
 
   for (const [name, count] of Object.entries(propRefs)) {
     // Subtract any JSX instances already counted for this name
@@ -353,7 +352,7 @@ function analyzeContent(content) {
   // Step 3: Count native HTML/SVG tags.  Each tag instance counts
   // against the tracked UI library adoption — the more raw HTML, the
   // lower the effective percentage.
-  const htmlTags = extractHTMLTags(content);
+  const htmlTags = extractHTMLTags(parsed);
   for (const [tag, count] of Object.entries(htmlTags)) {
     for (let i = 0; i < count; i++) {
       instances.nativeHTML.components.push(tag);
@@ -390,7 +389,7 @@ function analyzeContent(content) {
  */
 function analyzeFile(filePath) {
   const content = fs.readFileSync(filePath, "utf8");
-  return analyzeContent(content);
+  return analyzeContent(parseSource(content, filePath));
 }
 
 /**
@@ -485,44 +484,63 @@ function aggregateResults(fileResults) {
 }
 
 /**
- * Analyze a codebase for UI component usage
- * @param {string} codebase - Name of the codebase
- * @returns {Promise<object|null>} - Aggregated analysis results
+ * Create the source-classification analyzer for the shared single-pass
+ * pipeline.  Files that fail to analyse are skipped; codebases that
+ * don't exist on disk are reported as `null`.
+ *
+ * @returns {import("../lib/pipeline").Analyzer}
  */
-async function analyzeCodebase(codebase) {
-  const cbPath =
-    CODEBASE_PATHS[codebase] ||
-    path.resolve(__dirname, `../../codebases/${codebase}`);
-
-  if (!fs.existsSync(cbPath)) {
-    console.log(`⚠️  Skipping ${codebase}: path not found`);
-    return null;
-  }
+function createAnalyzer() {
+  /** @type {Object<string, object>} */
+  const aggregated = {};
+  let fileResults = [];
 
-  console.log(`\n📊 Analyzing ${codebase}...`);
+  /**
+   * Results per configured codebase, as passed to the report
+   * generators — without writing anything.
+   *
+   * @returns {Object<string, object | null>}
+   */
+  const summarize = () => {
+    const results = {};
+    for (const codebase of CODEBASES) {
+      results[codebase] = aggregated[codebase] || null;
+    }
+    return results;
+  };
 
-  // Find all component files using the configured patterns
-  const files = await glob("**/*.{tsx,jsx}", {
-    cwd: cbPath,
-    ignore: DEFAULT_GLOB_IGNORE,
-    absolute: true,
-  });
+  return {
+    name: "sources",
+    worker: { module: __filename },
+
+    beginCodebase() {
+      fileResults = [];
+    },
 
-  console.log(`   Found ${files.length} component files`);
+    analyze(file) {
+      try {
+        return analyzeContent(file.parsed);
+      } catch (error) {
+        // Skip files that can't be analysed
+        return null;
+      }
+    },
 
-  const fileResults = [];
+    file(file, result) {
+      if (result) fileResults.push(result);
+    },
 
-  // Analyze each file
-  for (const file of files) {
-    try {
-      const result = analyzeFile(file);
-      fileResults.push(result);
-    } catch (error) {
-      // Skip files that can't be parsed
-    }
-  }
+    endCodebase(codebase) {
+      aggregated[codebase] = aggregateResults(fileResults);
+      fileResults = [];
+    },
 
-  return aggregateResults(fileResults);
+    summarize,
+
+    finish() {
+      writeSourceReports(summarize());
+    },
+  };
 }
 
 /**
@@ -1049,36 +1067,11 @@ function generateJSON(results) {
 }
 
 /**
- * Main function
+ * Write the Markdown / CSV / JSON reports and print a console summary.
+ *
+ * @param {Object<string, object|null>} results - Aggregated results keyed by codebase name.
  */
-async function main() {
-  console.log(
-    "╔════════════════════════════════════════════════════════════════════════════╗",
-  );
-  console.log(
-    `║     UI COMPONENT SOURCE ANALYSIS - ${UI_LIBRARY_NAMES.toUpperCase()} vs OTHER SOURCES     ║`,
-  );
-  console.log(
-    "╚════════════════════════════════════════════════════════════════════════════╝",
-  );
-  console.log("");
-  console.log(
-    "NOTE: All numbers are JSX element instances (not import counts).",
-  );
-  console.log(
-    `      ${UI_LIBRARY_NAMES} is the tracked UI library (from component-analytics.config.js).`,
-  );
-  console.log(
-    `      Native HTML tag instances count against ${UI_LIBRARY_NAMES} adoption.`,
-  );
-
-  const results = {};
-
-  // Analyze each codebase
-  for (const codebase of CODEBASES) {
-    results[codebase] = await analyzeCodebase(codebase);
-  }
-
+function writeSourceReports(results) {
   // Generate reports
   const outputDir = path.resolve(__dirname, "../../reports/sources");
   if (!fs.existsSync(outputDir)) {
@@ -1160,19 +1153,46 @@ async function main() {
   console.log("");
 }
 
+/**
+ * Main function
+ */
+async function main() {
+  console.log(
+    "╔════════════════════════════════════════════════════════════════════════════╗",
+  );
+  console.log(
+    `║     UI COMPONENT SOURCE ANALYSIS - ${UI_LIBRARY_NAMES.toUpperCase()} vs OTHER SOURCES     ║`,
+  );
+  console.log(
+    "╚════════════════════════════════════════════════════════════════════════════╝",
+  );
+  console.log("");
+  console.log(
+    "NOTE: All numbers are JSX element instances (not import counts).",
+  );
+  console.log(
+    `      ${UI_LIBRARY_NAMES} is the tracked UI library (from component-analytics.config.js).`,
+  );
+  console.log(
+    `      Native HTML tag instances count against ${UI_LIBRARY_NAMES} adoption.`,
+  );
+
+  await runPipeline([createAnalyzer()]);
+}
+
 // Export functions for testing
 module.exports = {
   parseNamedImports,
   categorizeImportSource,
   extractImports,
   countJSXInstances,
+  resolveJSXElement,
   buildImportMap,
   analyzeContent,
   analyzeFile,
   aggregateResults,
-  analyzeCodebase,
+  createAnalyzer,
   countPropReferences,
-  stripImportStatements,
   generateMarkdown,
   generateCSV,
   generateJSON,
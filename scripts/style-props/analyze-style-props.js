@@ -0,0 +1,459 @@
+#!/usr/bin/env node
+
+/**
+ * @module style-props/analyze-style-props
+ *
+ * Style Props
+ *
+ * Translates the inline `style={{ … }}` objects on tracked components
+ * into the props those components already take, as configured per
+ * library in `uiLibraries[].styleProps` (or, for Sanity UI, the
+ * built-in defaults):
+ *
+ *   <Box style={{ padding: 12 }}>                → <Box padding={3}>
+ *   <Flex style={{ flexDirection: 'column' }}>   → <Flex direction="column">
+ *   <Text style={{ fontWeight: 600 }}>           → <Text weight="semibold">
+ *
+ * Scaled props take the index of the step whose pixel value the style
+ * sets, from the library's `scales`.  An instance is fully expressible
+ * when every property of its style translates — the `style` can go —
+ * and partially expressible when some do.  Values off the scale,
+ * values the prop does not support and computed values stay in
+ * `style`.  Styles that are not object literals (`style={styles.row}`)
+ * are left out.
+ *
+ * Output:
+ *   - `reports/style-props/report.md`
+ *   - `reports/style-props/report.csv`  — one row per styled instance
+ *   - `reports/style-props/report.json`
+ *
+ * Run directly:
+ *   node scripts/style-props/analyze-style-props.js
+ *
+ * Or via npm:
+ *   npm run analyze:style-props
+ */
+
+const { STYLE_PROPS, UI_LIBRARY_NAMES } = require("../lib/constants");
+const { writeReports } = require("../lib/files");
+const { parseStyleObject } = require("../lib/parser");
+const {
+  pixels,
+  translateProperty,
+  translateStyle,
+} = require("../lib/jsx-style");
+const { runPipeline } = require("../lib/pipeline");
+const { incr, cell, csvField } = require("../lib/utils");
+const {
+  analyzeFileContent,
+  createInstanceReference,
+} = require("../per-component/analyze-per-component");
+const { instanceLibrary } = require("../deprecations/analyze-deprecations");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** References listed per section in the Markdown report (the JSON has all). */
+const MAX_MARKDOWN_REFERENCES = 100;
+
+/** Translation statuses, in report order. */
+const STATUSES = ["prop", "off-scale", "value", "dynamic", "none"];
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {import("../lib/context").NormalizedStyleProp} StyleProp
+ * @typedef {import("../lib/jsx-style").StyleTranslation} StyleTranslation
+ */
+
+/**
+ * @typedef {object} StyledInstance
+ * @property {string} component
+ * @property {string} library
+ * @property {import("../per-component/analyze-per-component").InstanceReference} reference
+ * @property {StyleTranslation} translation
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRANSLATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Translate the inline styles in one file's per-component result.
+ *
+ * @param {import("../per-component/analyze-per-component").FileResult} fileResult
+ * @param {StyleProp[]} [rules=STYLE_PROPS]
+ * @param {(source: string) => string|null} [identify]
+ * @returns {{ importMap: Object<string, string>, sourceMap: Object<string, string>, matches: Array<{ instance: import("../per-component/analyze-per-component").ComponentInstance, library: string, translation: StyleTranslation }> }}
+ */
+function findStyleProps(fileResult, rules = STYLE_PROPS, identify) {
+  const matches = [];
+  for (const instance of fileResult.instances) {
+    const attr = instance.props.find((p) => p.name === "style");
+    const style = attr ? parseStyleObject(attr.value) : null;
+    if (!style || style.length === 0) continue;
+    const library = instanceLibrary(fileResult, instance, identify);
+    const own = rules.filter((r) => r.library === library);
+    if (own.length === 0) continue;
+    matches.push({
+      instance,
+      library,
+      translation: translateStyle(style, instance.component, own),
+    });
+  }
+  return {
+    importMap: fileResult.importMap,
+    sourceMap: fileResult.sourceMap,
+    matches,
+  };
+}
+
+/**
+ * Create the style props analyzer for the shared single-pass pipeline.
+ * Styled instances are exposed as `instances` and written in `finish`.
+ *
+ * @param {StyleProp[]} [rules=STYLE_PROPS]
+ * @returns {import("../lib/pipeline").Analyzer & { instances: StyledInstance[] }}
+ */
+function createAnalyzer(rules = STYLE_PROPS) {
+  /** @type {StyledInstance[]} */
+  const instances = [];
+
+  return {
+    name: "style-props",
+    worker: { module: __filename, args: [rules] },
+    instances,
+
+    analyze(file) {
+      if (rules.length === 0) return null;
+      return findStyleProps(analyzeFileContent(file.parsed), rules);
+    },
+
+    file(file, found) {
+      if (!found) return;
+      for (const { instance, library, translation } of found.matches) {
+        instances.push({
+          component: instance.component,
+          library,
+          reference: createInstanceReference(
+            found,
+            instance,
+            file.codebase,
+            file.relPath,
+            file.content,
+            file.path,
+          ),
+          translation,
+        });
+      }
+    },
+
+    finish() {
+      writeStylePropReports(instances);
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AGGREGATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Instances per translation status, overall and per codebase.
+ *
+ * @param {StyledInstance[]} instances
+ * @returns {{ total: { full: number, partial: number, none: number }, byCodebase: Object<string, { full: number, partial: number, none: number }> }}
+ */
+function statusTotals(instances) {
+  const empty = () => ({ full: 0, partial: 0, none: 0 });
+  const total = empty();
+  const byCodebase = {};
+  for (const { reference, translation } of instances) {
+    total[translation.status]++;
+    byCodebase[reference.codebase] = byCodebase[reference.codebase] || empty();
+    byCodebase[reference.codebase][translation.status]++;
+  }
+  return { total, byCodebase };
+}
+
+/**
+ * Per style property: the props it translates to and how often each
+ * status occurs, most frequent property first.
+ *
+ * @param {StyledInstance[]} instances
+ * @returns {Array<{ property: string, props: string[], count: number, statuses: Object<string, number> }>}
+ */
+function propertySummary(instances) {
+  const byProperty = new Map();
+  for (const { translation } of instances) {
+    for (const t of translation.properties) {
+      if (t.property === "") continue;
+      if (!byProperty.has(t.property)) {
+        byProperty.set(t.property, {
+          property: t.property,
+          props: [],
+          count: 0,
+          statuses: {},
+        });
+      }
+      const row = byProperty.get(t.property);
+      row.count++;
+      incr(row.statuses, t.status);
+      if (t.prop && !row.props.includes(t.prop)) row.props.push(t.prop);
+    }
+  }
+  return [...byProperty.values()].sort(
+    (a, b) => b.count - a.count || a.property.localeCompare(b.property),
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Why the untranslated properties of an instance stay in `style`, e.g.
+ * `` `padding: 10` is off the scale (nearest `padding={2}`) ``.
+ *
+ * @param {StyleTranslation} translation
+ * @returns {string}
+ */
+function translationNotes(translation) {
+  const notes = [];
+  for (const t of translation.properties) {
+    const written = t.property ? `${t.property}: ${t.source}` : t.source;
+    if (t.status === "off-scale") {
+      notes.push(`\`${written}\` is off the scale (nearest \`${t.nearest}\`)`);
+    } else if (t.status === "value") {
+      notes.push(`\`${written}\` is not a value of \`${t.prop}\``);
+    }
+  }
+  return notes.join("; ");
+}
+
+/**
+ * One Markdown section listing instances of a status.
+ *
+ * @param {string[]} lines
+ * @param {string} heading
+ * @param {StyledInstance[]} instances
+ * @param {boolean} notes - Whether to add the notes column.
+ */
+function pushInstanceTable(lines, heading, instances, notes) {
+  if (instances.length === 0) return;
+  lines.push(`## ${heading} (${instances.length})`);
+  lines.push("");
+  lines.push(
+    `| Codebase | Location | Source | Replace \`style\` with |${notes ? " Notes |" : ""}`,
+  );
+  lines.push(
+    `|----------|----------|--------|-----------------------|${notes ? "-------|" : ""}`,
+  );
+  for (const { reference: ref, translation } of instances.slice(
+    0,
+    MAX_MARKDOWN_REFERENCES,
+  )) {
+    const row = `| ${cell(ref.codebase)} | ${cell(ref.file)}:${ref.line} | \`${cell(ref.sourceCode)}\` | \`${cell(translation.replacement)}\` |`;
+    lines.push(notes ? `${row} ${cell(translationNotes(translation))} |` : row);
+  }
+  if (instances.length > MAX_MARKDOWN_REFERENCES) {
+    lines.push("");
+    lines.push(
+      `*... and ${instances.length - MAX_MARKDOWN_REFERENCES} more (see report.json)*`,
+    );
+  }
+  lines.push("");
+}
+
+/**
+ * Generate the Markdown report: the totals, how each style property
+ * translates, then the fully and partially expressible instances.
+ *
+ * @param {StyledInstance[]} instances
+ * @returns {string}
+ */
+function generateMarkdown(instances) {
+  const { total } = statusTotals(instances);
+  const lines = [];
+
+  lines.push("# Style Props");
+  lines.push("");
+  lines.push(
+    "Inline styles on tracked components that the components' own props can express.",
+  );
+  lines.push("");
+  lines.push(`- **${instances.length}** instances with an inline style object`);
+  lines.push(
+    `- **${total.full}** fully expressible with props — the \`style\` can go`,
+  );
+  lines.push(`- **${total.partial}** partially expressible`);
+  lines.push("");
+
+  if (instances.length === 0) return lines.join("\n");
+
+  lines.push("## Properties");
+  lines.push("");
+  lines.push(
+    "| Property | Prop | Instances | As prop | Off scale | Other value | Dynamic | No prop |",
+  );
+  lines.push(
+    "|----------|------|----------:|--------:|----------:|------------:|--------:|--------:|",
+  );
+  for (const row of propertySummary(instances)) {
+    const counts = STATUSES.map((s) => row.statuses[s] || 0);
+    const props = row.props.map((p) => `\`${cell(p)}\``).join(", ") || "—";
+    lines.push(
+      `| \`${cell(row.property)}\` | ${props} | ${row.count} | ${counts.join(" | ")} |`,
+    );
+  }
+  lines.push("");
+
+  pushInstanceTable(
+    lines,
+    "Fully expressible",
+    instances.filter((i) => i.translation.status === "full"),
+    false,
+  );
+  pushInstanceTable(
+    lines,
+    "Partially expressible",
+    instances.filter((i) => i.translation.status === "partial"),
+    true,
+  );
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate the CSV report: one row per styled instance.
+ *
+ * @param {StyledInstance[]} instances
+ * @returns {string}
+ */
+function generateCSV(instances) {
+  const rows = [
+    "Codebase,File,Line,Component,Library,Status,Source,Replacement",
+  ];
+  for (const { component, library, reference: ref, translation } of instances) {
+    rows.push(
+      [
+        csvField(ref.codebase),
+        csvField(ref.file),
+        ref.line,
+        csvField(component),
+        csvField(library),
+        translation.status,
+        csvField(ref.sourceCode),
+        csvField(translation.replacement),
+      ].join(","),
+    );
+  }
+  return rows.join("\n") + "\n";
+}
+
+/**
+ * Generate the JSON report.
+ *
+ * @param {StyledInstance[]} instances
+ * @returns {string}
+ */
+function generateJSON(instances) {
+  const { total, byCodebase } = statusTotals(instances);
+  return JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      libraryNames: UI_LIBRARY_NAMES,
+      totalInstances: instances.length,
+      ...total,
+      byCodebase,
+      properties: propertySummary(instances),
+      instances,
+    },
+    null,
+    2,
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Write the reports and print a console summary.
+ *
+ * @param {StyledInstance[]} instances
+ */
+function writeStylePropReports(instances) {
+  writeReports("style-props", "report", {
+    markdown: generateMarkdown(instances),
+    csv: generateCSV(instances),
+    json: generateJSON(instances),
+  });
+
+  console.log("\n✅ Markdown report saved");
+  console.log("✅ CSV report saved");
+  console.log("✅ JSON report saved");
+
+  const { total } = statusTotals(instances);
+  console.log("\n" + "─".repeat(60));
+  console.log("  QUICK SUMMARY");
+  console.log("─".repeat(60));
+  console.log(`  Styled instances:       ${instances.length}`);
+  console.log(`  Fully expressible:      ${total.full}`);
+  console.log(`  Partially expressible:  ${total.partial}`);
+  console.log("");
+}
+
+/**
+ * Main entry point — analyses every codebase and writes reports.
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  console.log("═".repeat(60));
+  console.log("  STYLE PROPS ANALYSIS");
+  console.log("═".repeat(60));
+
+  if (STYLE_PROPS.length === 0) {
+    console.log("  ⚠ No style props apply to the configured libraries");
+    console.log(
+      "  Add `styleProps` to a `uiLibraries` entry to enable this report.",
+    );
+    console.log("");
+    return;
+  }
+
+  await runPipeline([createAnalyzer()]);
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("❌ Style props analysis failed:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  // Translation
+  pixels,
+  translateProperty,
+  translateStyle,
+  findStyleProps,
+
+  // Aggregation
+  statusTotals,
+  propertySummary,
+
+  // Report generation
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+
+  // Pipeline
+  createAnalyzer,
+};
@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+
+/**
+ * @module trends/analyze-trends
+ *
+ * Adoption Trends
+ *
+ * Reads every snapshot in `history/` (see `lib/history.js`) and reports
+ * how adoption changed over time:
+ *
+ *   1. Per codebase: the share of JSX instances per source category
+ *      (each tracked library, other UI, internal, native HTML), line
+ *      ownership and prop surface, one row per snapshot.
+ *   2. Per component: instance counts per snapshot, overall and per
+ *      codebase.
+ *
+ * Output:
+ *   - `reports/trends/report.md`
+ *   - `reports/trends/report.csv`
+ *   - `reports/trends/report.json`
+ *
+ * Run directly:
+ *   node scripts/trends/analyze-trends.js
+ *
+ * Or via npm:
+ *   npm run analyze:trends
+ */
+
+const { writeReports } = require("../lib/files");
+const { loadSnapshots, HISTORY_ROOT } = require("../lib/history");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {object} SnapshotRef
+ * @property {string}      timestamp
+ * @property {string|null} label
+ */
+
+/**
+ * One snapshot's metrics for a codebase (percentages; `null` when the
+ * step that produces them did not run).
+ *
+ * @typedef {object} CodebaseTrendPoint
+ * @property {string}                 timestamp
+ * @property {string|null}            label
+ * @property {number|null}            totalInstances
+ * @property {Object<string, number>} categories        - Category → % of JSX instances.
+ * @property {number|null}            lineOwnership
+ * @property {number|null}            propSurface
+ */
+
+/**
+ * @typedef {object} ComponentTrend
+ * @property {string}                   library
+ * @property {number[]}                 instances         - Total instances per snapshot.
+ * @property {Object<string, number[]>} codebaseInstances - Codebase → instances per snapshot.
+ */
+
+/**
+ * @typedef {object} Trends
+ * @property {SnapshotRef[]}                          snapshots  - Oldest first.
+ * @property {string[]}                               categories - Every source category seen.
+ * @property {Object<string, CodebaseTrendPoint[]>}   codebases
+ * @property {Object<string, ComponentTrend>}         components
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AGGREGATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Line up a series of snapshots into per-codebase and per-component
+ * time series.  Component series are aligned with `snapshots`; a
+ * component absent from a snapshot counts as 0 there.
+ *
+ * @param {import("../lib/history").Snapshot[]} snapshots - Oldest first.
+ * @returns {Trends}
+ */
+function buildTrends(snapshots) {
+  /** @type {Set<string>} */
+  const categories = new Set();
+  /** @type {Object<string, CodebaseTrendPoint[]>} */
+  const codebases = {};
+  /** @type {Object<string, ComponentTrend>} */
+  const components = {};
+
+  snapshots.forEach((snapshot, i) => {
+    for (const [name, data] of Object.entries(snapshot.codebases)) {
+      /** @type {Object<string, number>} */
+      const shares = {};
+      if (data.sources) {
+        for (const [cat, share] of Object.entries(data.sources.categories)) {
+          categories.add(cat);
+          shares[cat] = share.percent;
+        }
+      }
+      (codebases[name] = codebases[name] || []).push({
+        timestamp: snapshot.timestamp,
+        label: snapshot.label,
+        totalInstances: data.sources ? data.sources.totalInstances : null,
+        categories: shares,
+        lineOwnership: data.lineOwnership ? data.lineOwnership.percent : null,
+        propSurface: data.propSurface ? data.propSurface.percent : null,
+      });
+    }
+
+    for (const [name, comp] of Object.entries(snapshot.components)) {
+      const trend = (components[name] = components[name] || {
+        library: comp.library,
+        instances: new Array(snapshots.length).fill(0),
+        codebaseInstances: {},
+      });
+      trend.instances[i] = comp.totalInstances;
+      for (const [cb, count] of Object.entries(comp.codebaseInstances)) {
+        const series = (trend.codebaseInstances[cb] =
+          trend.codebaseInstances[cb] || new Array(snapshots.length).fill(0));
+        series[i] = count;
+      }
+    }
+  });
+
+  return {
+    snapshots: snapshots.map((s) => ({
+      timestamp: s.timestamp,
+      label: s.label,
+    })),
+    categories: [...categories],
+    codebases,
+    components,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FORMATTING HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const SPARK_CHARS = "▁▂▃▄▅▆▇█";
+
+/**
+ * Render a series as a unicode sparkline (`▁▃▅█`).
+ *
+ * @param {number[]} values
+ * @returns {string}
+ */
+function sparkline(values) {
+  if (values.length === 0) return "";
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min;
+  return values
+    .map((v) =>
+      span === 0
+        ? SPARK_CHARS[0]
+        : SPARK_CHARS[
+            Math.round(((v - min) / span) * (SPARK_CHARS.length - 1))
+          ],
+    )
+    .join("");
+}
+
+/**
+ * Format a signed change (`+12`, `-3`, `0`).
+ *
+ * @param {number} delta
+ * @returns {string}
+ */
+function signed(delta) {
+  return delta > 0 ? `+${delta}` : String(delta);
+}
+
+/**
+ * Short human-readable date for a snapshot (`2025-01-31 14:05`).
+ *
+ * @param {string} timestamp - ISO timestamp.
+ * @returns {string}
+ */
+function shortDate(timestamp) {
+  return timestamp.slice(0, 16).replace("T", " ");
+}
+
+/**
+ * Format a nullable percentage for a table cell.
+ *
+ * @param {number|null|undefined} value
+ * @returns {string}
+ */
+function pctCell(value) {
+  return value === null || value === undefined ? "—" : `${value}%`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Generate the Markdown trends report.
+ *
+ * @param {Trends} trends
+ * @returns {string}
+ */
+function generateMarkdown(trends) {
+  const lines = [];
+  const { snapshots } = trends;
+
+  lines.push("# Adoption Trends");
+  lines.push("");
+  if (snapshots.length === 0) {
+    lines.push("No snapshots found in `history/`. Run a full analysis first.");
+    lines.push("");
+    return lines.join("\n");
+  }
+  lines.push(
+    `${snapshots.length} snapshot${snapshots.length === 1 ? "" : "s"} from ${shortDate(snapshots[0].timestamp)} to ${shortDate(snapshots[snapshots.length - 1].timestamp)}.`,
+  );
+  lines.push(
+    "Category columns are the share of all JSX element instances in the codebase.",
+  );
+  lines.push("");
+
+  // ── Per-codebase tables ───────────────────────────────────────────────
+
+  for (const [codebase, points] of Object.entries(trends.codebases)) {
+    lines.push(`## ${codebase}`);
+    lines.push("");
+    lines.push(
+      `| Snapshot | Label | Instances | ${trends.categories.join(" | ")} | Line Ownership | Prop Surface |`,
+    );
+    lines.push(
+      `|----------|-------|----------:|${trends.categories.map(() => "------:|").join("")}---------------:|-------------:|`,
+    );
+    for (const p of points) {
+      const cats = trends.categories.map((c) => pctCell(p.categories[c]));
+      lines.push(
+        `| ${shortDate(p.timestamp)} | ${p.label || ""} | ${p.totalInstances === null ? "—" : p.totalInstances.toLocaleString()} | ${cats.join(" | ")} | ${pctCell(p.lineOwnership)} | ${pctCell(p.propSurface)} |`,
+      );
+    }
+    lines.push("");
+  }
+
+  // ── Per-component table ───────────────────────────────────────────────
+
+  // Components imported but never rendered in any snapshot add nothing.
+  const rows = Object.entries(trends.components)
+    .filter(([, t]) => t.instances.some((n) => n > 0))
+    .map(([name, t]) => ({
+      name,
+      library: t.library,
+      first: t.instances[0],
+      latest: t.instances[t.instances.length - 1],
+      series: t.instances,
+    }))
+    .sort(
+      (a, b) =>
+        b.latest - a.latest ||
+        b.latest - b.first - (a.latest - a.first) ||
+        a.name.localeCompare(b.name),
+    );
+
+  if (rows.length > 0) {
+    lines.push("## Components");
+    lines.push("");
+    lines.push(
+      "Total instances across all codebases, first vs. latest snapshot.",
+    );
+    lines.push("");
+    lines.push("| Component | Library | First | Latest | Change | Trend |");
+    lines.push("|-----------|---------|------:|-------:|-------:|-------|");
+    for (const r of rows) {
+      lines.push(
+        `| ${r.name} | ${r.library} | ${r.first} | ${r.latest} | ${signed(r.latest - r.first)} | ${sparkline(r.series)} |`,
+      );
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate the CSV trends report: one section with per-codebase
+ * metrics per snapshot, one with per-component instances per snapshot
+ * and codebase (`ALL` for the total).
+ *
+ * @param {Trends} trends
+ * @returns {string}
+ */
+function generateCSV(trends) {
+  const rows = [];
+
+  // Section 1: Codebase metrics
+  rows.push(
+    [
+      "Timestamp",
+      "Label",
+      "Codebase",
+      "Instances",
+      ...trends.categories.map((c) => `"${c} %"`),
+      "Line Ownership %",
+      "Prop Surface %",
+    ].join(","),
+  );
+  for (const [codebase, points] of Object.entries(trends.codebases)) {
+    for (const p of points) {
+      rows.push(
+        [
+          p.timestamp,
+          `"${p.label || ""}"`,
+          `"${codebase}"`,
+          p.totalInstances === null ? "" : p.totalInstances,
+          ...trends.categories.map((c) =>
+            p.categories[c] === undefined ? "" : p.categories[c],
+          ),
+          p.lineOwnership === null ? "" : p.lineOwnership,
+          p.propSurface === null ? "" : p.propSurface,
+        ].join(","),
+      );
+    }
+  }
+
+  rows.push("");
+
+  // Section 2: Component instances
+  rows.push("Timestamp,Label,Component,Library,Codebase,Instances");
+  trends.snapshots.forEach((s, i) => {
+    for (const [name, t] of Object.entries(trends.components)) {
+      const base = [
+        s.timestamp,
+        `"${s.label || ""}"`,
+        `"${name}"`,
+        `"${t.library}"`,
+      ];
+      rows.push([...base, "ALL", t.instances[i]].join(","));
+      for (const [cb, series] of Object.entries(t.codebaseInstances)) {
+        rows.push([...base, `"${cb}"`, series[i]].join(","));
+      }
+    }
+  });
+
+  return rows.join("\n") + "\n";
+}
+
+/**
+ * Generate the JSON trends report.
+ *
+ * @param {Trends} trends
+ * @returns {string}
+ */
+function generateJSON(trends) {
+  return JSON.stringify(
+    { generatedAt: new Date().toISOString(), ...trends },
+    null,
+    2,
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build and write the trends reports from the snapshot store.
+ *
+ * @param {string} [historyDir=HISTORY_ROOT]
+ */
+function main(historyDir = HISTORY_ROOT) {
+  const snapshots = loadSnapshots(historyDir);
+  const trends = buildTrends(snapshots);
+
+  writeReports("trends", "report", {
+    markdown: generateMarkdown(trends),
+    csv: generateCSV(trends),
+    json: generateJSON(trends),
+  });
+
+  if (snapshots.length === 0) {
+    console.log(
+      "⚠️  No snapshots in history/ yet — run a full analysis first.",
+    );
+    return;
+  }
+
+  console.log(`✅ Trends written from ${snapshots.length} snapshot(s)`);
+
+  const latest = snapshots.length - 1;
+  const movers = Object.entries(trends.components)
+    .map(([name, t]) => [name, t.instances[latest] - t.instances[0]])
+    .filter(([, delta]) => delta !== 0)
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+    .slice(0, 5);
+  if (movers.length > 0) {
+    console.log("\n  Biggest changes since the first snapshot:");
+    for (const [name, delta] of movers) {
+      console.log(`    ${name.padEnd(24)} ${signed(delta).padStart(6)}`);
+    }
+  }
+  console.log("");
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  // Aggregation
+  buildTrends,
+
+  // Formatting helpers
+  sparkline,
+
+  // Report generation
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+
+  // CLI entry point (used in-process by run.js)
+  main,
+};
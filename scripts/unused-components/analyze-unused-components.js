@@ -0,0 +1,445 @@
+#!/usr/bin/env node
+
+/**
+ * @module unused-components/analyze-unused-components
+ *
+ * Unused Components
+ *
+ * Surfaces the library components nobody relies on:
+ *
+ *   1. **Never used** — catalogued components with no import, JSX
+ *      instance or `styled()` wrapper in any codebase.
+ *   2. **Used in one codebase** — components only one of several
+ *      codebases imports or renders.
+ *   3. **Only wrapped with `styled()`** — components that are imported
+ *      and wrapped, but never rendered directly.
+ *
+ * The catalogue of a library is its `components` list, or — when that
+ * is omitted and the library sets `declarations` — every component its
+ * type declarations export (see `lib/declarations.js`).  Libraries with
+ * neither only appear through the components that are used.
+ *
+ * Output:
+ *   - `reports/unused-components/report.md`
+ *   - `reports/unused-components/report.csv`
+ *   - `reports/unused-components/report.json`
+ *
+ * Run directly:
+ *   node scripts/unused-components/analyze-unused-components.js
+ *
+ * Or via npm:
+ *   npm run analyze:unused-components
+ */
+
+const {
+  ALL_UI_LIBRARIES,
+  CODEBASES,
+  UI_LIBRARY_NAMES,
+  identifyLibrary,
+} = require("../lib/constants");
+const { loadDeclarations } = require("../lib/declarations");
+const { writeReports } = require("../lib/files");
+const { runPipeline } = require("../lib/pipeline");
+const { incr, cell, csvField } = require("../lib/utils");
+const {
+  analyzeFileContent,
+} = require("../per-component/analyze-per-component");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * One file's use of tracked components.
+ *
+ * @typedef {object} FileUsage
+ * @property {string[]}               imports   - Components the file imports.
+ * @property {Object<string, number>} instances - Component → JSX instances.
+ * @property {Object<string, number>} styled    - Component → `styled()` wrappers.
+ * @property {Object<string, string>} libraries - Component → library name.
+ */
+
+/**
+ * @typedef {object} CodebaseUsage
+ * @property {number} imports   - Files importing the component.
+ * @property {number} instances
+ * @property {number} styled
+ */
+
+/**
+ * @typedef {object} ComponentUsage
+ * @property {string|null} library
+ * @property {boolean}     catalogued - Listed in `components` or declared.
+ * @property {number}      imports
+ * @property {number}      instances
+ * @property {number}      styled
+ * @property {Object<string, CodebaseUsage>} codebases - Only codebases that use it.
+ */
+
+/**
+ * @typedef {object} UnusedReport
+ * @property {string[]} unused         - Never imported, rendered or wrapped.
+ * @property {string[]} singleCodebase - Used in exactly one codebase.
+ * @property {string[]} styledOnly     - Wrapped with `styled()`, never rendered.
+ * @property {Object<string, ComponentUsage>} components
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CATALOGUE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The components each library offers: its `components` list, else the
+ * components its declarations export.
+ *
+ * @param {import("../lib/context").NormalizedUILibrary[]} [libraries=ALL_UI_LIBRARIES]
+ * @param {Object<string, import("../lib/declarations").ComponentDeclaration>} [declarations]
+ *   Declared props by component (default: read per the config).
+ * @returns {Object<string, string>} Component → library name.
+ */
+function buildCatalogue(
+  libraries = ALL_UI_LIBRARIES,
+  declarations = loadDeclarations(libraries),
+) {
+  /** @type {Object<string, string>} */
+  const catalogue = {};
+  for (const lib of libraries) {
+    const components =
+      lib.components.length > 0
+        ? lib.components
+        : Object.keys(declarations).filter(
+            (c) => declarations[c].library === lib.name,
+          );
+    for (const component of components) {
+      if (!catalogue[component]) catalogue[component] = lib.name;
+    }
+  }
+  return catalogue;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PER-FILE ANALYSIS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Which tracked components a file imports, renders and wraps.
+ *
+ * @param {import("../per-component/analyze-per-component").FileResult} fileResult
+ * @param {import("../lib/parser").ParsedFile} parsed
+ * @param {(source: string) => string|null} [identify=identifyLibrary]
+ * @returns {FileUsage}
+ */
+function fileUsage(fileResult, parsed, identify = identifyLibrary) {
+  const { importMap, sourceMap, instances } = fileResult;
+
+  // Compound members (`Menu.Item`) are skipped: the root is imported itself.
+  /** @type {FileUsage} */
+  const usage = { imports: [], instances: {}, styled: {}, libraries: {} };
+  for (const [local, component] of Object.entries(importMap)) {
+    if (component.includes(".")) continue;
+    if (!usage.imports.includes(component)) usage.imports.push(component);
+    if (!usage.libraries[component] && sourceMap[local]) {
+      usage.libraries[component] = identify(sourceMap[local]);
+    }
+  }
+  for (const instance of instances) {
+    if (!instance.component.includes(".")) {
+      incr(usage.instances, instance.component);
+    }
+  }
+  for (const call of parsed.styledCalls) {
+    const component = importMap[call.component];
+    if (component) incr(usage.styled, component);
+  }
+  return usage;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AGGREGATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Sort the components into the three lists.  A component counts as used
+ * in a codebase when that codebase imports, renders or wraps it.
+ *
+ * @param {Object<string, ComponentUsage>} components
+ * @param {string[]} [codebases=CODEBASES] - Every configured codebase.
+ * @returns {UnusedReport}
+ */
+function classifyUsage(components, codebases = CODEBASES) {
+  const names = Object.keys(components).sort((a, b) => a.localeCompare(b));
+  const used = (u) => u.imports + u.instances + u.styled > 0;
+  return {
+    unused: names.filter((n) => !used(components[n])),
+    singleCodebase:
+      codebases.length > 1
+        ? names.filter(
+            (n) =>
+              used(components[n]) &&
+              Object.keys(components[n].codebases).length === 1,
+          )
+        : [],
+    styledOnly: names.filter(
+      (n) => components[n].styled > 0 && components[n].instances === 0,
+    ),
+    components,
+  };
+}
+
+/**
+ * Create the unused-components analyzer for the shared single-pass
+ * pipeline.  Usage is exposed as `components` and written in `finish`.
+ *
+ * @param {Object<string, string>} [catalogue] - Default: {@link buildCatalogue}.
+ * @returns {import("../lib/pipeline").Analyzer & { components: Object<string, ComponentUsage> }}
+ */
+function createAnalyzer(catalogue = buildCatalogue()) {
+  /** @type {Object<string, ComponentUsage>} */
+  const components = {};
+  const entry = (name, library) => {
+    if (!components[name]) {
+      components[name] = {
+        library: library || null,
+        catalogued: name in catalogue,
+        imports: 0,
+        instances: 0,
+        styled: 0,
+        codebases: {},
+      };
+    }
+    return components[name];
+  };
+  for (const [name, library] of Object.entries(catalogue)) entry(name, library);
+
+  return {
+    name: "unused-components",
+    worker: { module: __filename, args: [catalogue] },
+    components,
+
+    analyze(file) {
+      return fileUsage(analyzeFileContent(file.parsed), file.parsed);
+    },
+
+    file(file, usage) {
+      const touched = new Set([
+        ...usage.imports,
+        ...Object.keys(usage.instances),
+        ...Object.keys(usage.styled),
+      ]);
+      for (const name of touched) {
+        const component = entry(name, usage.libraries[name]);
+        const codebase = (component.codebases[file.codebase] = component
+          .codebases[file.codebase] || { imports: 0, instances: 0, styled: 0 });
+        const imported = usage.imports.includes(name) ? 1 : 0;
+        const instances = usage.instances[name] || 0;
+        const styled = usage.styled[name] || 0;
+        component.imports += imported;
+        component.instances += instances;
+        component.styled += styled;
+        codebase.imports += imported;
+        codebase.instances += instances;
+        codebase.styled += styled;
+      }
+    },
+
+    finish() {
+      writeUnusedReports(classifyUsage(components));
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Generate the Markdown report: one section per list.
+ *
+ * @param {UnusedReport} report
+ * @returns {string}
+ */
+function generateMarkdown(report) {
+  const { components } = report;
+  const catalogued = Object.values(components).filter((c) => c.catalogued);
+  const lines = [];
+
+  lines.push("# Unused Components");
+  lines.push("");
+  lines.push(
+    `- **${report.unused.length}** of ${catalogued.length} catalogued components are never used`,
+  );
+  lines.push(
+    `- **${report.singleCodebase.length}** components are used in only one codebase`,
+  );
+  lines.push(
+    `- **${report.styledOnly.length}** components are only wrapped with \`styled()\``,
+  );
+  lines.push("");
+
+  lines.push(`## Never used (${report.unused.length})`);
+  lines.push("");
+  if (report.unused.length > 0) {
+    lines.push("| Component | Library |");
+    lines.push("|-----------|---------|");
+    for (const name of report.unused) {
+      lines.push(`| ${cell(name)} | ${cell(components[name].library)} |`);
+    }
+    lines.push("");
+  }
+
+  lines.push(`## Used in one codebase (${report.singleCodebase.length})`);
+  lines.push("");
+  if (report.singleCodebase.length > 0) {
+    lines.push("| Component | Library | Codebase | Imports | Instances |");
+    lines.push("|-----------|---------|----------|--------:|----------:|");
+    for (const name of report.singleCodebase) {
+      const c = components[name];
+      const [codebase] = Object.keys(c.codebases);
+      lines.push(
+        `| ${cell(name)} | ${cell(c.library)} | ${cell(codebase)} | ${c.imports} | ${c.instances} |`,
+      );
+    }
+    lines.push("");
+  }
+
+  lines.push(`## Only wrapped with styled() (${report.styledOnly.length})`);
+  lines.push("");
+  if (report.styledOnly.length > 0) {
+    lines.push("| Component | Library | styled() | Codebases |");
+    lines.push("|-----------|---------|---------:|-----------|");
+    for (const name of report.styledOnly) {
+      const c = components[name];
+      lines.push(
+        `| ${cell(name)} | ${cell(c.library)} | ${c.styled} | ${cell(Object.keys(c.codebases).join(", "))} |`,
+      );
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate the CSV report: one row per component on any list.
+ *
+ * @param {UnusedReport} report
+ * @returns {string}
+ */
+function generateCSV(report) {
+  const rows = ["Library,Component,Status,Codebases,Imports,Instances,Styled"];
+  const statuses = {};
+  const add = (names, status) => {
+    for (const name of names) {
+      statuses[name] = statuses[name] || [];
+      statuses[name].push(status);
+    }
+  };
+  add(report.unused, "unused");
+  add(report.singleCodebase, "single-codebase");
+  add(report.styledOnly, "styled-only");
+
+  for (const name of Object.keys(statuses).sort((a, b) => a.localeCompare(b))) {
+    const c = report.components[name];
+    rows.push(
+      [
+        csvField(c.library),
+        csvField(name),
+        csvField(statuses[name].join(" ")),
+        csvField(Object.keys(c.codebases).join(" ")),
+        c.imports,
+        c.instances,
+        c.styled,
+      ].join(","),
+    );
+  }
+  return rows.join("\n") + "\n";
+}
+
+/**
+ * Generate the JSON report.
+ *
+ * @param {UnusedReport} report
+ * @returns {string}
+ */
+function generateJSON(report) {
+  return JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      libraryNames: UI_LIBRARY_NAMES,
+      ...report,
+    },
+    null,
+    2,
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Write the reports and print a console summary.
+ *
+ * @param {UnusedReport} report
+ */
+function writeUnusedReports(report) {
+  writeReports("unused-components", "report", {
+    markdown: generateMarkdown(report),
+    csv: generateCSV(report),
+    json: generateJSON(report),
+  });
+
+  console.log("\n✅ Markdown report saved");
+  console.log("✅ CSV report saved");
+  console.log("✅ JSON report saved");
+
+  // Quick console summary
+  console.log("\n" + "─".repeat(60));
+  console.log("  QUICK SUMMARY");
+  console.log("─".repeat(60));
+  console.log(`  Never used:             ${report.unused.length}`);
+  console.log(`  Used in one codebase:   ${report.singleCodebase.length}`);
+  console.log(`  Only styled() wrapped:  ${report.styledOnly.length}`);
+  console.log("");
+}
+
+/**
+ * Main entry point — analyses every codebase and writes reports.
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  console.log("═".repeat(60));
+  console.log("  UNUSED COMPONENT ANALYSIS");
+  console.log("═".repeat(60));
+
+  await runPipeline([createAnalyzer()]);
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("❌ Unused component analysis failed:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  // Catalogue
+  buildCatalogue,
+
+  // Per-file analysis
+  fileUsage,
+
+  // Aggregation
+  classifyUsage,
+
+  // Report generation
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+
+  // Pipeline
+  createAnalyzer,
+};
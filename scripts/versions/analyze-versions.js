@@ -484,4 +484,7 @@ module.exports = {
   aggregateVersions,
   generateMarkdown,
   generateJSON,
+
+  // CLI entry point (used in-process by run.js)
+  main,
 };
@@ -0,0 +1,648 @@
+#!/usr/bin/env node
+
+/**
+ * @module wrapper-discovery/analyze-wrapper-discovery
+ *
+ * Wrapper Discovery
+ *
+ * Finds internal components that render a single tracked component, so
+ * wrapper layers show up without configuring `wrapperSources`:
+ *
+ *   const PrimaryButton = (p) => <Button tone="primary" {...p} />
+ *   const Field = forwardRef((p, ref) => <TextInput ref={ref} {...p} />)
+ *   const Panel = styled(Card)`…`
+ *
+ * A component counts as a wrapper when it takes props and every value
+ * it renders (`return null` aside) is a JSX element of the same tracked
+ * component.  Each
+ * wrapper is listed with the component it wraps, the literal props it
+ * hardcodes and how often it is rendered — in its own file, or through
+ * relative and tsconfig-alias imports elsewhere in the codebase.
+ *
+ * Components rendering another wrapper are kept as "forwards", so the
+ * per-component report can follow chains of wrappers (up to
+ * `wrapperDepth`) when it counts effective instances.
+ *
+ * Wrappers that only spread their props onto the component and fix a
+ * few literal values are "presets": they duplicate what the library
+ * offers through those props.
+ *
+ * Output:
+ *   - `reports/wrapper-discovery/report.md`
+ *   - `reports/wrapper-discovery/report.csv`
+ *   - `reports/wrapper-discovery/report.json`
+ *
+ * Run directly:
+ *   node scripts/wrapper-discovery/analyze-wrapper-discovery.js
+ *
+ * Or via npm:
+ *   npm run analyze:wrapper-discovery
+ */
+
+const { UI_LIBRARY_NAMES, identifyLibrary } = require("../lib/constants");
+const { writeReports } = require("../lib/files");
+const { runPipeline } = require("../lib/pipeline");
+const { openingTagSource } = require("../lib/parser");
+const { resolveModule } = require("../lib/resolver");
+const { cell, csvField } = require("../lib/utils");
+const {
+  analyzeFileContent,
+  classifyValue,
+  normalizeValue,
+} = require("../per-component/analyze-per-component");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Normalized values that are literals, and so hardcoded. */
+const LITERAL_VALUE = /^(".*"|-?\d+(\.\d+)?|true|false)$/;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * A wrapper found in one file.
+ *
+ * @typedef {object} WrapperDefinition
+ * @property {string}      name      - Binding name in its file.
+ * @property {string|null} exported  - Exported name (`"default"` for the default export).
+ * @property {"function"|"forwardRef"|"memo"|"styled"} kind
+ * @property {string}      component - Tracked component it renders.
+ * @property {string|null} library
+ * @property {Object<string, string>} hardcoded - Prop → normalized literal value.
+ * @property {boolean}     spreadsProps - Spreads an object onto the component.
+ * @property {boolean}     preset    - Only spreads props and hardcodes literals.
+ * @property {number}      line
+ */
+
+/**
+ * A component that renders another internal component — a link in a
+ * wrapper chain.
+ *
+ * @typedef {object} WrapperForward
+ * @property {string}      name
+ * @property {string|null} exported
+ * @property {{ file: string, name: string }} renders - Component it renders.
+ * @property {number}      line
+ */
+
+/**
+ * An element rendered from a non-library component, pointing at the
+ * file that defines it.
+ *
+ * @typedef {object} WrapperUse
+ * @property {string} file       - Absolute path of the defining file.
+ * @property {string} name       - Name in that file (`"default"` for a default import).
+ * @property {number} line       - Line of the element.
+ * @property {string} sourceCode - The element's opening tag.
+ */
+
+/**
+ * @typedef {object} FileWrappers
+ * @property {WrapperDefinition[]} wrappers
+ * @property {WrapperForward[]}    forwards
+ * @property {WrapperUse[]}        uses
+ */
+
+/**
+ * One wrapper of a chain, outermost first.
+ *
+ * @typedef {object} WrapperLink
+ * @property {string} name - Wrapper name.
+ * @property {string} file - Defining file, relative to its codebase root.
+ * @property {number} line
+ */
+
+/**
+ * @typedef {object} ResolvedWrapper
+ * @property {string}        component - Tracked component rendered at the end of the chain.
+ * @property {string|null}   library
+ * @property {WrapperLink[]} chain
+ */
+
+/**
+ * @typedef {WrapperDefinition & {
+ *   codebase: string,
+ *   file: string,
+ *   instances: number,
+ *   files: number,
+ * }} WrapperRow
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PER-FILE ANALYSIS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * The literal props of a rendered element.
+ *
+ * @param {import("../lib/parser").JSXElementRecord} element
+ * @returns {Object<string, string>}
+ */
+function literalProps(element) {
+  /** @type {Object<string, string>} */
+  const props = {};
+  for (const attr of element.attributes) {
+    if (attr.kind === "spread") continue;
+    const value = normalizeValue(classifyValue(attr.value));
+    if (LITERAL_VALUE.test(value)) props[attr.name] = value;
+  }
+  return props;
+}
+
+/**
+ * Describe a component definition as a wrapper, or return `null` when
+ * it does not always render the same tracked component.
+ *
+ * @param {import("../lib/parser").ComponentDefinition} definition
+ * @param {import("../lib/parser").ParsedFile} parsed
+ * @param {import("../per-component/analyze-per-component").FileResult} fileResult
+ * @param {(source: string) => string|null} identify
+ * @returns {WrapperDefinition|null}
+ */
+function definitionWrapper(definition, parsed, fileResult, identify) {
+  const { returns } = definition;
+  if (!definition.hasProps || returns.length === 0 || returns.includes(null)) {
+    return null;
+  }
+
+  const roots = returns.map((i) => parsed.elements[i]);
+  const { name } = roots[0];
+  if (!fileResult.importMap[name] || roots.some((r) => r.name !== name)) {
+    return null;
+  }
+
+  // Props every rendered element hardcodes to the same value.
+  const hardcoded = literalProps(roots[0]);
+  for (const root of roots.slice(1)) {
+    const props = literalProps(root);
+    for (const prop of Object.keys(hardcoded)) {
+      if (props[prop] !== hardcoded[prop]) delete hardcoded[prop];
+    }
+  }
+  const spreadsProps = roots.every((r) =>
+    r.attributes.some((a) => a.kind === "spread"),
+  );
+
+  return {
+    name: definition.name,
+    exported: definition.exported,
+    kind: definition.kind,
+    component: fileResult.importMap[name],
+    library: identify(fileResult.sourceMap[name]),
+    hardcoded,
+    spreadsProps,
+    preset:
+      roots.length === 1 &&
+      spreadsProps &&
+      Object.keys(hardcoded).length > 0 &&
+      roots[0].attributes.every(
+        (a) => a.kind === "spread" || a.name in hardcoded,
+      ),
+    line: definition.line,
+  };
+}
+
+/**
+ * Find the wrappers a file defines, the components that wrap another
+ * internal component ("forwards", followed by wrapper chains) and the
+ * non-library components it renders.
+ *
+ * @param {import("../lib/parser").ParsedFile} parsed
+ * @param {string} filePath - Absolute path of the file.
+ * @param {(source: string) => string|null} [identify=identifyLibrary]
+ * @param {import("../per-component/analyze-per-component").FileResult} [fileResult]
+ *   The file's tracked imports and instances, when already computed.
+ * @returns {FileWrappers}
+ */
+function findWrappers(
+  parsed,
+  filePath,
+  identify = identifyLibrary,
+  fileResult = analyzeFileContent(parsed),
+) {
+  const { importMap, sourceMap } = fileResult;
+
+  // Where each non-library component is defined: this file, or the
+  // project file its import resolves to (resolved on first use).
+  /** @type {Object<string, { file?: string|null, source?: string, name: string }>} */
+  const targets = {};
+  for (const definition of parsed.definitions) {
+    targets[definition.name] = { file: filePath, name: definition.name };
+  }
+  for (const call of parsed.styledCalls) {
+    if (call.variableName) {
+      targets[call.variableName] = { file: filePath, name: call.variableName };
+    }
+  }
+  for (const imp of parsed.imports) {
+    for (const spec of imp.specifiers) {
+      if (spec.kind === "namespace" || importMap[spec.local]) continue;
+      targets[spec.local] = { source: imp.source, name: spec.imported };
+    }
+  }
+
+  /** @returns {{ file: string, name: string } | null} */
+  const targetOf = (name) => {
+    const target = targets[name];
+    if (!target || importMap[name]) return null;
+    if (target.source !== undefined) {
+      target.file = resolveModule(filePath, target.source);
+      delete target.source;
+    }
+    return target.file ? { file: target.file, name: target.name } : null;
+  };
+
+  /** @type {WrapperDefinition[]} */
+  const wrappers = [];
+  /** @type {WrapperForward[]} */
+  const forwards = [];
+  for (const definition of parsed.definitions) {
+    const wrapper = definitionWrapper(definition, parsed, fileResult, identify);
+    if (wrapper) {
+      wrappers.push(wrapper);
+      continue;
+    }
+    const { returns } = definition;
+    if (!definition.hasProps || returns.length === 0) continue;
+    if (returns.includes(null)) continue;
+    const roots = returns.map((i) => parsed.elements[i]);
+    if (roots.some((r) => r.name !== roots[0].name)) continue;
+    const renders = roots[0].member === null && targetOf(roots[0].name);
+    if (renders) {
+      forwards.push({
+        name: definition.name,
+        exported: definition.exported,
+        renders,
+        line: definition.line,
+      });
+    }
+  }
+  for (const call of parsed.styledCalls) {
+    if (!call.variableName) continue;
+    if (importMap[call.component]) {
+      wrappers.push({
+        name: call.variableName,
+        exported: call.exported,
+        kind: "styled",
+        component: importMap[call.component],
+        library: identify(sourceMap[call.component]),
+        hardcoded: {},
+        spreadsProps: false,
+        preset: false,
+        line: call.line,
+      });
+    } else if (targetOf(call.component)) {
+      forwards.push({
+        name: call.variableName,
+        exported: call.exported,
+        renders: targetOf(call.component),
+        line: call.line,
+      });
+    }
+  }
+
+  /** @type {WrapperUse[]} */
+  const uses = [];
+  for (const el of parsed.elements) {
+    if (el.intrinsic || el.member !== null) continue;
+    const target = targetOf(el.name);
+    if (target) {
+      uses.push({
+        ...target,
+        line: el.line,
+        sourceCode: openingTagSource(parsed, el),
+      });
+    }
+  }
+
+  return { wrappers, forwards, uses };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AGGREGATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * `true` when an import of `name` from the wrapper's file refers to it.
+ *
+ * @param {WrapperDefinition|WrapperForward} wrapper
+ * @param {string} name - Imported name (`"default"` for a default import).
+ * @returns {boolean}
+ */
+function refersTo(wrapper, name) {
+  return name === wrapper.exported || name === wrapper.name;
+}
+
+/**
+ * Follow wrapper chains to the tracked component they render.
+ *
+ * @param {Map<string, { relPath: string, wrappers: WrapperDefinition[], forwards: WrapperForward[] }>} files
+ *   Definitions by absolute file path.
+ * @param {number} depth - Most wrappers followed in one chain.
+ * @returns {(file: string, name: string) => ResolvedWrapper|null}
+ *   Resolves a {@link WrapperUse} target.
+ */
+function createWrapperResolver(files, depth) {
+  const resolve = (file, name, remaining) => {
+    const defs = files.get(file);
+    if (!defs || remaining <= 0) return null;
+    const link = (d) => ({ name: d.name, file: defs.relPath, line: d.line });
+
+    const wrapper = defs.wrappers.find((w) => refersTo(w, name));
+    if (wrapper) {
+      return {
+        component: wrapper.component,
+        library: wrapper.library,
+        chain: [link(wrapper)],
+      };
+    }
+    const forward = defs.forwards.find((f) => refersTo(f, name));
+    if (!forward) return null;
+    const inner = resolve(
+      forward.renders.file,
+      forward.renders.name,
+      remaining - 1,
+    );
+    return inner && { ...inner, chain: [link(forward), ...inner.chain] };
+  };
+  return (file, name) => resolve(file, name, depth);
+}
+
+/**
+ * Create the wrapper-discovery analyzer for the shared single-pass
+ * pipeline.  Rows are exposed as `rows()` and written in `finish`.
+ *
+ * @returns {import("../lib/pipeline").Analyzer & { rows: () => WrapperRow[] }}
+ */
+function createAnalyzer() {
+  /** @type {Map<string, WrapperRow[]>} absolute file → wrappers it defines */
+  const byFile = new Map();
+  /**
+   * Uses of each file's components: absolute file → name in that file →
+   * instances and the codebase \0 files using it.
+   *
+   * @type {Map<string, Map<string, { instances: number, files: Set<string> }>>}
+   */
+  const usesOf = new Map();
+
+  const rows = () => {
+    const out = [];
+    for (const [file, wrappers] of byFile) {
+      const uses = usesOf.get(file) || new Map();
+      for (const wrapper of wrappers) {
+        let count = 0;
+        const files = new Set();
+        for (const name of new Set([wrapper.name, wrapper.exported])) {
+          const use = uses.get(name);
+          if (!use) continue;
+          count += use.instances;
+          use.files.forEach((f) => files.add(f));
+        }
+        out.push({ ...wrapper, instances: count, files: files.size });
+      }
+    }
+    return out.sort(
+      (a, b) =>
+        b.instances - a.instances ||
+        a.component.localeCompare(b.component) ||
+        a.name.localeCompare(b.name),
+    );
+  };
+
+  return {
+    name: "wrapper-discovery",
+    worker: { module: __filename, args: [] },
+    rows,
+
+    analyze(file) {
+      return findWrappers(file.parsed, file.path);
+    },
+
+    file(file, result) {
+      if (result.wrappers.length > 0) {
+        byFile.set(
+          file.path,
+          result.wrappers.map((w) => ({
+            ...w,
+            codebase: file.codebase,
+            file: file.relPath,
+          })),
+        );
+      }
+      for (const use of result.uses) {
+        if (!usesOf.has(use.file)) usesOf.set(use.file, new Map());
+        const uses = usesOf.get(use.file);
+        if (!uses.has(use.name)) {
+          uses.set(use.name, { instances: 0, files: new Set() });
+        }
+        const entry = uses.get(use.name);
+        entry.instances++;
+        entry.files.add(file.codebase + "\0" + file.relPath);
+      }
+    },
+
+    finish() {
+      writeWrapperReports(rows());
+    },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPORT GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Hardcoded props as JSX attributes, e.g. `tone="primary" size={2}`.
+ *
+ * @param {Object<string, string>} hardcoded
+ * @returns {string}
+ */
+function propsLabel(hardcoded) {
+  return Object.entries(hardcoded)
+    .map(([prop, v]) => (v.startsWith('"') ? `${prop}=${v}` : `${prop}={${v}}`))
+    .join(" ");
+}
+
+/**
+ * Generate the Markdown report: every wrapper, most rendered first, then
+ * the presets.
+ *
+ * @param {WrapperRow[]} rows
+ * @returns {string}
+ */
+function generateMarkdown(rows) {
+  const presets = rows.filter((r) => r.preset);
+  const hidden = rows.reduce((sum, r) => sum + r.instances, 0);
+  const lines = [];
+
+  lines.push("# Wrapper Discovery");
+  lines.push("");
+  lines.push(
+    `- **${rows.length}** internal components render a single tracked component`,
+  );
+  lines.push(
+    `- **${hidden}** instances render a tracked component through them`,
+  );
+  lines.push(
+    `- **${presets.length}** only preset props the wrapped component already has`,
+  );
+  lines.push("");
+
+  if (rows.length > 0) {
+    lines.push(
+      "| Wrapper | Wraps | Kind | Hardcoded Props | Instances | Files | Location |",
+    );
+    lines.push(
+      "|---------|-------|------|-----------------|----------:|------:|----------|",
+    );
+    for (const r of rows) {
+      const props = propsLabel(r.hardcoded);
+      lines.push(
+        `| ${cell(r.name)} | ${cell(r.component)} | ${r.kind} | ${props ? `\`${cell(props)}\`` : "—"} | ${r.instances} | ${r.files} | ${cell(r.codebase)}: ${cell(r.file)}:${r.line} |`,
+      );
+    }
+    lines.push("");
+  }
+
+  if (presets.length > 0) {
+    lines.push(`## Presets (${presets.length})`);
+    lines.push("");
+    lines.push(
+      "These wrappers pass their props through and hardcode the rest — the wrapped component can be used directly:",
+    );
+    lines.push("");
+    for (const r of presets) {
+      lines.push(
+        `- \`<${cell(r.name)}>\` → \`<${cell(r.component)} ${cell(propsLabel(r.hardcoded))}>\` (${r.instances} instances)`,
+      );
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Generate the CSV report: one row per wrapper.
+ *
+ * @param {WrapperRow[]} rows
+ * @returns {string}
+ */
+function generateCSV(rows) {
+  const out = [
+    "Codebase,File,Line,Wrapper,Kind,Library,Component,Hardcoded Props,Spreads Props,Preset,Instances,Files",
+  ];
+  for (const r of rows) {
+    out.push(
+      [
+        csvField(r.codebase),
+        csvField(r.file),
+        r.line,
+        csvField(r.name),
+        csvField(r.kind),
+        csvField(r.library),
+        csvField(r.component),
+        csvField(propsLabel(r.hardcoded)),
+        r.spreadsProps,
+        r.preset,
+        r.instances,
+        r.files,
+      ].join(","),
+    );
+  }
+  return out.join("\n") + "\n";
+}
+
+/**
+ * Generate the JSON report.
+ *
+ * @param {WrapperRow[]} rows
+ * @returns {string}
+ */
+function generateJSON(rows) {
+  return JSON.stringify(
+    {
+      generatedAt: new Date().toISOString(),
+      libraryNames: UI_LIBRARY_NAMES,
+      totalWrappers: rows.length,
+      totalInstances: rows.reduce((sum, r) => sum + r.instances, 0),
+      wrappers: rows,
+    },
+    null,
+    2,
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Write the reports and print a console summary.
+ *
+ * @param {WrapperRow[]} rows
+ */
+function writeWrapperReports(rows) {
+  writeReports("wrapper-discovery", "report", {
+    markdown: generateMarkdown(rows),
+    csv: generateCSV(rows),
+    json: generateJSON(rows),
+  });
+
+  console.log("\n✅ Markdown report saved");
+  console.log("✅ CSV report saved");
+  console.log("✅ JSON report saved");
+
+  // Quick console summary
+  console.log("\n" + "─".repeat(60));
+  console.log("  QUICK SUMMARY");
+  console.log("─".repeat(60));
+  console.log(`  Wrappers found: ${rows.length}`);
+  for (const r of rows.slice(0, 5)) {
+    console.log(
+      `    ${r.name.padEnd(24)} → ${r.component.padEnd(16)} ${String(r.instances).padStart(5)} instance(s)`,
+    );
+  }
+  console.log("");
+}
+
+/**
+ * Main entry point — analyses every codebase and writes reports.
+ *
+ * @returns {Promise<void>}
+ */
+async function main() {
+  console.log("═".repeat(60));
+  console.log("  WRAPPER DISCOVERY");
+  console.log("═".repeat(60));
+
+  await runPipeline([createAnalyzer()]);
+}
+
+// ─── Module boundary ──────────────────────────────────────────────────────────
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error("❌ Wrapper discovery failed:", err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  // Per-file analysis
+  findWrappers,
+
+  // Aggregation
+  createWrapperResolver,
+
+  // Report generation
+  generateMarkdown,
+  generateCSV,
+  generateJSON,
+
+  // Pipeline
+  createAnalyzer,
+};